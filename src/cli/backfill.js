@@ -0,0 +1,205 @@
+import {loadConfig} from '../lib/config';
+import {createPool} from '../lib/db';
+import DetikDataSource from '../lib/detik';
+import {feedConfigs} from '../lib/feeds';
+import {createLogger} from '../lib/logger';
+import {createEmitter} from '../lib/metrics';
+import {createSink, DryRunSink} from '../lib/sinks';
+
+const USAGE = `Usage: backfill [options]
+
+Load a range of Detik reports through the polling pipeline, ignoring the
+checkpoint. At least one of --from or --from-id is required.
+
+Options:
+  --from <date>     Oldest update time to load, ISO 8601
+  --to <date>       Newest update time to load, ISO 8601
+  --from-id <id>    Lowest contribution ID to load
+  --to-id <id>      Highest contribution ID to load
+  --dry-run         Print what would be written and skipped, checking the
+                    configured sink for stored reports but writing nothing
+  --config <file>   JSON configuration file, overrides the environment
+  --feed <name>     Feed to load, required when FEEDS lists several
+  --replay <dir>    Read pages recorded in a directory instead of the feed
+  --record <dir>    Save the pages fetched to a directory, for --replay
+  --help            Show this help`;
+
+/**
+ * Dry run output label of each sink change.
+ * @type {object}
+ */
+const ACTIONS = {
+    inserted: 'insert',
+    updated: 'update',
+    revised: 'revise',
+    withdrawn: 'withdraw',
+    unconfirmed: 'insert-unconfirmed',
+};
+
+/**
+ * Parse backfill command line arguments.
+ * @param {Array} argv Arguments, without node and the script
+ * @return {object} {range, dryRun, help, configFile, feed, fixtures}, with
+ * fixtures as {transport, path} if pages are replayed or recorded
+ */
+export const parseArgs = function(argv) {
+    let options = {range: {}, dryRun: false, help: false, configFile: null,
+        feed: null, fixtures: null};
+    const value = function(i) {
+        if (i >= argv.length || argv[i].indexOf('--') === 0) {
+            throw new Error(argv[i - 1] + ' needs a value');
+        }
+        return argv[i];
+    };
+    const date = function(text, flag) {
+        const time = Date.parse(text);
+        if (isNaN(time)) throw new Error(flag + ' is not a date: ' + text);
+        return time;
+    };
+    const id = function(text, flag) {
+        if (!/^\d+$/.test(text)) {
+            throw new Error(flag + ' is not a contribution ID: ' + text);
+        }
+        return Number(text);
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        if (flag === '--from') {
+            options.range.from = date(value(++i), flag);
+        } else if (flag === '--to') {
+            options.range.to = date(value(++i), flag);
+        } else if (flag === '--from-id') {
+            options.range.fromId = id(value(++i), flag);
+        } else if (flag === '--to-id') {
+            options.range.toId = id(value(++i), flag);
+        } else if (flag === '--dry-run') {
+            options.dryRun = true;
+        } else if (flag === '--config') {
+            options.configFile = value(++i);
+        } else if (flag === '--feed') {
+            options.feed = value(++i);
+        } else if (flag === '--replay' || flag === '--record') {
+            if (options.fixtures) {
+                throw new Error('--replay and --record cannot be combined');
+            }
+            options.fixtures = {path: value(++i),
+                transport: flag === '--replay' ? 'fixture' : 'record'};
+        } else if (flag === '--help') {
+            options.help = true;
+        } else {
+            throw new Error('Unknown option ' + flag);
+        }
+    }
+
+    if (!options.help && !options.range.from && !options.range.fromId) {
+        throw new Error('--from or --from-id is required');
+    }
+    if (options.range.from && options.range.to &&
+        options.range.from > options.range.to) {
+        throw new Error('--from is after --to');
+    }
+    if (options.range.fromId && options.range.toId &&
+        options.range.fromId > options.range.toId) {
+        throw new Error('--from-id is above --to-id');
+    }
+    return options;
+};
+
+/**
+ * Pick the configuration of the feed to backfill.
+ * @param {object} config Detik configuration
+ * @param {string} name Feed name, optional when there is one feed
+ * @return {object} Feed configuration
+ */
+export const selectFeed = function(config, name) {
+    const feeds = feedConfigs(config);
+    const names = feeds.map(function(feed) {
+        return feed.FEED_NAME;
+    });
+    if (!name) {
+        if (feeds.length > 1) {
+            throw new Error('--feed is required, one of ' + names.join(', '));
+        }
+        return feeds[0];
+    }
+    if (names.indexOf(name) === -1) {
+        throw new Error('Unknown feed ' + name + ', one of ' +
+            names.join(', '));
+    }
+    return feeds[names.indexOf(name)];
+};
+
+/**
+ * Run a backfill.
+ * @param {Array} argv Arguments, without node and the script
+ * @param {object} out Stream to print results to
+ * @param {object} env Environment variables, defaults to process.env
+ * @return {Promise} Resolves with the run summary
+ */
+export const main = async function(argv, out, env) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        out.write(USAGE + '\n');
+        return null;
+    }
+    env = env || process.env;
+    let loaded = loadConfig(env, options.configFile || env.CONFIG_FILE);
+    if (options.fixtures) {
+        loaded = Object.assign({}, loaded, {
+            FEED_TRANSPORT: options.fixtures.transport,
+            FIXTURE_PATH: options.fixtures.path,
+        });
+    }
+    const config = selectFeed(loaded, options.feed);
+
+    // Log and emit metrics to stderr, stdout is kept for the results
+    const stderr = function(line) {
+        process.stderr.write(line + '\n');
+    };
+    let sinkOptions = {
+        logger: createLogger(config, {write: stderr}),
+        metricsEmitter: createEmitter(config, stderr),
+    };
+    const pool = createPool(config, sinkOptions.logger);
+    if (options.dryRun) {
+        // Stored reports are read, changes are kept in memory to print
+        sinkOptions.sink = new DryRunSink(config,
+            createSink(config, pool, sinkOptions.logger));
+        sinkOptions.media = null;
+        sinkOptions.publisher = null;
+        sinkOptions.onSkip = function(reason, contributionId) {
+            out.write(`skip ${contributionId} ${reason}\n`);
+        };
+    }
+
+    const detikDataSource = new DetikDataSource(config, pool, sinkOptions);
+    try {
+        const summary = await detikDataSource.backfill(options.range);
+        if (options.dryRun) {
+            const print = function(action, report) {
+                out.write(`${action} ${report.contributionId} ` +
+                    `${new Date(report.updatedAt * 1000).toISOString()} ` +
+                    `${report.disasterType} ${report.region || '-'} ` +
+                    `${JSON.stringify(report.title)}\n`);
+            };
+            sinkOptions.sink.changes.forEach(function(change) {
+                print(ACTIONS[change.action], change.report);
+            });
+        }
+        out.write(JSON.stringify(summary, null, 2) + '\n');
+        return summary;
+    } finally {
+        await pool.end();
+    }
+};
+
+if (require.main === module) {
+    require('dotenv').config({silent: true});
+    main(process.argv.slice(2), process.stdout).then(function(summary) {
+        process.exitCode = summary && summary.errors.length > 0 ? 1 : 0;
+    }).catch(function(err) {
+        console.error(err.message);
+        process.exitCode = 2;
+    });
+}
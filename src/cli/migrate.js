@@ -0,0 +1,132 @@
+import {loadConfig} from '../lib/config';
+import {createPool} from '../lib/db';
+import {feedConfigs} from '../lib/feeds';
+import {createLogger} from '../lib/logger';
+import {Migrator} from '../lib/migrate';
+
+const USAGE = `Usage: migrate [options]
+
+Apply the pending database migrations of the detik schema, recording each
+in TABLE_DETIK_MIGRATIONS. Fails if tables configured in place of the
+migrated ones, for every feed or in FEEDS, are missing or out of date.
+
+Options:
+  --status          List applied and pending migrations, apply nothing
+  --config <file>   JSON configuration file, overrides the environment
+  --help            Show this help`;
+
+/**
+ * Configuration keys used by migrations, the others are not validated.
+ * @type {Array}
+ */
+const KEYS = ['PGUSER', 'PGPASSWORD', 'PGHOST', 'PGPORT', 'PGDATABASE',
+    'PGSSL', 'PG_CLIENT_IDLE_TIMEOUT', 'TABLE_DETIK', 'TABLE_DETIK_UNCONFIRMED',
+    'TABLE_DETIK_CHECKPOINTS', 'TABLE_DETIK_REVISIONS',
+    'TABLE_DETIK_MIGRATIONS', 'FEEDS', 'LOG_LEVEL', 'LOG_BODY_MAX_LENGTH'];
+
+/**
+ * Describe configured tables that are missing or out of date.
+ * @param {Array} problems Tables as {table, like, missing}, from
+ * Migrator.checkTables
+ * @return {string} Error message
+ */
+const describeTables = function(problems) {
+    return 'Configured tables need to be created like the migrated ones:\n' +
+        problems.map(function(problem) {
+            return '  ' + problem.table + (problem.missing ?
+                ' lacks ' + problem.missing.join(', ') : ' is missing') +
+                ', like ' + problem.like;
+        }).join('\n');
+};
+
+/**
+ * Parse migrate command line arguments.
+ * @param {Array} argv Arguments, without node and the script
+ * @return {object} {status, help, configFile}
+ */
+export const parseArgs = function(argv) {
+    let options = {status: false, help: false, configFile: null};
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        if (flag === '--status') {
+            options.status = true;
+        } else if (flag === '--config') {
+            if (i + 1 >= argv.length || argv[i + 1].indexOf('--') === 0) {
+                throw new Error('--config needs a value');
+            }
+            options.configFile = argv[++i];
+        } else if (flag === '--help') {
+            options.help = true;
+        } else {
+            throw new Error('Unknown option ' + flag);
+        }
+    }
+    return options;
+};
+
+/**
+ * Run the migrations, or list them.
+ * @param {Array} argv Arguments, without node and the script
+ * @param {object} out Stream to print results to
+ * @param {object} env Environment variables, defaults to process.env
+ * @param {object} pool Postgres connection pool, defaults to one for the
+ * configured database, which is closed when done
+ * @return {Promise} Resolves with the migrations applied, or with the
+ * status of every migration for --status
+ * @throws {Error} If configured tables are missing or out of date, once
+ * the migrations are applied
+ */
+export const main = async function(argv, out, env, pool) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        out.write(USAGE + '\n');
+        return null;
+    }
+    env = env || process.env;
+    const config = loadConfig(env, options.configFile || env.CONFIG_FILE,
+        KEYS);
+
+    // Log to stderr, stdout is kept for the results
+    const logger = createLogger(config, {write: function(line) {
+        process.stderr.write(line + '\n');
+    }});
+    const ownPool = !pool;
+    pool = pool || createPool(config, logger);
+    const migrator = new Migrator(config, pool, logger);
+    const pad = function(version) {
+        return String(version).padStart(4, '0');
+    };
+    try {
+        if (options.status) {
+            const migrations = await migrator.status();
+            migrations.forEach(function(migration) {
+                const state = migration.appliedAt ? 'applied' : 'pending';
+                out.write([state, pad(migration.version), migration.name,
+                    migration.appliedAt].filter(Boolean).join(' ') + '\n');
+            });
+            return migrations;
+        }
+        const applied = await migrator.migrate();
+        applied.forEach(function(migration) {
+            out.write(`applied ${pad(migration.version)} ${migration.name}\n`);
+        });
+        const problems = await migrator.checkTables(feedConfigs(config));
+        if (problems.length > 0) {
+            throw new Error(describeTables(problems));
+        }
+        if (applied.length === 0) {
+            out.write('Schema up to date\n');
+        }
+        return applied;
+    } finally {
+        if (ownPool) await pool.end();
+    }
+};
+
+if (require.main === module) {
+    require('dotenv').config({silent: true});
+    main(process.argv.slice(2), process.stdout).catch(function(err) {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
+}
@@ -1,30 +1,27 @@
-import {Pool} from 'pg'; // Postgres
 import config from '../../config';
-import DetikDataSource from '../lib/detik';
+import {createPool} from '../../lib/db';
+import {pollFeeds} from '../../lib/feeds';
+import {createLogger} from '../../lib/logger';
 
-// Connection object
-const cn = `postgres://${config.PGUSER}:${config.PGPASSWORD}@${config.PGHOST}:${config.PGPORT}/${config.PGDATABASE}?ssl=${config.PGSSL}`;
+// Log JSON lines, which CloudWatch Logs Insights can query by field
+const logger = createLogger(config);
 
 // Create a pool object
-const pool = new Pool({
-  connectionString: cn,
-  idleTimeoutMillis: config.PG_CLIENT_IDLE_TIMEOUT,
-});
+const pool = createPool(config, logger);
 
 // Endpoint for detik polling lambda
 export default async (event, context, callback) => {
+    // Correlate every event of this invocation with the Lambda request
+    const log = logger.child({
+        requestId: context ? context.awsRequestId : undefined,
+    });
     try {
-            // Catch database errors
-            pool.on('error', (err, client) => {
-                console.error('Unexpected error on idle client', err);
-            });
-
-            // Create instance
-            const detikDataSource = new DetikDataSource(config, pool);
-
-            // Start polling
-            detikDataSource.start();
+            // Poll every feed and wait for every page and insert to finish,
+            // a failing feed is reported in its summary
+            const summary = await pollFeeds(config, pool, {logger: log});
+            callback(null, summary);
     } catch (err) {
-        console.log('Error running Detik poll.', err.message);
+        log.error('Error running Detik poll', {error: err});
+        callback(err);
     }
 };
@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * Detik JSON feed adapter.
+ * Reads the Detik web service format, {result: [...]}, whose results are
+ * already in the shape normalizeResult expects.
+ * @constructor
+ */
+let DetikJsonAdapter = function DetikJsonAdapter() {
+    // Set constructor reference (used to print the name of this adapter)
+    this.constructor = DetikJsonAdapter;
+};
+
+DetikJsonAdapter.prototype = {
+
+    /**
+     * Name of the format, used in errors.
+     * @type {string}
+     */
+    format: 'detik-json',
+
+    /**
+     * Pagination used unless the feed sets one.
+     * @type {string}
+     */
+    defaultPagination: 'page',
+
+    /**
+     * Parse a page of the feed.
+     * @param {string} body Response body
+     * @return {object} {results, next}, results is null if the page has no
+     * result list, next is the next link or cursor if the page has one
+     * @throws {Error} If the body is not JSON
+     */
+    parse: function( body ) {
+        const object = JSON.parse(body);
+        return {
+            results: object && Array.isArray(object.result) ?
+                object.result : null,
+            next: (object && (object.next || object.nextCursor)) || null,
+        };
+    },
+
+};
+
+module.exports = DetikJsonAdapter;
@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Convert a time to seconds since epoch.
+ * @param {*} time Seconds since epoch, or an ISO 8601 date
+ * @return {?number} Seconds since epoch, null if missing or invalid
+ */
+const seconds = function( time ) {
+    if (typeof time === 'number') {
+        return time;
+    }
+    const parsed = typeof time === 'string' ? Date.parse(time) : NaN;
+    return isNaN(parsed) ? null : parsed / 1000;
+};
+
+/**
+ * Get the first property that is set.
+ * @param {object} properties Feature properties
+ * @param {Array} names Property names, in order of preference
+ * @return {*} Value, undefined if none is set
+ */
+const first = function( properties, names ) {
+    for (let i = 0; i < names.length; i++) {
+        const value = properties[names[i]];
+        if (value !== undefined && value !== null && value !== '') {
+            return value;
+        }
+    }
+    return undefined;
+};
+
+/**
+ * GeoJSON feed adapter.
+ * Maps each feature of a FeatureCollection to a Detik result. Point
+ * geometries give the coordinates; other geometries are rejected as
+ * missing_geo. Properties are read by their usual names, e.g.
+ * contributionId or id, created or createdAt, and user or userId.
+ * @constructor
+ */
+let GeojsonAdapter = function GeojsonAdapter() {
+    // Set constructor reference (used to print the name of this adapter)
+    this.constructor = GeojsonAdapter;
+};
+
+GeojsonAdapter.prototype = {
+
+    /**
+     * Name of the format, used in errors.
+     * @type {string}
+     */
+    format: 'geojson',
+
+    /**
+     * Pagination used unless the feed sets one.
+     * @type {string}
+     */
+    defaultPagination: 'single',
+
+    /**
+     * Parse a page of the feed.
+     * @param {string} body Response body
+     * @return {object} {results, next}, next is the link with rel "next"
+     * (as in OGC API Features) or the next property, if any
+     * @throws {Error} If the body is not a GeoJSON FeatureCollection
+     */
+    parse: function( body ) {
+        let self = this;
+
+        const collection = JSON.parse(body);
+        if (!collection || collection.type !== 'FeatureCollection' ||
+            !Array.isArray(collection.features)) {
+            throw new Error('Not a GeoJSON FeatureCollection');
+        }
+        const next = (collection.links || []).filter(function(link) {
+            return link && link.rel === 'next' && link.href;
+        })[0];
+        return {
+            results: collection.features.map(function(feature) {
+                return self._result(feature || {});
+            }),
+            next: next ? next.href : collection.next || null,
+        };
+    },
+
+    /**
+     * Map a feature to a Detik result.
+     * @param {object} feature GeoJSON feature
+     * @return {object} Result in the Detik web service format
+     */
+    _result: function( feature ) {
+        const properties = feature.properties || {};
+        const geometry = feature.geometry;
+        const point = geometry && geometry.type === 'Point' &&
+            Array.isArray(geometry.coordinates) ? geometry.coordinates : null;
+        const id = first(properties, ['contributionId', 'id']);
+
+        let result = {
+            contributionId: id !== undefined ? id : feature.id,
+            title: first(properties, ['title', 'name']),
+            content: first(properties, ['content', 'description', 'text']),
+            url: first(properties, ['url', 'link']),
+            date: {
+                create: {sec: seconds(first(properties,
+                    ['created', 'createdAt', 'created_at']))},
+                update: {sec: seconds(first(properties,
+                    ['updated', 'updatedAt', 'updated_at']))},
+            },
+            location: {
+                name: first(properties, ['locationName', 'location']),
+            },
+            user: {creator: {id: first(properties,
+                ['userId', 'user', 'author'])}},
+        };
+        if (point) {
+            result.location.geospatial = {
+                longitude: point[0],
+                latitude: point[1],
+            };
+        }
+        const photo = first(properties, ['photo', 'image', 'imageUrl']);
+        if (photo) {
+            result.files = {photo: photo};
+        }
+        return result;
+    },
+
+};
+
+module.exports = GeojsonAdapter;
@@ -0,0 +1,48 @@
+'use strict';
+
+const DetikJsonAdapter = require('./detikJson');
+const GeojsonAdapter = require('./geojson');
+const pagination = require('./pagination');
+const RssAdapter = require('./rss');
+
+/**
+ * Create the feed adapter selected by config.FEED_FORMAT.
+ * Every adapter implements parse(body), returning {results, next} with
+ * results in the Detik web service format, and has a format name and a
+ * defaultPagination.
+ * @param {object} config Detik configuration
+ * @return {object} Feed adapter
+ */
+const createAdapter = function( config ) {
+    const format = config.FEED_FORMAT || 'detik-json';
+    if (format === 'detik-json') {
+        return new DetikJsonAdapter();
+    } else if (format === 'rss') {
+        return new RssAdapter();
+    } else if (format === 'geojson') {
+        return new GeojsonAdapter();
+    }
+    throw new Error('Unknown feed format ' + format);
+};
+
+/**
+ * Create the paginator for a feed.
+ * @param {object} config Detik configuration
+ * @param {object} adapter Feed adapter, whose defaultPagination is used
+ * unless config.FEED_PAGINATION is set
+ * @return {Paginator} Paginator for config.DETIK_URL
+ */
+const createPaginator = function( config, adapter ) {
+    return new pagination.Paginator(
+        config.FEED_PAGINATION || adapter.defaultPagination,
+        config.DETIK_URL);
+};
+
+module.exports = {
+    createAdapter: createAdapter,
+    createPaginator: createPaginator,
+    DetikJsonAdapter: DetikJsonAdapter,
+    GeojsonAdapter: GeojsonAdapter,
+    Paginator: pagination.Paginator,
+    RssAdapter: RssAdapter,
+};
@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * Pagination strategies.
+ * @type {Array}
+ */
+const STRATEGIES = ['page', 'cursor', 'single'];
+
+/**
+ * Add a query parameter to a URL.
+ * @param {string} url URL
+ * @param {string} name Parameter name
+ * @param {string} value Parameter value
+ * @return {string} URL with the parameter
+ */
+const withParameter = function( url, name, value ) {
+    return url + (url.indexOf('?') === -1 ? '?' : '&') + name + '=' +
+        encodeURIComponent(value);
+};
+
+/**
+ * Feed paginator.
+ * Works out the URL of each page of a feed: 'page' adds page=1, 2, ...
+ * to the feed URL, 'cursor' follows the next link or cursor of each page
+ * (cursors are sent as the cursor parameter), and 'single' fetches the feed
+ * URL once.
+ * @constructor
+ * @param {string} strategy One of STRATEGIES
+ * @param {string} url Feed URL
+ */
+let Paginator = function Paginator(
+        strategy,
+        url
+    ) {
+    if (STRATEGIES.indexOf(strategy) === -1) {
+        throw new Error('Unknown pagination ' + strategy);
+    }
+    this.strategy = strategy;
+    this.url = url;
+
+    // Set constructor reference (used to print the name of this object)
+    this.constructor = Paginator;
+};
+
+Paginator.prototype = {
+
+    /**
+     * Pagination strategy.
+     * @type {string}
+     */
+    strategy: null,
+
+    /**
+     * Feed URL.
+     * @type {string}
+     */
+    url: null,
+
+    /**
+     * Get the URL of the first page.
+     * @return {string} URL
+     */
+    first: function() {
+        let self = this;
+
+        return self.strategy === 'page' ?
+            withParameter(self.url, 'page', 1) : self.url;
+    },
+
+    /**
+     * Get the URL of a page before fetching the pages in front of it, so
+     * pages can be fetched ahead. Only 'page' pagination knows it.
+     * @param {number} page Number of the page, from 1
+     * @return {?string} URL, null if it depends on the page before
+     */
+    pageUrl: function( page ) {
+        let self = this;
+
+        if (self.strategy === 'page') {
+            return withParameter(self.url, 'page', page);
+        }
+        return page === 1 ? self.first() : null;
+    },
+
+    /**
+     * Get the URL of the page after a page.
+     * @param {number} page Number of the page fetched, from 1
+     * @param {object} parsed The page as parsed by the adapter, {results,
+     * next}
+     * @return {?string} URL, null if there are no more pages
+     */
+    next: function( page, parsed ) {
+        let self = this;
+
+        if (self.strategy === 'page') {
+            return withParameter(self.url, 'page', page + 1);
+        } else if (self.strategy === 'cursor' && parsed.next) {
+            return /^https?:\/\//.test(parsed.next) ? parsed.next :
+                withParameter(self.url, 'cursor', parsed.next);
+        }
+        return null;
+    },
+
+};
+
+module.exports = {
+    Paginator: Paginator,
+    STRATEGIES: STRATEGIES,
+};
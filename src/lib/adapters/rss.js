@@ -0,0 +1,261 @@
+'use strict';
+
+const decodeEntities = require('../sanitize').decodeEntities;
+
+/**
+ * Find the elements with a tag name, not nested in one another.
+ * @param {string} xml XML text
+ * @param {string} name Tag name, with its namespace prefix if any
+ * @return {Array} Elements as {attributes, content}
+ */
+const elements = function( xml, name ) {
+    const pattern = new RegExp('<' + name +
+        '(\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</' + name + '\\s*>)', 'g');
+    let found = [];
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        found.push({
+            attributes: attributes(match[1] || ''),
+            content: match[2] || '',
+        });
+    }
+    return found;
+};
+
+/**
+ * Parse the attributes of a tag.
+ * @param {string} text Attribute text of the tag
+ * @return {object} Decoded values by attribute name
+ */
+const attributes = function( text ) {
+    const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let values = {};
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        values[match[1]] = decodeEntities(match[2] !== undefined ?
+            match[2] : match[3]);
+    }
+    return values;
+};
+
+/**
+ * Get the text of an element's content.
+ * @param {string} content Element content
+ * @return {string} CDATA sections as is, other text with entities decoded
+ */
+const text = function( content ) {
+    return content.split(/(<!\[CDATA\[[\s\S]*?\]\]>)/).map(function(part) {
+        const cdata = /^<!\[CDATA\[([\s\S]*)\]\]>$/.exec(part);
+        return cdata ? cdata[1] : decodeEntities(part);
+    }).join('').trim();
+};
+
+/**
+ * Get the text of the first element found with one of the names.
+ * @param {string} xml XML text
+ * @param {Array} names Tag names, in order of preference
+ * @return {?string} Text, null if no element is found
+ */
+const value = function( xml, names ) {
+    for (let i = 0; i < names.length; i++) {
+        const found = elements(xml, names[i]);
+        if (found.length > 0) {
+            return text(found[0].content);
+        }
+    }
+    return null;
+};
+
+/**
+ * Convert a date to seconds since epoch.
+ * @param {?string} date RFC 822 or ISO 8601 date
+ * @return {?number} Seconds since epoch, null if missing or invalid
+ */
+const seconds = function( date ) {
+    const time = date ? Date.parse(date) : NaN;
+    return isNaN(time) ? null : time / 1000;
+};
+
+/**
+ * Get the last number in a text, e.g. the ID in an article URL.
+ * @param {?string} text Text
+ * @return {?string} Digits, null if there are none
+ */
+const lastNumber = function( text ) {
+    const match = /(\d+)\D*$/.exec(text || '');
+    return match ? match[1] : null;
+};
+
+/**
+ * RSS 2.0 and Atom feed adapter.
+ * Maps each item or entry to a Detik result. The contribution ID is read
+ * from detik:contributionId, or else the last number in the guid, id or
+ * link. Coordinates are read from georss:point, gml:pos or geo:lat and
+ * geo:long; items without them are at (0,0), like Detik results without a
+ * location. Photos are read from image enclosures or media:content.
+ * @constructor
+ */
+let RssAdapter = function RssAdapter() {
+    // Set constructor reference (used to print the name of this adapter)
+    this.constructor = RssAdapter;
+};
+
+RssAdapter.prototype = {
+
+    /**
+     * Name of the format, used in errors.
+     * @type {string}
+     */
+    format: 'rss',
+
+    /**
+     * Pagination used unless the feed sets one.
+     * @type {string}
+     */
+    defaultPagination: 'single',
+
+    /**
+     * Parse a page of the feed.
+     * @param {string} body Response body
+     * @return {object} {results, next}, next is the link with rel="next" if
+     * the feed has one
+     * @throws {Error} If the body is not an RSS or Atom document
+     */
+    parse: function( body ) {
+        let self = this;
+
+        if (!/<(rss|feed|rdf:RDF)[\s>]/.test(body)) {
+            throw new Error('Not an RSS or Atom document');
+        }
+        const items = elements(body, 'item').concat(elements(body, 'entry'));
+        return {
+            results: items.map(function(item) {
+                return self._result(item.content);
+            }),
+            next: self._link(body, 'next'),
+        };
+    },
+
+    /**
+     * Find a link by relation.
+     * @param {string} xml XML text
+     * @param {?string} rel Relation, null for the alternate link
+     * @return {?string} Link, null if none
+     */
+    _link: function( xml, rel ) {
+        const links = elements(xml, 'link').concat(elements(xml, 'atom:link'));
+        for (let i = 0; i < links.length; i++) {
+            const link = links[i];
+            const linkRel = link.attributes.rel || null;
+            if (rel === null && link.attributes.href &&
+                (linkRel === null || linkRel === 'alternate')) {
+                return link.attributes.href;
+            } else if (rel === null && !link.attributes.href &&
+                text(link.content)) {
+                return text(link.content);
+            } else if (rel !== null && linkRel === rel &&
+                link.attributes.href) {
+                return link.attributes.href;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Map an item or entry to a Detik result.
+     * @param {string} item Content of the item or entry element
+     * @return {object} Result in the Detik web service format
+     */
+    _result: function( item ) {
+        let self = this;
+
+        const url = self._link(item, null);
+        const created = seconds(value(item,
+            ['pubDate', 'published', 'dc:date']));
+        const updated = seconds(value(item, ['updated', 'atom:updated']));
+        const point = self._point(item);
+
+        let result = {
+            contributionId: value(item, ['detik:contributionId']) ||
+                lastNumber(value(item, ['guid', 'id'])) || lastNumber(url),
+            title: value(item, ['title']) || '',
+            content: value(item, ['content:encoded', 'description',
+                'content', 'summary']) || '',
+            url: url,
+            date: {
+                create: {sec: created},
+                update: {sec: updated},
+            },
+            location: {
+                geospatial: {
+                    longitude: point ? point[1] : 0,
+                    latitude: point ? point[0] : 0,
+                },
+            },
+            user: {creator: {id: self._author(item)}},
+        };
+        const photo = self._photo(item);
+        if (photo) {
+            result.files = {photo: photo};
+        }
+        return result;
+    },
+
+    /**
+     * Read the coordinates of an item.
+     * @param {string} item Content of the item or entry element
+     * @return {?Array} [latitude, longitude], null if none
+     */
+    _point: function( item ) {
+        const pair = value(item, ['georss:point', 'gml:pos']);
+        if (pair) {
+            const parts = pair.split(/[\s,]+/).map(Number);
+            return parts.length === 2 ? parts : null;
+        }
+        const lat = value(item, ['geo:lat']);
+        const long = value(item, ['geo:long', 'geo:lon']);
+        return lat !== null && long !== null ?
+            [Number(lat), Number(long)] : null;
+    },
+
+    /**
+     * Read the author of an item.
+     * @param {string} item Content of the item or entry element
+     * @return {?string} Author name or e-mail, null if none
+     */
+    _author: function( item ) {
+        const creator = value(item, ['dc:creator']);
+        if (creator) {
+            return creator;
+        }
+        const author = elements(item, 'author')[0];
+        if (!author) {
+            return null;
+        }
+        // Atom authors have a name element, RSS authors are text
+        return value(author.content, ['name', 'email']) ||
+            text(author.content) || null;
+    },
+
+    /**
+     * Read the photo of an item.
+     * @param {string} item Content of the item or entry element
+     * @return {?string} Photo URL, null if none
+     */
+    _photo: function( item ) {
+        const candidates = elements(item, 'enclosure')
+            .concat(elements(item, 'media:content'))
+            .concat(elements(item, 'media:thumbnail'));
+        for (let i = 0; i < candidates.length; i++) {
+            const attrs = candidates[i].attributes;
+            const type = attrs.type || attrs.medium || 'image';
+            if (attrs.url && type.indexOf('image') === 0) {
+                return attrs.url;
+            }
+        }
+        return null;
+    },
+
+};
+
+module.exports = RssAdapter;
@@ -0,0 +1,81 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Parse a list of user hashes.
+ * Hashes are separated by commas, spaces or line breaks, and anything from
+ * a # to the end of its line is a comment.
+ * @param {string} text List of hashes
+ * @return {Array} Lower case hashes
+ */
+const parseHashes = function( text ) {
+    return String(text || '').split('\n').map(function(line) {
+        return line.replace(/#.*$/, '');
+    }).join(' ').split(/[\s,]+/).filter(Boolean).map(function(hash) {
+        return hash.toLowerCase();
+    });
+};
+
+/**
+ * Blocklist of users whose reports are skipped.
+ * Users are listed by hash, keyed or the legacy md5 hash, so lists kept
+ * from before config.USER_HASH_SECRET was set still apply.
+ * @constructor
+ * @param {Array} hashes User hashes
+ */
+let UserBlocklist = function UserBlocklist(
+        hashes
+    ) {
+    this.hashes = new Set(hashes.map(function(hash) {
+        return hash.toLowerCase();
+    }));
+
+    // Set constructor reference (used to print the name of this blocklist)
+    this.constructor = UserBlocklist;
+};
+
+UserBlocklist.prototype = {
+
+    /**
+     * Blocked user hashes.
+     * @type {Set}
+     */
+    hashes: null,
+
+    /**
+     * Check whether the user of a report is blocked.
+     * @param {Report} report Normalized report
+     * @return {boolean} True if its userHash or legacyUserHash is listed
+     */
+    blocks: function( report ) {
+        let self = this;
+
+        return [report.userHash, report.legacyUserHash].some(function(hash) {
+            return Boolean(hash) && self.hashes.has(hash);
+        });
+    },
+
+};
+
+/**
+ * Create the user blocklist for a configuration.
+ * Hashes are read from config.USER_BLOCKLIST and from the file
+ * config.USER_BLOCKLIST_FILE, one per line.
+ * @param {object} config Detik configuration
+ * @return {?UserBlocklist} The blocklist, null if no users are listed
+ */
+const createBlocklist = function( config ) {
+    let hashes = parseHashes(config.USER_BLOCKLIST);
+    if (config.USER_BLOCKLIST_FILE) {
+        hashes = hashes.concat(parseHashes(
+            fs.readFileSync(config.USER_BLOCKLIST_FILE, 'utf8')));
+    }
+    return hashes.length > 0 ? new UserBlocklist(hashes) : null;
+};
+
+module.exports = {
+    UserBlocklist: UserBlocklist,
+    createBlocklist: createBlocklist,
+    parseHashes: parseHashes,
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+const fs = require('fs');
+
+const defaultRules = require('./disasterRules');
+
+/**
+ * Disaster type given to reports that match no rule.
+ * @type {string}
+ */
+const UNCLASSIFIED = 'unclassified';
+
+/**
+ * Escape a string for use in a regular expression.
+ * @param {string} text Literal text
+ * @return {string} Escaped text
+ */
+const escapeRegExp = function( text ) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Compile a rule definition into a regular expression.
+ * @param {object} rule Rule with keywords or a pattern
+ * @return {RegExp} Global regular expression for the rule
+ */
+const compileRule = function( rule ) {
+    if (!rule.name || !rule.disasterType) {
+        throw new Error('Classification rule needs name and disasterType');
+    }
+    if (Array.isArray(rule.keywords) && rule.keywords.length > 0) {
+        // Whole words only, with any whitespace between words
+        const alternatives = rule.keywords.map(function(keyword) {
+            return escapeRegExp(keyword.trim()).replace(/\s+/g, '\\s+');
+        });
+        return new RegExp('(^|[^\\w])(' + alternatives.join('|') +
+            ')(?=$|[^\\w])', 'gi');
+    } else if (rule.pattern) {
+        let flags = rule.flags || 'i';
+        if (flags.indexOf('g') === -1) flags += 'g';
+        return new RegExp(rule.pattern, flags);
+    }
+    throw new Error('Classification rule ' + rule.name +
+        ' needs keywords or a pattern');
+};
+
+/**
+ * Disaster-type classifier.
+ * Matches keyword and regular expression rules against the report title and
+ * text. The disaster type with the most matches wins, ties go to the type of
+ * the earliest rule.
+ * @constructor
+ * @param {Array} rules Classification rules, defaults to the bundled rules
+ */
+let DisasterClassifier = function DisasterClassifier(
+        rules
+    ) {
+    this.rules = (rules || defaultRules).map(function(rule) {
+        return {
+            name: rule.name,
+            disasterType: rule.disasterType,
+            regExp: compileRule(rule),
+        };
+    });
+
+    // Set constructor reference (used to print the name of this classifier)
+    this.constructor = DisasterClassifier;
+};
+
+DisasterClassifier.prototype = {
+
+    /**
+     * Compiled classification rules.
+     * @type {Array}
+     */
+    rules: null,
+
+    /**
+     * Classify a report.
+     * @param {Report} report The normalized report
+     * @return {object} {disasterType, rule} where rule is the name of the
+     * first matching rule for the chosen type, or null if unclassified
+     */
+    classify: function( report ) {
+        let self = this;
+
+        const text = (report.title || '') + '\n' + (report.text || '');
+
+        let best = {disasterType: UNCLASSIFIED, rule: null, matches: 0};
+        let types = {};
+        self.rules.forEach(function(rule) {
+            const matches = (text.match(rule.regExp) || []).length;
+            if (matches === 0) return;
+            let type = types[rule.disasterType];
+            if (!type) {
+                type = types[rule.disasterType] = {
+                    disasterType: rule.disasterType,
+                    rule: rule.name,
+                    matches: 0,
+                };
+            }
+            type.matches += matches;
+            if (type.matches > best.matches) best = type;
+        });
+
+        return {disasterType: best.disasterType, rule: best.rule};
+    },
+
+};
+
+/**
+ * Create the classifier for a configuration.
+ * Rules are read from the JSON file config.DISASTER_RULES_FILE if set.
+ * @param {object} config Detik configuration
+ * @return {DisasterClassifier} Classifier
+ */
+const createClassifier = function( config ) {
+    if (config.DISASTER_RULES_FILE) {
+        return new DisasterClassifier(JSON.parse(
+            fs.readFileSync(config.DISASTER_RULES_FILE, 'utf8')));
+    }
+    return new DisasterClassifier();
+};
+
+/**
+ * Apply config.STORE_NON_FLOOD to a classified report.
+ * Without it, unclassified reports are kept as floods, as before reports
+ * were classified, and reports of other disasters are not stored.
+ * @param {object} report Report with disasterType and classificationRule
+ * @param {object} config Detik configuration
+ * @return {boolean} False if the report must not be stored
+ */
+const applyFloodPolicy = function( report, config ) {
+    if (config.STORE_NON_FLOOD) {
+        return true;
+    }
+    if (report.disasterType === UNCLASSIFIED) {
+        report.disasterType = 'flood';
+        report.classificationRule = 'default';
+    }
+    return report.disasterType === 'flood';
+};
+
+module.exports = {
+    UNCLASSIFIED: UNCLASSIFIED,
+    applyFloodPolicy: applyFloodPolicy,
+    DisasterClassifier: DisasterClassifier,
+    createClassifier: createClassifier,
+};
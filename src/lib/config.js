@@ -0,0 +1,385 @@
+/* eslint-disable max-len */
+'use strict';
+
+const fs = require('fs');
+const URL = require('url').URL;
+
+const ConfigError = require('./errors').ConfigError;
+const parseTimezone = require('./report').parseTimezone;
+
+/**
+ * Configuration schema.
+ * Each key is read from the environment variable of the same name, or from
+ * the configuration file. Types are 'string', 'integer', 'number',
+ * 'boolean', 'url', 'enum' (one of values) and 'list' (a JSON array of
+ * objects with the fields in items). Keys may be required, have a default,
+ * a min and max, or be secret (values are never shown in errors).
+ * @type {object}
+ */
+const SCHEMA = {
+    DETIK_URL: {type: 'url'}, // required unless FEEDS is set
+    FEEDS: {type: 'list', default: null, items: {
+        name: {type: 'string', required: true},
+        url: {type: 'url', required: true},
+        historicalLoadPeriod: {type: 'integer', min: 0}, // ms
+        disasterType: {type: 'string'},
+        timezone: {type: 'string'},
+        format: {type: 'enum', values: ['detik-json', 'rss', 'geojson']},
+        pagination: {type: 'enum', values: ['page', 'cursor', 'single']},
+        table: {type: 'string'},
+        unconfirmedTable: {type: 'string'},
+    }},
+    FEED_FORMAT: {type: 'enum', values: ['detik-json', 'rss', 'geojson'], default: 'detik-json'},
+    FEED_PAGINATION: {type: 'enum', values: ['page', 'cursor', 'single']}, // defaults by format
+    DEFAULT_DISASTER_TYPE: {type: 'string'}, // for unclassified reports
+    HISTORICAL_LOAD_PERIOD: {type: 'integer', default: 3600000, min: 0}, // ms
+    CUTOFF_TIMESTAMP: {type: 'enum', values: ['create', 'update'], default: 'update'},
+    SOURCE_TIMEZONE: {type: 'string', default: 'UTC'}, // of feed timestamps
+    FUTURE_TOLERANCE: {type: 'integer', default: 300000, min: 0}, // ms
+    FEED_TRANSPORT: {type: 'enum', values: ['http', 'fixture', 'record'], default: 'http'},
+    FIXTURE_PATH: {type: 'string'}, // recorded pages, for fixture and record
+    HTTP_TIMEOUT: {type: 'integer', default: 10000, min: 0}, // ms, 0 for none
+    HTTP_RETRIES: {type: 'integer', default: 3, min: 0, max: 10},
+    HTTP_RETRY_BASE_DELAY: {type: 'integer', default: 500, min: 0}, // ms
+    HTTP_RETRY_MAX_DELAY: {type: 'integer', default: 8000, min: 0}, // ms
+    FETCH_CONCURRENCY: {type: 'integer', default: 1, min: 1, max: 10}, // pages in flight
+    PGUSER: {type: 'string', default: 'postgres'},
+    PGPASSWORD: {type: 'string', secret: true},
+    PGHOST: {type: 'string', default: 'localhost'},
+    PGPORT: {type: 'integer', default: 5432, min: 1, max: 65535},
+    PGDATABASE: {type: 'string', default: 'cognicity'},
+    PGSSL: {type: 'boolean', default: false},
+    PG_CLIENT_IDLE_TIMEOUT: {type: 'integer', default: 100, min: 0}, // ms
+    DB_CONCURRENCY: {type: 'integer', default: 2, min: 1, max: 20}, // queries in flight
+    INSERT_BATCH_SIZE: {type: 'integer', default: 100, min: 1, max: 1000}, // reports per insert
+    TABLE_DETIK: {type: 'string', default: 'detik.reports'},
+    TABLE_DETIK_UNCONFIRMED: {type: 'string', default: 'detik.reports_unconfirmed'},
+    TABLE_DETIK_CHECKPOINTS: {type: 'string', default: 'detik.checkpoints'},
+    TABLE_DETIK_REVISIONS: {type: 'string', default: 'detik.report_revisions'},
+    TABLE_DETIK_MIGRATIONS: {type: 'string', default: 'detik.schema_migrations'},
+    UPDATE_SYNC_WINDOW: {type: 'integer', default: 0, min: 0}, // ms, 0 for off
+    FEED_NAME: {type: 'string', default: 'detik'},
+    SINK: {type: 'enum', values: ['postgres', 'ndjson', 'memory'], default: 'postgres'},
+    NDJSON_PATH: {type: 'string'},
+    DISASTER_RULES_FILE: {type: 'string'},
+    STORE_NON_FLOOD: {type: 'boolean', default: false},
+    REGIONS_FILE: {type: 'string'},
+    FILTER_REGIONS: {type: 'boolean', default: true},
+    GAZETTEER_FILE: {type: 'string'},
+    REDACTION_RULES_FILE: {type: 'string'},
+    DEDUP_MODE: {type: 'enum', values: ['off', 'flag', 'drop'], default: 'flag'},
+    DEDUP_DISTANCE: {type: 'integer', default: 100, min: 0}, // metres
+    DEDUP_WINDOW: {type: 'integer', default: 1800000, min: 0}, // ms
+    DEDUP_SIMILARITY: {type: 'number', default: 0.8, min: 0, max: 1},
+    USER_HASH_SECRET: {type: 'string', secret: true}, // HMAC-SHA256 key for user IDs
+    USER_BLOCKLIST: {type: 'string'}, // comma separated user hashes
+    USER_BLOCKLIST_FILE: {type: 'string'}, // one user hash per line
+    CONFLICT_POLICY: {type: 'enum', values: ['skip', 'update'], default: 'skip'},
+    LOG_LEVEL: {type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'], default: 'info'},
+    LOG_BODY_MAX_LENGTH: {type: 'integer', default: 200, min: 1},
+    METRICS_EMITTER: {type: 'enum', values: ['emf', 'stdout', 'none'], default: 'emf'},
+    METRICS_NAMESPACE: {type: 'string', default: 'CogniCity/Detik'},
+    MEDIA_MIRROR: {type: 'boolean', default: false},
+    MEDIA_STORE: {type: 'enum', values: ['local', 's3'], default: 'local'},
+    MEDIA_LOCAL_PATH: {type: 'string'},
+    MEDIA_S3_BUCKET: {type: 'string'},
+    MEDIA_S3_ENDPOINT: {type: 'url'}, // for S3-compatible stores
+    MEDIA_PUBLIC_URL: {type: 'url'}, // base URL mirrored photos are served from
+    MEDIA_KEY_PREFIX: {type: 'string', default: 'detik/'},
+    MEDIA_MAX_BYTES: {type: 'integer', default: 5242880, min: 1},
+    MEDIA_CONTENT_TYPES: {type: 'string', default: 'image/jpeg,image/png,image/gif,image/webp'},
+    MEDIA_CONCURRENCY: {type: 'integer', default: 2, min: 1, max: 10}, // photos in flight
+    EVENTS_PUBLISHER: {type: 'enum', values: ['none', 'webhook', 'sns', 'stdout'], default: 'none'},
+    EVENTS_WEBHOOK_URL: {type: 'url'},
+    EVENTS_WEBHOOK_SECRET: {type: 'string', secret: true}, // HMAC-SHA256 key
+    EVENTS_SNS_TOPIC_ARN: {type: 'string'},
+    EVENTS_SNS_ENDPOINT: {type: 'url'}, // for SNS-compatible services
+    EVENTS_TIMEOUT: {type: 'integer', default: 5000, min: 0}, // ms, 0 for none
+    EVENTS_RETRIES: {type: 'integer', default: 3, min: 0, max: 10},
+    EVENTS_RETRY_BASE_DELAY: {type: 'integer', default: 500, min: 0}, // ms
+};
+
+/**
+ * Checks across keys, each returns an error message or null.
+ * @type {object}
+ */
+const CHECKS = {
+    DETIK_URL: function(config) {
+        return !config.DETIK_URL && !config.FEEDS ?
+            'is required unless FEEDS is set' : null;
+    },
+    FEEDS: function(config) {
+        if (config.FEEDS && config.FEEDS.length === 0) {
+            return 'must list at least one feed';
+        }
+        const names = (config.FEEDS || []).map(function(feed) {
+            return feed && feed.name;
+        });
+        const repeated = names.filter(function(name, i) {
+            return name && names.indexOf(name) !== i;
+        });
+        if (repeated.length > 0) {
+            return 'has repeated feed names ' + repeated.join(', ');
+        }
+        const zones = (config.FEEDS || []).filter(function(feed) {
+            return feed && feed.timezone &&
+                parseTimezone(feed.timezone) === null;
+        });
+        return zones.length > 0 ?
+            'has an unknown timezone ' + zones[0].timezone : null;
+    },
+    SOURCE_TIMEZONE: function(config) {
+        return parseTimezone(config.SOURCE_TIMEZONE) === null ?
+            'must be UTC, an offset such as +07:00, WIB, WITA or WIT' : null;
+    },
+    FIXTURE_PATH: function(config) {
+        const type = config.FEED_TRANSPORT;
+        return (type === 'fixture' || type === 'record') &&
+            !config.FIXTURE_PATH ? 'is required for the ' + type +
+            ' transport' : null;
+    },
+    NDJSON_PATH: function(config) {
+        return config.SINK === 'ndjson' && !config.NDJSON_PATH ?
+            'is required for the ndjson sink' : null;
+    },
+    MEDIA_PUBLIC_URL: function(config) {
+        return config.MEDIA_MIRROR && !config.MEDIA_PUBLIC_URL ?
+            'is required for media mirroring' : null;
+    },
+    MEDIA_LOCAL_PATH: function(config) {
+        return config.MEDIA_MIRROR && config.MEDIA_STORE === 'local' &&
+            !config.MEDIA_LOCAL_PATH ? 'is required for the local media store' :
+            null;
+    },
+    MEDIA_S3_BUCKET: function(config) {
+        return config.MEDIA_MIRROR && config.MEDIA_STORE === 's3' &&
+            !config.MEDIA_S3_BUCKET ? 'is required for the s3 media store' :
+            null;
+    },
+    EVENTS_WEBHOOK_URL: function(config) {
+        return config.EVENTS_PUBLISHER === 'webhook' &&
+            !config.EVENTS_WEBHOOK_URL ? 'is required for the webhook publisher' :
+            null;
+    },
+    EVENTS_SNS_TOPIC_ARN: function(config) {
+        return config.EVENTS_PUBLISHER === 'sns' &&
+            !config.EVENTS_SNS_TOPIC_ARN ? 'is required for the sns publisher' :
+            null;
+    },
+    UPDATE_SYNC_WINDOW: function(config) {
+        if (!config.UPDATE_SYNC_WINDOW || !config.FEEDS) {
+            return null;
+        }
+        // Reports missing from a feed are withdrawn, so feeds cannot share
+        const tables = config.FEEDS.map(function(feed) {
+            return feed && (feed.table || config.TABLE_DETIK);
+        });
+        const shared = tables.filter(function(table, i) {
+            return tables.indexOf(table) !== i;
+        });
+        return shared.length > 0 ? 'needs a table per feed, ' + shared[0] +
+            ' is shared' : null;
+    },
+    HTTP_RETRY_MAX_DELAY: function(config) {
+        return config.HTTP_RETRY_MAX_DELAY < config.HTTP_RETRY_BASE_DELAY ?
+            'must not be below HTTP_RETRY_BASE_DELAY' : null;
+    },
+};
+
+/**
+ * Convert a raw value to the type of a schema entry.
+ * @param {object} spec Schema entry
+ * @param {*} value Raw value, a string from the environment or any JSON
+ * value from a file
+ * @return {object} {value} or {error}
+ */
+const coerce = function( spec, value ) {
+    const text = String(value).trim();
+    let result;
+    if (spec.type === 'string') {
+        if (typeof value !== 'string') return {error: 'must be a string'};
+        result = value;
+    } else if (spec.type === 'integer' || spec.type === 'number') {
+        result = typeof value === 'number' ? value :
+            (/^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN);
+        if (!isFinite(result) ||
+            (spec.type === 'integer' && result % 1 !== 0)) {
+            return {error: 'must be ' + (spec.type === 'integer' ?
+                'an integer' : 'a number')};
+        }
+    } else if (spec.type === 'boolean') {
+        if (typeof value === 'boolean') return {value: value};
+        if (['true', '1', 'yes'].indexOf(text.toLowerCase()) !== -1) {
+            result = true;
+        } else if (['false', '0', 'no'].indexOf(text.toLowerCase()) !== -1) {
+            result = false;
+        } else {
+            return {error: 'must be true or false'};
+        }
+    } else if (spec.type === 'url') {
+        let url;
+        try {
+            url = new URL(text);
+        } catch (e) {
+            return {error: 'must be a URL'};
+        }
+        if (!/^https?:$/.test(url.protocol)) {
+            return {error: 'must be an http or https URL'};
+        }
+        result = text;
+    } else if (spec.type === 'list') {
+        return coerceList(spec, value);
+    } else if (spec.type === 'enum') {
+        if (spec.values.indexOf(text) === -1) {
+            return {error: 'must be one of ' + spec.values.join(', ')};
+        }
+        result = text;
+    }
+
+    if (spec.min !== undefined && result < spec.min) {
+        return {error: 'must be at least ' + spec.min};
+    }
+    if (spec.max !== undefined && result > spec.max) {
+        return {error: 'must be at most ' + spec.max};
+    }
+    return {value: result};
+};
+
+/**
+ * Convert a raw list to objects with typed fields.
+ * @param {object} spec Schema entry, with the fields of each item
+ * @param {*} value JSON text from the environment, or an array from a file
+ * @return {object} {value}, or {error} or {errors} as {field, message}
+ */
+const coerceList = function( spec, value ) {
+    let list = value;
+    if (typeof value === 'string') {
+        try {
+            list = JSON.parse(value);
+        } catch (e) {
+            return {error: 'must be a JSON array'};
+        }
+    }
+    if (!Array.isArray(list)) return {error: 'must be a JSON array'};
+
+    let errors = [];
+    const items = list.map(function(item, i) {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            errors.push({field: '[' + i + ']', message: 'must be an object'});
+            return null;
+        }
+        let typed = {};
+        Object.keys(item).forEach(function(field) {
+            if (!spec.items[field]) {
+                errors.push({field: '[' + i + '].' + field,
+                    message: 'is not a known field'});
+            }
+        });
+        Object.keys(spec.items).forEach(function(field) {
+            const itemSpec = spec.items[field];
+            if (item[field] === undefined || item[field] === null) {
+                if (itemSpec.required) {
+                    errors.push({field: '[' + i + '].' + field,
+                        message: 'is required'});
+                }
+                return;
+            }
+            const result = coerce(itemSpec, item[field]);
+            if (result.error) {
+                errors.push({field: '[' + i + '].' + field, message:
+                    result.error + ', got ' + JSON.stringify(item[field])});
+            }
+            typed[field] = result.value;
+        });
+        return typed;
+    });
+    return errors.length > 0 ? {errors: errors} : {value: items};
+};
+
+/**
+ * Read a JSON configuration file.
+ * @param {string} path Path of the file
+ * @return {object} Raw values by key
+ */
+const readConfigFile = function( path ) {
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (err) {
+        throw new ConfigError([{key: 'CONFIG_FILE',
+            message: 'cannot read ' + path + ': ' + err.message}]);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new ConfigError([{key: 'CONFIG_FILE',
+            message: path + ' must hold a JSON object'}]);
+    }
+    return values;
+};
+
+/**
+ * Load and validate the configuration.
+ * Values in the file override the environment, which overrides the
+ * defaults. Empty environment variables count as unset.
+ * @param {object} env Environment variables, e.g. process.env
+ * @param {string} file Path of a JSON configuration file, optional
+ * @param {Array} keys Keys to load and validate, defaults to every key, for
+ * tools that need only part of the configuration
+ * @return {object} Configuration with typed values
+ * @throws {ConfigError} Listing every invalid key
+ */
+const loadConfig = function( env, file, keys ) {
+    keys = keys || Object.keys(SCHEMA);
+    let raw = {};
+    keys.forEach(function(key) {
+        if (env[key] !== undefined && env[key] !== '') raw[key] = env[key];
+    });
+
+    let errors = [];
+    if (file) {
+        const values = readConfigFile(file);
+        Object.keys(values).forEach(function(key) {
+            if (!SCHEMA[key]) {
+                errors.push({key: key, message: 'is not a known key'});
+            } else if (values[key] !== null && keys.indexOf(key) !== -1) {
+                raw[key] = values[key];
+            }
+        });
+    }
+
+    let config = {};
+    keys.forEach(function(key) {
+        const spec = SCHEMA[key];
+        if (raw[key] === undefined) {
+            if (spec.required) {
+                errors.push({key: key, message: 'is required'});
+            }
+            config[key] = spec.default;
+            return;
+        }
+        const result = coerce(spec, raw[key]);
+        (result.errors || []).forEach(function(error) {
+            errors.push({key: key + error.field, message: error.message});
+        });
+        if (result.error) {
+            errors.push({key: key, message: result.error +
+                (spec.secret ? '' : ', got ' + JSON.stringify(raw[key]))});
+        }
+        config[key] = result.value;
+    });
+
+    Object.keys(CHECKS).forEach(function(key) {
+        if (keys.indexOf(key) === -1) return;
+        const message = CHECKS[key](config);
+        if (message) errors.push({key: key, message: message});
+    });
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    return config;
+};
+
+module.exports = {
+    SCHEMA: SCHEMA,
+    loadConfig: loadConfig,
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+const Pool = require('pg').Pool; // Postgres
+
+const createLogger = require('./logger').createLogger;
+
+/**
+ * Create a Postgres connection pool for the configured database.
+ * @param {object} config Detik configuration
+ * @param {Logger} logger Structured logger, defaults to one at
+ * config.LOG_LEVEL
+ * @return {Pool} Connection pool
+ */
+const createPool = function( config, logger ) {
+    logger = logger || createLogger(config);
+
+    // Connection object
+    const cn = `postgres://${config.PGUSER}:${config.PGPASSWORD}@` +
+        `${config.PGHOST}:${config.PGPORT}/${config.PGDATABASE}` +
+        `?ssl=${config.PGSSL}`;
+
+    // Create a pool object
+    const pool = new Pool({
+      connectionString: cn,
+      idleTimeoutMillis: config.PG_CLIENT_IDLE_TIMEOUT,
+    });
+
+    // Catch database errors
+    pool.on('error', (err, client) => {
+        logger.error('Unexpected error on idle client', {error: err});
+    });
+
+    return pool;
+};
+
+module.exports = {
+    createPool: createPool,
+};
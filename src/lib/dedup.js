@@ -0,0 +1,230 @@
+'use strict';
+
+const normalizeText = require('./gazetteer').normalizeText;
+
+/**
+ * Number of words in each text shingle.
+ * @type {number}
+ */
+const SHINGLE_SIZE = 3;
+
+/**
+ * Mean radius of the earth in metres.
+ * @type {number}
+ */
+const EARTH_RADIUS = 6371008.8;
+
+/**
+ * Most stored reports compared with each new report.
+ * @type {number}
+ */
+const MAX_CANDIDATES = 500;
+
+/**
+ * Split the title and text of a report into word shingles.
+ * Texts shorter than a shingle form one shingle.
+ * @param {Report} report The normalized report
+ * @return {Set} Shingles, empty if the report has no words
+ */
+const shingles = function( report ) {
+    const words = normalizeText((report.title || '') + ' ' +
+        (report.text || '')).trim().split(' ').filter(Boolean);
+    let result = new Set();
+    if (words.length > 0 && words.length < SHINGLE_SIZE) {
+        result.add(words.join(' '));
+    }
+    for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+        result.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    return result;
+};
+
+/**
+ * Jaccard similarity of two sets.
+ * @param {Set} a First set
+ * @param {Set} b Second set
+ * @return {number} Size of the intersection over the size of the union,
+ * 0 if either set is empty
+ */
+const jaccard = function( a, b ) {
+    if (a.size === 0 || b.size === 0) {
+        return 0;
+    }
+    let shared = 0;
+    a.forEach(function(item) {
+        if (b.has(item)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Great circle distance between two points.
+ * @param {number} lon1 Longitude of the first point
+ * @param {number} lat1 Latitude of the first point
+ * @param {number} lon2 Longitude of the second point
+ * @param {number} lat2 Latitude of the second point
+ * @return {number} Distance in metres
+ */
+const distance = function( lon1, lat1, lon2, lat2 ) {
+    const rad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * rad;
+    const dLon = (lon2 - lon1) * rad;
+    const h = Math.pow(Math.sin(dLat / 2), 2) + Math.cos(lat1 * rad) *
+        Math.cos(lat2 * rad) * Math.pow(Math.sin(dLon / 2), 2);
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Detik URL of the photo of a report. Reports are compared before their
+ * photos are mirrored, and reports stored before mirroring have no
+ * original URL.
+ * @param {object} report Report
+ * @return {?string} Photo URL, null if none
+ */
+const photo = function( report ) {
+    return report.originalImageUrl || report.imageUrl || null;
+};
+
+/**
+ * Near-duplicate report detector.
+ * A report duplicates an earlier one created within the time window if it
+ * comes from the same user within the distance, shows the same Detik
+ * photo, or has highly similar title and text.
+ * @constructor
+ * @param {object} options Thresholds
+ * @param {number} options.distance Metres between reports of one user
+ * @param {number} options.window Milliseconds between creation times
+ * @param {number} options.similarity Lowest Jaccard similarity of the text
+ * shingles, from 0 to 1
+ */
+let Deduplicator = function Deduplicator(
+        options
+    ) {
+    this.distance = options.distance;
+    this.window = options.window;
+    this.similarity = options.similarity;
+
+    // Set constructor reference (used to print the name of this object)
+    this.constructor = Deduplicator;
+};
+
+Deduplicator.prototype = {
+
+    /**
+     * Greatest distance in metres between reports of one user.
+     * @type {number}
+     */
+    distance: 0,
+
+    /**
+     * Greatest time in ms between the creation of duplicates.
+     * @type {number}
+     */
+    window: 0,
+
+    /**
+     * Lowest text similarity of duplicates.
+     * @type {number}
+     */
+    similarity: 1,
+
+    /**
+     * Most stored reports to compare with each new report.
+     * @type {number}
+     */
+    maxCandidates: MAX_CANDIDATES,
+
+    /**
+     * Creation time range to look for earlier duplicates of a report in.
+     * @param {Report} report The normalized report
+     * @return {object} {from, to} in seconds since epoch
+     */
+    range: function( report ) {
+        let self = this;
+
+        return {from: report.createdAt - self.window / 1000,
+            to: report.createdAt};
+    },
+
+    /**
+     * Compare a report with earlier reports.
+     * @param {Report} report The normalized report
+     * @param {Array} candidates Stored reports, with userHash, longitude,
+     * latitude, imageUrl, originalImageUrl, title, text, createdAt and
+     * duplicateOf
+     * @return {?object} The canonical report as {contributionId, reason,
+     * distance, similarity}, with reason one of 'same_user', 'same_photo'
+     * or 'similar_text', or null if the report is not a duplicate
+     */
+    match: function( report, candidates ) {
+        let self = this;
+
+        const reportShingles = shingles(report);
+        let best = null;
+        candidates.forEach(function(candidate) {
+            // Only earlier reports can be canonical
+            if (candidate.contributionId === report.contributionId ||
+                candidate.createdAt > report.createdAt ||
+                (report.createdAt - candidate.createdAt) * 1000 >
+                self.window) {
+                return;
+            }
+            const metres = distance(report.longitude, report.latitude,
+                candidate.longitude, candidate.latitude);
+            const similarity = jaccard(reportShingles, shingles(candidate));
+            let reason = null;
+            // Reports stored before the user was moved to a keyed hash
+            // still carry the legacy hash
+            const sameUser = Boolean(candidate.userHash) &&
+                (candidate.userHash === report.userHash ||
+                candidate.userHash === report.legacyUserHash);
+            if (sameUser && metres <= self.distance) {
+                reason = 'same_user';
+            } else if (photo(report) && photo(candidate) === photo(report)) {
+                reason = 'same_photo';
+            } else if (similarity >= self.similarity) {
+                reason = 'similar_text';
+            }
+            // Link to the earliest report, so groups share one canonical
+            if (reason && (!best || candidate.createdAt < best.createdAt)) {
+                best = {
+                    contributionId: candidate.duplicateOf ||
+                        candidate.contributionId,
+                    createdAt: candidate.createdAt,
+                    reason: reason,
+                    distance: Math.round(metres),
+                    similarity: Math.round(similarity * 100) / 100,
+                };
+            }
+        });
+        if (best) {
+            delete best.createdAt;
+        }
+        return best;
+    },
+
+};
+
+/**
+ * Create the duplicate detector for config.DEDUP_MODE.
+ * @param {object} config Detik configuration
+ * @return {?Deduplicator} Detector, null if config.DEDUP_MODE is 'off'
+ */
+const createDeduplicator = function( config ) {
+    if (!config.DEDUP_MODE || config.DEDUP_MODE === 'off') {
+        return null;
+    }
+    return new Deduplicator({
+        distance: config.DEDUP_DISTANCE,
+        window: config.DEDUP_WINDOW,
+        similarity: config.DEDUP_SIMILARITY,
+    });
+};
+
+module.exports = {
+    Deduplicator: Deduplicator,
+    createDeduplicator: createDeduplicator,
+    distance: distance,
+    jaccard: jaccard,
+    shingles: shingles,
+};
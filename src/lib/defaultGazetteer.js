@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * Default gazetteer of Indonesian kelurahan and kecamatan.
+ * Approximate centroids for places in the instance regions, as
+ * [name, level, city, longitude, latitude].
+ * Replace or extend with a JSON file via config.GAZETTEER_FILE.
+ * @type {Array}
+ */
+module.exports = [
+    // Jakarta Pusat
+    ['Gambir', 'kecamatan', 'Jakarta Pusat', 106.816, -6.176],
+    ['Tanah Abang', 'kecamatan', 'Jakarta Pusat', 106.811, -6.206],
+    ['Menteng', 'kecamatan', 'Jakarta Pusat', 106.834, -6.196],
+    ['Senen', 'kecamatan', 'Jakarta Pusat', 106.845, -6.183],
+    ['Cempaka Putih', 'kecamatan', 'Jakarta Pusat', 106.868, -6.179],
+    ['Johar Baru', 'kecamatan', 'Jakarta Pusat', 106.856, -6.185],
+    ['Kemayoran', 'kecamatan', 'Jakarta Pusat', 106.856, -6.162],
+    ['Sawah Besar', 'kecamatan', 'Jakarta Pusat', 106.832, -6.154],
+    ['Petamburan', 'kelurahan', 'Jakarta Pusat', 106.804, -6.193],
+    // Jakarta Utara
+    ['Penjaringan', 'kecamatan', 'Jakarta Utara', 106.776, -6.121],
+    ['Pademangan', 'kecamatan', 'Jakarta Utara', 106.841, -6.133],
+    ['Tanjung Priok', 'kecamatan', 'Jakarta Utara', 106.873, -6.121],
+    ['Koja', 'kecamatan', 'Jakarta Utara', 106.906, -6.117],
+    ['Kelapa Gading', 'kecamatan', 'Jakarta Utara', 106.906, -6.160],
+    ['Cilincing', 'kecamatan', 'Jakarta Utara', 106.945, -6.118],
+    ['Pluit', 'kelurahan', 'Jakarta Utara', 106.794, -6.122],
+    ['Kapuk Muara', 'kelurahan', 'Jakarta Utara', 106.758, -6.130],
+    ['Sunter Agung', 'kelurahan', 'Jakarta Utara', 106.862, -6.145],
+    // Jakarta Barat
+    ['Cengkareng', 'kecamatan', 'Jakarta Barat', 106.733, -6.149],
+    ['Grogol Petamburan', 'kecamatan', 'Jakarta Barat', 106.789, -6.162],
+    ['Taman Sari', 'kecamatan', 'Jakarta Barat', 106.818, -6.146],
+    ['Tambora', 'kecamatan', 'Jakarta Barat', 106.800, -6.146],
+    ['Kebon Jeruk', 'kecamatan', 'Jakarta Barat', 106.768, -6.193],
+    ['Kalideres', 'kecamatan', 'Jakarta Barat', 106.705, -6.138],
+    ['Palmerah', 'kecamatan', 'Jakarta Barat', 106.795, -6.197],
+    ['Kembangan', 'kecamatan', 'Jakarta Barat', 106.740, -6.191],
+    ['Kapuk', 'kelurahan', 'Jakarta Barat', 106.744, -6.143],
+    ['Rawa Buaya', 'kelurahan', 'Jakarta Barat', 106.728, -6.165],
+    ['Kedoya Utara', 'kelurahan', 'Jakarta Barat', 106.763, -6.170],
+    ['Tegal Alur', 'kelurahan', 'Jakarta Barat', 106.710, -6.120],
+    ['Semanan', 'kelurahan', 'Jakarta Barat', 106.707, -6.168],
+    // Jakarta Selatan
+    ['Tebet', 'kecamatan', 'Jakarta Selatan', 106.853, -6.232],
+    ['Setiabudi', 'kecamatan', 'Jakarta Selatan', 106.830, -6.215],
+    ['Mampang Prapatan', 'kecamatan', 'Jakarta Selatan', 106.823, -6.249],
+    ['Pasar Minggu', 'kecamatan', 'Jakarta Selatan', 106.841, -6.283],
+    ['Kebayoran Lama', 'kecamatan', 'Jakarta Selatan', 106.778, -6.247],
+    ['Cilandak', 'kecamatan', 'Jakarta Selatan', 106.800, -6.285],
+    ['Kebayoran Baru', 'kecamatan', 'Jakarta Selatan', 106.800, -6.240],
+    ['Pancoran', 'kecamatan', 'Jakarta Selatan', 106.846, -6.256],
+    ['Jagakarsa', 'kecamatan', 'Jakarta Selatan', 106.820, -6.335],
+    ['Pesanggrahan', 'kecamatan', 'Jakarta Selatan', 106.760, -6.255],
+    ['Bukit Duri', 'kelurahan', 'Jakarta Selatan', 106.857, -6.224],
+    ['Manggarai', 'kelurahan', 'Jakarta Selatan', 106.848, -6.211],
+    ['Pejaten Timur', 'kelurahan', 'Jakarta Selatan', 106.848, -6.277],
+    ['Rawajati', 'kelurahan', 'Jakarta Selatan', 106.852, -6.258],
+    ['Pengadegan', 'kelurahan', 'Jakarta Selatan', 106.857, -6.247],
+    // Jakarta Timur
+    ['Matraman', 'kecamatan', 'Jakarta Timur', 106.860, -6.205],
+    ['Pulo Gadung', 'kecamatan', 'Jakarta Timur', 106.895, -6.185],
+    ['Jatinegara', 'kecamatan', 'Jakarta Timur', 106.872, -6.227],
+    ['Kramat Jati', 'kecamatan', 'Jakarta Timur', 106.866, -6.270],
+    ['Pasar Rebo', 'kecamatan', 'Jakarta Timur', 106.856, -6.320],
+    ['Cakung', 'kecamatan', 'Jakarta Timur', 106.945, -6.183],
+    ['Duren Sawit', 'kecamatan', 'Jakarta Timur', 106.917, -6.230],
+    ['Makasar', 'kecamatan', 'Jakarta Timur', 106.882, -6.268],
+    ['Ciracas', 'kecamatan', 'Jakarta Timur', 106.876, -6.325],
+    ['Cipayung', 'kecamatan', 'Jakarta Timur', 106.900, -6.318],
+    ['Kampung Melayu', 'kelurahan', 'Jakarta Timur', 106.866, -6.224],
+    ['Bidara Cina', 'kelurahan', 'Jakarta Timur', 106.869, -6.233],
+    ['Cawang', 'kelurahan', 'Jakarta Timur', 106.873, -6.245],
+    ['Cililitan', 'kelurahan', 'Jakarta Timur', 106.867, -6.262],
+    ['Cipinang Melayu', 'kelurahan', 'Jakarta Timur', 106.905, -6.242],
+    // Surabaya
+    ['Genteng', 'kecamatan', 'Surabaya', 112.742, -7.257],
+    ['Tegalsari', 'kecamatan', 'Surabaya', 112.737, -7.271],
+    ['Gubeng', 'kecamatan', 'Surabaya', 112.752, -7.277],
+    ['Wonokromo', 'kecamatan', 'Surabaya', 112.732, -7.302],
+    ['Rungkut', 'kecamatan', 'Surabaya', 112.781, -7.324],
+    ['Kenjeran', 'kecamatan', 'Surabaya', 112.785, -7.230],
+    ['Sukolilo', 'kecamatan', 'Surabaya', 112.795, -7.288],
+    ['Tandes', 'kecamatan', 'Surabaya', 112.672, -7.258],
+    // Bandung
+    ['Coblong', 'kecamatan', 'Bandung', 107.612, -6.887],
+    ['Sukajadi', 'kecamatan', 'Bandung', 107.594, -6.885],
+    ['Andir', 'kecamatan', 'Bandung', 107.578, -6.910],
+    ['Cicendo', 'kecamatan', 'Bandung', 107.592, -6.905],
+    ['Dayeuhkolot', 'kecamatan', 'Kabupaten Bandung', 107.627, -6.986],
+    ['Baleendah', 'kecamatan', 'Kabupaten Bandung', 107.630, -7.005],
+    ['Bojongsoang', 'kecamatan', 'Kabupaten Bandung', 107.645, -6.980],
+];
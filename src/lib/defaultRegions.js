@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * Default CogniCity instance regions.
+ * Coarse outlines of the areas served by the map, as a GeoJSON
+ * FeatureCollection with the instance region code in properties.code.
+ * Replace with detailed boundaries via config.REGIONS_FILE.
+ * @type {object}
+ */
+module.exports = {
+    type: 'FeatureCollection',
+    features: [
+        {
+            type: 'Feature',
+            properties: {code: 'jbd', name: 'Jabodetabek'},
+            geometry: {
+                type: 'Polygon',
+                coordinates: [[
+                    [106.40, -6.75], [107.20, -6.75], [107.20, -5.90],
+                    [106.40, -5.90], [106.40, -6.75],
+                ]],
+            },
+        },
+        {
+            type: 'Feature',
+            properties: {code: 'sby', name: 'Surabaya'},
+            geometry: {
+                type: 'Polygon',
+                coordinates: [[
+                    [112.55, -7.40], [112.85, -7.40], [112.85, -7.15],
+                    [112.55, -7.15], [112.55, -7.40],
+                ]],
+            },
+        },
+        {
+            type: 'Feature',
+            properties: {code: 'bdg', name: 'Bandung'},
+            geometry: {
+                type: 'Polygon',
+                coordinates: [[
+                    [107.45, -7.05], [107.80, -7.05], [107.80, -6.80],
+                    [107.45, -6.80], [107.45, -7.05],
+                ]],
+            },
+        },
+    ],
+};
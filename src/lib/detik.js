@@ -1,21 +1,125 @@
 'use strict';
 
+const adapters = require('./adapters');
+const blocklist = require('./blocklist');
+const classify = require('./classify');
+const dedup = require('./dedup');
+const events = require('./events');
+const FetchError = require('./errors').FetchError;
+const gazetteer = require('./gazetteer');
+const Limiter = require('./limiter');
+const normalizeResult = require('./report').normalizeResult;
+const parseTimezone = require('./report').parseTimezone;
+const regions = require('./regions');
+const sanitize = require('./sanitize');
+const sinks = require('./sinks');
+const logger = require('./logger');
+const media = require('./media');
+const metrics = require('./metrics');
+const transports = require('./transports');
+
+/**
+ * Turn a snake_case reason into a metric name part, e.g. 'non_flood' to
+ * 'NonFlood'.
+ * @param {string} reason Reason
+ * @return {string} Metric name part
+ */
+const metricName = function( reason ) {
+    return reason.split('_').map(function(word) {
+        return word.charAt(0).toUpperCase() + word.slice(1);
+    }).join('');
+};
+
+/**
+ * Report fields compared to find edits of stored reports.
+ * @type {Array}
+ */
+const SYNC_FIELDS = ['title', 'text', 'originalImageUrl', 'longitude',
+    'latitude'];
+
 /**
  * The Detik data source.
  * Poll the Detik feed for new data and send it to the reports application.
  * @constructor
  * @param {object} config Detik configuration
  * @param {object} pool Postgres connection pool
+ * @param {object} options Optional collaborators
+ * @param {object} options.sink Report sink, defaults to the sink selected by
+ * config.SINK
+ * @param {object} options.classifier Disaster-type classifier, defaults to
+ * the rules in config.DISASTER_RULES_FILE or the bundled rules
+ * @param {object} options.regions Instance regions, defaults to the regions
+ * in config.REGIONS_FILE or the bundled regions
+ * @param {object} options.gazetteer Gazetteer for reports without
+ * coordinates, defaults to config.GAZETTEER_FILE or the bundled gazetteer
+ * @param {object} options.sanitizer Title and text sanitizer, defaults to
+ * the redaction rules in config.REDACTION_RULES_FILE or the bundled rules
+ * @param {?Deduplicator} options.deduplicator Near-duplicate detector,
+ * defaults to the one for config.DEDUP_MODE; null turns detection off
+ * @param {?UserBlocklist} options.blocklist Users whose reports are
+ * skipped, defaults to the users in config.USER_BLOCKLIST and
+ * config.USER_BLOCKLIST_FILE; null blocks no one
+ * @param {object} options.transport Feed transport, defaults to the
+ * transport selected by config.FEED_TRANSPORT
+ * @param {object} options.adapter Feed adapter, defaults to the adapter
+ * for config.FEED_FORMAT
+ * @param {function} options.onSkip Called with the reason and contribution
+ * ID of each skipped result
+ * @param {Logger} options.logger Structured logger, defaults to JSON lines
+ * on stdout at config.LOG_LEVEL; the sink and transport created here log
+ * through it too
+ * @param {object} options.metricsEmitter Sends the metrics of each run,
+ * defaults to the emitter selected by config.METRICS_EMITTER
+ * @param {?MediaMirror} options.media Photo mirror, defaults to the mirror
+ * configured by config.MEDIA_MIRROR; null turns mirroring off
+ * @param {?Publisher} options.publisher Downstream event publisher,
+ * defaults to the one for config.EVENTS_PUBLISHER; null turns events off
  */
 let DetikDataSource = function DetikDataSource(
         config,
-        pool
+        pool,
+        options
     ) {
+    options = options || {};
+
     // Store references to config and pool
     this.config = config;
     this.pool = pool;
 
-    this.https = require('https');
+    this.logger = options.logger || logger.createLogger(config);
+
+    this.sink = options.sink || sinks.createSink(config, pool, this.logger);
+    this.classifier = options.classifier || classify.createClassifier(config);
+    this.regions = options.regions || regions.createRegions(config);
+    this.gazetteer = options.gazetteer || gazetteer.createGazetteer(config);
+    this.sanitizer = options.sanitizer || sanitize.createSanitizer(config);
+    this.deduplicator = options.deduplicator !== undefined ?
+        options.deduplicator : dedup.createDeduplicator(config);
+    this.blocklist = options.blocklist !== undefined ? options.blocklist :
+        blocklist.createBlocklist(config);
+
+    this.transport = options.transport ||
+        transports.createTransport(config, this.logger);
+    this.adapter = options.adapter || adapters.createAdapter(config);
+    this.onSkip = options.onSkip || null;
+    this.metricsEmitter = options.metricsEmitter ||
+        metrics.createEmitter(config);
+    this.media = options.media !== undefined ? options.media :
+        media.createMediaMirror(config);
+    this.publisher = options.publisher !== undefined ? options.publisher :
+        events.createPublisher(config, this.logger);
+
+    // Caps the sink queries and photo downloads of a run in flight at once
+    this._dbLimiter = new Limiter(config.DB_CONCURRENCY || 2);
+    this._mediaLimiter = new Limiter(config.MEDIA_CONCURRENCY || 2);
+    // Compares reports with each other in the order they were staged
+    this._dedupLimiter = new Limiter(1);
+
+    // Per-run state, reset at the start of each poll
+    this.summary = this._createSummary();
+    this.metrics = new metrics.MetricsCollector();
+    this._pending = [];
+    this._recentReports = [];
 
     // Set constructor reference (used to print the name of this data source)
     this.constructor = DetikDataSource;
@@ -31,9 +135,82 @@ DetikDataSource.prototype = {
     config: {},
 
     /**
-     * Instance of node https.
+     * Structured logger, carries the run ID of the current run.
+     * @type {Logger}
+     */
+    logger: null,
+
+    /**
+     * ID of the current run, added to its summary and log events.
+     * @type {string}
+     */
+    runId: null,
+
+    /**
+     * Feed transport, fetches pages from the Detik web service.
+     * @type {object}
+     */
+    transport: null,
+
+    /**
+     * Report sink, stores reports, users and the checkpoint.
+     * @type {object}
+     */
+    sink: null,
+
+    /**
+     * Disaster-type classifier.
+     * @type {object}
+     */
+    classifier: null,
+
+    /**
+     * Instance regions reports are tagged with.
+     * @type {object}
+     */
+    regions: null,
+
+    /**
+     * Gazetteer used to locate reports without coordinates.
+     * @type {object}
+     */
+    gazetteer: null,
+
+    /**
+     * Sanitizer for report titles and text.
+     * @type {object}
+     */
+    sanitizer: null,
+
+    /**
+     * Near-duplicate detector, null if detection is off.
+     * @type {Deduplicator}
+     */
+    deduplicator: null,
+
+    /**
+     * Users whose reports are skipped, null if none are blocked.
+     * @type {UserBlocklist}
+     */
+    blocklist: null,
+
+    /**
+     * Limiter of concurrent sink queries, at most config.DB_CONCURRENCY.
+     * @type {Limiter}
      */
-    https: null,
+    _dbLimiter: null,
+
+    /**
+     * Limiter of concurrent photo mirrors, at most config.MEDIA_CONCURRENCY.
+     * @type {Limiter}
+     */
+    _mediaLimiter: null,
+
+    /**
+     * Limiter running one duplicate check at a time.
+     * @type {Limiter}
+     */
+    _dedupLimiter: null,
 
     /**
      * Last contribution ID from Detik result that was processed.
@@ -48,20 +225,281 @@ DetikDataSource.prototype = {
      */
     _highestBatchContributionId: 0,
 
+    /**
+     * Range of reports being backfilled, null when polling.
+     * @type {object}
+     */
+    _range: null,
+
+    /**
+     * Creation time range of stored reports checked for edits in the
+     * current poll, {from, to} in seconds since epoch, null if
+     * config.UPDATE_SYNC_WINDOW is off or when backfilling.
+     * @type {object}
+     */
+    _syncRange: null,
+
+    /**
+     * Whether the current poll scanned every result in the sync range.
+     * @type {boolean}
+     */
+    _syncComplete: false,
+
+    /**
+     * Contribution IDs of the results scanned in the current poll.
+     * @type {Array}
+     */
+    _scannedIds: null,
+
+    /**
+     * Called with the reason and contribution ID of each skipped result.
+     * @type {function}
+     */
+    onSkip: null,
+
+    /**
+     * Photo mirror, null if photos are not mirrored.
+     * @type {MediaMirror}
+     */
+    media: null,
+
+    /**
+     * Sends the metrics of each run.
+     * @type {object}
+     */
+    metricsEmitter: null,
+
+    /**
+     * Metrics of the current run.
+     * @type {MetricsCollector}
+     */
+    metrics: null,
+
+    /**
+     * Newest update time seen in the current run, in seconds, for the feed
+     * lag metric.
+     * @type {?number}
+     */
+    _newestUpdatedAt: null,
+
+    /**
+     * Checkpoint of this feed as last read or written.
+     * @type {object}
+     */
+    _checkpoint: null,
+
+    /**
+     * Summary of the current polling run, returned by start() and _poll().
+     * @type {object}
+     */
+    summary: null,
+
+    /**
+     * Promises for results still being saved in the current polling run.
+     * @type {Array}
+     */
+    _pending: null,
+
+    /**
+     * Reports saved in the current run, compared with later reports of the
+     * run that the sink may not return yet.
+     * @type {Array}
+     */
+    _recentReports: null,
+
+    /**
+     * Create an empty run summary.
+     * @return {object} Run summary
+     */
+    _createSummary: function() {
+        return {
+            runId: this.runId,
+            pagesFetched: 0,
+            retries: 0,
+            inserted: 0,
+            updated: 0,
+            unconfirmed: 0,
+            geocoded: 0,
+            mediaMirrored: 0,
+            mediaFailed: 0,
+            duplicates: 0,
+            revised: 0,
+            withdrawn: 0,
+            skipped: {},
+            oldContributionId: this._lastContributionId,
+            newContributionId: this._lastContributionId,
+            errors: [],
+        };
+    },
+
+    /**
+     * Count a result that was not saved.
+     * @param {string} reason Why the result was skipped
+     * @param {number} contributionId Contribution ID of the result, if known
+     */
+    _recordSkip: function( reason, contributionId ) {
+        let self = this;
+
+        self.summary.skipped[reason] = (self.summary.skipped[reason] || 0) + 1;
+        self.metrics.increment('Skipped' + metricName(reason));
+        self.logger.debug('Skipped result', {contributionId: contributionId,
+            reason: reason});
+        if (self.onSkip) {
+            self.onSkip(reason, contributionId);
+        }
+    },
+
+    /**
+     * Start a new run.
+     * Creates the run ID, which every later log event carries.
+     */
+    _beginRun: function() {
+        let self = this;
+
+        self.runId = logger.createRunId();
+        self.logger.setFields({runId: self.runId});
+    },
+
+    /**
+     * Add an error to the run summary.
+     * @param {string} stage Step of the run where the error occurred
+     * @param {Error} error The error
+     * @param {object} details Extra properties, e.g. page or contributionId
+     */
+    _recordError: function( stage, error, details ) {
+        let self = this;
+
+        self.summary.errors.push(Object.assign({
+            stage: stage,
+            message: error.message,
+        }, details));
+    },
+
     /**
      * Polling worker function.
      * Poll the Detik web service and process the results.
-     * This method is called repeatedly on a timer.
+     * Resolves once every page has been fetched and every save has settled.
+     * @return {Promise} Resolves with the run summary
      */
-    _poll: function() {
+    _poll: async function() {
         let self = this;
 
         // Keep track of the newest contribution ID we get in this poll.
         // Update our 'latest contribution ID' after we finish this whole batch.
         self._highestBatchContributionId = self._lastContributionId;
+        self.summary = self._createSummary();
+        self._pending = [];
+        self._recentReports = [];
+        self.metrics = new metrics.MetricsCollector();
+        self._newestUpdatedAt = null;
+        self._scannedIds = [];
+        self._syncComplete = false;
+        self._syncRange = null;
+        if (!self._range && self.config.UPDATE_SYNC_WINDOW > 0) {
+            const now = new Date().getTime() / 1000;
+            self._syncRange = {from: now - self.config.UPDATE_SYNC_WINDOW /
+                1000, to: now};
+        }
+        const stopRunTimer = self.metrics.startTimer('RunDuration');
 
         // Begin processing results from page 1 of data
-        self._fetchResults();
+        await self._fetchResults();
+
+        // Wait for all results to be saved
+        await Promise.all(self._pending);
+        self._pending = [];
+
+        // Only move on once the whole batch is stored, otherwise the next
+        // run scans the same contributions again. Backfills leave the
+        // checkpoint alone.
+        if (!self._range) {
+            if (self.summary.errors.length === 0) {
+                await self._withdrawMissing();
+                self._updateLastContributionIdFromBatch();
+            }
+            await self._saveCheckpoint();
+        }
+
+        self.summary.newContributionId = self._lastContributionId;
+        self.logger.info('Run complete', {summary: self.summary});
+
+        stopRunTimer();
+        await self._flushEvents();
+        self._emitMetrics();
+        return self.summary;
+    },
+
+    /**
+     * Publish the run.completed event and wait for every event of the run
+     * to be delivered, so none are lost when the Lambda freezes.
+     * Delivery failures are counted, events never fail a run.
+     * @return {Promise} Resolves once every event is settled
+     */
+    _flushEvents: async function() {
+        let self = this;
+
+        if (!self.publisher) {
+            return;
+        }
+        const summary = self.summary;
+        self.publisher.publish('run.completed', {
+            runId: summary.runId,
+            backfill: Boolean(self._range),
+            inserted: summary.inserted,
+            updated: summary.updated,
+            unconfirmed: summary.unconfirmed,
+            duplicates: summary.duplicates,
+            revised: summary.revised,
+            withdrawn: summary.withdrawn,
+            skipped: summary.skipped,
+            errors: summary.errors.length,
+            lastContributionId: summary.newContributionId,
+        });
+        const counts = await self.publisher.flush();
+        self.metrics.increment('EventsPublished', counts.published);
+        self.metrics.increment('EventsFailed', counts.failed);
+    },
+
+    /**
+     * Publish the report.created event of a stored report.
+     * @param {Report} report The normalized, located report
+     */
+    _publishCreated: function( report ) {
+        let self = this;
+
+        if (!self.publisher) {
+            return;
+        }
+        self.publisher.publish('report.created', {
+            contributionId: report.contributionId,
+            geometry: {type: 'Point',
+                coordinates: [report.longitude, report.latitude]},
+            approximate: Boolean(report.approximateGeom),
+            disasterType: report.disasterType,
+            region: report.region,
+            createdAt: new Date(report.createdAt * 1000).toISOString(),
+        });
+    },
+
+    /**
+     * Send the metrics of this run, adding the feed lag.
+     * Emitter failures are logged, metrics never fail a run.
+     */
+    _emitMetrics: function() {
+        let self = this;
+
+        if (self._newestUpdatedAt !== null) {
+            // How far behind the feed the newest report we saw is
+            self.metrics.record('FeedLag', Math.max(0,
+                new Date().getTime() / 1000 - self._newestUpdatedAt),
+                'Seconds');
+        }
+        try {
+            self.metricsEmitter.emit(self.metrics,
+                {Feed: self._checkpointName()});
+        } catch (err) {
+            self.logger.error('Error emitting metrics', {error: err});
+        }
     },
 
     /**
@@ -77,75 +515,195 @@ DetikDataSource.prototype = {
     },
 
     /**
-     * Fetch one page of results
-     * Call the callback function on the results
-     * Recurse and call self to fetch the next page of results if required
-     * @param {number} page Page number of results to fetch, defaults to 1
+     * Name the checkpoint of this feed is stored under.
+     * @return {string} Checkpoint name
      */
-    _fetchResults: function( page ) {
+    _checkpointName: function() {
         let self = this;
 
-        if (!page) page = 1;
+        return self.config.FEED_NAME || 'detik';
+    },
 
-        console.log( 'DetikDataSource > poll > fetchResults: Loading page ' +
-        page );
+    /**
+     * Store the checkpoint for this run.
+     * Records the last contribution ID, and either the time of this
+     * successful run or the first error of this run.
+     * Failures are recorded in the run summary, this never rejects.
+     */
+    _saveCheckpoint: async function() {
+        let self = this;
 
-        let requestURL = self.config.DETIK_URL + '&page=' + page;
-        let response = '';
+        const errors = self.summary.errors;
+        const checkpoint = Object.assign({}, self._checkpoint, {
+            lastContributionId: self._lastContributionId,
+            pagesScanned: self.summary.pagesFetched,
+        });
+        if (errors.length === 0) {
+            checkpoint.lastSuccessAt = new Date().toISOString();
+            checkpoint.lastError = null;
+        } else {
+            checkpoint.lastError = errors[0].stage + ': ' + errors[0].message;
+        }
 
-        let req = self.https.request( requestURL, function(res) {
-          res.setEncoding('utf8');
+        try {
+            await self.sink.writeCheckpoint(self._checkpointName(),
+                checkpoint);
+            self._checkpoint = checkpoint;
+        } catch (err) {
+            self.logger.error('Error saving checkpoint', {error: err});
+            self._recordError('checkpoint', err);
+        }
+    },
 
-          res.on('data', function(chunk) {
-            response += chunk;
-          });
+    /**
+     * Fetch and parse one page of results.
+     * @param {number} page Number of the page, from 1
+     * @param {string} requestURL URL of the page
+     * @return {Promise} Resolves with the page as parsed by the adapter,
+     * {results, next}, rejects with a FetchError on request, status or
+     * parsing errors
+     */
+    _fetchPage: async function( page, requestURL ) {
+        let self = this;
 
-          res.on('end', function() {
-            let responseObject;
-            try {
-                responseObject = JSON.parse( response );
-            } catch (e) {
-                console.log( `DetikDataSource > poll > fetchResults: 
-                    Error parsing JSON: ` + response );
-                self._updateLastContributionIdFromBatch();
-                return;
+        const stopTimer = self.metrics.startTimer('FetchLatency');
+        let response;
+        try {
+            response = await self.transport.get( requestURL, {page: page} );
+        } catch (err) {
+            stopTimer();
+            self._recordRetries((err.attempts || 1) - 1);
+            throw err;
+        }
+        stopTimer();
+        self._recordRetries(response.attempts - 1);
+        self.metrics.increment('BytesDownloaded', response.body.length,
+            'Bytes');
+
+        const format = self.adapter.format;
+        let parsed;
+        try {
+            parsed = self.adapter.parse( response.body );
+        } catch (e) {
+            // An HTML error page with a 200 status will not improve on retry
+            self.logger.error('Error parsing ' + format, {page: page,
+                error: e, body: response.body});
+            throw new FetchError('Error parsing ' + format + ' on page ' +
+                page, {transient: false});
+        }
+
+        self.logger.info('Page fetched', {page: page,
+            bytes: response.body.length, attempts: response.attempts});
+        return parsed;
+    },
+
+    /**
+     * Count retried requests.
+     * @param {number} retries Number of retries
+     */
+    _recordRetries: function( retries ) {
+        let self = this;
+
+        self.summary.retries += retries;
+        self.metrics.increment('FetchRetries', retries);
+    },
+
+    /**
+     * Fetch pages of results, from the first page of the feed
+     * Pass the results of each page to _filterResults, in page order
+     * Continue with the next page while _filterResults asks for more and
+     * the paginator has one
+     * Up to config.FETCH_CONCURRENCY pages are in flight at once when their
+     * URLs are known ahead, pages fetched ahead of a stop are dropped
+     * @return {Promise} Resolves when no more pages are to be fetched
+     */
+    _fetchResults: async function() {
+        let self = this;
+
+        const paginator = adapters.createPaginator(self.config, self.adapter);
+        const concurrency = self.config.FETCH_CONCURRENCY || 1;
+        let page = 1;
+        let requestURL = paginator.first();
+
+        // Fetches by page number, settled as {parsed} or {error} so pages
+        // that end up dropped never reject unhandled
+        let fetches = new Map();
+        const fetch = function(number, url) {
+            if (!fetches.has(number)) {
+                self.logger.debug('Loading page', {page: number});
+                fetches.set(number, self._fetchPage(number, url).then(
+                    function(parsed) {
+                        return {parsed: parsed};
+                    }, function(err) {
+                        return {error: err};
+                    }));
             }
+            return fetches.get(number);
+        };
 
-            console.log('DetikDataSource > poll > fetchResults: Page ' + page +
-                ' fetched, ' + response.length + ' bytes');
+        try {
+            let continueProcessing = true;
+            while ( continueProcessing ) {
+                const current = fetch(page, requestURL);
+                for (let ahead = page + 1; ahead < page + concurrency;
+                    ahead++) {
+                    const aheadURL = paginator.pageUrl(ahead);
+                    if (!aheadURL) break;
+                    fetch(ahead, aheadURL);
+                }
+                const outcome = await current;
+                fetches.delete(page);
 
-            if ( !responseObject || !responseObject.result ||
-                responseObject.result.length === 0 ) {
-                // If page has a problem or 0 objects, end
-                console.log( `DetikDataSource > poll > fetchResults: No results 
-                    found on page ` + page );
-                self._updateLastContributionIdFromBatch();
-                return;
-            } else {
-                // Run data processing callback on the result objects
-                if ( self._filterResults( responseObject.result ) ) {
-                    // If callback returned true, processing should continue on
-                    // next page
-                    page++;
-                    self._fetchResults( page );
+                if (outcome.error) {
+                    const err = outcome.error;
+                    self.logger.error('Error fetching page', {page: page,
+                        error: err, statusCode: err.statusCode || null});
+                    self.metrics.increment('FetchErrors');
+                    self._recordError('fetch', err, {
+                        page: page,
+                        type: err.transient ? 'transient' : 'fatal',
+                        statusCode: err.statusCode || null,
+                    });
+                    return;
                 }
-            }
-          });
-        });
+                const parsed = outcome.parsed;
+                self.summary.pagesFetched++;
+                self.metrics.increment('PagesFetched');
 
-        req.on('error', function(error) {
-            console.log( `DetikDataSource > poll > fetchResults: 
-            Error fetching page ` + page + ', ' + error.message + ', ' +
-            error.stack );
-            self._updateLastContributionIdFromBatch();
-        });
+                if ( !parsed.results || parsed.results.length === 0 ) {
+                    // If page has a problem or 0 objects, end
+                    self.logger.info('No results on page', {page: page});
+                    self._syncComplete = Boolean(parsed.results);
+                    return;
+                }
 
-        req.end();
+                // Run data processing on the result objects, which returns
+                // true if processing should continue on the next page
+                continueProcessing = self._filterResults( parsed.results );
+                requestURL = paginator.next( page, parsed );
+                if ( continueProcessing && !requestURL ) {
+                    // The last page of the feed has been processed
+                    self._syncComplete = true;
+                    return;
+                }
+                page++;
+            }
+        } finally {
+            // Let pages fetched ahead settle, so none is counted in a later
+            // run
+            if (fetches.size > 0) {
+                self.metrics.increment('PagesDiscarded', fetches.size);
+                await Promise.all(fetches.values());
+            }
+        }
     },
 
     /**
      * Process the passed result objects
      * Stop processing if we've seen result before, or if the result is too old
+     * Malformed results are skipped and counted by reason
+     * Results seen before but created in the sync range are checked for edits
+     * New reports are saved together once the page is processed
      * @param {Array} results Array of result objects from Detik data to process
      * @return {boolean} True if we should continue to process more pages
      */
@@ -153,181 +711,786 @@ DetikDataSource.prototype = {
         let self = this;
 
         let continueProcessing = true;
+        let fresh = [];
 
         // For each result:
         let result = results.shift();
         while ( result ) {
-            if ( result.contributionId <= self._lastContributionId ) {
+            const normalized = normalizeResult( result,
+                self._normalizeOptions() );
+            const report = normalized.report;
+            self.metrics.increment('ResultsRead');
+            if ( report && (self._newestUpdatedAt === null ||
+                report.updatedAt > self._newestUpdatedAt) ) {
+                self._newestUpdatedAt = report.updatedAt;
+            }
+            // Results without an ID cannot keep a stored report
+            if ( self._syncRange && normalized.contributionId !== null ) {
+                self._scannedIds.push( report ? report.contributionId :
+                    normalized.contributionId );
+            }
+            if ( !report ) {
+                // Malformed result, skip it but carry on with the rest
+                self.logger.warn('Rejected result', {
+                    contributionId: normalized.contributionId,
+                    reason: normalized.reason});
+                self._recordSkip( normalized.reason,
+                    normalized.contributionId );
+                // Rejected results are not worth scanning again
+                if ( self._highestBatchContributionId <
+                    normalized.contributionId ) {
+                    self._highestBatchContributionId =
+                        normalized.contributionId;
+                }
+            } else if ( report.contributionId <= self._lastContributionId &&
+                self._inSyncRange( report ) ) {
+                // Seen before, check for edits and carry on
+                self._pending.push( self._syncResult( report ) );
+            } else if ( report.contributionId <= self._lastContributionId ) {
                 // We've seen this result before, stop processing
-                console.log( `DetikDataSource > poll > processResults: 
-                Found already processed result with contribution ID ` +
-                result.contributionId );
+                self.logger.info('Found already processed result', {
+                    contributionId: report.contributionId});
+                self._syncComplete = true;
                 continueProcessing = false;
                 break;
-            } else if ( result.date.update.sec * 1000 < new Date().getTime() -
-                self.config.HISTORICAL_LOAD_PERIOD ) {
+            } else if ( self._reportTime( report ) * 1000 <
+                self._cutoffTime() ) {
                 // This result is older than our cutoff, stop processing
-                // TODO What date to use? transform to readable. timezone
-                console.log( 'DetikDataSource > poll > processResults: Result '+
-                 result.contributionId +
-                ' older than maximum configured age of ' +
-                self.config.HISTORICAL_LOAD_PERIOD / 1000 + ' seconds' );
+                self.logger.info('Result older than cutoff', {
+                    contributionId: report.contributionId,
+                    time: new Date(self._reportTime( report ) * 1000)
+                        .toISOString(),
+                    cutoff: new Date(self._cutoffTime()).toISOString()});
+                self.metrics.increment('ResultsTooOld');
+                self._syncComplete = !self._inSyncRange( report );
                 continueProcessing = false;
                 break;
+            } else if ( self._range && self._afterRange( report ) ) {
+                // Newer than the backfill range, keep looking for older
+                self._recordSkip( 'outside_range', report.contributionId );
             } else {
                 // Process this result
-                console.log( `DetikDataSource > poll > processResults: 
-                Processing result ` + result.contributionId );
+                self.logger.debug('Processing result', {
+                    contributionId: report.contributionId});
                 // Retain the contribution ID
                 if ( self._highestBatchContributionId <
-                    result.contributionId ) {
-                    self._highestBatchContributionId = result.contributionId;
+                    report.contributionId ) {
+                    self._highestBatchContributionId = report.contributionId;
                 }
-                self._processResult( result );
+                fresh.push( report );
             }
             result = results.shift();
         }
 
-        if (!continueProcessing) {
-            self._updateLastContributionIdFromBatch();
-        }
+        // Staged oldest first, so duplicates link to the earliest report
+        const staged = fresh.map( function( report, index ) {
+            return {report: report, index: index};
+        }).sort( function( a, b ) {
+            return a.report.createdAt - b.report.createdAt ||
+                a.index - b.index;
+        }).map( function( entry ) {
+            return self._processResult( entry.report );
+        });
 
+        // Saving is awaited at the end of the poll
+        if ( staged.length > 0 ) {
+            self._pending.push( self._savePage( staged ) );
+        }
         return continueProcessing;
     },
 
     /**
-     * Process a result.
+     * Timestamp handling and user hashing for normalizing results.
+     * Feed times are in config.SOURCE_TIMEZONE, and times more than
+     * config.FUTURE_TOLERANCE ahead of now are rejected. User IDs are
+     * hashed with config.USER_HASH_SECRET.
+     * @return {object} normalizeResult options
+     */
+    _normalizeOptions: function() {
+        let self = this;
+
+        return {
+            timezoneOffset: parseTimezone(self.config.SOURCE_TIMEZONE) || 0,
+            latest: (new Date().getTime() +
+                Number(self.config.FUTURE_TOLERANCE || 0)) / 1000,
+            userHashSecret: self.config.USER_HASH_SECRET || null,
+        };
+    },
+
+    /**
+     * Get the time of a report the cutoff and backfill ranges apply to.
+     * @param {Report} report The normalized report
+     * @return {number} The creation time if config.CUTOFF_TIMESTAMP is
+     * 'create', otherwise the update time, in seconds since epoch
+     */
+    _reportTime: function( report ) {
+        let self = this;
+
+        return self.config.CUTOFF_TIMESTAMP === 'create' ?
+            report.createdAt : report.updatedAt;
+    },
+
+    /**
+     * Get the oldest report time to process.
+     * The start of the backfill range when backfilling, otherwise
+     * config.HISTORICAL_LOAD_PERIOD before now.
+     * @return {number} Cutoff time in ms since epoch
+     */
+    _cutoffTime: function() {
+        let self = this;
+
+        if ( self._range ) {
+            return self._range.from || 0;
+        }
+        return new Date().getTime() - self.config.HISTORICAL_LOAD_PERIOD;
+    },
+
+    /**
+     * Test whether a report was created in the sync range.
+     * @param {Report} report The normalized report
+     * @return {boolean} True if edits to the report are checked this poll
+     */
+    _inSyncRange: function( report ) {
+        let self = this;
+
+        return Boolean(self._syncRange &&
+            report.createdAt >= self._syncRange.from);
+    },
+
+    /**
+     * Test whether a report is newer than the end of the backfill range.
+     * @param {Report} report The normalized report
+     * @return {boolean} True if after the range
+     */
+    _afterRange: function( report ) {
+        let self = this;
+
+        const range = self._range;
+        return Boolean((range.toId && report.contributionId > range.toId) ||
+            (range.to && self._reportTime(report) * 1000 > range.to));
+    },
+
+    /**
+     * Process a report.
      * This method is called for each new result we fetch from the web service.
-     * @param {object} result The result object from the web service
+     * @param {Report} report The normalized report
+     * @return {Promise} Resolves as _stageResult, with null if the report
+     * was dropped by _applyPolicy
      */
-    _processResult: function( result ) {
+    _processResult: function( report ) {
         let self = this;
 
+        self._prepareReport(report);
+        if (!self._applyPolicy(report)) {
+            return Promise.resolve(null);
+        }
+
         // Process result now
-        self._saveResult(result);
+        return self._stageResult(report);
+    },
+
+    /**
+     * Decide whether a prepared report may be stored, as new or as edited.
+     * Drop reports of blocked users, and of other disasters than floods
+     * unless config.STORE_NON_FLOOD is set (see classify.applyFloodPolicy).
+     * Located reports are tagged with their instance region and dropped
+     * outside all regions if config.FILTER_REGIONS is set. _stageResult
+     * tags reports again after geocoding the ones without coordinates.
+     * Dropped reports are recorded as skipped.
+     * @param {Report} report The normalized report
+     * @return {boolean} False if the report was dropped
+     */
+    _applyPolicy: function( report ) {
+        let self = this;
+
+        if (self.blocklist && self.blocklist.blocks(report)) {
+            self.logger.info('Dropped report of blocked user', {
+                contributionId: report.contributionId});
+            self._recordSkip('blocked_user', report.contributionId);
+            return false;
+        }
+
+        if (!classify.applyFloodPolicy(report, self.config)) {
+            self.logger.info('Dropped non-flood report', {
+                contributionId: report.contributionId,
+                disasterType: report.disasterType});
+            self._recordSkip('non_flood', report.contributionId);
+            return false;
+        }
+
+        if (report.longitude && report.latitude &&
+            !self._tagRegion(report)) {
+            self._recordSkip('outside_regions', report.contributionId);
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * Sanitize the title and text of a report and classify its disaster
+     * type, falling back to the feed's config.DEFAULT_DISASTER_TYPE.
+     * @param {Report} report The normalized report
+     */
+    _prepareReport: function( report ) {
+        let self = this;
+
+        const sanitization = self.sanitizer.sanitize(report);
+        if (Object.keys(sanitization.redactions).length > 0) {
+            self.logger.debug('Redacted report', {
+                contributionId: report.contributionId,
+                redactions: sanitization.redactions});
+            self.metrics.increment('ReportsRedacted');
+        }
+
+        const classification = self.classifier.classify(report);
+        report.disasterType = classification.disasterType;
+        report.classificationRule = classification.rule;
+        if (report.disasterType === classify.UNCLASSIFIED &&
+            self.config.DEFAULT_DISASTER_TYPE) {
+            report.disasterType = self.config.DEFAULT_DISASTER_TYPE;
+            report.classificationRule = 'default';
+        }
+    },
+
+    /**
+     * Check a report seen in an earlier run for edits.
+     * Changed title, text, photo or location are updated in place with a
+     * revision of the previous values, and withdrawn reports back in the
+     * feed are restored. Reports that were never stored are left alone, and
+     * edits that _applyPolicy drops are not applied.
+     * Outcomes are recorded in the run summary, this never rejects.
+     * @param {Report} report The normalized report
+     */
+    _syncResult: async function( report ) {
+        let self = this;
+
+        self._prepareReport(report);
+
+        let stored;
+        try {
+            stored = await self._dbLimiter.run(function() {
+                return self.sink.getReport(report.contributionId);
+            });
+        } catch (err) {
+            self.logger.error('Error reading stored report', {
+                contributionId: report.contributionId, error: err});
+            self._recordError('sync', err,
+                {contributionId: report.contributionId});
+            return;
+        }
+        if (!stored) {
+            // e.g. unconfirmed or skipped when first seen
+            return;
+        }
+
+        if (report.longitude === 0 || report.latitude === 0) {
+            if (!self._geocode(report)) {
+                report.longitude = stored.longitude;
+                report.latitude = stored.latitude;
+            }
+        }
+        const previous = self._changes(stored, report);
+        if (!previous && !stored.withdrawnAt) {
+            return;
+        }
+        // An edit may make a stored report one we would not store
+        if (!self._applyPolicy(report)) {
+            return;
+        }
+        if (previous && previous.originalImageUrl !== undefined) {
+            await self._mirrorMedia(report);
+        } else {
+            report.imageUrl = stored.imageUrl;
+        }
+
+        const change = previous ? 'edit' : 'restored';
+        let stopTimer = null;
+        try {
+            const response = await self._dbLimiter.run(function() {
+                stopTimer = self.metrics.startTimer('DbLatency');
+                return self.sink.reviseReport(report,
+                    {change: change, previous: previous || {}});
+            });
+            stopTimer();
+            if (response.status === 'revised') {
+                self.logger.info('Revised report', {
+                    contributionId: report.contributionId, change: change,
+                    fields: Object.keys(previous || {})});
+                self.summary.revised++;
+                self.metrics.increment('ReportsRevised');
+            }
+        } catch (err) {
+            if (stopTimer) stopTimer();
+            self.logger.error('Error revising report', {
+                contributionId: report.contributionId, error: err});
+            self.metrics.increment('ReportsFailed');
+            self._recordError('sync', err,
+                {contributionId: report.contributionId});
+        }
+    },
+
+    /**
+     * Compare a report with its stored version.
+     * @param {object} stored Stored report
+     * @param {Report} report The normalized report
+     * @return {?object} Previous values of the changed SYNC_FIELDS, null if
+     * none changed
+     */
+    _changes: function( stored, report ) {
+        let previous = {};
+        SYNC_FIELDS.forEach(function(field) {
+            let value = stored[field];
+            if (field === 'originalImageUrl' && !value) {
+                // Stored before photos were mirrored
+                value = stored.imageUrl || null;
+            }
+            if (value !== report[field]) {
+                previous[field] = value;
+            }
+        });
+        return Object.keys(previous).length > 0 ? previous : null;
+    },
+
+    /**
+     * Withdraw stored reports created in the sync range that the feed no
+     * longer lists. Only runs after a scan that covered the whole range.
+     * Failures are recorded in the run summary, this never rejects.
+     */
+    _withdrawMissing: async function() {
+        let self = this;
+
+        if (!self._syncRange || !self._syncComplete) {
+            return;
+        }
+        try {
+            const withdrawn = await self.sink.withdrawMissing(
+                self._syncRange.from, self._syncRange.to, self._scannedIds);
+            if (withdrawn.length > 0) {
+                self.logger.info('Withdrew reports missing from the feed', {
+                    contributionIds: withdrawn});
+                self.summary.withdrawn += withdrawn.length;
+                self.metrics.increment('ReportsWithdrawn', withdrawn.length);
+            }
+        } catch (err) {
+            self.logger.error('Error withdrawing reports', {error: err});
+            self._recordError('withdraw', err);
+        }
     },
 
     /**
-     * Save a result to cognicity server.
-     * @param {object} result The result object from the web service
+     * Get a report ready to save to cognicity server.
+     * Reports without coordinates are geocoded from their place names, or
+     * saved as unconfirmed if no place matches. Near-duplicates of stored
+     * reports are flagged, or dropped if config.DEDUP_MODE is 'drop'.
+     * This never rejects.
+     * @param {Report} report The normalized report
+     * @return {Promise} Resolves with {report, unconfirmed} to save, or
+     * null if the report was dropped
      */
-    _saveResult: function( result ) {
+    _stageResult: async function( report ) {
          let self = this;
 
          // Detik doesn't allow users from the Gulf of Guinea
          // (indicates no geo available)
-         if (result.location.geospatial.longitude !== 0 &&
-            result.location.geospatial.latitude !== 0) {
-             self._insertConfirmed(result);
+         if (report.longitude === 0 || report.latitude === 0) {
+             self.metrics.increment('ReportsWithoutCoordinates');
+             if (!self._geocode(report)) {
+                 await self._mirrorMedia(report);
+                 return {report: report, unconfirmed: true};
+             }
+             self.summary.geocoded++;
+             self.metrics.increment('ReportsGeocoded');
          }
+
+         if (!self._tagRegion(report)) {
+             self._recordSkip('outside_regions', report.contributionId);
+             return null;
+         }
+         // Dropped duplicates are not worth mirroring
+         if (await self._flagDuplicate(report)) {
+             return null;
+         }
+         await self._mirrorMedia(report);
+         return {report: report, unconfirmed: false};
     },
 
-        /**
-     * Insert a confirmed report - i.e. has geo coordinates
-     * Store both the detik report and the user hash
-     * @param {detikReport} detikReport Detik report object
-     * @return {string} - Query parameters for debugging
+    /**
+     * Save the reports of a page once they are staged, in batches of up to
+     * config.INSERT_BATCH_SIZE reports, one multi-row insert each.
+     * Newly inserted confirmed reports are published as report.created.
+     * Outcomes are recorded in the run summary, this never rejects.
+     * @param {Array} staged Promises from _processResult
+     * @return {Promise} Resolves once every batch is saved
      */
-    _insertConfirmed: async function( detikReport ) {
-            try {
-                // Check for photo URL and fix escaping slashes
-                if (!detikReport.files.photo) {
-                    detikReport.files.photo = null;
-                } else {
-                    detikReport.files.photo =
-                        detikReport.files.photo.replace('\'\'', '');
-                }
+    _savePage: async function( staged ) {
+        let self = this;
+
+        const entries = (await Promise.all(staged)).filter(Boolean);
+        const select = function(unconfirmed) {
+            return entries.filter(function(entry) {
+                return entry.unconfirmed === unconfirmed;
+            }).map(function(entry) {
+                return entry.report;
+            });
+        };
+        const confirmed = self._batches(select(false)).map(
+            async function(batch) {
+                const responses = await self._insertConfirmed(batch);
+                batch.forEach(function(report, i) {
+                    self._recordInsert(responses[i], report, 'inserted');
+                    if (responses[i].status === 'inserted') {
+                        self._publishCreated(report);
+                    }
+                });
+            });
+        const unconfirmed = self._batches(select(true)).map(
+            async function(batch) {
+                const responses = await self._insertUnconfirmed(batch);
+                batch.forEach(function(report, i) {
+                    self._recordInsert(responses[i], report, 'unconfirmed');
+                });
+            });
+        await Promise.all(confirmed.concat(unconfirmed));
+    },
 
-                // Fix language code for this data type
-                detikReport.lang = 'id';
-
-                // Fix escaping slashes or report URL
-                detikReport.url = detikReport.url.replace('\'\'', '');
-
-                // Add disaster type
-                detikReport.disaster_type = 'flood';
-
-                // Insert report
-                const reportQuery = `INSERT INTO ${this.config.TABLE_DETIK} 
-                            (contribution_id, created_at, disaster_type, text, 
-                                lang, url, image_url, title, the_geom)
-                            VALUES ( 
-                            $1,  
-                            to_timestamp($2),  
-                            $3,  
-                            $4,  
-                            $5,  
-                            $6,  
-                            $7,  
-                            $8,  
-                            ST_GeomFromText('POINT($9'), 4326) 
-                            );`;
-                const reportValues = [
-                            detikReport.contributionId,
-                            detikReport.date.create.sec,
-                            detikReport.content,
-                            detikReport.lang,
-                            detikReport.url,
-                            detikReport.files.photo,
-                            detikReport.title,
-                            detikReport.location.geospatial.longitude + ' ' +
-                            detikReport.location.geospatial.latitude,
-                        ];
-
-                await this.pool.query(reportQuery, reportValues);
-                console.log('Logged confirmed Detik report');
-                const userQuery = `SELECT detik.upsert_users(md5($1));`;
-                const userValues = [detikReport.user.creator.id];
-                await this.pool.query(userQuery, userValues);
-                console.log('Logged Detik user');
-                return (null, {query: reportQuery, values: reportValues});
+    /**
+     * Split reports into batches of config.INSERT_BATCH_SIZE.
+     * @param {Array} reports Normalized reports
+     * @return {Array} Batches of reports, in order
+     */
+    _batches: function( reports ) {
+        let self = this;
+
+        const size = self.config.INSERT_BATCH_SIZE || 100;
+        let batches = [];
+        for (let i = 0; i < reports.length; i += size) {
+            batches.push(reports.slice(i, i + size));
+        }
+        return batches;
+    },
+
+    /**
+     * Mirror the photo of a report, pointing imageUrl at the copy.
+     * Photos that cannot be mirrored keep their Detik URL, unless the URL
+     * is invalid. Failures are counted, this never rejects.
+     * @param {Report} report The normalized report
+     */
+    _mirrorMedia: async function( report ) {
+        let self = this;
+
+        if (!self.media || !report.originalImageUrl) {
+            return;
+        }
+        try {
+            const mirrored = await self._mediaLimiter.run(function() {
+                return self.media.mirror(report.originalImageUrl);
+            });
+            report.imageUrl = mirrored.url;
+            self.summary.mediaMirrored++;
+            self.metrics.increment('MediaMirrored');
+            if (mirrored.stored) {
+                self.metrics.increment('MediaStored');
+            }
+        } catch (err) {
+            self.logger.warn('Error mirroring photo', {
+                contributionId: report.contributionId,
+                url: report.originalImageUrl, reason: err.reason,
+                error: err});
+            if (err.reason === 'invalid_url') {
+                report.imageUrl = null;
+            }
+            self.summary.mediaFailed++;
+            self.metrics.increment('MediaFailed');
+        }
+    },
+
+    /**
+     * Look for an earlier report the report duplicates.
+     * Duplicates are linked to the canonical report through duplicateOf,
+     * or skipped if config.DEDUP_MODE is 'drop'. Reports are checked one at
+     * a time in the order they were staged. Lookup failures are logged and
+     * the report is saved as is, this never rejects.
+     * @param {Report} report The normalized, located report
+     * @return {boolean} True if the report was dropped
+     */
+    _flagDuplicate: async function( report ) {
+        let self = this;
+
+        if (!self.deduplicator) {
+            return false;
+        }
+        const canonical = await self._dedupLimiter.run(async function() {
+            const range = self.deduplicator.range(report);
+            let candidates;
+            try {
+                candidates = await self._dbLimiter.run(function() {
+                    return self.sink.findRecentReports(range.from, range.to,
+                        self.deduplicator.maxCandidates);
+                });
             } catch (err) {
-                console.log('Error processing Detik data.', err.message);
-                return (new Error('Error processing Detik data. ' +
-                    err.message));
+                self.logger.warn('Error looking for duplicates', {
+                    contributionId: report.contributionId, error: err});
+                candidates = [];
+            }
+            // Flagged and remembered before the next check, so reports of
+            // one run see each other before they are saved
+            const canonical = self.deduplicator.match(report,
+                candidates.concat(self._recentReports));
+            if (canonical && self.config.DEDUP_MODE === 'drop') {
+                return canonical;
             }
+            if (canonical) {
+                report.duplicateOf = canonical.contributionId;
+            }
+            self._recentReports.push(report);
+            return canonical;
+        });
+        if (!canonical) {
+            return false;
+        }
+        self.logger.info('Found near-duplicate report', {
+            contributionId: report.contributionId,
+            duplicateOf: canonical.contributionId,
+            reason: canonical.reason, distance: canonical.distance,
+            similarity: canonical.similarity});
+        if (self.config.DEDUP_MODE === 'drop') {
+            self._recordSkip('near_duplicate', report.contributionId);
+            return true;
+        }
+        self.summary.duplicates++;
+        self.metrics.increment('ReportsDuplicate');
+        return false;
+    },
+
+    /**
+     * Record the outcome of storing a report in the run summary.
+     * @param {object} response Insert result from the sink
+     * @param {Report} report The normalized report
+     * @param {string} counter Summary counter for newly stored reports
+     */
+    _recordInsert: function( response, report, counter ) {
+        let self = this;
+
+        if (response.status === 'inserted') {
+            self.summary[counter]++;
+            self.metrics.increment(counter === 'unconfirmed' ?
+                'ReportsUnconfirmed' : 'ReportsInserted');
+        } else if (response.status === 'updated') {
+            self.summary.updated++;
+            self.metrics.increment('ReportsUpdated');
+        } else if (response.status === 'duplicate') {
+            self._recordSkip('duplicate', report.contributionId);
+        } else {
+            self.metrics.increment('ReportsFailed');
+            self._recordError('insert', response.error,
+               {contributionId: report.contributionId});
+        }
     },
 
     /**
-    * Get the last contribution ID as stored in the database
+     * Resolve a location for a report without coordinates from the
+     * gazetteer. Matched reports get the place centroid, flagged as
+     * approximate.
+     * @param {Report} report The normalized report
+     * @return {boolean} True if a place matched
+     */
+    _geocode: function( report ) {
+        let self = this;
+
+        const place = self.gazetteer.match(report);
+        if (!place) {
+            return false;
+        }
+        self.logger.info('Located report from gazetteer', {
+            contributionId: report.contributionId, level: place.level,
+            place: place.name});
+        report.longitude = place.longitude;
+        report.latitude = place.latitude;
+        report.approximateGeom = true;
+        report.geocodeMatch = place.name;
+        return true;
+    },
+
+    /**
+     * Tag a located report with the instance region it falls in.
+     * @param {Report} report The normalized report
+     * @return {boolean} False if the report is outside all regions and
+     * config.FILTER_REGIONS is set, true otherwise
+     */
+    _tagRegion: function( report ) {
+        let self = this;
+
+        report.region = self.regions.find(report.longitude, report.latitude);
+        if (report.region === null && self.config.FILTER_REGIONS) {
+            self.logger.info('Report outside instance regions', {
+                contributionId: report.contributionId});
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * Insert confirmed reports - i.e. with geo coordinates
+     * Store both the detik reports and the user hashes via the sink, in one
+     * multi-row insert once a database slot is free.
+     * @param {Array} reports The normalized reports
+     * @return {Array} - Insert result of each report, in order, with status
+     * one of 'inserted', 'updated', 'duplicate' or 'failed'
+     */
+    _insertConfirmed: function( reports ) {
+        let self = this;
+
+        return self._insertBatch(reports, 'Saved report',
+            'Error saving reports', function() {
+                return self.sink.saveReports(reports);
+            });
+    },
+
+    /**
+     * Insert unconfirmed reports - i.e. without geo coordinates
+     * Store both the detik reports and the user hashes via the sink, in one
+     * multi-row insert once a database slot is free.
+     * @param {Array} reports The normalized reports
+     * @return {Array} - Insert result of each report, in order, with status
+     * one of 'inserted', 'duplicate' or 'failed'
+     */
+    _insertUnconfirmed: function( reports ) {
+        let self = this;
+
+        return self._insertBatch(reports, 'Saved unconfirmed report',
+            'Error saving unconfirmed reports', function() {
+                return self.sink.saveUnconfirmedReports(reports);
+            });
+    },
+
+    /**
+     * Run a batch insert under the database limiter.
+     * A failing insert fails every report of the batch.
+     * @param {Array} reports The normalized reports
+     * @param {string} savedMessage Logged for each saved report
+     * @param {string} errorMessage Logged if the insert fails
+     * @param {function} save Inserts the reports, resolves with the sink
+     * response of each
+     * @return {Promise} Resolves with the insert result of each report
+     */
+    _insertBatch: async function( reports, savedMessage, errorMessage,
+        save ) {
+        let self = this;
+
+        let stopTimer = null;
+        try {
+            const responses = await self._dbLimiter.run(function() {
+                stopTimer = self.metrics.startTimer('DbLatency');
+                return save();
+            });
+            stopTimer();
+            reports.forEach(function(report, i) {
+                self.logger.info(savedMessage, {
+                    contributionId: report.contributionId,
+                    status: responses[i].status});
+            });
+            return responses;
+        } catch (err) {
+            if (stopTimer) stopTimer();
+            self.logger.error(errorMessage, {
+                contributionIds: reports.map(function(report) {
+                    return report.contributionId;
+                }), error: err});
+            const error = new Error('Error processing Detik data. ' +
+                err.message);
+            return reports.map(function() {
+                return {status: 'failed', error: error};
+            });
+        }
+    },
+
+    /**
+    * Get the checkpoint of this feed from the sink
     * Update _lastContributionId
+    * Falls back to the highest stored contribution ID if there is no
+    * checkpoint yet, unless other feeds store to the same table
+    * (config.FEED_SHARED_TABLE), as their reports would be taken for seen
     */
-    _updateLastContributionIdFromDatabase: async function() {
+    _loadCheckpoint: async function() {
         let self = this;
 
-        const query = `SELECT contribution_id FROM ${self.config.TABLE_DETIK}
-        ORDER BY contribution_id DESC LIMIT 1;`;
+        const checkpoint = await self.sink.readCheckpoint(
+            self._checkpointName());
+
+        if (checkpoint) {
+            self._checkpoint = checkpoint;
+            self._lastContributionId = checkpoint.lastContributionId;
+            self.logger.info('Set last contribution ID from checkpoint', {
+                contributionId: self._lastContributionId});
+            return;
+        }
+
+        if (self.config.FEED_SHARED_TABLE) {
+            self.logger.warn('No checkpoint for a feed sharing its table, ' +
+                'loading the historical load period',
+                {table: self.config.TABLE_DETIK});
+            return;
+        }
 
-        const result = await self.pool.query(query);
+        const contributionId = await self.sink.getLastContributionId();
 
-        if (result && result.rows && result.rows[0]) {
-            self._lastContributionId = result.rows[0].contribution_id;
-            console.log('Set last contribution ID from database');
+        if (contributionId !== null && contributionId !== undefined) {
+            self._lastContributionId = contributionId;
+            self.logger.info('Set last contribution ID from sink', {
+                contributionId: self._lastContributionId});
         } else {
-            console.log(`Error setting last contribution ID from 
-            database (is the reports table empty?)`);
+            self.logger.warn('No last contribution ID in sink, ' +
+                'is the reports table empty?');
+        }
+    },
+
+    /**
+     * Load a range of Detik reports, ignoring the checkpoint.
+     * Pages are fetched from the newest until the start of the range, and
+     * reports in the range go through the same filtering and saving as a
+     * poll.
+     * @param {object} range Range of reports to load
+     * @param {number} range.from Oldest report time in ms since epoch, the
+     * update or creation time as set by config.CUTOFF_TIMESTAMP
+     * @param {number} range.to Newest report time in ms since epoch
+     * @param {number} range.fromId Lowest contribution ID
+     * @param {number} range.toId Highest contribution ID
+     * @return {Promise} Resolves with the run summary when done
+     */
+    backfill: async function( range ) {
+        let self = this;
+
+        self._beginRun();
+        self._range = range;
+        self._lastContributionId = range.fromId ? range.fromId - 1 : 0;
+
+        self.logger.info('Starting backfill', {range: range,
+            url: self.config.DETIK_URL});
+
+        try {
+            return await self._poll();
+        } finally {
+            self._range = null;
         }
     },
 
     /**
      * Start fetching Detik reports.
-     * Setup polling and start fetching reports from the Detik feed.
+     * Get the last contribution ID and poll the Detik feed once.
+     * @return {Promise} Resolves with the run summary when the poll is done
      */
-    start: function() {
+    start: async function() {
         let self = this;
 
-        // Initiate by getting last report ID from database
-        self._updateLastContributionIdFromDatabase();
+        self._beginRun();
 
-        // Called on interval to poll data source
-        let poll = function() {
-            console.log( 'DetikDataSource > start: Polling ' +
-            self.config.DETIK_URL );
-            self._poll();
-        };
+        // Initiate by getting last report ID from the checkpoint
+        await self._loadCheckpoint();
+
+        self.logger.info('Starting poll', {url: self.config.DETIK_URL});
 
         // Poll now, immediately
-        poll();
+        return self._poll();
     },
 
 };
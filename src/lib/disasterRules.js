@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * Default disaster-type classification rules.
+ * Each rule matches either whole-word keywords or a regular expression
+ * (case-insensitive) against the report title and text. Rule order breaks
+ * ties between disaster types with the same number of matches.
+ * @type {Array}
+ */
+module.exports = [
+    {
+        name: 'flood-id',
+        disasterType: 'flood',
+        keywords: ['banjir', 'kebanjiran', 'genangan', 'tergenang',
+            'menggenang', 'banjir rob', 'luapan', 'meluap', 'air naik',
+            'air setinggi'],
+    },
+    {
+        name: 'flood-en',
+        disasterType: 'flood',
+        keywords: ['flood', 'floods', 'flooded', 'flooding', 'inundated',
+            'inundation', 'waterlogged'],
+    },
+    {
+        name: 'fire-id',
+        disasterType: 'fire',
+        keywords: ['kebakaran', 'terbakar', 'dilalap api', 'si jago merah',
+            'karhutla', 'kobaran api'],
+    },
+    {
+        name: 'fire-en',
+        disasterType: 'fire',
+        keywords: ['fire', 'fires', 'blaze', 'wildfire', 'burning'],
+    },
+    {
+        name: 'earthquake-id',
+        disasterType: 'earthquake',
+        keywords: ['gempa', 'gempa bumi', 'gempabumi', 'lindu', 'guncangan'],
+    },
+    {
+        name: 'earthquake-en',
+        disasterType: 'earthquake',
+        keywords: ['earthquake', 'quake', 'tremor', 'aftershock'],
+    },
+    {
+        name: 'haze-id',
+        disasterType: 'haze',
+        keywords: ['kabut asap', 'asap tebal', 'asap kebakaran', 'ispa'],
+    },
+    {
+        name: 'haze-en',
+        disasterType: 'haze',
+        keywords: ['haze', 'smog', 'smoke'],
+    },
+    {
+        name: 'wind-id',
+        disasterType: 'wind',
+        keywords: ['angin kencang', 'angin ribut', 'angin puting beliung',
+            'puting beliung', 'badai', 'pohon tumbang'],
+    },
+    {
+        name: 'wind-en',
+        disasterType: 'wind',
+        keywords: ['strong wind', 'strong winds', 'windstorm', 'tornado',
+            'whirlwind', 'gale', 'storm'],
+    },
+    {
+        name: 'volcano-id',
+        disasterType: 'volcano',
+        keywords: ['erupsi', 'meletus', 'letusan', 'gunung api',
+            'gunungapi', 'awan panas', 'abu vulkanik', 'hujan abu', 'lahar',
+            'guguran lava'],
+    },
+    {
+        name: 'volcano-en',
+        disasterType: 'volcano',
+        pattern: '\\b(volcan(o|oes|ic)|erupt(s|ed|ion|ing)?|lava|ash ?fall)\\b',
+    },
+];
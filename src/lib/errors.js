@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Error fetching a page from a feed.
+ */
+class FetchError extends Error {
+    /**
+     * @param {string} message Error message
+     * @param {object} properties Extra properties
+     * @param {boolean} properties.transient True if retrying may succeed,
+     * e.g. 5xx or 429 responses, timeouts and socket errors
+     * @param {number} properties.statusCode HTTP status code, if any
+     * @param {number} properties.retryAfter Delay requested by the server in
+     * milliseconds, if any
+     */
+    constructor(message, properties) {
+        super(message);
+        this.name = 'FetchError';
+        this.transient = false;
+        this.statusCode = null;
+        this.retryAfter = null;
+        this.attempts = 1;
+        Object.assign(this, properties);
+    }
+}
+
+/**
+ * Invalid configuration.
+ * Lists every invalid key, so all of them can be fixed at once.
+ */
+class ConfigError extends Error {
+    /**
+     * @param {Array} errors Problems, as {key, message}
+     */
+    constructor(errors) {
+        super('Invalid configuration:\n' + errors.map(function(error) {
+            return '  ' + error.key + ': ' + error.message;
+        }).join('\n'));
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Error mirroring a report photo.
+ */
+class MediaError extends Error {
+    /**
+     * @param {string} message Error message
+     * @param {string} reason Short reason, e.g. 'invalid_url', 'too_large',
+     * 'content_type', 'http_status' or 'request'
+     */
+    constructor(message, reason) {
+        super(message);
+        this.name = 'MediaError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Error delivering an event downstream.
+ */
+class PublishError extends Error {
+    /**
+     * @param {string} message Error message
+     * @param {object} properties Extra properties
+     * @param {boolean} properties.transient True if retrying may succeed,
+     * e.g. 5xx or 429 responses, timeouts and socket errors
+     * @param {number} properties.statusCode HTTP status code, if any
+     */
+    constructor(message, properties) {
+        super(message);
+        this.name = 'PublishError';
+        this.transient = true;
+        this.statusCode = null;
+        Object.assign(this, properties);
+    }
+}
+
+module.exports = {
+    ConfigError: ConfigError,
+    FetchError: FetchError,
+    MediaError: MediaError,
+    PublishError: PublishError,
+};
@@ -0,0 +1,179 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const createLogger = require('../logger').createLogger;
+const retry = require('../retry');
+const SnsTransport = require('./sns');
+const StdoutTransport = require('./stdout');
+const WebhookTransport = require('./webhook');
+
+/**
+ * Downstream event publisher.
+ * Events are delivered in the background, so publishing never holds up
+ * ingestion. Failed deliveries are retried with exponential backoff and
+ * jitter up to config.EVENTS_RETRIES times, then logged and dropped.
+ * @constructor
+ * @param {object} config Detik configuration
+ * @param {object} transport Event transport, implementing send(event)
+ * @param {Logger} logger Structured logger, defaults to one at
+ * config.LOG_LEVEL
+ */
+let Publisher = function Publisher(
+        config,
+        transport,
+        logger
+    ) {
+    this.config = config;
+    this.transport = transport;
+    this.logger = logger || createLogger(config);
+
+    this._pending = [];
+    this._counts = {published: 0, failed: 0};
+
+    // Set constructor reference (used to print the name of this publisher)
+    this.constructor = Publisher;
+};
+
+Publisher.prototype = {
+
+    /**
+     * Publisher configuration.
+     * @type {object}
+     */
+    config: {},
+
+    /**
+     * Event transport.
+     * @type {object}
+     */
+    transport: null,
+
+    /**
+     * Structured logger.
+     * @type {Logger}
+     */
+    logger: null,
+
+    /**
+     * Deliveries not yet settled.
+     * @type {Array}
+     */
+    _pending: null,
+
+    /**
+     * Events published and failed since the last flush.
+     * @type {object}
+     */
+    _counts: null,
+
+    /**
+     * Publish an event, without waiting for delivery.
+     * @param {string} type Event type, e.g. 'report.created'
+     * @param {object} data Event payload
+     * @return {object} The event, {id, type, time, feed, data}
+     */
+    publish: function( type, data ) {
+        let self = this;
+
+        const event = {
+            id: crypto.randomBytes(8).toString('hex'),
+            type: type,
+            time: new Date().toISOString(),
+            feed: self.config.FEED_NAME,
+            data: data,
+        };
+        self._pending.push(self._deliver(event));
+        return event;
+    },
+
+    /**
+     * Wait for every published event to be delivered or given up on.
+     * @return {Promise} Resolves with {published, failed}, the events
+     * delivered and dropped since the last flush; never rejects
+     */
+    flush: async function() {
+        let self = this;
+
+        while (self._pending.length > 0) {
+            const pending = self._pending;
+            self._pending = [];
+            await Promise.all(pending);
+        }
+        const counts = self._counts;
+        self._counts = {published: 0, failed: 0};
+        return counts;
+    },
+
+    /**
+     * Deliver an event, retrying failures.
+     * @param {object} event Event
+     * @return {Promise} Resolves once delivered or given up on, never
+     * rejects
+     */
+    _deliver: async function( event ) {
+        let self = this;
+
+        try {
+            await retry.retry(function() {
+                return self.transport.send(event);
+            }, {
+                retries: self.config.EVENTS_RETRIES,
+                transient: function(err) {
+                    return err.transient !== false;
+                },
+                delay: function(attempt) {
+                    return retry.backoffDelay(attempt,
+                        Number(self.config.EVENTS_RETRY_BASE_DELAY || 0));
+                },
+                onRetry: function(err, attempt, delay) {
+                    self.logger.warn('Retrying event', {eventId: event.id,
+                        type: event.type, attempt: attempt, delayMs: delay,
+                        error: err});
+                },
+            });
+            self._counts.published++;
+        } catch (err) {
+            self.logger.error('Error publishing event', {
+                eventId: event.id, type: event.type,
+                attempts: err.attempts, error: err,
+                statusCode: err.statusCode || null});
+            self._counts.failed++;
+        }
+    },
+
+};
+
+/**
+ * Create the event publisher for config.EVENTS_PUBLISHER.
+ * Every transport implements send(event), returning a promise.
+ * @param {object} config Detik configuration
+ * @param {Logger} logger Structured logger
+ * @param {object} snsClient SNS client for the 'sns' transport, defaults to
+ * one from the AWS SDK
+ * @return {?Publisher} Publisher, null if config.EVENTS_PUBLISHER is 'none'
+ */
+const createPublisher = function( config, logger, snsClient ) {
+    const type = config.EVENTS_PUBLISHER || 'none';
+    let transport;
+    if (type === 'none') {
+        return null;
+    } else if (type === 'webhook') {
+        transport = new WebhookTransport(config);
+    } else if (type === 'sns') {
+        transport = new SnsTransport(config, snsClient);
+    } else if (type === 'stdout') {
+        transport = new StdoutTransport(config);
+    } else {
+        throw new Error('Unknown events publisher ' + type);
+    }
+    return new Publisher(config, transport, logger);
+};
+
+module.exports = {
+    createPublisher: createPublisher,
+    Publisher: Publisher,
+    SnsTransport: SnsTransport,
+    StdoutTransport: StdoutTransport,
+    WebhookTransport: WebhookTransport,
+};
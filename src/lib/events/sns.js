@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * SNS event transport.
+ * Publishes each event as JSON to config.EVENTS_SNS_TOPIC_ARN, with the
+ * event type as the type message attribute for subscription filters.
+ * The client implements publish(params) like the AWS SDK SNS client,
+ * returning a promise or a request with a promise() method. Without a
+ * client, one is created from the AWS SDK provided by the Lambda runtime,
+ * at config.EVENTS_SNS_ENDPOINT if set (e.g. for LocalStack).
+ * @constructor
+ * @param {object} config Detik configuration
+ * @param {object} client SNS client
+ */
+let SnsTransport = function SnsTransport(
+        config,
+        client
+    ) {
+    this.config = config;
+    this.topicArn = config.EVENTS_SNS_TOPIC_ARN;
+
+    if (!client) {
+        const SNS = require('aws-sdk').SNS;
+        client = new SNS(config.EVENTS_SNS_ENDPOINT ?
+            {endpoint: config.EVENTS_SNS_ENDPOINT} : {});
+    }
+    this.client = client;
+
+    // Set constructor reference (used to print the name of this transport)
+    this.constructor = SnsTransport;
+};
+
+SnsTransport.prototype = {
+
+    /**
+     * Transport configuration.
+     * @type {object}
+     */
+    config: {},
+
+    /**
+     * Topic events are published to.
+     * @type {string}
+     */
+    topicArn: null,
+
+    /**
+     * SNS client.
+     * @type {object}
+     */
+    client: null,
+
+    /**
+     * Deliver an event once.
+     * @param {object} event Event
+     * @return {Promise} Resolves once published
+     */
+    send: function( event ) {
+        let self = this;
+
+        const request = self.client.publish({
+            TopicArn: self.topicArn,
+            Message: JSON.stringify(event),
+            MessageAttributes: {
+                type: {DataType: 'String', StringValue: event.type},
+            },
+        });
+        return request && typeof request.promise === 'function' ?
+            request.promise() : Promise.resolve(request);
+    },
+
+};
+
+module.exports = SnsTransport;
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * Stdout event transport, for local runs.
+ * Writes each event as a JSON line.
+ * @constructor
+ * @param {object} config Detik configuration
+ * @param {function} write Called with each line, defaults to console.log
+ */
+let StdoutTransport = function StdoutTransport(
+        config,
+        write
+    ) {
+    this.config = config;
+    this.write = write || console.log;
+
+    // Set constructor reference (used to print the name of this transport)
+    this.constructor = StdoutTransport;
+};
+
+StdoutTransport.prototype = {
+
+    /**
+     * Transport configuration.
+     * @type {object}
+     */
+    config: {},
+
+    /**
+     * Deliver an event.
+     * @param {object} event Event
+     * @return {Promise} Resolves once written
+     */
+    send: async function( event ) {
+        this.write(JSON.stringify(event));
+    },
+
+};
+
+module.exports = StdoutTransport;
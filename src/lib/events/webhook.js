@@ -0,0 +1,128 @@
+'use strict';
+
+const crypto = require('crypto');
+const parseUrl = require('url').parse;
+
+const PublishError = require('../errors').PublishError;
+const isTransientStatus = require('../retry').isTransientStatus;
+
+/**
+ * Webhook event transport.
+ * POSTs each event as JSON to config.EVENTS_WEBHOOK_URL. With
+ * config.EVENTS_WEBHOOK_SECRET set, the body is signed with HMAC-SHA256 in
+ * the X-Detik-Signature header, as sha256=<hex digest>, so receivers can
+ * check it came from us.
+ * @constructor
+ * @param {object} config Detik configuration
+ */
+let WebhookTransport = function WebhookTransport(
+        config
+    ) {
+    this.config = config;
+
+    this.http = require('http');
+    this.https = require('https');
+
+    // Set constructor reference (used to print the name of this transport)
+    this.constructor = WebhookTransport;
+};
+
+WebhookTransport.prototype = {
+
+    /**
+     * Transport configuration.
+     * @type {object}
+     */
+    config: {},
+
+    /**
+     * Instance of node http.
+     */
+    http: null,
+
+    /**
+     * Instance of node https.
+     */
+    https: null,
+
+    /**
+     * Sign a body.
+     * @param {string} body Request body
+     * @return {string} sha256=<hex HMAC-SHA256 of the body>
+     */
+    sign: function( body ) {
+        return 'sha256=' + crypto.createHmac('sha256',
+            this.config.EVENTS_WEBHOOK_SECRET).update(body).digest('hex');
+    },
+
+    /**
+     * Deliver an event once.
+     * @param {object} event Event
+     * @return {Promise} Resolves once the webhook answers with a 2xx status,
+     * rejects with a PublishError otherwise
+     */
+    send: function( event ) {
+        let self = this;
+
+        const url = self.config.EVENTS_WEBHOOK_URL;
+        const body = JSON.stringify(event);
+        let headers = {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            'X-Detik-Event': event.type,
+            'X-Detik-Event-Id': event.id,
+        };
+        if (self.config.EVENTS_WEBHOOK_SECRET) {
+            headers['X-Detik-Signature'] = self.sign(body);
+        }
+        const options = Object.assign(parseUrl(url),
+            {method: 'POST', headers: headers});
+        const client = options.protocol === 'http:' ? self.http : self.https;
+        const timeout = Number(self.config.EVENTS_TIMEOUT || 0);
+
+        return new Promise(function(resolve, reject) {
+            let settled = false;
+            const settle = function(callback, value) {
+                if (!settled) {
+                    settled = true;
+                    callback(value);
+                }
+            };
+
+            let req = client.request(options, function(res) {
+                // Drain the response, only the status matters
+                res.on('data', function() {});
+                res.on('end', function() {
+                    const statusCode = res.statusCode;
+                    if (statusCode >= 200 && statusCode < 300) {
+                        settle(resolve);
+                        return;
+                    }
+                    settle(reject, new PublishError('HTTP status ' +
+                        statusCode, {
+                        statusCode: statusCode,
+                        transient: isTransientStatus(statusCode),
+                    }));
+                });
+            });
+
+            req.on('error', function(error) {
+                settle(reject, new PublishError(error.message,
+                    {code: error.code}));
+            });
+
+            if (timeout > 0) {
+                req.setTimeout(timeout, function() {
+                    settle(reject, new PublishError('Request timed out after ' +
+                        timeout + ' ms', {code: 'ETIMEDOUT'}));
+                    req.abort();
+                });
+            }
+
+            req.end(body);
+        });
+    },
+
+};
+
+module.exports = WebhookTransport;
@@ -0,0 +1,87 @@
+'use strict';
+
+const path = require('path');
+
+const DetikDataSource = require('./detik');
+const createLogger = require('./logger').createLogger;
+
+/**
+ * Expand the configuration into one configuration per feed.
+ * Each feed of config.FEEDS overrides the feed name, URL, format,
+ * pagination, age cutoff, default disaster type, time zone and tables of
+ * the shared configuration, and records or replays its pages in a
+ * directory named after it under config.FIXTURE_PATH. FEED_SHARED_TABLE is
+ * set on feeds whose reports table another feed also stores to. Without
+ * config.FEEDS there is one feed, config.FEED_NAME at config.DETIK_URL.
+ * @param {object} config Detik configuration
+ * @return {Array} Feed configurations, in the order listed
+ */
+const feedConfigs = function( config ) {
+    if (!config.FEEDS) {
+        return [config];
+    }
+    const option = function(value, fallback) {
+        return value !== undefined && value !== null ? value : fallback;
+    };
+    const tables = config.FEEDS.map(function(feed) {
+        return option(feed.table, config.TABLE_DETIK);
+    });
+    return config.FEEDS.map(function(feed, i) {
+        return Object.assign({}, config, {
+            FEED_NAME: feed.name,
+            DETIK_URL: feed.url,
+            FEED_FORMAT: option(feed.format, config.FEED_FORMAT),
+            FEED_PAGINATION: option(feed.pagination, config.FEED_PAGINATION),
+            HISTORICAL_LOAD_PERIOD: option(feed.historicalLoadPeriod,
+                config.HISTORICAL_LOAD_PERIOD),
+            DEFAULT_DISASTER_TYPE: option(feed.disasterType,
+                config.DEFAULT_DISASTER_TYPE),
+            SOURCE_TIMEZONE: option(feed.timezone, config.SOURCE_TIMEZONE),
+            TABLE_DETIK: tables[i],
+            FEED_SHARED_TABLE: tables.filter(function(table) {
+                return table === tables[i];
+            }).length > 1,
+            TABLE_DETIK_UNCONFIRMED: option(feed.unconfirmedTable,
+                config.TABLE_DETIK_UNCONFIRMED),
+            FIXTURE_PATH: config.FIXTURE_PATH ?
+                path.join(config.FIXTURE_PATH, feed.name) : config.FIXTURE_PATH,
+        });
+    });
+};
+
+/**
+ * Poll every feed once, one after the other.
+ * Each feed has its own data source and checkpoint. A feed that fails is
+ * recorded in its result and the remaining feeds are still polled.
+ * @param {object} config Detik configuration
+ * @param {object} pool Postgres connection pool
+ * @param {object} options DetikDataSource options shared by every feed,
+ * each feed logs through a child of options.logger with its name
+ * @return {Promise} Resolves with {feeds}, the run summary of each feed by
+ * name
+ */
+const pollFeeds = async function( config, pool, options ) {
+    options = options || {};
+    const logger = options.logger || createLogger(config);
+
+    let results = {feeds: {}};
+    for (const feedConfig of feedConfigs(config)) {
+        const name = feedConfig.FEED_NAME;
+        const feedLogger = logger.child({feed: name});
+        try {
+            const dataSource = new DetikDataSource(feedConfig, pool,
+                Object.assign({}, options, {logger: feedLogger}));
+            results.feeds[name] = await dataSource.start();
+        } catch (err) {
+            feedLogger.error('Error polling feed', {error: err});
+            results.feeds[name] = {errors: [{stage: 'feed',
+                message: err.message}]};
+        }
+    }
+    return results;
+};
+
+module.exports = {
+    feedConfigs: feedConfigs,
+    pollFeeds: pollFeeds,
+};
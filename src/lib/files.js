@@ -0,0 +1,29 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const mkdir = util.promisify(fs.mkdir);
+
+/**
+ * Create a directory and its missing parents.
+ * fs.mkdir only creates parents from node 10.12, later than the Lambda
+ * runtime.
+ * @param {string} dir Directory path
+ * @return {Promise} Resolves when the directory exists
+ */
+const mkdirs = async function( dir ) {
+    try {
+        await mkdir(dir);
+    } catch (err) {
+        if (err.code === 'EEXIST') return;
+        if (err.code !== 'ENOENT') throw err;
+        await mkdirs(path.dirname(dir));
+        await mkdirs(dir);
+    }
+};
+
+module.exports = {
+    mkdirs: mkdirs,
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+const fs = require('fs');
+
+const defaultGazetteer = require('./defaultGazetteer');
+
+/**
+ * Normalize text for place name matching.
+ * Lower case, no diacritics or punctuation, single spaces, padded with a
+ * space on each side so names can be matched as whole words.
+ * @param {string} text Text to normalize
+ * @return {string} Normalized text
+ */
+const normalizeText = function( text ) {
+    return ' ' + String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim() + ' ';
+};
+
+/**
+ * Offline gazetteer.
+ * Resolves a location for reports without coordinates by matching place
+ * names against the report location name, then title, then text.
+ * @constructor
+ * @param {Array} entries Places as [name, level, city, longitude, latitude],
+ * defaults to the bundled gazetteer
+ */
+let Gazetteer = function Gazetteer(
+        entries
+    ) {
+    this.places = (entries || defaultGazetteer).map(function(entry) {
+        return {
+            name: entry[0],
+            level: entry[1],
+            city: entry[2],
+            longitude: entry[3],
+            latitude: entry[4],
+            key: normalizeText(entry[0]),
+        };
+    }).sort(function(a, b) {
+        // Longest names first, so 'Cipinang Melayu' wins over 'Melayu'
+        return b.key.length - a.key.length;
+    });
+
+    // Set constructor reference (used to print the name of this object)
+    this.constructor = Gazetteer;
+};
+
+Gazetteer.prototype = {
+
+    /**
+     * Places, longest name first.
+     * @type {Array}
+     */
+    places: null,
+
+    /**
+     * Find the place a report refers to.
+     * @param {Report} report The normalized report
+     * @return {?object} Matching place with name, level, city, longitude and
+     * latitude, or null if none matched
+     */
+    match: function( report ) {
+        let self = this;
+
+        const fields = [report.locationName, report.title, report.text];
+        for (let i = 0; i < fields.length; i++) {
+            if (!fields[i]) continue;
+            const text = normalizeText(fields[i]);
+            for (let j = 0; j < self.places.length; j++) {
+                if (text.indexOf(self.places[j].key) !== -1) {
+                    return self.places[j];
+                }
+            }
+        }
+        return null;
+    },
+
+};
+
+/**
+ * Create the gazetteer for a configuration.
+ * Places are read from the JSON file config.GAZETTEER_FILE if set.
+ * @param {object} config Detik configuration
+ * @return {Gazetteer} Gazetteer
+ */
+const createGazetteer = function( config ) {
+    if (config.GAZETTEER_FILE) {
+        return new Gazetteer(JSON.parse(
+            fs.readFileSync(config.GAZETTEER_FILE, 'utf8')));
+    }
+    return new Gazetteer();
+};
+
+module.exports = {
+    Gazetteer: Gazetteer,
+    createGazetteer: createGazetteer,
+    normalizeText: normalizeText,
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Concurrency limiter.
+ * Runs at most a set number of tasks at once, queueing the others in the
+ * order they were added.
+ * @constructor
+ * @param {number} concurrency Most tasks to run at once, at least 1
+ */
+let Limiter = function Limiter(
+        concurrency
+    ) {
+    this.concurrency = Math.max(1, concurrency || 1);
+    this.active = 0;
+    this._queue = [];
+
+    // Set constructor reference (used to print the name of this limiter)
+    this.constructor = Limiter;
+};
+
+Limiter.prototype = {
+
+    /**
+     * Most tasks to run at once.
+     * @type {number}
+     */
+    concurrency: 1,
+
+    /**
+     * Number of tasks running.
+     * @type {number}
+     */
+    active: 0,
+
+    /**
+     * Run a task once fewer than concurrency tasks are running.
+     * @param {function} task Called without arguments, returns a value or a
+     * Promise
+     * @return {Promise} Resolves or rejects like the task
+     */
+    run: function( task ) {
+        let self = this;
+
+        return new Promise(function(resolve, reject) {
+            self._queue.push({task: task, resolve: resolve, reject: reject});
+            self._next();
+        });
+    },
+
+    /**
+     * Start queued tasks while there is room.
+     */
+    _next: function() {
+        let self = this;
+
+        while (self.active < self.concurrency && self._queue.length > 0) {
+            const entry = self._queue.shift();
+            self.active++;
+            Promise.resolve().then(entry.task).then(entry.resolve,
+                entry.reject).then(function() {
+                self.active--;
+                self._next();
+            });
+        }
+    },
+
+};
+
+module.exports = Limiter;
@@ -0,0 +1,248 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Log levels, in increasing order of severity.
+ * @type {object}
+ */
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100,
+};
+
+/**
+ * Field names whose values are never logged.
+ * @type {Array}
+ */
+const REDACTED_FIELDS = ['password', 'secret', 'token', 'authorization',
+    'pgpassword'];
+
+/**
+ * Field names holding raw response bodies, which are truncated harder.
+ * @type {Array}
+ */
+const BODY_FIELDS = ['body', 'response'];
+
+/**
+ * Shorten a string, noting how much was cut.
+ * @param {string} text Text to shorten
+ * @param {number} max Maximum length to keep
+ * @return {string} Shortened text
+ */
+const truncate = function( text, max ) {
+    if (text.length <= max) return text;
+    return text.slice(0, max) + '... (' + (text.length - max) +
+        ' more characters)';
+};
+
+/**
+ * Structured logger.
+ * Writes one JSON object per event, with time, level, message, the fields
+ * of this logger and its parents, and the fields of the event.
+ * @constructor
+ * @param {object} options Logger options
+ * @param {string} options.level Lowest level to write, defaults to 'info'
+ * @param {object} options.fields Fields added to every event
+ * @param {function} options.write Called with each JSON line, defaults to
+ * console.log
+ * @param {number} options.maxBodyLength Characters of response bodies kept
+ * @param {number} options.maxStringLength Characters of other strings kept
+ * @param {Logger} options.parent Logger whose fields are inherited
+ */
+let Logger = function Logger(
+        options
+    ) {
+    options = options || {};
+
+    if (options.level && !LEVELS[options.level]) {
+        throw new Error('Unknown log level ' + options.level);
+    }
+    this.level = options.level || (options.parent ?
+        options.parent.level : 'info');
+    this.fields = Object.assign({}, options.fields);
+    this.parent = options.parent || null;
+    this.write = options.write || (options.parent ? options.parent.write :
+        console.log);
+    this.maxBodyLength = options.maxBodyLength ||
+        (options.parent ? options.parent.maxBodyLength : 200);
+    this.maxStringLength = options.maxStringLength ||
+        (options.parent ? options.parent.maxStringLength : 1000);
+
+    // Set constructor reference (used to print the name of this logger)
+    this.constructor = Logger;
+};
+
+Logger.prototype = {
+
+    /**
+     * Lowest level written.
+     * @type {string}
+     */
+    level: 'info',
+
+    /**
+     * Fields added to every event.
+     * @type {object}
+     */
+    fields: null,
+
+    /**
+     * Logger whose fields are inherited.
+     * @type {Logger}
+     */
+    parent: null,
+
+    /**
+     * Create a logger adding fields to every event of this one.
+     * Fields set on this logger later still show in the child.
+     * @param {object} fields Fields to add
+     * @return {Logger} Child logger
+     */
+    child: function( fields ) {
+        return new Logger({parent: this, fields: fields});
+    },
+
+    /**
+     * Add fields to every later event of this logger and its children.
+     * @param {object} fields Fields to add
+     */
+    setFields: function( fields ) {
+        Object.assign(this.fields, fields);
+    },
+
+    /**
+     * Log a debug event.
+     * @param {string} message Event message
+     * @param {object} fields Event fields
+     */
+    debug: function( message, fields ) {
+        this.log('debug', message, fields);
+    },
+
+    /**
+     * Log an info event.
+     * @param {string} message Event message
+     * @param {object} fields Event fields
+     */
+    info: function( message, fields ) {
+        this.log('info', message, fields);
+    },
+
+    /**
+     * Log a warning event.
+     * @param {string} message Event message
+     * @param {object} fields Event fields
+     */
+    warn: function( message, fields ) {
+        this.log('warn', message, fields);
+    },
+
+    /**
+     * Log an error event.
+     * @param {string} message Event message
+     * @param {object} fields Event fields, an Error in fields.error is
+     * logged as its message and stack
+     */
+    error: function( message, fields ) {
+        this.log('error', message, fields);
+    },
+
+    /**
+     * Log an event if its level is enabled.
+     * @param {string} level Event level
+     * @param {string} message Event message
+     * @param {object} fields Event fields
+     */
+    log: function( level, message, fields ) {
+        let self = this;
+
+        if (LEVELS[level] < LEVELS[self.level]) return;
+
+        const event = Object.assign({
+            time: new Date().toISOString(),
+            level: level,
+            msg: message,
+        }, self._allFields(), fields);
+
+        Object.keys(event).forEach(function(key) {
+            event[key] = self._clean(key, event[key]);
+        });
+
+        self.write(JSON.stringify(event));
+    },
+
+    /**
+     * Collect the fields of this logger and its parents.
+     * @return {object} Fields, own fields win
+     */
+    _allFields: function() {
+        return Object.assign({},
+            this.parent ? this.parent._allFields() : {}, this.fields);
+    },
+
+    /**
+     * Make a field value safe to log.
+     * Redacts secrets, truncates long strings and response bodies, and
+     * turns errors into their message and stack.
+     * @param {string} key Field name
+     * @param {*} value Field value
+     * @return {*} Value to log
+     */
+    _clean: function( key, value ) {
+        let self = this;
+
+        if (value === undefined || value === null) return value;
+        if (REDACTED_FIELDS.indexOf(key.toLowerCase()) !== -1) {
+            return '[redacted]';
+        }
+        if (value instanceof Error) {
+            return {
+                name: value.name,
+                message: truncate(String(value.message),
+                    self.maxStringLength),
+                code: value.code,
+                stack: value.stack ? truncate(value.stack,
+                    self.maxStringLength) : undefined,
+            };
+        }
+        if (typeof value === 'string') {
+            return truncate(value, BODY_FIELDS.indexOf(key) !== -1 ?
+                self.maxBodyLength : self.maxStringLength);
+        }
+        return value;
+    },
+
+};
+
+/**
+ * Create the logger for a configuration.
+ * @param {object} config Detik configuration, uses config.LOG_LEVEL and
+ * config.LOG_BODY_MAX_LENGTH
+ * @param {object} options Extra Logger options, e.g. write or fields
+ * @return {Logger} Logger
+ */
+const createLogger = function( config, options ) {
+    return new Logger(Object.assign({
+        level: config.LOG_LEVEL || 'info',
+        maxBodyLength: Number(config.LOG_BODY_MAX_LENGTH) || undefined,
+    }, options));
+};
+
+/**
+ * Create an ID to correlate the events of one run.
+ * @return {string} Random hex ID
+ */
+const createRunId = function() {
+    return crypto.randomBytes(8).toString('hex');
+};
+
+module.exports = {
+    LEVELS: LEVELS,
+    Logger: Logger,
+    createLogger: createLogger,
+    createRunId: createRunId,
+};
@@ -0,0 +1,245 @@
+'use strict';
+
+const crypto = require('crypto');
+const URL = require('url').URL;
+
+const MediaError = require('../errors').MediaError;
+const LocalStore = require('./local');
+const S3Store = require('./s3');
+
+/**
+ * File extensions of the photo types we mirror.
+ * @type {object}
+ */
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+};
+
+/**
+ * HTTP status codes that redirect to the Location header.
+ * @type {Array}
+ */
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+
+/**
+ * Photo mirror.
+ * Downloads report photos with size and content-type limits and stores
+ * them in an object store under a hash of their content, so each photo is
+ * stored once and keeps its URL.
+ * @constructor
+ * @param {object} config Detik configuration
+ * @param {object} store Object store, implementing has(key),
+ * put(key, body, contentType) and url(key)
+ */
+let MediaMirror = function MediaMirror(
+        config,
+        store
+    ) {
+    this.config = config;
+    this.store = store;
+
+    this.http = require('http');
+    this.https = require('https');
+
+    // Set constructor reference (used to print the name of this mirror)
+    this.constructor = MediaMirror;
+};
+
+MediaMirror.prototype = {
+
+    /**
+     * Mirror configuration.
+     * @type {object}
+     */
+    config: {},
+
+    /**
+     * Object store photos are mirrored to.
+     * @type {object}
+     */
+    store: null,
+
+    /**
+     * Mirror a photo.
+     * @param {string} url Photo URL
+     * @return {Promise} Resolves with {url, key, stored}, where stored is
+     * false if the photo was already mirrored. Rejects with a MediaError if
+     * the URL is invalid or the photo cannot be downloaded within limits
+     */
+    mirror: async function( url ) {
+        let self = this;
+
+        const download = await self._download(self._checkUrl(url), 0);
+        const hash = crypto.createHash('sha256').update(download.body)
+            .digest('hex');
+        const key = (self.config.MEDIA_KEY_PREFIX || '') + hash.slice(0, 2) +
+            '/' + hash + EXTENSIONS[download.contentType];
+
+        const stored = !(await self.store.has(key));
+        if (stored) {
+            await self.store.put(key, download.body, download.contentType);
+        }
+        return {url: self.store.url(key), key: key, stored: stored};
+    },
+
+    /**
+     * Check a photo URL.
+     * @param {string} url Photo URL
+     * @return {URL} Parsed URL
+     * @throws {MediaError} If not an http or https URL
+     */
+    _checkUrl: function( url ) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (err) {
+            throw new MediaError('Invalid photo URL ' + url, 'invalid_url');
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new MediaError('Invalid photo URL ' + url, 'invalid_url');
+        }
+        return parsed;
+    },
+
+    /**
+     * Content types we mirror.
+     * @return {Array} MIME types from config.MEDIA_CONTENT_TYPES
+     */
+    _contentTypes: function() {
+        return String(this.config.MEDIA_CONTENT_TYPES ||
+            Object.keys(EXTENSIONS).join(',')).split(',')
+            .map(function(type) {
+                return type.trim().toLowerCase();
+            }).filter(function(type) {
+                return EXTENSIONS[type];
+            });
+    },
+
+    /**
+     * Download a photo, following redirects.
+     * Stops as soon as the declared or received size passes
+     * config.MEDIA_MAX_BYTES.
+     * @param {URL} url Photo URL
+     * @param {number} redirects Redirects followed so far
+     * @return {Promise} Resolves with {body, contentType}, rejects with a
+     * MediaError
+     */
+    _download: function( url, redirects ) {
+        let self = this;
+
+        const maxBytes = Number(self.config.MEDIA_MAX_BYTES || 0);
+        const timeout = Number(self.config.HTTP_TIMEOUT || 0);
+        const client = url.protocol === 'http:' ? self.http : self.https;
+
+        return new Promise(function(resolve, reject) {
+            let settled = false;
+            let req;
+            const fail = function(message, reason) {
+                if (settled) return;
+                settled = true;
+                reject(new MediaError(message + ' for ' + url.href, reason));
+                req.abort();
+            };
+
+            req = client.request(url.href, function(res) {
+                const headers = res.headers || {};
+                const statusCode = res.statusCode;
+
+                if (REDIRECT_STATUS_CODES.indexOf(statusCode) !== -1 &&
+                    headers.location) {
+                    if (redirects >= 3) {
+                        return fail('Too many redirects', 'http_status');
+                    }
+                    settled = true;
+                    req.abort();
+                    let next;
+                    try {
+                        next = self._checkUrl(
+                            new URL(headers.location, url).href);
+                    } catch (err) {
+                        return reject(err);
+                    }
+                    return resolve(self._download(next, redirects + 1));
+                }
+                if (statusCode < 200 || statusCode >= 300) {
+                    return fail('HTTP status ' + statusCode, 'http_status');
+                }
+
+                const contentType = String(headers['content-type'] || '')
+                    .split(';')[0].trim().toLowerCase();
+                if (self._contentTypes().indexOf(contentType) === -1) {
+                    return fail('Content type ' + (contentType || 'missing') +
+                        ' not allowed', 'content_type');
+                }
+                if (maxBytes > 0 &&
+                    Number(headers['content-length']) > maxBytes) {
+                    return fail('Photo larger than ' + maxBytes + ' bytes',
+                        'too_large');
+                }
+
+                let chunks = [];
+                let size = 0;
+                res.on('data', function(chunk) {
+                    size += chunk.length;
+                    if (maxBytes > 0 && size > maxBytes) {
+                        return fail('Photo larger than ' + maxBytes +
+                            ' bytes', 'too_large');
+                    }
+                    chunks.push(chunk);
+                });
+                res.on('end', function() {
+                    if (settled) return;
+                    settled = true;
+                    resolve({body: Buffer.concat(chunks),
+                        contentType: contentType});
+                });
+            });
+
+            req.on('error', function(error) {
+                fail(error.message, 'request');
+            });
+
+            if (timeout > 0) {
+                req.setTimeout(timeout, function() {
+                    fail('Request timed out after ' + timeout + ' ms',
+                        'request');
+                });
+            }
+
+            req.end();
+        });
+    },
+
+};
+
+/**
+ * Create the photo mirror for a configuration.
+ * @param {object} config Detik configuration
+ * @param {object} s3Client S3 client for the 's3' store, optional
+ * @return {?MediaMirror} Photo mirror, null unless config.MEDIA_MIRROR is set
+ */
+const createMediaMirror = function( config, s3Client ) {
+    if (!config.MEDIA_MIRROR) {
+        return null;
+    }
+    const type = config.MEDIA_STORE || 'local';
+    let store;
+    if (type === 'local') {
+        store = new LocalStore(config);
+    } else if (type === 's3') {
+        store = new S3Store(config, s3Client);
+    } else {
+        throw new Error('Unknown media store ' + type);
+    }
+    return new MediaMirror(config, store);
+};
+
+module.exports = {
+    createMediaMirror: createMediaMirror,
+    LocalStore: LocalStore,
+    MediaMirror: MediaMirror,
+    S3Store: S3Store,
+};
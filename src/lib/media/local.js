@@ -0,0 +1,91 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const mkdirs = require('../files').mkdirs;
+
+const stat = util.promisify(fs.stat);
+const writeFile = util.promisify(fs.writeFile);
+
+/**
+ * Local filesystem object store.
+ * Keeps mirrored photos under config.MEDIA_LOCAL_PATH, served from
+ * config.MEDIA_PUBLIC_URL.
+ * @constructor
+ * @param {object} config Detik configuration
+ */
+let LocalStore = function LocalStore(
+        config
+    ) {
+    this.config = config;
+    this.root = config.MEDIA_LOCAL_PATH;
+
+    // Set constructor reference (used to print the name of this store)
+    this.constructor = LocalStore;
+};
+
+LocalStore.prototype = {
+
+    /**
+     * Store configuration.
+     * @type {object}
+     */
+    config: {},
+
+    /**
+     * Directory objects are written to.
+     * @type {string}
+     */
+    root: null,
+
+    /**
+     * Test whether an object is stored.
+     * @param {string} key Object key
+     * @return {Promise} Resolves with true if stored
+     */
+    has: async function( key ) {
+        try {
+            await stat(this._path(key));
+            return true;
+        } catch (err) {
+            if (err.code === 'ENOENT') return false;
+            throw err;
+        }
+    },
+
+    /**
+     * Store an object.
+     * @param {string} key Object key
+     * @param {Buffer} body Object content
+     * @param {string} contentType MIME type, implied by the key extension
+     * @return {Promise} Resolves when written
+     */
+    put: async function( key, body, contentType ) {
+        const file = this._path(key);
+        await mkdirs(path.dirname(file));
+        await writeFile(file, body);
+    },
+
+    /**
+     * Public URL of an object.
+     * @param {string} key Object key
+     * @return {string} URL
+     */
+    url: function( key ) {
+        return this.config.MEDIA_PUBLIC_URL.replace(/\/$/, '') + '/' + key;
+    },
+
+    /**
+     * Path of an object on disk.
+     * @param {string} key Object key
+     * @return {string} File path
+     */
+    _path: function( key ) {
+        return path.join(this.root, key);
+    },
+
+};
+
+module.exports = LocalStore;
@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * S3-compatible object store.
+ * Keeps mirrored photos in config.MEDIA_S3_BUCKET, served from
+ * config.MEDIA_PUBLIC_URL.
+ * The client implements headObject(params) and putObject(params) like the
+ * AWS SDK S3 client, returning promises or requests with a promise()
+ * method. Without a client, one is created from the AWS SDK provided by the
+ * Lambda runtime, at config.MEDIA_S3_ENDPOINT if set (e.g. for MinIO).
+ * @constructor
+ * @param {object} config Detik configuration
+ * @param {object} client S3 client
+ */
+let S3Store = function S3Store(
+        config,
+        client
+    ) {
+    this.config = config;
+    this.bucket = config.MEDIA_S3_BUCKET;
+
+    if (!client) {
+        const S3 = require('aws-sdk').S3;
+        client = new S3(config.MEDIA_S3_ENDPOINT ? {
+            endpoint: config.MEDIA_S3_ENDPOINT,
+            s3ForcePathStyle: true,
+        } : {});
+    }
+    this.client = client;
+
+    // Set constructor reference (used to print the name of this store)
+    this.constructor = S3Store;
+};
+
+S3Store.prototype = {
+
+    /**
+     * Store configuration.
+     * @type {object}
+     */
+    config: {},
+
+    /**
+     * Bucket objects are written to.
+     * @type {string}
+     */
+    bucket: null,
+
+    /**
+     * S3 client.
+     * @type {object}
+     */
+    client: null,
+
+    /**
+     * Test whether an object is stored.
+     * @param {string} key Object key
+     * @return {Promise} Resolves with true if stored
+     */
+    has: async function( key ) {
+        let self = this;
+
+        try {
+            await self._send('headObject', {Bucket: self.bucket, Key: key});
+            return true;
+        } catch (err) {
+            if (err.statusCode === 404 || err.code === 'NotFound' ||
+                err.name === 'NotFound') {
+                return false;
+            }
+            throw err;
+        }
+    },
+
+    /**
+     * Store an object.
+     * @param {string} key Object key
+     * @param {Buffer} body Object content
+     * @param {string} contentType MIME type
+     * @return {Promise} Resolves when written
+     */
+    put: async function( key, body, contentType ) {
+        let self = this;
+
+        await self._send('putObject', {
+            Bucket: self.bucket,
+            Key: key,
+            Body: body,
+            ContentType: contentType,
+            // Content addressed, so never changes
+            CacheControl: 'public, max-age=31536000, immutable',
+        });
+    },
+
+    /**
+     * Public URL of an object.
+     * @param {string} key Object key
+     * @return {string} URL
+     */
+    url: function( key ) {
+        return this.config.MEDIA_PUBLIC_URL.replace(/\/$/, '') + '/' + key;
+    },
+
+    /**
+     * Call a client method.
+     * @param {string} method Method name
+     * @param {object} params Request parameters
+     * @return {Promise} Resolves with the response
+     */
+    _send: function( method, params ) {
+        const request = this.client[method](params);
+        return request && typeof request.promise === 'function' ?
+            request.promise() : Promise.resolve(request);
+    },
+
+};
+
+module.exports = S3Store;
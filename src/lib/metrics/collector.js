@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Metrics collector.
+ * Accumulates counters and samples over one run, for an emitter to send
+ * at the end of the run.
+ * @constructor
+ */
+let MetricsCollector = function MetricsCollector() {
+    this.metrics = new Map();
+
+    // Set constructor reference (used to print the name of this collector)
+    this.constructor = MetricsCollector;
+};
+
+MetricsCollector.prototype = {
+
+    /**
+     * Collected metrics, keyed by name, as {unit, value} for counters and
+     * {unit, values} for samples, in the order first recorded.
+     * @type {Map}
+     */
+    metrics: null,
+
+    /**
+     * Add to a counter.
+     * @param {string} name Metric name
+     * @param {number} value Amount to add, defaults to 1
+     * @param {string} unit CloudWatch unit, defaults to 'Count'
+     */
+    increment: function( name, value, unit ) {
+        let self = this;
+
+        if (value === undefined) value = 1;
+        const metric = self.metrics.get(name);
+        if (metric) {
+            metric.value += value;
+        } else {
+            self.metrics.set(name, {unit: unit || 'Count', value: value});
+        }
+    },
+
+    /**
+     * Add a sample, e.g. a latency.
+     * @param {string} name Metric name
+     * @param {number} value Sample value
+     * @param {string} unit CloudWatch unit, defaults to 'None'
+     */
+    record: function( name, value, unit ) {
+        let self = this;
+
+        const metric = self.metrics.get(name);
+        if (metric) {
+            metric.values.push(value);
+        } else {
+            self.metrics.set(name, {unit: unit || 'None', values: [value]});
+        }
+    },
+
+    /**
+     * Start timing something.
+     * @param {string} name Metric name the duration is recorded under
+     * @return {function} Call to record the time since now in milliseconds,
+     * returns the duration
+     */
+    startTimer: function( name ) {
+        let self = this;
+
+        const start = self._now();
+        return function() {
+            const duration = self._now() - start;
+            self.record(name, duration, 'Milliseconds');
+            return duration;
+        };
+    },
+
+    /**
+     * Get a metric.
+     * @param {string} name Metric name
+     * @return {?object} {unit, value} or {unit, values}, null if not recorded
+     */
+    get: function( name ) {
+        return this.metrics.get(name) || null;
+    },
+
+    /**
+     * Current time for timers.
+     * @return {number} Milliseconds
+     */
+    _now: function() {
+        return new Date().getTime();
+    },
+
+};
+
+module.exports = MetricsCollector;
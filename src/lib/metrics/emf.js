@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * Most values of one metric CloudWatch accepts per document.
+ * @type {number}
+ */
+const MAX_VALUES = 100;
+
+/**
+ * CloudWatch Embedded Metric Format emitter.
+ * Writes the metrics of a run as EMF JSON documents, which CloudWatch
+ * Logs turns into metrics when written to a Lambda log.
+ * @constructor
+ * @param {object} config Detik configuration
+ * @param {function} write Called with each document, defaults to
+ * console.log
+ */
+let EmfEmitter = function EmfEmitter(
+        config,
+        write
+    ) {
+    this.config = config;
+    this.write = write || console.log;
+
+    // Set constructor reference (used to print the name of this emitter)
+    this.constructor = EmfEmitter;
+};
+
+EmfEmitter.prototype = {
+
+    /**
+     * Emitter configuration.
+     * @type {object}
+     */
+    config: {},
+
+    /**
+     * Emit collected metrics.
+     * Samples beyond the per-document limit go to further documents.
+     * @param {MetricsCollector} collector Metrics of the run
+     * @param {object} dimensions Dimension names and values, e.g. {Feed}
+     */
+    emit: function( collector, dimensions ) {
+        let self = this;
+
+        for (let offset = 0; ; offset += MAX_VALUES) {
+            const document = self._document(collector, dimensions, offset);
+            if (!document) return;
+            self.write(JSON.stringify(document));
+        }
+    },
+
+    /**
+     * Build one EMF document.
+     * Counters go in the first document only.
+     * @param {MetricsCollector} collector Metrics of the run
+     * @param {object} dimensions Dimension names and values
+     * @param {number} offset Index of the first sample to include
+     * @return {?object} Document, null if no metrics are left
+     */
+    _document: function( collector, dimensions, offset ) {
+        let self = this;
+
+        let definitions = [];
+        let document = Object.assign({}, dimensions);
+        collector.metrics.forEach(function(metric, name) {
+            let value;
+            if (metric.values) {
+                value = metric.values.slice(offset, offset + MAX_VALUES);
+                if (value.length === 0) return;
+            } else {
+                if (offset > 0) return;
+                value = metric.value;
+            }
+            definitions.push({Name: name, Unit: metric.unit});
+            document[name] = value;
+        });
+
+        if (definitions.length === 0) return null;
+        document._aws = {
+            Timestamp: new Date().getTime(),
+            CloudWatchMetrics: [{
+                Namespace: self.config.METRICS_NAMESPACE || 'CogniCity/Detik',
+                Dimensions: [Object.keys(dimensions)],
+                Metrics: definitions,
+            }],
+        };
+        return document;
+    },
+
+};
+
+module.exports = EmfEmitter;
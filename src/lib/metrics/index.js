@@ -0,0 +1,41 @@
+'use strict';
+
+const EmfEmitter = require('./emf');
+const MetricsCollector = require('./collector');
+const StdoutEmitter = require('./stdout');
+
+/**
+ * Metrics emitter that drops everything.
+ * @type {object}
+ */
+const noopEmitter = {
+    emit: function() {},
+};
+
+/**
+ * Create the metrics emitter selected by config.METRICS_EMITTER.
+ * Every emitter implements emit(collector, dimensions).
+ * @param {object} config Detik configuration
+ * @param {function} write Called with each line written, defaults to
+ * console.log
+ * @return {object} Metrics emitter
+ */
+const createEmitter = function( config, write ) {
+    const type = config.METRICS_EMITTER || 'emf';
+    if (type === 'emf') {
+        return new EmfEmitter(config, write);
+    } else if (type === 'stdout') {
+        return new StdoutEmitter(config, write);
+    } else if (type === 'none') {
+        return noopEmitter;
+    }
+    throw new Error('Unknown metrics emitter ' + type);
+};
+
+module.exports = {
+    createEmitter: createEmitter,
+    EmfEmitter: EmfEmitter,
+    MetricsCollector: MetricsCollector,
+    noopEmitter: noopEmitter,
+    StdoutEmitter: StdoutEmitter,
+};
@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * Plain text metrics emitter, for local runs.
+ * Writes one line per metric, with the total of counters and the count,
+ * minimum, average and maximum of samples.
+ * @constructor
+ * @param {object} config Detik configuration
+ * @param {function} write Called with each line, defaults to console.log
+ */
+let StdoutEmitter = function StdoutEmitter(
+        config,
+        write
+    ) {
+    this.config = config;
+    this.write = write || console.log;
+
+    // Set constructor reference (used to print the name of this emitter)
+    this.constructor = StdoutEmitter;
+};
+
+StdoutEmitter.prototype = {
+
+    /**
+     * Emitter configuration.
+     * @type {object}
+     */
+    config: {},
+
+    /**
+     * Emit collected metrics.
+     * @param {MetricsCollector} collector Metrics of the run
+     * @param {object} dimensions Dimension names and values, e.g. {Feed}
+     */
+    emit: function( collector, dimensions ) {
+        let self = this;
+
+        const prefix = 'metric ' + Object.keys(dimensions).map(function(key) {
+            return key + '=' + dimensions[key];
+        }).join(',');
+
+        collector.metrics.forEach(function(metric, name) {
+            if (!metric.values) {
+                self.write(`${prefix} ${name} ${metric.value} ${metric.unit}`);
+                return;
+            }
+            const values = metric.values;
+            const sum = values.reduce(function(total, value) {
+                return total + value;
+            }, 0);
+            self.write(`${prefix} ${name} count=${values.length} ` +
+                `min=${Math.min.apply(null, values)} ` +
+                `avg=${Math.round(sum / values.length)} ` +
+                `max=${Math.max.apply(null, values)} ${metric.unit}`);
+        });
+    },
+
+};
+
+module.exports = StdoutEmitter;
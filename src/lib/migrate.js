@@ -0,0 +1,315 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const createLogger = require('./logger').createLogger;
+
+const readdir = util.promisify(fs.readdir);
+const readFile = util.promisify(fs.readFile);
+
+/**
+ * Directory of the bundled migrations.
+ * @type {string}
+ */
+const MIGRATIONS_PATH = path.join(__dirname, '..', 'migrations');
+
+/**
+ * Migration file names, <version>_<name>.sql.
+ * @type {RegExp}
+ */
+const MIGRATION_FILE = /^(\d+)_(\w+)\.sql$/;
+
+/**
+ * Tables the migrations create, by the configuration key that can name
+ * another table in their place.
+ * @type {object}
+ */
+const MIGRATED_TABLES = {
+    TABLE_DETIK: 'detik.reports',
+    TABLE_DETIK_UNCONFIRMED: 'detik.reports_unconfirmed',
+    TABLE_DETIK_CHECKPOINTS: 'detik.checkpoints',
+    TABLE_DETIK_REVISIONS: 'detik.report_revisions',
+};
+
+/**
+ * Advisory lock key held while migrating, so concurrent runs wait for each
+ * other instead of applying a migration twice.
+ * @type {number}
+ */
+const LOCK_KEY = 1962718210;
+
+/**
+ * Database schema migrator.
+ * Applies the SQL migrations in a directory in version order, each in its
+ * own transaction, and records them in config.TABLE_DETIK_MIGRATIONS.
+ * @constructor
+ * @param {object} config Detik configuration
+ * @param {object} pool Postgres connection pool
+ * @param {Logger} logger Structured logger, defaults to one at
+ * config.LOG_LEVEL
+ * @param {string} dir Migrations directory, defaults to the bundled
+ * migrations
+ */
+let Migrator = function Migrator(
+        config,
+        pool,
+        logger,
+        dir
+    ) {
+    this.config = config;
+    this.pool = pool;
+    this.logger = logger || createLogger(config);
+    this.dir = dir || MIGRATIONS_PATH;
+
+    // Set constructor reference (used to print the name of this migrator)
+    this.constructor = Migrator;
+};
+
+Migrator.prototype = {
+
+    /**
+     * Migrator configuration.
+     * @type {object}
+     */
+    config: {},
+
+    /**
+     * Postgres connection pool.
+     * @type {object}
+     */
+    pool: null,
+
+    /**
+     * Structured logger.
+     * @type {Logger}
+     */
+    logger: null,
+
+    /**
+     * Migrations directory.
+     * @type {string}
+     */
+    dir: null,
+
+    /**
+     * List the migrations in the directory.
+     * @return {Promise} Resolves with the migrations as {version, name,
+     * file}, in version order
+     * @throws {Error} If two migrations share a version
+     */
+    list: async function() {
+        let self = this;
+
+        const files = (await readdir(self.dir)).filter(function(file) {
+            return MIGRATION_FILE.test(file);
+        });
+        const migrations = files.map(function(file) {
+            const match = MIGRATION_FILE.exec(file);
+            return {version: Number(match[1]), name: match[2],
+                file: path.join(self.dir, file)};
+        }).sort(function(a, b) {
+            return a.version - b.version;
+        });
+        migrations.forEach(function(migration, i) {
+            if (i > 0 && migrations[i - 1].version === migration.version) {
+                throw new Error('Migrations share version ' +
+                    migration.version);
+            }
+        });
+        return migrations;
+    },
+
+    /**
+     * Get the status of every migration.
+     * @return {Promise} Resolves with the migrations as {version, name,
+     * file, appliedAt}, appliedAt null if pending
+     */
+    status: async function() {
+        let self = this;
+
+        const client = await self.pool.connect();
+        try {
+            await self._createVersionTable(client);
+            const applied = await self._applied(client);
+            return (await self.list()).map(function(migration) {
+                return Object.assign(migration,
+                    {appliedAt: applied[migration.version] || null});
+            });
+        } finally {
+            client.release();
+        }
+    },
+
+    /**
+     * Apply the pending migrations.
+     * Stops at the first migration that fails, which is rolled back.
+     * @return {Promise} Resolves with the migrations applied, as {version,
+     * name, file}
+     */
+    migrate: async function() {
+        let self = this;
+
+        const migrations = await self.list();
+        const client = await self.pool.connect();
+        try {
+            await client.query('SELECT pg_advisory_lock($1);', [LOCK_KEY]);
+            await self._createVersionTable(client);
+            const applied = await self._applied(client);
+            const pending = migrations.filter(function(migration) {
+                return !applied[migration.version];
+            });
+            for (const migration of pending) {
+                await self._apply(client, migration);
+            }
+            self.logger.info('Schema up to date', {applied: pending.length,
+                version: migrations.length > 0 ?
+                    migrations[migrations.length - 1].version : null});
+            return pending;
+        } finally {
+            try {
+                await client.query('SELECT pg_advisory_unlock($1);',
+                    [LOCK_KEY]);
+            } finally {
+                client.release();
+            }
+        }
+    },
+
+    /**
+     * Compare configured tables with the tables the migrations create.
+     * Migrations only create and upgrade the tables in MIGRATED_TABLES, so
+     * tables configured in their place, per feed or for every feed, need to
+     * be created alike.
+     * @param {Array} configs Configurations naming tables, e.g. one per feed
+     * @return {Promise} Resolves with the configured tables that are
+     * missing or lack columns, as {table, like, missing}, with missing the
+     * absent columns or null if the table does not exist
+     */
+    checkTables: async function( configs ) {
+        let self = this;
+
+        let checked = {};
+        configs.forEach(function(config) {
+            Object.keys(MIGRATED_TABLES).forEach(function(key) {
+                const table = config[key];
+                if (table && table !== MIGRATED_TABLES[key]) {
+                    checked[table] = MIGRATED_TABLES[key];
+                }
+            });
+        });
+        const tables = Object.keys(checked);
+        if (tables.length === 0) {
+            return [];
+        }
+
+        const qualified = function(table) {
+            return table.indexOf('.') === -1 ? 'public.' + table : table;
+        };
+        const names = tables.map(qualified).concat(tables.map(function(table) {
+            return checked[table];
+        }));
+        const client = await self.pool.connect();
+        let result;
+        try {
+            result = await client.query(`SELECT
+                table_schema || '.' || table_name AS table_name, column_name
+                FROM information_schema.columns
+                WHERE table_schema || '.' || table_name = ANY($1);`, [names]);
+        } finally {
+            client.release();
+        }
+        let columns = {};
+        ((result && result.rows) || []).forEach(function(row) {
+            columns[row.table_name] = (columns[row.table_name] || [])
+                .concat(row.column_name);
+        });
+
+        let problems = [];
+        tables.forEach(function(table) {
+            const like = checked[table];
+            const found = columns[qualified(table)];
+            const missing = found ? (columns[like] || []).filter(
+                function(column) {
+                    return found.indexOf(column) === -1;
+                }) : null;
+            if (!found || missing.length > 0) {
+                problems.push({table: table, like: like, missing: missing});
+            }
+        });
+        return problems;
+    },
+
+    /**
+     * Apply a migration and record it, in one transaction.
+     * @param {object} client Postgres client
+     * @param {object} migration {version, name, file}
+     * @return {Promise} Resolves once applied
+     */
+    _apply: async function( client, migration ) {
+        let self = this;
+
+        const sql = await readFile(migration.file, 'utf8');
+        self.logger.info('Applying migration', {version: migration.version,
+            name: migration.name});
+        await client.query('BEGIN');
+        try {
+            await client.query(sql);
+            await client.query(`INSERT INTO
+                ${self.config.TABLE_DETIK_MIGRATIONS} (version, name)
+                VALUES ($1, $2);`, [migration.version, migration.name]);
+            await client.query('COMMIT');
+        } catch (err) {
+            self.logger.error('Error applying migration', {
+                version: migration.version, name: migration.name,
+                error: err});
+            await client.query('ROLLBACK');
+            throw err;
+        }
+    },
+
+    /**
+     * Create the version table if missing.
+     * @param {object} client Postgres client
+     * @return {Promise} Resolves once the table exists
+     */
+    _createVersionTable: function( client ) {
+        let self = this;
+
+        const table = self.config.TABLE_DETIK_MIGRATIONS;
+        const schema = table.indexOf('.') === -1 ? null : table.split('.')[0];
+        return client.query((schema ?
+            `CREATE SCHEMA IF NOT EXISTS ${schema};\n` : '') +
+            `CREATE TABLE IF NOT EXISTS ${table} (
+                version integer PRIMARY KEY,
+                name varchar NOT NULL,
+                applied_at timestamp with time zone NOT NULL DEFAULT now()
+            );`);
+    },
+
+    /**
+     * Read the applied migrations.
+     * @param {object} client Postgres client
+     * @return {Promise} Resolves with the ISO 8601 time each migration was
+     * applied, by version
+     */
+    _applied: async function( client ) {
+        let self = this;
+
+        const result = await client.query(`SELECT version, applied_at
+            FROM ${self.config.TABLE_DETIK_MIGRATIONS};`);
+        let applied = {};
+        ((result && result.rows) || []).forEach(function(row) {
+            applied[row.version] = new Date(row.applied_at).toISOString();
+        });
+        return applied;
+    },
+
+};
+
+module.exports = {
+    MIGRATED_TABLES: MIGRATED_TABLES,
+    MIGRATIONS_PATH: MIGRATIONS_PATH,
+    Migrator: Migrator,
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * Default PII redaction rules.
+ * Each rule replaces matches of a regular expression (flags default to
+ * case-sensitive) with its replacement. Rules run in order, so longer
+ * numbers are claimed before shorter patterns can match inside them.
+ * @type {Array}
+ */
+module.exports = [
+    {
+        name: 'email',
+        pattern: '[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}',
+        flags: 'i',
+        replacement: '[email]',
+    },
+    {
+        // Nomor Induk Kependudukan, the 16 digit national ID number
+        name: 'nik',
+        pattern: '\\b\\d{16}\\b',
+        replacement: '[nik]',
+    },
+    {
+        name: 'phone-mobile',
+        pattern: '(?:\\+62|\\b62|\\b0)[\\s.-]?8\\d{1,2}' +
+            '(?:[\\s.-]?\\d{2,4}){2,3}\\b',
+        replacement: '[phone]',
+    },
+    {
+        name: 'phone-landline',
+        pattern: '(?:\\+62[\\s.-]?\\(?|\\(0|\\b0)\\d{2,3}\\)?' +
+            '[\\s.-]?\\d{3,4}[\\s.-]?\\d{3,4}\\b',
+        replacement: '[phone]',
+    },
+    {
+        // e.g. B 1234 XYZ, skipping the RT and RW of addresses
+        name: 'licence-plate',
+        pattern: '\\b(?!R[TW]\\b)[A-Z]{1,2}[\\s-]?\\d{1,4}[\\s-]?' +
+            '(?!R[TW]\\b)[A-Z]{1,3}\\b',
+        replacement: '[plate]',
+    },
+];
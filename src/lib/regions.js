@@ -0,0 +1,146 @@
+'use strict';
+
+const fs = require('fs');
+
+const defaultRegions = require('./defaultRegions');
+
+/**
+ * Test whether a point is inside a linear ring, by ray casting.
+ * @param {number} x Longitude
+ * @param {number} y Latitude
+ * @param {Array} ring Array of [longitude, latitude] positions
+ * @return {boolean} True if inside
+ */
+const inRing = function( x, y, ring ) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const xi = ring[i][0];
+        const yi = ring[i][1];
+        const xj = ring[j][0];
+        const yj = ring[j][1];
+        if (((yi > y) !== (yj > y)) &&
+            (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+/**
+ * Test whether a point is inside a polygon, outside any of its holes.
+ * @param {number} x Longitude
+ * @param {number} y Latitude
+ * @param {Array} rings GeoJSON Polygon coordinates, outer ring first
+ * @return {boolean} True if inside
+ */
+const inPolygon = function( x, y, rings ) {
+    if (!inRing(x, y, rings[0])) return false;
+    for (let i = 1; i < rings.length; i++) {
+        if (inRing(x, y, rings[i])) return false;
+    }
+    return true;
+};
+
+/**
+ * Get the polygons of a GeoJSON geometry.
+ * @param {object} geometry GeoJSON Polygon or MultiPolygon
+ * @return {Array} Array of Polygon coordinates
+ */
+const polygonsOf = function( geometry ) {
+    if (geometry.type === 'Polygon') {
+        return [geometry.coordinates];
+    } else if (geometry.type === 'MultiPolygon') {
+        return geometry.coordinates;
+    }
+    throw new Error('Unsupported region geometry type ' + geometry.type);
+};
+
+/**
+ * Instance regions.
+ * Looks up which CogniCity instance region a point falls in, without
+ * PostGIS, so it works with every sink.
+ * @constructor
+ * @param {object} featureCollection GeoJSON FeatureCollection of Polygon or
+ * MultiPolygon features with the region code in properties.code
+ */
+let Regions = function Regions(
+        featureCollection
+    ) {
+    this.regions = (featureCollection.features || []).map(function(feature) {
+        if (!feature.properties || !feature.properties.code) {
+            throw new Error('Region feature needs properties.code');
+        }
+        const polygons = polygonsOf(feature.geometry);
+        // Bounding box to skip most polygon tests
+        let bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        polygons.forEach(function(rings) {
+            rings[0].forEach(function(position) {
+                bbox[0] = Math.min(bbox[0], position[0]);
+                bbox[1] = Math.min(bbox[1], position[1]);
+                bbox[2] = Math.max(bbox[2], position[0]);
+                bbox[3] = Math.max(bbox[3], position[1]);
+            });
+        });
+        return {
+            code: feature.properties.code,
+            polygons: polygons,
+            bbox: bbox,
+        };
+    });
+
+    // Set constructor reference (used to print the name of this object)
+    this.constructor = Regions;
+};
+
+Regions.prototype = {
+
+    /**
+     * Regions with their polygons and bounding boxes.
+     * @type {Array}
+     */
+    regions: null,
+
+    /**
+     * Find the region containing a point.
+     * @param {number} longitude WGS84 longitude
+     * @param {number} latitude WGS84 latitude
+     * @return {?string} Code of the first matching region, or null
+     */
+    find: function( longitude, latitude ) {
+        let self = this;
+
+        for (let i = 0; i < self.regions.length; i++) {
+            const region = self.regions[i];
+            if (longitude < region.bbox[0] || latitude < region.bbox[1] ||
+                longitude > region.bbox[2] || latitude > region.bbox[3]) {
+                continue;
+            }
+            for (let j = 0; j < region.polygons.length; j++) {
+                if (inPolygon(longitude, latitude, region.polygons[j])) {
+                    return region.code;
+                }
+            }
+        }
+        return null;
+    },
+
+};
+
+/**
+ * Create the regions for a configuration.
+ * Regions are read from the GeoJSON file config.REGIONS_FILE if set.
+ * @param {object} config Detik configuration
+ * @return {Regions} Regions
+ */
+const createRegions = function( config ) {
+    if (config.REGIONS_FILE) {
+        return new Regions(JSON.parse(
+            fs.readFileSync(config.REGIONS_FILE, 'utf8')));
+    }
+    return new Regions(defaultRegions);
+};
+
+module.exports = {
+    Regions: Regions,
+    createRegions: createRegions,
+};
@@ -0,0 +1,242 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Canonical CogniCity report, normalized from a raw Detik result.
+ * @typedef {object} Report
+ * @property {number} contributionId Detik contribution ID
+ * @property {number} createdAt Creation time, seconds since epoch (UTC)
+ * @property {number} updatedAt Last update time, seconds since epoch (UTC)
+ * @property {string} title Report title
+ * @property {string} text Report content
+ * @property {string} lang Language code
+ * @property {string} url Report URL on Detik
+ * @property {?string} imageUrl Photo URL, the mirrored copy if media
+ * mirroring is on, null if none
+ * @property {?string} originalImageUrl Photo URL on Detik, null if none
+ * @property {string} userHash Hash of the Detik user ID of the creator, as
+ * stored for users; the ID itself is dropped once hashed
+ * @property {?string} legacyUserHash Unkeyed md5 hash of the user ID that
+ * users were stored under before config.USER_HASH_SECRET was set, null if
+ * no secret is set. Only used to find such users, never stored with the
+ * report
+ * @property {number} longitude WGS84 longitude, 0 if not located
+ * @property {number} latitude WGS84 latitude, 0 if not located
+ * @property {?string} locationName Place name fields of the location, null
+ * if none
+ */
+
+/**
+ * Reasons a raw Detik result can be rejected for.
+ * @type {object}
+ */
+const REJECT = {
+    MISSING_ID: 'missing_id',
+    BAD_TIMESTAMP: 'bad_timestamp',
+    ZERO_TIMESTAMP: 'zero_timestamp',
+    FUTURE_TIMESTAMP: 'future_timestamp',
+    MISSING_GEO: 'missing_geo',
+    BAD_GEO: 'bad_geo',
+    MISSING_USER: 'missing_user',
+    MISSING_URL: 'missing_url',
+};
+
+/**
+ * UTC offsets of the Indonesian time zones, in seconds.
+ * None of them observe daylight saving time.
+ * @type {object}
+ */
+const TIMEZONES = {
+    'UTC': 0,
+    'WIB': 7 * 3600,
+    'WITA': 8 * 3600,
+    'WIT': 9 * 3600,
+    'Asia/Jakarta': 7 * 3600,
+    'Asia/Pontianak': 7 * 3600,
+    'Asia/Makassar': 8 * 3600,
+    'Asia/Jayapura': 9 * 3600,
+};
+
+/**
+ * Parse a source time zone.
+ * @param {string} timezone 'UTC', an offset such as '+07:00', or one of the
+ * Indonesian zone names, e.g. 'WIB' or 'Asia/Jakarta'
+ * @return {?number} UTC offset in seconds, null if not recognised
+ */
+const parseTimezone = function( timezone ) {
+    if (TIMEZONES.hasOwnProperty(timezone)) {
+        return TIMEZONES[timezone];
+    }
+    const match = /^([+-])(\d{2}):?(\d{2})$/.exec(timezone);
+    if (!match || Number(match[2]) > 14 || Number(match[3]) > 59) {
+        return null;
+    }
+    return (match[1] === '-' ? -1 : 1) *
+        (Number(match[2]) * 3600 + Number(match[3]) * 60);
+};
+
+/**
+ * Read a nested property, returning undefined if any step is missing.
+ * @param {object} object Object to read from
+ * @param {Array} keys Property names, outermost first
+ * @return {*} Property value
+ */
+const dig = function( object, keys ) {
+    return keys.reduce(function(value, key) {
+        return value !== null && value !== undefined ? value[key] : undefined;
+    }, object);
+};
+
+/**
+ * Convert a value to a finite number.
+ * @param {*} value Number or numeric string
+ * @return {?number} The number, or null if not numeric
+ */
+const toNumber = function( value ) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return isFinite(number) ? number : null;
+};
+
+/**
+ * Remove the doubled quotes Detik escapes URLs with.
+ * @param {string} url URL from the feed
+ * @return {string} Cleaned URL
+ */
+const cleanUrl = function( url ) {
+    return url.replace('\'\'', '');
+};
+
+/**
+ * Hash a user ID.
+ * Without a secret this is the unkeyed md5 hash users were first stored
+ * under, which is easily reversed for numeric IDs.
+ * @param {string} userId Detik user ID
+ * @param {string} secret HMAC key, optional
+ * @return {string} Hex HMAC-SHA-256 of the ID keyed with the secret, or
+ * hex md5 of the ID if no secret is given
+ */
+const hashUser = function( userId, secret ) {
+    if (secret) {
+        return crypto.createHmac('sha256', secret).update(String(userId))
+            .digest('hex');
+    }
+    return crypto.createHash('md5').update(String(userId)).digest('hex');
+};
+
+/**
+ * Location fields that may name the place of a report.
+ * @type {Array}
+ */
+const LOCATION_NAME_FIELDS = ['name', 'address', 'district', 'city',
+    'province'];
+
+/**
+ * Join the place name fields of a result location.
+ * @param {object} location Location object of the result
+ * @return {?string} Comma separated place names, null if none
+ */
+const locationName = function( location ) {
+    const names = LOCATION_NAME_FIELDS.map(function(field) {
+        return dig(location, [field]);
+    }).filter(function(name) {
+        return typeof name === 'string' && name.trim();
+    });
+    return names.length > 0 ? names.join(', ') : null;
+};
+
+/**
+ * Validate a raw Detik result and normalize it into a report.
+ * Timestamps are converted to UTC. A missing or zero update time falls back
+ * to the creation time.
+ * @param {object} result The result object from the web service
+ * @param {object} options Timestamp handling and user hashing, optional
+ * @param {number} options.timezoneOffset UTC offset in seconds of feeds
+ * that send local time as epoch seconds, defaults to 0
+ * @param {number} options.latest Latest valid time in seconds since epoch,
+ * defaults to no limit
+ * @param {string} options.userHashSecret Key user IDs are hashed with,
+ * defaults to the unkeyed md5 hash
+ * @return {object} {report: Report} if valid, otherwise {reason: string}
+ * with one of the REJECT reasons, plus the contributionId if known
+ */
+const normalizeResult = function( result, options ) {
+    options = options || {};
+    const contributionId = toNumber(dig(result, ['contributionId']));
+    if (contributionId === null) {
+        return {reason: REJECT.MISSING_ID, contributionId: null};
+    }
+    const reject = function(reason) {
+        return {reason: reason, contributionId: contributionId};
+    };
+
+    let createdAt = toNumber(dig(result, ['date', 'create', 'sec']));
+    let updatedAt = toNumber(dig(result, ['date', 'update', 'sec']));
+    if (createdAt === null) {
+        return reject(REJECT.BAD_TIMESTAMP);
+    }
+    if (createdAt === 0) {
+        return reject(REJECT.ZERO_TIMESTAMP);
+    }
+    const offset = options.timezoneOffset || 0;
+    createdAt -= offset;
+    updatedAt = updatedAt === null || updatedAt === 0 ? createdAt :
+        updatedAt - offset;
+    const latest = options.latest;
+    if (latest !== undefined && latest !== null &&
+        (createdAt > latest || updatedAt > latest)) {
+        return reject(REJECT.FUTURE_TIMESTAMP);
+    }
+
+    const geospatial = dig(result, ['location', 'geospatial']);
+    const longitude = toNumber(dig(geospatial, ['longitude']));
+    const latitude = toNumber(dig(geospatial, ['latitude']));
+    if (longitude === null || latitude === null) {
+        return reject(REJECT.MISSING_GEO);
+    }
+    if (Math.abs(longitude) > 180 || Math.abs(latitude) > 90) {
+        return reject(REJECT.BAD_GEO);
+    }
+
+    const userId = dig(result, ['user', 'creator', 'id']);
+    if (userId === null || userId === undefined || userId === '') {
+        return reject(REJECT.MISSING_USER);
+    }
+
+    if (typeof result.url !== 'string' || !result.url) {
+        return reject(REJECT.MISSING_URL);
+    }
+
+    // Check for photo URL and fix escaping slashes
+    const photo = dig(result, ['files', 'photo']);
+    const imageUrl = typeof photo === 'string' && photo ?
+        cleanUrl(photo) : null;
+
+    return {
+        report: {
+            contributionId: contributionId,
+            createdAt: createdAt,
+            updatedAt: updatedAt,
+            title: typeof result.title === 'string' ? result.title : '',
+            text: typeof result.content === 'string' ? result.content : '',
+            // Fix language code for this data type
+            lang: 'id',
+            url: cleanUrl(result.url),
+            imageUrl: imageUrl,
+            originalImageUrl: imageUrl,
+            userHash: hashUser(userId, options.userHashSecret),
+            legacyUserHash: options.userHashSecret ? hashUser(userId) : null,
+            longitude: longitude,
+            latitude: latitude,
+            locationName: locationName(dig(result, ['location'])),
+        },
+    };
+};
+
+module.exports = {
+    REJECT: REJECT,
+    hashUser: hashUser,
+    normalizeResult: normalizeResult,
+    parseTimezone: parseTimezone,
+};
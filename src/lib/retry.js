@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * HTTP status codes worth retrying besides 5xx.
+ * @type {Array}
+ */
+const TRANSIENT_STATUS_CODES = [408, 429];
+
+/**
+ * Test whether an HTTP status is worth retrying.
+ * @param {number} statusCode HTTP status code
+ * @return {boolean} True for 5xx, 408 and 429
+ */
+const isTransientStatus = function( statusCode ) {
+    return statusCode >= 500 ||
+        TRANSIENT_STATUS_CODES.indexOf(statusCode) !== -1;
+};
+
+/**
+ * Full jitter exponential backoff.
+ * @param {number} attempt Number of the attempt that failed, from 1
+ * @param {number} base Delay cap of the first retry in ms
+ * @param {number} max Largest delay cap in ms, optional
+ * @return {number} Delay in ms
+ */
+const backoffDelay = function( attempt, base, max ) {
+    let backoff = base * Math.pow(2, attempt - 1);
+    if (max !== undefined && max !== null) {
+        backoff = Math.min(max, backoff);
+    }
+    return Math.round(Math.random() * backoff);
+};
+
+/**
+ * Wait.
+ * @param {number} ms Milliseconds to wait
+ * @return {Promise} Resolves after the delay
+ */
+const sleep = function( ms ) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+};
+
+/**
+ * Run a task, retrying failures.
+ * Each error gets the number of attempts made in err.attempts.
+ * @param {function} task Called with the attempt number, from 1, returns a
+ * Promise
+ * @param {object} options Retry options
+ * @param {number} options.retries Most retries after the first attempt
+ * @param {function} options.transient Called with an error, returns true if
+ * retrying may succeed
+ * @param {function} options.delay Called with the attempt number and the
+ * error, returns the delay in ms before the next attempt, or null to give
+ * up
+ * @param {function} options.onRetry Called with the error, the attempt
+ * number and the delay before each retry, optional
+ * @param {function} options.sleep Waits a delay, defaults to sleep
+ * @return {Promise} Resolves like the first attempt that succeeds, rejects
+ * with the last error once retries are used up or on a fatal error
+ */
+const retry = async function( task, options ) {
+    const retries = Number(options.retries || 0);
+    const wait = options.sleep || sleep;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await task(attempt);
+        } catch (err) {
+            err.attempts = attempt;
+            if (attempt > retries || !options.transient(err)) {
+                throw err;
+            }
+            const delay = options.delay(attempt, err);
+            if (delay === null) {
+                throw err;
+            }
+            if (options.onRetry) {
+                options.onRetry(err, attempt, delay);
+            }
+            await wait(delay);
+        }
+    }
+};
+
+module.exports = {
+    TRANSIENT_STATUS_CODES: TRANSIENT_STATUS_CODES,
+    backoffDelay: backoffDelay,
+    isTransientStatus: isTransientStatus,
+    retry: retry,
+    sleep: sleep,
+};
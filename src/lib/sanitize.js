@@ -0,0 +1,191 @@
+'use strict';
+
+const fs = require('fs');
+
+const defaultRules = require('./redactionRules');
+
+/**
+ * Named HTML entities decoded besides numeric ones.
+ * @type {object}
+ */
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ',
+    ndash: '\u2013', mdash: '\u2014', hellip: '\u2026', laquo: '\u00ab',
+    raquo: '\u00bb', lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201c',
+    rdquo: '\u201d', copy: '\u00a9', reg: '\u00ae', deg: '\u00b0',
+};
+
+/**
+ * Remove markup, keeping line breaks where block elements ended.
+ * @param {string} text Text with HTML
+ * @return {string} Text without tags, comments, scripts or styles
+ */
+const stripMarkup = function( text ) {
+    return text
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, ' ')
+        .replace(/<\s*\/?\s*(br|p|div|li|tr|h[1-6])\b[^>]*>/gi, '\n')
+        .replace(/<\/?[a-z][^>]*>/gi, '');
+};
+
+/**
+ * Decode HTML entities, once.
+ * @param {string} text Text with entities
+ * @return {string} Decoded text, unknown entities are kept
+ */
+const decodeEntities = function( text ) {
+    return text.replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, function(entity,
+        name) {
+        if (name.charAt(0) === '#') {
+            const code = name.charAt(1).toLowerCase() === 'x' ?
+                parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ?
+                String.fromCodePoint(code) : entity;
+        }
+        const decoded = ENTITIES[name.toLowerCase()];
+        return decoded !== undefined ? decoded : entity;
+    });
+};
+
+/**
+ * Normalize Unicode and whitespace.
+ * Compatibility characters are folded (e.g. full-width digits), control
+ * and zero-width characters removed, runs of spaces collapsed and blank
+ * lines limited to one.
+ * @param {string} text Text
+ * @param {boolean} singleLine True to turn line breaks into spaces
+ * @return {string} Normalized text
+ */
+const normalizeWhitespace = function( text, singleLine ) {
+    text = text.normalize('NFKC')
+        // eslint-disable-next-line no-control-regex
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g, '')
+        .replace(/[\u200b-\u200d\u2060\ufeff]/g, '')
+        .replace(/\r\n?/g, '\n');
+    if (singleLine) {
+        return text.replace(/\s+/g, ' ').trim();
+    }
+    return text.split('\n').map(function(line) {
+        return line.replace(/[^\S\n]+/g, ' ').trim();
+    }).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+/**
+ * Compile a redaction rule.
+ * @param {object} rule Rule with name, pattern and replacement
+ * @return {object} Rule with a global regular expression
+ */
+const compileRule = function( rule ) {
+    if (!rule.name || !rule.pattern || typeof rule.replacement !== 'string') {
+        throw new Error('Redaction rule needs name, pattern and replacement');
+    }
+    let flags = rule.flags || '';
+    if (flags.indexOf('g') === -1) flags += 'g';
+    return {
+        name: rule.name,
+        regExp: new RegExp(rule.pattern, flags),
+        replacement: rule.replacement,
+    };
+};
+
+/**
+ * Report text sanitizer.
+ * Strips markup, decodes entities, normalizes Unicode and whitespace, then
+ * redacts personal information with regular expression rules.
+ * @constructor
+ * @param {Array} rules Redaction rules, defaults to the bundled rules
+ */
+let Sanitizer = function Sanitizer(
+        rules
+    ) {
+    this.rules = (rules || defaultRules).map(compileRule);
+
+    // Set constructor reference (used to print the name of this sanitizer)
+    this.constructor = Sanitizer;
+};
+
+Sanitizer.prototype = {
+
+    /**
+     * Compiled redaction rules.
+     * @type {Array}
+     */
+    rules: null,
+
+    /**
+     * Sanitize the title and text of a report.
+     * Sets report.sanitization to an audit of the change:
+     * {title: {originalLength, sanitizedLength}, text: {...}, redactions},
+     * where redactions counts the matches of each rule that fired.
+     * @param {Report} report The normalized report, changed in place
+     * @return {object} The audit
+     */
+    sanitize: function( report ) {
+        let self = this;
+
+        let redactions = {};
+        const clean = function(field, singleLine) {
+            const original = report[field] || '';
+            const sanitized = self.sanitizeText(original, singleLine,
+                redactions);
+            report[field] = sanitized;
+            return {
+                originalLength: original.length,
+                sanitizedLength: sanitized.length,
+            };
+        };
+
+        report.sanitization = {
+            title: clean('title', true),
+            text: clean('text', false),
+            redactions: redactions,
+        };
+        return report.sanitization;
+    },
+
+    /**
+     * Sanitize one text.
+     * @param {string} text Raw text
+     * @param {boolean} singleLine True to turn line breaks into spaces
+     * @param {object} redactions Counts of matches by rule name, added to
+     * @return {string} Sanitized text
+     */
+    sanitizeText: function( text, singleLine, redactions ) {
+        let self = this;
+
+        text = normalizeWhitespace(decodeEntities(stripMarkup(text)),
+            singleLine);
+        self.rules.forEach(function(rule) {
+            text = text.replace(rule.regExp, function() {
+                if (redactions) {
+                    redactions[rule.name] = (redactions[rule.name] || 0) + 1;
+                }
+                return rule.replacement;
+            });
+        });
+        return text;
+    },
+
+};
+
+/**
+ * Create the sanitizer for a configuration.
+ * Redaction rules are read from the JSON file config.REDACTION_RULES_FILE
+ * if set, an empty list turns redaction off.
+ * @param {object} config Detik configuration
+ * @return {Sanitizer} Sanitizer
+ */
+const createSanitizer = function( config ) {
+    if (config.REDACTION_RULES_FILE) {
+        return new Sanitizer(JSON.parse(
+            fs.readFileSync(config.REDACTION_RULES_FILE, 'utf8')));
+    }
+    return new Sanitizer();
+};
+
+module.exports = {
+    Sanitizer: Sanitizer,
+    createSanitizer: createSanitizer,
+    decodeEntities: decodeEntities,
+    stripMarkup: stripMarkup,
+};
@@ -0,0 +1,201 @@
+'use strict';
+
+const MemorySink = require('./memory');
+
+/**
+ * Dry run report sink.
+ * Reads from another sink but never writes to it: reports and checkpoints
+ * are looked up in the target and changes, users included, are kept in
+ * memory, so duplicates of stored reports are found as in a real run.
+ * Withdrawals only consider reports looked up in the run. Every change that
+ * would be written is listed in changes, in order.
+ * @constructor
+ * @param {object} config Detik configuration
+ * @param {object} target Sink to read from
+ */
+let DryRunSink = function DryRunSink(
+        config,
+        target
+    ) {
+    MemorySink.call(this, config);
+
+    this.target = target;
+    this.changes = [];
+    this._fetched = new Set();
+
+    // Set constructor reference (used to print the name of this sink)
+    this.constructor = DryRunSink;
+};
+
+DryRunSink.prototype = Object.assign(Object.create(MemorySink.prototype), {
+
+    /**
+     * Sink read from.
+     * @type {object}
+     */
+    target: null,
+
+    /**
+     * Changes that would be written, as {action, report}, with action one of
+     * 'inserted', 'updated', 'revised', 'withdrawn' or 'unconfirmed'.
+     * @type {Array}
+     */
+    changes: null,
+
+    /**
+     * Save a report, checking the target for a stored version first.
+     * @param {Report} report Normalized report
+     * @return {Promise} Resolves with the status, one of 'inserted',
+     * 'updated' or 'duplicate'
+     */
+    saveReport: async function( report ) {
+        let self = this;
+
+        await self._fetch(report.contributionId);
+        return MemorySink.prototype.saveReport.call(self, report);
+    },
+
+    /**
+     * Save an unconfirmed report, unless the target stores it.
+     * @param {Report} report Normalized report
+     * @return {Promise} Resolves with the status, 'inserted' or 'duplicate'
+     */
+    saveUnconfirmed: async function( report ) {
+        let self = this;
+
+        if (await self.target.hasUnconfirmed(report.contributionId)) {
+            return {status: 'duplicate'};
+        }
+        return MemorySink.prototype.saveUnconfirmed.call(self, report);
+    },
+
+    /**
+     * Get the contribution ID of the newest report in the target.
+     * @return {Promise} Resolves with the contribution ID, or null if no
+     * reports are stored
+     */
+    getLastContributionId: function() {
+        return this.target.getLastContributionId();
+    },
+
+    /**
+     * Find reports created in a time range, oldest first, from the target
+     * and from the changes of this run.
+     * @param {number} from Start of the range, seconds since epoch
+     * @param {number} to End of the range, seconds since epoch
+     * @param {number} limit Most reports to return
+     * @return {Promise} Resolves with the reports
+     */
+    findRecentReports: async function( from, to, limit ) {
+        let self = this;
+
+        let found = new Map();
+        (await self.target.findRecentReports(from, to, limit))
+            .forEach(function(report) {
+                found.set(report.contributionId, report);
+            });
+        (await MemorySink.prototype.findRecentReports.call(self, from, to,
+            limit)).forEach(function(report) {
+            found.set(report.contributionId, report);
+        });
+        return Array.from(found.values()).sort(function(a, b) {
+            return a.createdAt - b.createdAt;
+        }).slice(0, limit);
+    },
+
+    /**
+     * Get a report, as changed in this run or as stored in the target.
+     * @param {number} contributionId Contribution ID
+     * @return {Promise} Resolves with the report, or null if not stored
+     */
+    getReport: async function( contributionId ) {
+        let self = this;
+
+        await self._fetch(contributionId);
+        return MemorySink.prototype.getReport.call(self, contributionId);
+    },
+
+    /**
+     * Test whether an unconfirmed report is stored in the target or was
+     * saved in this run.
+     * @param {number} contributionId Contribution ID
+     * @return {Promise} Resolves with true if stored
+     */
+    hasUnconfirmed: async function( contributionId ) {
+        let self = this;
+
+        return self.unconfirmed.has(contributionId) ||
+            self.target.hasUnconfirmed(contributionId);
+    },
+
+    /**
+     * Update a report, as stored in the target, in memory.
+     * @param {Report} report Normalized report with the new values
+     * @param {object} revision {change, previous}
+     * @return {Promise} Resolves with the status, 'revised', 'missing' or
+     * 'non_flood' if classify.applyFloodPolicy rejects the new values
+     */
+    reviseReport: async function( report, revision ) {
+        let self = this;
+
+        await self._fetch(report.contributionId);
+        return MemorySink.prototype.reviseReport.call(self, report, revision);
+    },
+
+    /**
+     * Read the checkpoint of a feed from the target.
+     * @param {string} name Feed name
+     * @return {Promise} Resolves with the checkpoint, or null if none
+     */
+    readCheckpoint: function( name ) {
+        return this.target.readCheckpoint(name);
+    },
+
+    /**
+     * Keep a report and list the change.
+     * @param {Report} report Normalized report
+     * @param {string} status 'inserted', 'updated', 'revised' or 'withdrawn'
+     * @return {Promise} Resolves when the report is kept
+     */
+    _storeReport: async function( report, status ) {
+        let self = this;
+
+        await MemorySink.prototype._storeReport.call(self, report);
+        self.changes.push({action: status,
+            report: self.reports.get(report.contributionId)});
+    },
+
+    /**
+     * Keep an unconfirmed report and list the change.
+     * @param {Report} report Normalized report
+     * @return {Promise} Resolves when the report is kept
+     */
+    _storeUnconfirmed: async function( report ) {
+        let self = this;
+
+        await MemorySink.prototype._storeUnconfirmed.call(self, report);
+        self.changes.push({action: 'unconfirmed',
+            report: self.unconfirmed.get(report.contributionId)});
+    },
+
+    /**
+     * Copy a report stored in the target to memory, once.
+     * @param {number} contributionId Contribution ID
+     * @return {Promise} Resolves when copied
+     */
+    _fetch: async function( contributionId ) {
+        let self = this;
+
+        if (self._fetched.has(contributionId)) {
+            return;
+        }
+        self._fetched.add(contributionId);
+        const stored = await self.target.getReport(contributionId);
+        if (stored && !self.reports.has(contributionId)) {
+            self.reports.set(contributionId, stored);
+        }
+    },
+
+});
+
+module.exports = DryRunSink;
@@ -0,0 +1,43 @@
+'use strict';
+
+const MemorySink = require('./memory');
+const DryRunSink = require('./dryrun');
+const NdjsonSink = require('./ndjson');
+const PostgresSink = require('./postgres');
+
+/**
+ * Create the report sink selected by config.SINK.
+ * Every sink implements saveReport(report), saveReports(reports),
+ * saveUnconfirmed(report), saveUnconfirmedReports(reports),
+ * upsertUser(report), findRecentReports(from, to, limit),
+ * getReport(contributionId), hasUnconfirmed(contributionId),
+ * reviseReport(report, revision),
+ * withdrawMissing(from, to, contributionIds), readCheckpoint(name),
+ * writeCheckpoint(name, checkpoint) and getLastContributionId().
+ * @param {object} config Detik configuration
+ * @param {object} pool Postgres connection pool, for the 'postgres' sink
+ * @param {Logger} logger Structured logger, for the 'postgres' sink
+ * @return {object} Report sink
+ */
+const createSink = function( config, pool, logger ) {
+    const type = config.SINK || 'postgres';
+    if (type === 'postgres') {
+        return new PostgresSink(config, pool, logger);
+    } else if (type === 'ndjson') {
+        if (!config.NDJSON_PATH) {
+            throw new Error('NDJSON_PATH is required for the ndjson sink');
+        }
+        return new NdjsonSink(config);
+    } else if (type === 'memory') {
+        return new MemorySink(config);
+    }
+    throw new Error('Unknown sink ' + type);
+};
+
+module.exports = {
+    createSink: createSink,
+    DryRunSink: DryRunSink,
+    MemorySink: MemorySink,
+    NdjsonSink: NdjsonSink,
+    PostgresSink: PostgresSink,
+};
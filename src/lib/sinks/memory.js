@@ -0,0 +1,396 @@
+'use strict';
+
+const classify = require('../classify');
+
+/**
+ * In-memory report sink.
+ * Keeps reports and users in memory, for tests and local runs.
+ * @constructor
+ * @param {object} config Detik configuration
+ */
+let MemorySink = function MemorySink(
+        config
+    ) {
+    this.config = config;
+
+    this.reports = new Map();
+    this.unconfirmed = new Map();
+    this.users = new Map();
+    this.checkpoints = new Map();
+    this.revisions = [];
+
+    // Set constructor reference (used to print the name of this sink)
+    this.constructor = MemorySink;
+};
+
+MemorySink.prototype = {
+
+    /**
+     * Sink configuration.
+     * @type {object}
+     */
+    config: {},
+
+    /**
+     * Stored reports, keyed by contribution ID.
+     * @type {Map}
+     */
+    reports: null,
+
+    /**
+     * Stored unconfirmed reports, keyed by contribution ID.
+     * @type {Map}
+     */
+    unconfirmed: null,
+
+    /**
+     * Stored users as {user_hash, legacy_hash, reports, first_seen_at,
+     * last_seen_at}, keyed by user hash. Seen times are the creation times
+     * of the user's first and last reports, in seconds since epoch.
+     * @type {Map}
+     */
+    users: null,
+
+    /**
+     * Stored checkpoints, keyed by feed name.
+     * @type {Map}
+     */
+    checkpoints: null,
+
+    /**
+     * Revisions of stored reports, oldest first.
+     * @type {Array}
+     */
+    revisions: null,
+
+    /**
+     * Save a report and its user.
+     * Follows config.CONFLICT_POLICY like the Postgres sink.
+     * @param {Report} report Normalized report
+     * @return {Promise} Resolves with the status, one of 'inserted',
+     * 'updated' or 'duplicate'
+     */
+    saveReport: async function( report ) {
+        let self = this;
+
+        const status = self._conflictStatus(report);
+        if (status !== 'duplicate') {
+            await self._storeReport(report, status);
+        }
+        if (status === 'inserted') {
+            await self.upsertUser(report);
+        }
+        return {status: status};
+    },
+
+    /**
+     * Save reports and their users, one after another.
+     * @param {Array} reports Normalized reports
+     * @return {Promise} Resolves with the status of each report, in order,
+     * as saveReport
+     */
+    saveReports: async function( reports ) {
+        let self = this;
+
+        let responses = [];
+        for (const report of reports) {
+            responses.push(await self.saveReport(report));
+        }
+        return responses;
+    },
+
+    /**
+     * Save an unconfirmed report, without coordinates, and its user.
+     * Existing contributions are left untouched.
+     * @param {Report} report Normalized report
+     * @return {Promise} Resolves with the status, 'inserted' or 'duplicate'
+     */
+    saveUnconfirmed: async function( report ) {
+        let self = this;
+
+        if (self.unconfirmed.has(report.contributionId)) {
+            return {status: 'duplicate'};
+        }
+        await self._storeUnconfirmed(report);
+        await self.upsertUser(report);
+        return {status: 'inserted'};
+    },
+
+    /**
+     * Save unconfirmed reports and their users, one after another.
+     * @param {Array} reports Normalized reports
+     * @return {Promise} Resolves with the status of each report, in order,
+     * as saveUnconfirmed
+     */
+    saveUnconfirmedReports: async function( reports ) {
+        let self = this;
+
+        let responses = [];
+        for (const report of reports) {
+            responses.push(await self.saveUnconfirmed(report));
+        }
+        return responses;
+    },
+
+    /**
+     * Create or update the hashed user record of a report.
+     * A user still stored under the report's legacy hash is moved to its
+     * keyed hash, along with its reports.
+     * @param {Report} report Normalized report
+     * @return {Promise} Resolves with the stored user
+     */
+    upsertUser: async function( report ) {
+        let self = this;
+
+        const hash = report.userHash;
+        let user = self.users.get(hash);
+        if (!user && report.legacyUserHash) {
+            user = self._relinkUser(report.legacyUserHash, hash);
+        }
+        user = user || {user_hash: hash, legacy_hash: null, reports: 0,
+            first_seen_at: report.createdAt, last_seen_at: report.createdAt};
+        user.reports++;
+        user.first_seen_at = Math.min(user.first_seen_at, report.createdAt);
+        user.last_seen_at = Math.max(user.last_seen_at, report.createdAt);
+        self.users.set(hash, user);
+        return user;
+    },
+
+    /**
+     * Move a user and its reports from a legacy hash to a keyed hash.
+     * @param {string} legacyHash Unkeyed md5 hash the user is stored under
+     * @param {string} hash Keyed hash to move the user to
+     * @return {?object} The moved user, null if none is stored under the
+     * legacy hash
+     */
+    _relinkUser: function( legacyHash, hash ) {
+        let self = this;
+
+        const user = self.users.get(legacyHash);
+        if (!user) {
+            return null;
+        }
+        self.users.delete(legacyHash);
+        user.user_hash = hash;
+        user.legacy_hash = legacyHash;
+        self.users.set(hash, user);
+        self.reports.forEach(function(report) {
+            if (report.userHash === legacyHash) {
+                report.userHash = hash;
+            }
+        });
+        return user;
+    },
+
+    /**
+     * Get the highest stored contribution ID.
+     * @return {Promise} Resolves with the contribution ID, or null if no
+     * reports are stored
+     */
+    getLastContributionId: async function() {
+        let self = this;
+
+        let last = null;
+        self.reports.forEach(function(report, contributionId) {
+            if (last === null || contributionId > last) last = contributionId;
+        });
+        return last;
+    },
+
+    /**
+     * Find stored reports created in a time range, oldest first.
+     * @param {number} from Start of the range, seconds since epoch
+     * @param {number} to End of the range, seconds since epoch
+     * @param {number} limit Most reports to return
+     * @return {Promise} Resolves with the reports
+     */
+    findRecentReports: async function( from, to, limit ) {
+        let self = this;
+
+        let found = [];
+        self.reports.forEach(function(report) {
+            if (report.createdAt >= from && report.createdAt <= to) {
+                found.push(report);
+            }
+        });
+        return found.sort(function(a, b) {
+            return a.createdAt - b.createdAt;
+        }).slice(0, limit);
+    },
+
+    /**
+     * Get a stored report.
+     * @param {number} contributionId Contribution ID
+     * @return {Promise} Resolves with the report, or null if not stored
+     */
+    getReport: async function( contributionId ) {
+        let self = this;
+
+        const report = self.reports.get(contributionId);
+        return report ? Object.assign({withdrawnAt: null}, report) : null;
+    },
+
+    /**
+     * Test whether an unconfirmed report is stored.
+     * @param {number} contributionId Contribution ID
+     * @return {Promise} Resolves with true if stored
+     */
+    hasUnconfirmed: async function( contributionId ) {
+        let self = this;
+
+        return self.unconfirmed.has(contributionId);
+    },
+
+    /**
+     * Update a stored report in place, keeping a revision.
+     * A withdrawn report is restored.
+     * @param {Report} report Normalized report with the new values
+     * @param {object} revision {change, previous}, with the previous values
+     * of the changed fields
+     * @return {Promise} Resolves with the status, 'revised', 'missing' or
+     * 'non_flood' if classify.applyFloodPolicy rejects the new values
+     */
+    reviseReport: async function( report, revision ) {
+        let self = this;
+
+        const stored = self.reports.get(report.contributionId);
+        if (!stored) {
+            return {status: 'missing'};
+        }
+        if (!classify.applyFloodPolicy(report, self.config)) {
+            return {status: 'non_flood'};
+        }
+        await self._storeRevision(Object.assign({
+            contributionId: report.contributionId,
+            revisedAt: new Date().toISOString(),
+        }, revision));
+        await self._storeReport(Object.assign({}, stored, report,
+            {withdrawnAt: null}), 'revised');
+        return {status: 'revised'};
+    },
+
+    /**
+     * Mark reports created in a time range as withdrawn, unless listed.
+     * @param {number} from Start of the range, seconds since epoch
+     * @param {number} to End of the range, seconds since epoch
+     * @param {Array} contributionIds Contribution IDs still in the feed
+     * @return {Promise} Resolves with the contribution IDs withdrawn
+     */
+    withdrawMissing: async function( from, to, contributionIds ) {
+        let self = this;
+
+        const withdrawnAt = new Date().toISOString();
+        let withdrawn = [];
+        self.reports.forEach(function(report, contributionId) {
+            if (report.createdAt >= from && report.createdAt <= to &&
+                !report.withdrawnAt &&
+                contributionIds.indexOf(contributionId) === -1) {
+                withdrawn.push(report);
+            }
+        });
+        for (const report of withdrawn) {
+            await self._storeRevision({contributionId: report.contributionId,
+                revisedAt: withdrawnAt, change: 'withdrawn', previous: null});
+            await self._storeReport(Object.assign({}, report,
+                {withdrawnAt: withdrawnAt}), 'withdrawn');
+        }
+        return withdrawn.map(function(report) {
+            return report.contributionId;
+        });
+    },
+
+    /**
+     * Read the checkpoint of a feed.
+     * @param {string} name Feed name
+     * @return {Promise} Resolves with the checkpoint, or null if none
+     */
+    readCheckpoint: async function( name ) {
+        let self = this;
+
+        const checkpoint = self.checkpoints.get(name);
+        return checkpoint ? Object.assign({}, checkpoint) : null;
+    },
+
+    /**
+     * Write the checkpoint of a feed.
+     * @param {string} name Feed name
+     * @param {object} checkpoint {lastContributionId, lastSuccessAt,
+     * lastError, pagesScanned}
+     * @return {Promise} Resolves when the checkpoint is stored
+     */
+    writeCheckpoint: async function( name, checkpoint ) {
+        let self = this;
+
+        self.checkpoints.set(name, Object.assign({}, checkpoint));
+    },
+
+    /**
+     * Work out what saving a report would do under the conflict policy.
+     * @param {Report} report Normalized report
+     * @return {string} 'inserted', 'updated' or 'duplicate'
+     */
+    _conflictStatus: function( report ) {
+        let self = this;
+
+        const existing = self.reports.get(report.contributionId);
+        if (!existing) {
+            return 'inserted';
+        }
+        const policy = self.config.CONFLICT_POLICY || 'skip';
+        if (policy === 'skip') {
+            return 'duplicate';
+        } else if (policy === 'update') {
+            return existing.updatedAt < report.updatedAt ?
+                'updated' : 'duplicate';
+        }
+        throw new Error('Unknown conflict policy ' + policy);
+    },
+
+    /**
+     * Keep a report.
+     * @param {Report} report Normalized report
+     * @return {Promise} Resolves when the report is stored
+     */
+    _storeReport: async function( report ) {
+        let self = this;
+
+        self.reports.set(report.contributionId, self._persisted(report));
+    },
+
+    /**
+     * Keep a revision.
+     * @param {object} revision {contributionId, revisedAt, change, previous}
+     * @return {Promise} Resolves when the revision is stored
+     */
+    _storeRevision: async function( revision ) {
+        let self = this;
+
+        self.revisions.push(revision);
+    },
+
+    /**
+     * Keep an unconfirmed report.
+     * @param {Report} report Normalized report
+     * @return {Promise} Resolves when the report is stored
+     */
+    _storeUnconfirmed: async function( report ) {
+        let self = this;
+
+        self.unconfirmed.set(report.contributionId, self._persisted(report));
+    },
+
+    /**
+     * Copy a report as it is stored, without the reversible legacy user
+     * hash, which is only needed to move users to their keyed hash.
+     * @param {Report} report Normalized report
+     * @return {object} Report to store
+     */
+    _persisted: function( report ) {
+        let stored = Object.assign({}, report);
+        delete stored.legacyUserHash;
+        return stored;
+    },
+
+};
+
+module.exports = MemorySink;
@@ -0,0 +1,284 @@
+'use strict';
+
+const fs = require('fs');
+const util = require('util');
+
+const MemorySink = require('./memory');
+
+const appendFile = util.promisify(fs.appendFile);
+const readFile = util.promisify(fs.readFile);
+
+/**
+ * NDJSON file report sink.
+ * Appends one JSON line per stored report or user to config.NDJSON_PATH,
+ * so raw pulls can be archived and replayed. Revised and withdrawn reports
+ * are appended again after their revision. Existing lines are read back on
+ * first use to detect duplicates and the last contribution ID.
+ * @constructor
+ * @param {object} config Detik configuration
+ */
+let NdjsonSink = function NdjsonSink(
+        config
+    ) {
+    MemorySink.call(this, config);
+
+    this.path = config.NDJSON_PATH;
+    this._loaded = null;
+
+    // Set constructor reference (used to print the name of this sink)
+    this.constructor = NdjsonSink;
+};
+
+NdjsonSink.prototype = Object.assign(Object.create(MemorySink.prototype), {
+
+    /**
+     * Path of the NDJSON file.
+     * @type {string}
+     */
+    path: null,
+
+    /**
+     * Save a report and its user, appending both to the file.
+     * @param {Report} report Normalized report
+     * @return {Promise} Resolves with the status, one of 'inserted',
+     * 'updated' or 'duplicate'
+     */
+    saveReport: async function( report ) {
+        let self = this;
+
+        await self._load();
+        return MemorySink.prototype.saveReport.call(self, report);
+    },
+
+    /**
+     * Save an unconfirmed report and its user, appending both to the file.
+     * @param {Report} report Normalized report
+     * @return {Promise} Resolves with the status, 'inserted' or 'duplicate'
+     */
+    saveUnconfirmed: async function( report ) {
+        let self = this;
+
+        await self._load();
+        return MemorySink.prototype.saveUnconfirmed.call(self, report);
+    },
+
+    /**
+     * Create or update the hashed user record of a report, appending it to
+     * the file.
+     * @param {Report} report Normalized report
+     * @return {Promise} Resolves with the stored user
+     */
+    upsertUser: async function( report ) {
+        let self = this;
+
+        await self._load();
+        const user = await MemorySink.prototype.upsertUser.call(self, report);
+        await self._append({type: 'user', user: user});
+        return user;
+    },
+
+    /**
+     * Get the highest contribution ID in the file.
+     * @return {Promise} Resolves with the contribution ID, or null if the
+     * file has no reports
+     */
+    getLastContributionId: async function() {
+        let self = this;
+
+        await self._load();
+        return MemorySink.prototype.getLastContributionId.call(self);
+    },
+
+    /**
+     * Find reports in the file created in a time range, oldest first.
+     * @param {number} from Start of the range, seconds since epoch
+     * @param {number} to End of the range, seconds since epoch
+     * @param {number} limit Most reports to return
+     * @return {Promise} Resolves with the reports
+     */
+    findRecentReports: async function( from, to, limit ) {
+        let self = this;
+
+        await self._load();
+        return MemorySink.prototype.findRecentReports.call(self, from, to,
+            limit);
+    },
+
+    /**
+     * Get a report from the file.
+     * @param {number} contributionId Contribution ID
+     * @return {Promise} Resolves with the report, or null if not stored
+     */
+    getReport: async function( contributionId ) {
+        let self = this;
+
+        await self._load();
+        return MemorySink.prototype.getReport.call(self, contributionId);
+    },
+
+    /**
+     * Test whether an unconfirmed report is in the file.
+     * @param {number} contributionId Contribution ID
+     * @return {Promise} Resolves with true if stored
+     */
+    hasUnconfirmed: async function( contributionId ) {
+        let self = this;
+
+        await self._load();
+        return MemorySink.prototype.hasUnconfirmed.call(self, contributionId);
+    },
+
+    /**
+     * Update a report, appending the revision and the new report.
+     * @param {Report} report Normalized report with the new values
+     * @param {object} revision {change, previous}
+     * @return {Promise} Resolves with the status, 'revised' or 'missing'
+     */
+    reviseReport: async function( report, revision ) {
+        let self = this;
+
+        await self._load();
+        return MemorySink.prototype.reviseReport.call(self, report,
+            revision);
+    },
+
+    /**
+     * Mark reports created in a time range as withdrawn, unless listed,
+     * appending a revision and the withdrawn report for each.
+     * @param {number} from Start of the range, seconds since epoch
+     * @param {number} to End of the range, seconds since epoch
+     * @param {Array} contributionIds Contribution IDs still in the feed
+     * @return {Promise} Resolves with the contribution IDs withdrawn
+     */
+    withdrawMissing: async function( from, to, contributionIds ) {
+        let self = this;
+
+        await self._load();
+        return MemorySink.prototype.withdrawMissing.call(self, from, to,
+            contributionIds);
+    },
+
+    /**
+     * Read the checkpoint of a feed, the last one in the file.
+     * @param {string} name Feed name
+     * @return {Promise} Resolves with the checkpoint, or null if none
+     */
+    readCheckpoint: async function( name ) {
+        let self = this;
+
+        await self._load();
+        return MemorySink.prototype.readCheckpoint.call(self, name);
+    },
+
+    /**
+     * Write the checkpoint of a feed, appending it to the file.
+     * @param {string} name Feed name
+     * @param {object} checkpoint {lastContributionId, lastSuccessAt,
+     * lastError, pagesScanned}
+     * @return {Promise} Resolves when the line is written
+     */
+    writeCheckpoint: async function( name, checkpoint ) {
+        let self = this;
+
+        await self._load();
+        await MemorySink.prototype.writeCheckpoint.call(self, name,
+            checkpoint);
+        await self._append({type: 'checkpoint', name: name,
+            checkpoint: checkpoint});
+    },
+
+    /**
+     * Keep a report and append it to the file.
+     * @param {Report} report Normalized report
+     * @param {string} status 'inserted', 'updated', 'revised' or
+     * 'withdrawn'
+     * @return {Promise} Resolves when the line is written
+     */
+    _storeReport: async function( report, status ) {
+        let self = this;
+
+        const stored = self._persisted(report);
+        self.reports.set(report.contributionId, stored);
+        await self._append({type: 'report', status: status,
+            report: stored});
+    },
+
+    /**
+     * Keep a revision and append it to the file.
+     * @param {object} revision {contributionId, revisedAt, change, previous}
+     * @return {Promise} Resolves when the line is written
+     */
+    _storeRevision: async function( revision ) {
+        let self = this;
+
+        self.revisions.push(revision);
+        await self._append({type: 'revision', revision: revision});
+    },
+
+    /**
+     * Keep an unconfirmed report and append it to the file.
+     * @param {Report} report Normalized report
+     * @return {Promise} Resolves when the line is written
+     */
+    _storeUnconfirmed: async function( report ) {
+        let self = this;
+
+        const stored = self._persisted(report);
+        self.unconfirmed.set(report.contributionId, stored);
+        await self._append({type: 'unconfirmed', report: stored});
+    },
+
+    /**
+     * Read existing lines into memory, once.
+     * A missing file is treated as empty.
+     * @return {Promise} Resolves when the file has been read
+     */
+    _load: function() {
+        let self = this;
+
+        if (!self._loaded) {
+            self._loaded = readFile(self.path, 'utf8').catch(function(err) {
+                if (err.code === 'ENOENT') return '';
+                throw err;
+            }).then(function(data) {
+                data.split('\n').forEach(function(line) {
+                    if (!line.trim()) return;
+                    const record = JSON.parse(line);
+                    if (record.type === 'report') {
+                        self.reports.set(record.report.contributionId,
+                            record.report);
+                    } else if (record.type === 'unconfirmed') {
+                        self.unconfirmed.set(record.report.contributionId,
+                            record.report);
+                    } else if (record.type === 'revision') {
+                        self.revisions.push(record.revision);
+                    } else if (record.type === 'checkpoint') {
+                        self.checkpoints.set(record.name, record.checkpoint);
+                    } else if (record.type === 'user') {
+                        // Earlier lines may still use the legacy hash
+                        if (record.user.legacy_hash) {
+                            self._relinkUser(record.user.legacy_hash,
+                                record.user.user_hash);
+                        }
+                        self.users.set(record.user.user_hash, record.user);
+                    }
+                });
+            });
+        }
+        return self._loaded;
+    },
+
+    /**
+     * Append one record to the file.
+     * @param {object} record Record to write as a JSON line
+     * @return {Promise} Resolves when the line is written
+     */
+    _append: function( record ) {
+        let self = this;
+
+        return appendFile(self.path, JSON.stringify(record) + '\n');
+    },
+
+});
+
+module.exports = NdjsonSink;
@@ -0,0 +1,649 @@
+'use strict';
+
+const classify = require('../classify');
+const createLogger = require('../logger').createLogger;
+
+/**
+ * Postgres report sink.
+ * Stores Detik reports and users in the CogniCity database.
+ * @constructor
+ * @param {object} config Detik configuration
+ * @param {object} pool Postgres connection pool
+ * @param {Logger} logger Structured logger, defaults to one at
+ * config.LOG_LEVEL
+ */
+let PostgresSink = function PostgresSink(
+        config,
+        pool,
+        logger
+    ) {
+    // Store references to config and pool
+    this.config = config;
+    this.pool = pool;
+    this.logger = logger || createLogger(config);
+
+    // Set constructor reference (used to print the name of this sink)
+    this.constructor = PostgresSink;
+};
+
+PostgresSink.prototype = {
+
+    /**
+     * Sink configuration.
+     * @type {object}
+     */
+    config: {},
+
+    /**
+     * Postgres connection pool.
+     * @type {object}
+     */
+    pool: null,
+
+    /**
+     * Structured logger.
+     * @type {Logger}
+     */
+    logger: null,
+
+    /**
+     * Save a report and its user in one transaction.
+     * @param {Report} report Normalized report
+     * @return {Promise} Resolves with the status as saveReports, and query
+     * parameters for debugging
+     */
+    saveReport: async function( report ) {
+        let self = this;
+
+        return (await self.saveReports([report]))[0];
+    },
+
+    /**
+     * Save reports and their users in one transaction, with one multi-row
+     * insert. Existing contributions are skipped, or updated if newer when
+     * config.CONFLICT_POLICY is 'update'. Users are only upserted for newly
+     * inserted reports.
+     * @param {Array} reports Normalized reports
+     * @return {Promise} Resolves with the status of each report, in order,
+     * one of 'inserted', 'updated' or 'duplicate', and query parameters
+     * for debugging
+     */
+    saveReports: async function( reports ) {
+        let self = this;
+
+        if (reports.length === 0) {
+            return [];
+        }
+        const unique = self._firstOfEach(reports);
+        const rows = self._valuesList(unique.map(function(report) {
+            return [
+                report.contributionId,
+                report.createdAt,
+                report.updatedAt,
+                report.disasterType,
+                report.classificationRule,
+                report.text,
+                report.lang,
+                report.url,
+                report.imageUrl,
+                report.title,
+                report.region,
+                report.approximateGeom === true,
+                report.geocodeMatch || null,
+                report.longitude,
+                report.latitude,
+                report.originalImageUrl || null,
+                self._json(report.sanitization),
+                report.userHash || null,
+                report.duplicateOf || null,
+            ];
+        }), function(p) {
+            return [p[0], `to_timestamp(${p[1]})`, `to_timestamp(${p[2]})`]
+                .concat(p.slice(3, 13),
+                    [`ST_SetSRID(ST_Point(${p[13]}, ${p[14]}), 4326)`],
+                    p.slice(15)).join(', ');
+        });
+        const reportQuery = `INSERT INTO ${self.config.TABLE_DETIK}
+                    (contribution_id, created_at, updated_at,
+                        disaster_type, classification_rule, text, lang,
+                        url, image_url, title, instance_region_code,
+                        approximate_geom, geocode_match, the_geom,
+                        original_image_url, sanitization, user_hash,
+                        duplicate_of)
+                    VALUES ${rows.sql}
+                    ${self._conflictClause()}
+                    RETURNING contribution_id, (xmax = 0) AS inserted;`;
+
+        const statuses = await self._transaction(async (client) => {
+            const result = await client.query(reportQuery, rows.values);
+            // Reports the conflict policy left as they were return no row
+            let statuses = new Map();
+            ((result && result.rows) || []).forEach(function(row) {
+                statuses.set(Number(row.contribution_id),
+                    row.inserted ? 'inserted' : 'updated');
+            });
+            for (const report of unique) {
+                if (statuses.get(report.contributionId) === 'inserted') {
+                    await self.upsertUser(report, client);
+                }
+            }
+            return statuses;
+        });
+
+        return self._statuses(reports, unique, statuses, reportQuery,
+            rows.values);
+    },
+
+    /**
+     * Save an unconfirmed report, without coordinates, and its user in one
+     * transaction.
+     * @param {Report} report Normalized report
+     * @return {Promise} Resolves with the status as saveUnconfirmedReports,
+     * and query parameters for debugging
+     */
+    saveUnconfirmed: async function( report ) {
+        let self = this;
+
+        return (await self.saveUnconfirmedReports([report]))[0];
+    },
+
+    /**
+     * Save unconfirmed reports, without coordinates, and their users in one
+     * transaction, with one multi-row insert. Existing contributions are
+     * left untouched.
+     * @param {Array} reports Normalized reports
+     * @return {Promise} Resolves with the status of each report, in order,
+     * 'inserted' or 'duplicate', and query parameters for debugging
+     */
+    saveUnconfirmedReports: async function( reports ) {
+        let self = this;
+
+        if (reports.length === 0) {
+            return [];
+        }
+        const unique = self._firstOfEach(reports);
+        const rows = self._valuesList(unique.map(function(report) {
+            return [
+                report.contributionId,
+                report.createdAt,
+                report.updatedAt,
+                report.disasterType,
+                report.classificationRule,
+                report.text,
+                report.lang,
+                report.url,
+                report.imageUrl,
+                report.title,
+                report.locationName,
+                report.originalImageUrl || null,
+                self._json(report.sanitization),
+            ];
+        }), function(p) {
+            return [p[0], `to_timestamp(${p[1]})`, `to_timestamp(${p[2]})`]
+                .concat(p.slice(3)).join(', ');
+        });
+        const reportQuery = `INSERT INTO ${self.config.TABLE_DETIK_UNCONFIRMED}
+                    (contribution_id, created_at, updated_at,
+                        disaster_type, classification_rule, text, lang,
+                        url, image_url, title, location_name,
+                        original_image_url, sanitization)
+                    VALUES ${rows.sql}
+                    ON CONFLICT (contribution_id) DO NOTHING
+                    RETURNING contribution_id;`;
+
+        const statuses = await self._transaction(async (client) => {
+            const result = await client.query(reportQuery, rows.values);
+            let statuses = new Map();
+            ((result && result.rows) || []).forEach(function(row) {
+                statuses.set(Number(row.contribution_id), 'inserted');
+            });
+            for (const report of unique) {
+                if (statuses.has(report.contributionId)) {
+                    await self.upsertUser(report, client);
+                }
+            }
+            return statuses;
+        });
+
+        return self._statuses(reports, unique, statuses, reportQuery,
+            rows.values);
+    },
+
+    /**
+     * Create or update the hashed user record of a report.
+     * A user still stored under the report's legacy hash is moved to its
+     * keyed hash, and so are its reports in config.TABLE_DETIK.
+     * @param {Report} report Normalized report
+     * @param {object} client Postgres client to use, defaults to the pool;
+     * pass the client of a transaction so moving a user is atomic
+     * @return {Promise} Resolves with true if the user was moved
+     */
+    upsertUser: async function( report, client ) {
+        let self = this;
+
+        client = client || self.pool;
+        const userQuery = `SELECT detik.upsert_users($1, $2, to_timestamp($3))
+            AS relinked;`;
+        const result = await client.query(userQuery, [report.userHash,
+            report.legacyUserHash || null, report.createdAt]);
+        const relinked = Boolean(result && result.rows && result.rows[0] &&
+            result.rows[0].relinked);
+        if (relinked) {
+            await client.query(`UPDATE ${self.config.TABLE_DETIK}
+                SET user_hash = $1 WHERE user_hash = $2;`,
+                [report.userHash, report.legacyUserHash]);
+            self.logger.info('Moved user to keyed hash', {
+                contributionId: report.contributionId});
+        }
+        return relinked;
+    },
+
+    /**
+     * Get the last contribution ID as stored in the database
+     * Used before a feed has a checkpoint
+     * @return {Promise} Resolves with the contribution ID, or null if the
+     * reports table is empty
+     */
+    getLastContributionId: async function() {
+        let self = this;
+
+        const query = `SELECT contribution_id FROM ${self.config.TABLE_DETIK}
+        ORDER BY contribution_id DESC LIMIT 1;`;
+
+        const result = await self.pool.query(query);
+
+        if (result && result.rows && result.rows[0]) {
+            return result.rows[0].contribution_id;
+        }
+        return null;
+    },
+
+    /**
+     * Find stored reports created in a time range, oldest first.
+     * Used to look for near-duplicates of new reports.
+     * @param {number} from Start of the range, seconds since epoch
+     * @param {number} to End of the range, seconds since epoch
+     * @param {number} limit Most reports to return
+     * @return {Promise} Resolves with the reports, with contributionId,
+     * createdAt, userHash, duplicateOf, title, text, imageUrl,
+     * originalImageUrl, longitude and latitude
+     */
+    findRecentReports: async function( from, to, limit ) {
+        let self = this;
+
+        const query = `SELECT contribution_id,
+            extract(epoch FROM created_at) AS created_at, user_hash,
+            duplicate_of, title, text, image_url, original_image_url,
+            ST_X(the_geom) AS longitude, ST_Y(the_geom) AS latitude
+            FROM ${self.config.TABLE_DETIK}
+            WHERE created_at BETWEEN to_timestamp($1) AND to_timestamp($2)
+            ORDER BY created_at LIMIT $3;`;
+
+        const result = await self.pool.query(query, [from, to, limit]);
+
+        return ((result && result.rows) || []).map(function(row) {
+            return {
+                contributionId: Number(row.contribution_id),
+                createdAt: Number(row.created_at),
+                userHash: row.user_hash,
+                duplicateOf: row.duplicate_of === null ? null :
+                    Number(row.duplicate_of),
+                title: row.title,
+                text: row.text,
+                imageUrl: row.image_url,
+                originalImageUrl: row.original_image_url,
+                longitude: Number(row.longitude),
+                latitude: Number(row.latitude),
+            };
+        });
+    },
+
+    /**
+     * Get a stored report.
+     * @param {number} contributionId Contribution ID
+     * @return {Promise} Resolves with the report, with contributionId,
+     * createdAt, updatedAt, title, text, imageUrl, originalImageUrl,
+     * longitude, latitude and withdrawnAt, or null if not stored
+     */
+    getReport: async function( contributionId ) {
+        let self = this;
+
+        const query = `SELECT contribution_id,
+            extract(epoch FROM created_at) AS created_at,
+            extract(epoch FROM updated_at) AS updated_at, title, text,
+            image_url, original_image_url, withdrawn_at,
+            ST_X(the_geom) AS longitude, ST_Y(the_geom) AS latitude
+            FROM ${self.config.TABLE_DETIK}
+            WHERE contribution_id = $1;`;
+
+        const result = await self.pool.query(query, [contributionId]);
+
+        if (!result || !result.rows || !result.rows[0]) {
+            return null;
+        }
+        const row = result.rows[0];
+        return {
+            contributionId: Number(row.contribution_id),
+            createdAt: Number(row.created_at),
+            updatedAt: Number(row.updated_at),
+            title: row.title,
+            text: row.text,
+            imageUrl: row.image_url,
+            originalImageUrl: row.original_image_url,
+            longitude: Number(row.longitude),
+            latitude: Number(row.latitude),
+            withdrawnAt: row.withdrawn_at ?
+                new Date(row.withdrawn_at).toISOString() : null,
+        };
+    },
+
+    /**
+     * Test whether an unconfirmed report is stored.
+     * @param {number} contributionId Contribution ID
+     * @return {Promise} Resolves with true if stored
+     */
+    hasUnconfirmed: async function( contributionId ) {
+        let self = this;
+
+        const query = `SELECT 1 FROM ${self.config.TABLE_DETIK_UNCONFIRMED}
+            WHERE contribution_id = $1;`;
+
+        const result = await self.pool.query(query, [contributionId]);
+        return Boolean(result && result.rows && result.rows.length > 0);
+    },
+
+    /**
+     * Update a stored report in place and add a revision, in one
+     * transaction. A withdrawn report is restored.
+     * @param {Report} report Normalized report with the new values
+     * @param {object} revision {change, previous}, with the previous values
+     * of the changed fields
+     * @return {Promise} Resolves with the status, 'revised', 'missing' or
+     * 'non_flood' if classify.applyFloodPolicy rejects the new values
+     */
+    reviseReport: async function( report, revision ) {
+        let self = this;
+
+        const revisionQuery = `INSERT INTO ${self.config.TABLE_DETIK_REVISIONS}
+            (contribution_id, change, previous, revised_at)
+            VALUES ($1, $2, $3, now());`;
+        const reportQuery = `UPDATE ${self.config.TABLE_DETIK} SET
+            updated_at = to_timestamp($2),
+            title = $3,
+            text = $4,
+            image_url = $5,
+            original_image_url = $6,
+            the_geom = ST_SetSRID(ST_Point($7, $8), 4326),
+            disaster_type = $9,
+            classification_rule = $10,
+            instance_region_code = $11,
+            approximate_geom = $12,
+            geocode_match = $13,
+            sanitization = $14,
+            withdrawn_at = NULL
+            WHERE contribution_id = $1
+            RETURNING contribution_id;`;
+
+        if (!classify.applyFloodPolicy(report, self.config)) {
+            return {status: 'non_flood'};
+        }
+
+        const status = await self._transaction(async (client) => {
+            const result = await client.query(reportQuery, [
+                report.contributionId,
+                report.updatedAt,
+                report.title,
+                report.text,
+                report.imageUrl,
+                report.originalImageUrl || null,
+                report.longitude,
+                report.latitude,
+                report.disasterType,
+                report.classificationRule,
+                report.region,
+                report.approximateGeom === true,
+                report.geocodeMatch || null,
+                self._json(report.sanitization),
+            ]);
+            if (!result.rows || result.rows.length === 0) {
+                return 'missing';
+            }
+            await client.query(revisionQuery, [report.contributionId,
+                revision.change, self._json(revision.previous)]);
+            return 'revised';
+        });
+
+        return {status: status};
+    },
+
+    /**
+     * Mark reports created in a time range as withdrawn, unless listed,
+     * adding a revision for each.
+     * @param {number} from Start of the range, seconds since epoch
+     * @param {number} to End of the range, seconds since epoch
+     * @param {Array} contributionIds Contribution IDs still in the feed,
+     * nulls are ignored
+     * @return {Promise} Resolves with the contribution IDs withdrawn
+     */
+    withdrawMissing: async function( from, to, contributionIds ) {
+        let self = this;
+
+        // A NULL in the array would make ANY() unknown for every row
+        const listed = contributionIds.filter(function(contributionId) {
+            return contributionId !== null && contributionId !== undefined;
+        });
+
+        const query = `WITH withdrawn AS (
+                UPDATE ${self.config.TABLE_DETIK} SET withdrawn_at = now()
+                WHERE created_at BETWEEN to_timestamp($1) AND to_timestamp($2)
+                AND withdrawn_at IS NULL
+                AND NOT (contribution_id = ANY($3::bigint[]))
+                RETURNING contribution_id
+            )
+            INSERT INTO ${self.config.TABLE_DETIK_REVISIONS}
+            (contribution_id, change, previous, revised_at)
+            SELECT contribution_id, 'withdrawn', NULL, now() FROM withdrawn
+            RETURNING contribution_id;`;
+
+        const result = await self.pool.query(query, [from, to, listed]);
+
+        return ((result && result.rows) || []).map(function(row) {
+            return Number(row.contribution_id);
+        });
+    },
+
+    /**
+     * Read the checkpoint of a feed.
+     * @param {string} name Feed name
+     * @return {Promise} Resolves with {lastContributionId, lastSuccessAt,
+     * lastError, pagesScanned}, or null if there is no checkpoint
+     */
+    readCheckpoint: async function( name ) {
+        let self = this;
+
+        const query = `SELECT last_contribution_id, last_success_at,
+            last_error, pages_scanned
+            FROM ${self.config.TABLE_DETIK_CHECKPOINTS}
+            WHERE feed_name = $1;`;
+
+        const result = await self.pool.query(query, [name]);
+
+        if (!result || !result.rows || !result.rows[0]) {
+            return null;
+        }
+        const row = result.rows[0];
+        return {
+            lastContributionId: Number(row.last_contribution_id),
+            lastSuccessAt: row.last_success_at ?
+                new Date(row.last_success_at).toISOString() : null,
+            lastError: row.last_error,
+            pagesScanned: row.pages_scanned,
+        };
+    },
+
+    /**
+     * Write the checkpoint of a feed.
+     * @param {string} name Feed name
+     * @param {object} checkpoint {lastContributionId, lastSuccessAt,
+     * lastError, pagesScanned}
+     * @return {Promise} Resolves when the checkpoint is stored
+     */
+    writeCheckpoint: function( name, checkpoint ) {
+        let self = this;
+
+        const query = `INSERT INTO ${self.config.TABLE_DETIK_CHECKPOINTS}
+            (feed_name, last_contribution_id, last_success_at, last_error,
+                pages_scanned, updated_at)
+            VALUES ($1, $2, $3, $4, $5, now())
+            ON CONFLICT (feed_name) DO UPDATE SET
+            last_contribution_id = EXCLUDED.last_contribution_id,
+            last_success_at = EXCLUDED.last_success_at,
+            last_error = EXCLUDED.last_error,
+            pages_scanned = EXCLUDED.pages_scanned,
+            updated_at = EXCLUDED.updated_at;`;
+
+        return self.pool.query(query, [
+            name,
+            checkpoint.lastContributionId,
+            checkpoint.lastSuccessAt || null,
+            checkpoint.lastError || null,
+            checkpoint.pagesScanned || 0,
+        ]);
+    },
+
+    /**
+     * Build the ON CONFLICT clause for the configured conflict policy.
+     * 'skip' (default) leaves stored reports untouched, 'update' overwrites
+     * them when the incoming report has a newer update time.
+     * @return {string} SQL conflict clause
+     */
+    _conflictClause: function() {
+        let self = this;
+
+        const policy = self.config.CONFLICT_POLICY || 'skip';
+        if (policy === 'skip') {
+            return 'ON CONFLICT (contribution_id) DO NOTHING';
+        } else if (policy === 'update') {
+            return `ON CONFLICT (contribution_id) DO UPDATE SET
+                created_at = EXCLUDED.created_at,
+                updated_at = EXCLUDED.updated_at,
+                disaster_type = EXCLUDED.disaster_type,
+                classification_rule = EXCLUDED.classification_rule,
+                text = EXCLUDED.text,
+                lang = EXCLUDED.lang,
+                url = EXCLUDED.url,
+                image_url = EXCLUDED.image_url,
+                original_image_url = EXCLUDED.original_image_url,
+                sanitization = EXCLUDED.sanitization,
+                user_hash = EXCLUDED.user_hash,
+                duplicate_of = EXCLUDED.duplicate_of,
+                title = EXCLUDED.title,
+                instance_region_code = EXCLUDED.instance_region_code,
+                approximate_geom = EXCLUDED.approximate_geom,
+                geocode_match = EXCLUDED.geocode_match,
+                the_geom = EXCLUDED.the_geom
+                WHERE ${self.config.TABLE_DETIK}.updated_at IS NULL OR
+                ${self.config.TABLE_DETIK}.updated_at < EXCLUDED.updated_at`;
+        }
+        throw new Error('Unknown conflict policy ' + policy);
+    },
+
+    /**
+     * Keep the first of reports sharing a contribution ID, as one insert
+     * cannot touch a row twice.
+     * @param {Array} reports Normalized reports
+     * @return {Array} Reports with distinct contribution IDs, in order
+     */
+    _firstOfEach: function( reports ) {
+        let seen = new Set();
+        return reports.filter(function(report) {
+            if (seen.has(report.contributionId)) {
+                return false;
+            }
+            seen.add(report.contributionId);
+            return true;
+        });
+    },
+
+    /**
+     * Build the rows of a multi-row VALUES list.
+     * @param {Array} rows Values of each row
+     * @param {function} format Called with the placeholders of a row's
+     * values ($1, $2, ...), returns the SQL inside the row's parentheses
+     * @return {object} {sql, values}, the rows and all their values in
+     * placeholder order
+     */
+    _valuesList: function( rows, format ) {
+        let values = [];
+        const sql = rows.map(function(row) {
+            return '(' + format(row.map(function(value) {
+                values.push(value);
+                return '$' + values.length;
+            })) + ')';
+        }).join(',\n                    ');
+        return {sql: sql, values: values};
+    },
+
+    /**
+     * Match insert outcomes back to the reports of a batch.
+     * @param {Array} reports Normalized reports, in order
+     * @param {Array} unique The reports that were inserted
+     * @param {Map} statuses Status by contribution ID of the stored rows
+     * @param {string} query Insert query
+     * @param {Array} values Insert query values
+     * @return {Array} {status, query, values} of each report, 'duplicate'
+     * if no row was stored for it
+     */
+    _statuses: function( reports, unique, statuses, query, values ) {
+        const inserted = new Set(unique);
+        return reports.map(function(report) {
+            return {
+                status: (inserted.has(report) &&
+                    statuses.get(report.contributionId)) || 'duplicate',
+                query: query,
+                values: values,
+            };
+        });
+    },
+
+    /**
+     * Serialize a value for a json column.
+     * @param {*} value Value
+     * @return {?string} JSON text, null if the value is missing
+     */
+    _json: function( value ) {
+        return value === undefined || value === null ? null :
+            JSON.stringify(value);
+    },
+
+    /**
+     * Run queries in a transaction on a dedicated pool client.
+     * Rolls back if work throws, the client is always released.
+     * @param {function} work Async function passed the client
+     * @return {Promise} Resolves with the result of work
+     */
+    _transaction: async function( work ) {
+        let self = this;
+
+        const client = await self.pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await work(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (err) {
+            try {
+                await client.query('ROLLBACK');
+            } catch (rollbackErr) {
+                self.logger.error('Error rolling back transaction',
+                    {error: rollbackErr});
+            }
+            throw err;
+        } finally {
+            client.release();
+        }
+    },
+
+};
+
+module.exports = PostgresSink;
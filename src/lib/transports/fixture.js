@@ -0,0 +1,91 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const FetchError = require('../errors').FetchError;
+
+const readFile = util.promisify(fs.readFile);
+
+/**
+ * File extension of recorded pages, by feed format.
+ * @type {object}
+ */
+const EXTENSIONS = {
+    'detik-json': '.json',
+    'geojson': '.json',
+    'rss': '.xml',
+};
+
+/**
+ * Fixture feed transport.
+ * Replays pages recorded under config.FIXTURE_PATH as page-1.json,
+ * page-2.json, ... (page-1.xml, ... for RSS feeds) instead of fetching
+ * config.DETIK_URL, so runs are repeatable offline. A missing page fails
+ * like a 404.
+ * @constructor
+ * @param {object} config Detik configuration
+ */
+let FixtureTransport = function FixtureTransport(
+        config
+    ) {
+    this.config = config;
+    this.root = config.FIXTURE_PATH;
+
+    // Set constructor reference (used to print the name of this transport)
+    this.constructor = FixtureTransport;
+};
+
+FixtureTransport.prototype = {
+
+    /**
+     * Transport configuration.
+     * @type {object}
+     */
+    config: {},
+
+    /**
+     * Directory pages are read from.
+     * @type {string}
+     */
+    root: null,
+
+    /**
+     * Path of a recorded page.
+     * @param {number} page Number of the page, from 1
+     * @return {string} File path
+     */
+    file: function( page ) {
+        const extension = EXTENSIONS[this.config.FEED_FORMAT] || '.json';
+        return path.join(this.root, 'page-' + page + extension);
+    },
+
+    /**
+     * Read a recorded page.
+     * @param {string} url URL of the page, unused
+     * @param {object} context Request context
+     * @param {number} context.page Number of the page, from 1
+     * @return {Promise} Resolves with {statusCode, headers, body, attempts},
+     * rejects with a FetchError if the page was not recorded
+     */
+    get: async function( url, context ) {
+        let self = this;
+
+        const file = self.file((context && context.page) || 1);
+        let body;
+        try {
+            body = await readFile(file, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                throw new FetchError('No recorded page ' + file,
+                    {statusCode: 404});
+            }
+            throw new FetchError(err.message, {code: err.code});
+        }
+        return {statusCode: 200, headers: {}, body: body, attempts: 1};
+    },
+
+};
+
+module.exports = FixtureTransport;
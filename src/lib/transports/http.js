@@ -0,0 +1,209 @@
+'use strict';
+
+const parseUrl = require('url').parse;
+
+const FetchError = require('../errors').FetchError;
+const createLogger = require('../logger').createLogger;
+const retry = require('../retry');
+
+/**
+ * HTTP feed transport.
+ * Fetches feed pages over http or https, as the URL says, with a
+ * per-request timeout and status code checks.
+ * Transient failures are retried with bounded exponential backoff and
+ * jitter, honouring Retry-After.
+ * @constructor
+ * @param {object} config Detik configuration
+ * @param {Logger} logger Structured logger, defaults to one at
+ * config.LOG_LEVEL
+ */
+let HttpTransport = function HttpTransport(
+        config,
+        logger
+    ) {
+    this.config = config;
+    this.logger = logger || createLogger(config);
+
+    this.http = require('http');
+    this.https = require('https');
+
+    // Set constructor reference (used to print the name of this transport)
+    this.constructor = HttpTransport;
+};
+
+HttpTransport.prototype = {
+
+    /**
+     * Transport configuration.
+     * @type {object}
+     */
+    config: {},
+
+    /**
+     * Structured logger.
+     * @type {Logger}
+     */
+    logger: null,
+
+    /**
+     * Instance of node http.
+     */
+    http: null,
+
+    /**
+     * Instance of node https.
+     */
+    https: null,
+
+    /**
+     * Fetch a URL, retrying transient failures.
+     * @param {string} url URL to fetch
+     * @return {Promise} Resolves with {statusCode, headers, body, attempts},
+     * rejects with a FetchError once retries are used up or on a fatal error
+     */
+    get: function( url ) {
+        let self = this;
+
+        return retry.retry(async function(attempt) {
+            const response = await self.request(url);
+            response.attempts = attempt;
+            return response;
+        }, {
+            retries: self.config.HTTP_RETRIES,
+            transient: function(err) {
+                return Boolean(err.transient);
+            },
+            // Null if the server asked us to wait longer than we may
+            delay: function(attempt, err) {
+                return self._retryDelay(attempt, err.retryAfter);
+            },
+            onRetry: function(err, attempt, delay) {
+                self.logger.warn('Retrying request', {url: url,
+                    attempt: attempt, delayMs: delay, error: err,
+                    statusCode: err.statusCode || null});
+            },
+            sleep: function(ms) {
+                return self._sleep(ms);
+            },
+        });
+    },
+
+    /**
+     * Fetch a URL once.
+     * @param {string} url URL to fetch
+     * @return {Promise} Resolves with {statusCode, headers, body} for 2xx
+     * responses, rejects with a FetchError otherwise
+     */
+    request: function( url ) {
+        let self = this;
+
+        const timeout = Number(self.config.HTTP_TIMEOUT || 0);
+        const client = parseUrl(url).protocol === 'http:' ? self.http :
+            self.https;
+
+        return new Promise(function(resolve, reject) {
+            let settled = false;
+            const settle = function(callback, value) {
+                if (!settled) {
+                    settled = true;
+                    callback(value);
+                }
+            };
+
+            let req = client.request( url, function(res) {
+              let body = '';
+              res.setEncoding('utf8');
+
+              res.on('data', function(chunk) {
+                body += chunk;
+              });
+
+              res.on('end', function() {
+                const statusCode = res.statusCode;
+                if (statusCode >= 200 && statusCode < 300) {
+                    settle(resolve, {statusCode: statusCode,
+                        headers: res.headers || {}, body: body});
+                    return;
+                }
+                settle(reject, new FetchError('HTTP status ' + statusCode, {
+                    statusCode: statusCode,
+                    transient: retry.isTransientStatus(statusCode),
+                    retryAfter: self._parseRetryAfter(
+                        (res.headers || {})['retry-after']),
+                }));
+              });
+            });
+
+            req.on('error', function(error) {
+                // Socket errors, e.g. ECONNRESET or DNS failures
+                settle(reject, new FetchError(error.message, {
+                    transient: true,
+                    code: error.code,
+                }));
+            });
+
+            if (timeout > 0) {
+                req.setTimeout(timeout, function() {
+                    settle(reject, new FetchError('Request timed out after ' +
+                        timeout + ' ms', {transient: true, code: 'ETIMEDOUT'}));
+                    req.abort();
+                });
+            }
+
+            req.end();
+        });
+    },
+
+    /**
+     * Work out how long to wait before the next attempt.
+     * Full jitter exponential backoff, at least as long as Retry-After.
+     * @param {number} attempt Number of the attempt that failed, from 1
+     * @param {?number} retryAfter Delay requested by the server in ms
+     * @return {?number} Delay in ms, or null if Retry-After is longer than
+     * config.HTTP_RETRY_MAX_DELAY
+     */
+    _retryDelay: function( attempt, retryAfter ) {
+        let self = this;
+
+        const max = Number(self.config.HTTP_RETRY_MAX_DELAY || 0);
+        const delay = retry.backoffDelay(attempt,
+            Number(self.config.HTTP_RETRY_BASE_DELAY || 0), max);
+
+        if (retryAfter !== null && retryAfter !== undefined) {
+            if (retryAfter > max) {
+                return null;
+            }
+            return Math.max(retryAfter, delay);
+        }
+        return delay;
+    },
+
+    /**
+     * Parse a Retry-After header.
+     * @param {string} value Seconds or an HTTP date
+     * @return {?number} Delay in ms, null if absent or invalid
+     */
+    _parseRetryAfter: function( value ) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        if (/^\d+$/.test(String(value).trim())) {
+            return Number(value) * 1000;
+        }
+        const date = Date.parse(value);
+        if (isNaN(date)) {
+            return null;
+        }
+        return Math.max(0, date - new Date().getTime());
+    },
+
+    /**
+     * Wait between attempts.
+     * @param {number} ms Milliseconds to wait
+     * @return {Promise} Resolves after the delay
+     */
+    _sleep: retry.sleep,
+
+};
+
+module.exports = HttpTransport;
@@ -0,0 +1,37 @@
+'use strict';
+
+const FixtureTransport = require('./fixture');
+const HttpTransport = require('./http');
+const RecordingTransport = require('./record');
+
+/**
+ * Create the feed transport selected by config.FEED_TRANSPORT.
+ * Every transport implements get(url, context), resolving with
+ * {statusCode, headers, body, attempts}, where context.page is the number
+ * of the page requested.
+ * @param {object} config Detik configuration
+ * @param {Logger} logger Structured logger
+ * @return {object} Feed transport
+ */
+const createTransport = function( config, logger ) {
+    const type = config.FEED_TRANSPORT || 'http';
+    if (type === 'http') {
+        return new HttpTransport(config, logger);
+    } else if (type === 'fixture' || type === 'record') {
+        if (!config.FIXTURE_PATH) {
+            throw new Error('FIXTURE_PATH is required for the ' + type +
+                ' transport');
+        }
+        return type === 'fixture' ? new FixtureTransport(config) :
+            new RecordingTransport(config, new HttpTransport(config, logger),
+                logger);
+    }
+    throw new Error('Unknown feed transport ' + type);
+};
+
+module.exports = {
+    createTransport: createTransport,
+    FixtureTransport: FixtureTransport,
+    HttpTransport: HttpTransport,
+    RecordingTransport: RecordingTransport,
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const createLogger = require('../logger').createLogger;
+const mkdirs = require('../files').mkdirs;
+const FixtureTransport = require('./fixture');
+
+const writeFile = util.promisify(fs.writeFile);
+
+/**
+ * Recording feed transport.
+ * Fetches pages through another transport and saves each response body
+ * under config.FIXTURE_PATH, in the layout FixtureTransport replays.
+ * Recording failures are logged, they never fail a fetch.
+ * @constructor
+ * @param {object} config Detik configuration
+ * @param {object} transport Transport pages are fetched through
+ * @param {Logger} logger Structured logger, defaults to one at
+ * config.LOG_LEVEL
+ */
+let RecordingTransport = function RecordingTransport(
+        config,
+        transport,
+        logger
+    ) {
+    this.config = config;
+    this.transport = transport;
+    this.logger = logger || createLogger(config);
+    this.fixtures = new FixtureTransport(config);
+
+    // Set constructor reference (used to print the name of this transport)
+    this.constructor = RecordingTransport;
+};
+
+RecordingTransport.prototype = {
+
+    /**
+     * Transport configuration.
+     * @type {object}
+     */
+    config: {},
+
+    /**
+     * Transport pages are fetched through.
+     * @type {object}
+     */
+    transport: null,
+
+    /**
+     * Structured logger.
+     * @type {Logger}
+     */
+    logger: null,
+
+    /**
+     * Fixture layout pages are saved in.
+     * @type {FixtureTransport}
+     */
+    fixtures: null,
+
+    /**
+     * Fetch a page and record it.
+     * @param {string} url URL of the page
+     * @param {object} context Request context
+     * @param {number} context.page Number of the page, from 1
+     * @return {Promise} Resolves with the response of the transport
+     */
+    get: async function( url, context ) {
+        let self = this;
+
+        const response = await self.transport.get(url, context);
+        const file = self.fixtures.file((context && context.page) || 1);
+        try {
+            await mkdirs(path.dirname(file));
+            await writeFile(file, response.body);
+            self.logger.info('Recorded page', {url: url, file: file});
+        } catch (err) {
+            self.logger.error('Error recording page', {url: url, file: file,
+                error: err});
+        }
+        return response;
+    },
+
+};
+
+module.exports = RecordingTransport;
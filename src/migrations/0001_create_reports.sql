@@ -0,0 +1,80 @@
+-- Detik reports, unconfirmed reports and hashed users.
+-- Guarded with IF NOT EXISTS, so databases set up before migrations
+-- existed can be brought under version control. Their tables may predate
+-- some of the columns below, which are added when missing.
+
+CREATE EXTENSION IF NOT EXISTS postgis;
+
+CREATE SCHEMA IF NOT EXISTS detik;
+
+-- Reports with coordinates
+CREATE TABLE IF NOT EXISTS detik.reports (
+    pkey bigserial PRIMARY KEY,
+    contribution_id bigint NOT NULL UNIQUE,
+    created_at timestamp with time zone NOT NULL,
+    updated_at timestamp with time zone,
+    disaster_type varchar NOT NULL DEFAULT 'flood',
+    text text,
+    lang varchar,
+    url varchar,
+    image_url varchar,
+    title varchar,
+    the_geom geometry(Point, 4326) NOT NULL
+);
+
+ALTER TABLE detik.reports
+    ADD COLUMN IF NOT EXISTS updated_at timestamp with time zone,
+    ADD COLUMN IF NOT EXISTS disaster_type varchar NOT NULL DEFAULT 'flood',
+    ADD COLUMN IF NOT EXISTS text text,
+    ADD COLUMN IF NOT EXISTS lang varchar,
+    ADD COLUMN IF NOT EXISTS url varchar,
+    ADD COLUMN IF NOT EXISTS image_url varchar,
+    ADD COLUMN IF NOT EXISTS title varchar;
+
+CREATE INDEX IF NOT EXISTS reports_created_at_idx
+    ON detik.reports (created_at);
+CREATE INDEX IF NOT EXISTS reports_the_geom_idx
+    ON detik.reports USING gist (the_geom);
+
+-- Reports without coordinates
+CREATE TABLE IF NOT EXISTS detik.reports_unconfirmed (
+    pkey bigserial PRIMARY KEY,
+    contribution_id bigint NOT NULL UNIQUE,
+    created_at timestamp with time zone NOT NULL,
+    updated_at timestamp with time zone,
+    disaster_type varchar NOT NULL DEFAULT 'flood',
+    text text,
+    lang varchar,
+    url varchar,
+    image_url varchar,
+    title varchar
+);
+
+ALTER TABLE detik.reports_unconfirmed
+    ADD COLUMN IF NOT EXISTS updated_at timestamp with time zone,
+    ADD COLUMN IF NOT EXISTS disaster_type varchar NOT NULL DEFAULT 'flood',
+    ADD COLUMN IF NOT EXISTS text text,
+    ADD COLUMN IF NOT EXISTS lang varchar,
+    ADD COLUMN IF NOT EXISTS url varchar,
+    ADD COLUMN IF NOT EXISTS image_url varchar,
+    ADD COLUMN IF NOT EXISTS title varchar;
+
+CREATE INDEX IF NOT EXISTS reports_unconfirmed_created_at_idx
+    ON detik.reports_unconfirmed (created_at);
+
+-- Users, by md5 hash of the Detik user ID
+CREATE TABLE IF NOT EXISTS detik.users (
+    user_hash varchar PRIMARY KEY,
+    reports_count integer NOT NULL DEFAULT 0
+);
+
+ALTER TABLE detik.users
+    ADD COLUMN IF NOT EXISTS reports_count integer NOT NULL DEFAULT 0;
+
+-- Count a report against its user, adding the user if new
+CREATE OR REPLACE FUNCTION detik.upsert_users(hash varchar)
+RETURNS void AS $$
+    INSERT INTO detik.users (user_hash, reports_count) VALUES (hash, 1)
+    ON CONFLICT (user_hash) DO UPDATE
+    SET reports_count = detik.users.reports_count + 1;
+$$ LANGUAGE sql;
@@ -0,0 +1,14 @@
+-- Classification, instance regions and gazetteer locations.
+
+ALTER TABLE detik.reports
+    ADD COLUMN IF NOT EXISTS classification_rule varchar,
+    ADD COLUMN IF NOT EXISTS instance_region_code varchar,
+    ADD COLUMN IF NOT EXISTS approximate_geom boolean NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS geocode_match varchar;
+
+ALTER TABLE detik.reports_unconfirmed
+    ADD COLUMN IF NOT EXISTS classification_rule varchar,
+    ADD COLUMN IF NOT EXISTS location_name varchar;
+
+CREATE INDEX IF NOT EXISTS reports_instance_region_code_idx
+    ON detik.reports (instance_region_code);
@@ -0,0 +1,10 @@
+-- Polling progress of each feed.
+
+CREATE TABLE IF NOT EXISTS detik.checkpoints (
+    feed_name varchar PRIMARY KEY,
+    last_contribution_id bigint NOT NULL,
+    last_success_at timestamp with time zone,
+    last_error text,
+    pages_scanned integer NOT NULL DEFAULT 0,
+    updated_at timestamp with time zone NOT NULL DEFAULT now()
+);
@@ -0,0 +1,9 @@
+-- Mirrored photos keep the Detik URL, and redactions are recorded.
+
+ALTER TABLE detik.reports
+    ADD COLUMN IF NOT EXISTS original_image_url varchar,
+    ADD COLUMN IF NOT EXISTS sanitization jsonb;
+
+ALTER TABLE detik.reports_unconfirmed
+    ADD COLUMN IF NOT EXISTS original_image_url varchar,
+    ADD COLUMN IF NOT EXISTS sanitization jsonb;
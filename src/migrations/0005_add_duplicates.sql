@@ -0,0 +1,8 @@
+-- Near-duplicate detection.
+
+ALTER TABLE detik.reports
+    ADD COLUMN IF NOT EXISTS user_hash varchar,
+    ADD COLUMN IF NOT EXISTS duplicate_of bigint;
+
+CREATE INDEX IF NOT EXISTS reports_duplicate_of_idx
+    ON detik.reports (duplicate_of);
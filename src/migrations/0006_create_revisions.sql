@@ -0,0 +1,15 @@
+-- Edits and withdrawals of stored reports.
+
+ALTER TABLE detik.reports
+    ADD COLUMN IF NOT EXISTS withdrawn_at timestamp with time zone;
+
+CREATE TABLE IF NOT EXISTS detik.report_revisions (
+    pkey bigserial PRIMARY KEY,
+    contribution_id bigint NOT NULL,
+    change varchar NOT NULL,
+    previous jsonb,
+    revised_at timestamp with time zone NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS report_revisions_contribution_id_idx
+    ON detik.report_revisions (contribution_id);
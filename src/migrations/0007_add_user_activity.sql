@@ -0,0 +1,65 @@
+-- Keyed user hashes and per-user activity.
+-- Users stored under the unkeyed md5 hash of their Detik ID are moved to
+-- their keyed hash the next time they report, keeping the md5 hash in
+-- legacy_hash.
+
+ALTER TABLE detik.users
+    ADD COLUMN IF NOT EXISTS legacy_hash varchar,
+    ADD COLUMN IF NOT EXISTS first_seen_at timestamp with time zone,
+    ADD COLUMN IF NOT EXISTS last_seen_at timestamp with time zone;
+
+CREATE INDEX IF NOT EXISTS users_legacy_hash_idx
+    ON detik.users (legacy_hash);
+
+-- Activity of existing users, from their stored reports
+UPDATE detik.users AS users
+SET first_seen_at = seen.first_seen_at,
+    last_seen_at = seen.last_seen_at
+FROM (
+    SELECT user_hash, min(created_at) AS first_seen_at,
+        max(created_at) AS last_seen_at
+    FROM detik.reports
+    WHERE user_hash IS NOT NULL
+    GROUP BY user_hash
+) AS seen
+WHERE users.user_hash = seen.user_hash AND users.first_seen_at IS NULL;
+
+-- Count a report seen at seen_at against its user, adding the user if new.
+-- A user stored under its legacy hash is moved to hash first, returning
+-- true so its reports can be moved too.
+CREATE OR REPLACE FUNCTION detik.upsert_users(hash varchar, legacy varchar,
+    seen_at timestamp with time zone)
+RETURNS boolean AS $$
+BEGIN
+    UPDATE detik.users
+    SET reports_count = reports_count + 1,
+        first_seen_at = LEAST(first_seen_at, seen_at),
+        last_seen_at = GREATEST(last_seen_at, seen_at)
+    WHERE user_hash = hash;
+    IF FOUND THEN
+        RETURN false;
+    END IF;
+
+    IF legacy IS NOT NULL THEN
+        UPDATE detik.users
+        SET user_hash = hash,
+            legacy_hash = legacy,
+            reports_count = reports_count + 1,
+            first_seen_at = LEAST(first_seen_at, seen_at),
+            last_seen_at = GREATEST(last_seen_at, seen_at)
+        WHERE user_hash = legacy;
+        IF FOUND THEN
+            RETURN true;
+        END IF;
+    END IF;
+
+    INSERT INTO detik.users (user_hash, legacy_hash, reports_count,
+        first_seen_at, last_seen_at)
+    VALUES (hash, NULL, 1, seen_at, seen_at)
+    ON CONFLICT (user_hash) DO UPDATE
+    SET reports_count = detik.users.reports_count + 1,
+        first_seen_at = LEAST(detik.users.first_seen_at, EXCLUDED.first_seen_at),
+        last_seen_at = GREATEST(detik.users.last_seen_at, EXCLUDED.last_seen_at);
+    RETURN false;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,228 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const test = require('unit.js');
+const adapters = require('../lib/adapters');
+
+const RSS = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:georss="http://www.georss.org/georss"
+    xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmlns:atom="http://www.w3.org/2005/Atom">
+<channel>
+    <title>Laporan banjir</title>
+    <link>https://news.example/</link>
+    <atom:link rel="next" href="https://news.example/rss?page=2"/>
+    <item>
+        <title>Banjir di Kemang</title>
+        <link>https://news.example/laporan/1234</link>
+        <guid isPermaLink="false">laporan-1234</guid>
+        <description><![CDATA[Air <b>setinggi</b> lutut]]></description>
+        <pubDate>Tue, 02 Jan 2018 03:04:05 GMT</pubDate>
+        <dc:creator>warga &amp; relawan</dc:creator>
+        <georss:point>-6.2 106.83</georss:point>
+        <enclosure url="https://news.example/1234.jpg" type="image/jpeg"
+            length="100"/>
+    </item>
+    <item>
+        <title>Tanpa lokasi</title>
+        <link>https://news.example/laporan/1235</link>
+    </item>
+</channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom"
+    xmlns:geo="http://www.w3.org/2003/01/geo/wgs84_pos#">
+    <title>Laporan banjir</title>
+    <entry>
+        <id>tag:news.example,2018:5678</id>
+        <title>Genangan di Cawang</title>
+        <link rel="alternate" href="https://news.example/laporan/5678"/>
+        <summary>Jalan tergenang</summary>
+        <published>2018-01-02T03:04:05Z</published>
+        <updated>2018-01-02T04:04:05Z</updated>
+        <author><name>Budi</name></author>
+        <geo:lat>-6.25</geo:lat>
+        <geo:long>106.87</geo:long>
+    </entry>
+</feed>`;
+
+// Test harness for feed adapters
+describe( 'Feed adapters', function() {
+    describe( 'RssAdapter', function() {
+        const adapter = new adapters.RssAdapter();
+
+        it( 'Maps RSS items to Detik results', function() {
+            const parsed = adapter.parse(RSS);
+            test.value(parsed.next).is('https://news.example/rss?page=2');
+            test.value(parsed.results.length).is(2);
+            test.value(parsed.results[0]).is({
+                contributionId: '1234',
+                title: 'Banjir di Kemang',
+                content: 'Air <b>setinggi</b> lutut',
+                url: 'https://news.example/laporan/1234',
+                date: {create: {sec: 1514862245}, update: {sec: null}},
+                location: {geospatial: {longitude: 106.83, latitude: -6.2}},
+                user: {creator: {id: 'warga & relawan'}},
+                files: {photo: 'https://news.example/1234.jpg'},
+            });
+        });
+
+        it( 'Places items without coordinates at (0,0)', function() {
+            const result = adapter.parse(RSS).results[1];
+            test.value(result.contributionId).is('1235');
+            test.value(result.location.geospatial)
+                .is({longitude: 0, latitude: 0});
+            test.value(result.user.creator.id).isNull();
+        });
+
+        it( 'Maps Atom entries to Detik results', function() {
+            const parsed = adapter.parse(ATOM);
+            test.value(parsed.next).isNull();
+            test.value(parsed.results.length).is(1);
+            const result = parsed.results[0];
+            test.value(result.contributionId).is('5678');
+            test.value(result.url).is('https://news.example/laporan/5678');
+            test.value(result.content).is('Jalan tergenang');
+            test.value(result.date).is({create: {sec: 1514862245},
+                update: {sec: 1514865845}});
+            test.value(result.location.geospatial)
+                .is({longitude: 106.87, latitude: -6.25});
+            test.value(result.user.creator.id).is('Budi');
+        });
+
+        it( 'Rejects other documents', function() {
+            test.exception(function() {
+                adapter.parse('<html><body>Error</body></html>');
+            }).hasMessage('Not an RSS or Atom document');
+        });
+    });
+
+    describe( 'GeojsonAdapter', function() {
+        const adapter = new adapters.GeojsonAdapter();
+
+        it( 'Maps features to Detik results', function() {
+            const parsed = adapter.parse(JSON.stringify({
+                type: 'FeatureCollection',
+                features: [{
+                    type: 'Feature',
+                    id: 'f1',
+                    geometry: {type: 'Point', coordinates: [106.83, -6.2]},
+                    properties: {
+                        id: 42,
+                        name: 'Banjir di Kemang',
+                        description: 'Air setinggi lutut',
+                        createdAt: '2018-01-02T03:04:05Z',
+                        updated: 1514865845,
+                        user: 'budi',
+                        image: 'https://news.example/42.jpg',
+                        locationName: 'Kemang',
+                    },
+                }, {
+                    type: 'Feature',
+                    id: 'f2',
+                    geometry: {type: 'Polygon', coordinates: []},
+                    properties: {},
+                }],
+                links: [{rel: 'next', href: 'https://geo.example/items?p=2'}],
+            }));
+            test.value(parsed.next).is('https://geo.example/items?p=2');
+            test.value(parsed.results[0]).is({
+                contributionId: 42,
+                title: 'Banjir di Kemang',
+                content: 'Air setinggi lutut',
+                url: undefined,
+                date: {create: {sec: 1514862245}, update: {sec: 1514865845}},
+                location: {
+                    name: 'Kemang',
+                    geospatial: {longitude: 106.83, latitude: -6.2},
+                },
+                user: {creator: {id: 'budi'}},
+                files: {photo: 'https://news.example/42.jpg'},
+            });
+            test.value(parsed.results[1].contributionId).is('f2');
+            test.value(parsed.results[1].location.geospatial).isUndefined();
+        });
+
+        it( 'Rejects other documents', function() {
+            test.exception(function() {
+                adapter.parse('{"type":"Feature"}');
+            }).hasMessage('Not a GeoJSON FeatureCollection');
+        });
+    });
+
+    describe( 'DetikJsonAdapter', function() {
+        const adapter = new adapters.DetikJsonAdapter();
+
+        it( 'Reads the result list and next cursor', function() {
+            test.value(adapter.parse('{"result":[{"a":1}],"nextCursor":"x"}'))
+                .is({results: [{a: 1}], next: 'x'});
+            test.value(adapter.parse('{"error":"quota"}'))
+                .is({results: null, next: null});
+        });
+    });
+
+    describe( 'Paginator', function() {
+        it( 'Numbers pages', function() {
+            const paginator = new adapters.Paginator('page',
+                'https://detik.example/api?key=abc');
+            test.value(paginator.first())
+                .is('https://detik.example/api?key=abc&page=1');
+            test.value(paginator.next(1, {results: [], next: null}))
+                .is('https://detik.example/api?key=abc&page=2');
+            test.value(new adapters.Paginator('page', 'https://a/').first())
+                .is('https://a/?page=1');
+        });
+
+        it( 'Knows page URLs ahead for numbered pages only', function() {
+            test.value(new adapters.Paginator('page', 'https://a/')
+                .pageUrl(3)).is('https://a/?page=3');
+            const paginator = new adapters.Paginator('cursor', 'https://a/');
+            test.value(paginator.pageUrl(1)).is('https://a/');
+            test.value(paginator.pageUrl(2)).isNull();
+        });
+
+        it( 'Follows cursors and next links', function() {
+            const paginator = new adapters.Paginator('cursor', 'https://a/');
+            test.value(paginator.first()).is('https://a/');
+            test.value(paginator.next(1, {next: 'b c'}))
+                .is('https://a/?cursor=b%20c');
+            test.value(paginator.next(1, {next: 'https://a/?after=9'}))
+                .is('https://a/?after=9');
+            test.value(paginator.next(1, {next: null})).isNull();
+        });
+
+        it( 'Fetches single documents once', function() {
+            const paginator = new adapters.Paginator('single', 'https://a/');
+            test.value(paginator.first()).is('https://a/');
+            test.value(paginator.next(1, {next: 'https://a/2'})).isNull();
+        });
+
+        it( 'Rejects unknown strategies', function() {
+            test.exception(function() {
+                new adapters.Paginator('offset', 'https://a/');
+            }).hasMessage('Unknown pagination offset');
+        });
+    });
+
+    describe( 'createAdapter', function() {
+        it( 'Creates the adapter for FEED_FORMAT', function() {
+            test.value(adapters.createAdapter({}).format).is('detik-json');
+            test.value(adapters.createAdapter({FEED_FORMAT: 'rss'}).format)
+                .is('rss');
+            test.value(adapters.createAdapter({FEED_FORMAT: 'geojson'})
+                .format).is('geojson');
+            test.exception(function() {
+                adapters.createAdapter({FEED_FORMAT: 'csv'});
+            }).hasMessage('Unknown feed format csv');
+        });
+
+        it( 'Paginates by FEED_PAGINATION or the format default', function() {
+            const rss = new adapters.RssAdapter();
+            test.value(adapters.createPaginator({DETIK_URL: 'https://a/'},
+                rss).strategy).is('single');
+            test.value(adapters.createPaginator({DETIK_URL: 'https://a/',
+                FEED_PAGINATION: 'cursor'}, rss).strategy).is('cursor');
+        });
+    });
+});
@@ -0,0 +1,199 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('unit.js');
+const backfill = require('../cli/backfill');
+const DetikDataSource = require('../lib/detik');
+const MemorySink = require('../lib/sinks/memory');
+const NdjsonSink = require('../lib/sinks/ndjson');
+
+function generateResult( contributionId, date ) {
+    return {
+        contributionId: contributionId,
+        title: 'Banjir ' + contributionId,
+        url: 'https://web.com',
+        location: {
+            geospatial: {
+                longitude: 106.83,
+                latitude: -6.2,
+            },
+        },
+        date: {
+            create: {
+                sec: date / 1000,
+            },
+            update: {
+                sec: date / 1000,
+            },
+        },
+        user: {
+            creator: {
+                id: 123,
+            },
+        },
+    };
+}
+
+// Test harness for backfill
+describe( 'Backfill', function() {
+    describe( 'parseArgs', function() {
+        it( 'Parses ranges and flags', function() {
+            test.value(backfill.parseArgs(['--from', '2018-01-01T00:00:00Z',
+                '--to', '2018-01-02T00:00:00Z', '--dry-run'])).is({
+                range: {from: 1514764800000, to: 1514851200000},
+                dryRun: true,
+                help: false,
+                configFile: null,
+                feed: null,
+                fixtures: null,
+            });
+            test.value(backfill.parseArgs(['--from-id', '10', '--to-id', '20'])
+                .range).is({fromId: 10, toId: 20});
+            test.value(backfill.parseArgs(['--from-id', '1', '--config',
+                'local.json']).configFile).is('local.json');
+            test.value(backfill.parseArgs(['--from-id', '1', '--feed',
+                'jakarta']).feed).is('jakarta');
+            test.value(backfill.parseArgs(['--from-id', '1', '--replay',
+                'fixtures/jakarta']).fixtures)
+                .is({path: 'fixtures/jakarta', transport: 'fixture'});
+        });
+
+        it( 'Rejects invalid arguments', function() {
+            const invalid = [
+                [],
+                ['--to', '2018-01-01'],
+                ['--from', 'yesterday'],
+                ['--from-id', '-1'],
+                ['--from-id'],
+                ['--from-id', '20', '--to-id', '10'],
+                ['--from', '2018-01-02', '--to', '2018-01-01'],
+                ['--foo'],
+                ['--from-id', '1', '--config'],
+                ['--from-id', '1', '--replay', 'a', '--record', 'b'],
+            ];
+            invalid.forEach(function(argv) {
+                test.error(function() {
+                    backfill.parseArgs(argv);
+                });
+            });
+        });
+
+        it( 'Selects the feed to load', function() {
+            const config = {FEED_NAME: 'detik', DETIK_URL: 'https://a'};
+            test.value(backfill.selectFeed(config)).is(config);
+            const feeds = Object.assign({FEEDS: [
+                {name: 'jakarta', url: 'https://j'},
+                {name: 'surabaya', url: 'https://s'},
+            ]}, config);
+            test.value(backfill.selectFeed(feeds, 'surabaya').DETIK_URL)
+                .is('https://s');
+            test.exception(function() {
+                backfill.selectFeed(feeds);
+            }).hasMessage('--feed is required, one of jakarta, surabaya');
+            test.exception(function() {
+                backfill.selectFeed(feeds, 'bandung');
+            }).hasMessage('Unknown feed bandung, one of jakarta, surabaya');
+        });
+
+        it( 'Prints help', async function() {
+            let output = '';
+            await backfill.main(['--help'], {write: function(text) {
+                output += text;
+            }});
+            test.string(output).contains('--dry-run');
+        });
+
+        it( 'Replays recorded pages in a dry run', async function() {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'detik-'));
+            const now = new Date().getTime();
+            fs.writeFileSync(path.join(dir, 'page-1.json'), JSON.stringify(
+                {result: [generateResult(3, now), generateResult(2, now),
+                    generateResult(1, now)]}));
+            // Report 3 is already stored
+            const file = path.join(dir, 'reports.ndjson');
+            await new NdjsonSink({NDJSON_PATH: file}).saveReport({
+                contributionId: 3, createdAt: now / 1000,
+                updatedAt: now / 1000, title: 'Banjir 3', userHash: 'abc'});
+            const stored = fs.readFileSync(file, 'utf8');
+            let output = '';
+            const summary = await backfill.main(['--from-id', '2',
+                '--replay', dir, '--dry-run'], {write: function(text) {
+                output += text;
+            }}, {DETIK_URL: 'https://detik.example/api', LOG_LEVEL: 'silent',
+                METRICS_EMITTER: 'none', SINK: 'ndjson', NDJSON_PATH: file});
+            test.value(fs.readFileSync(file, 'utf8')).is(stored);
+            ['page-1.json', 'reports.ndjson'].forEach(function(name) {
+                fs.unlinkSync(path.join(dir, name));
+            });
+            fs.rmdirSync(dir);
+            test.value(summary.inserted).is(1);
+            test.value(summary.pagesFetched).is(1);
+            test.string(output).contains('skip 3 duplicate\n');
+            test.string(output).notContains('insert 3 ');
+            test.string(output).contains('insert 2 ');
+            test.string(output).notContains('insert 1 ');
+        });
+    });
+
+    describe( 'DetikDataSource.backfill', function() {
+        const hour = 3600000;
+        const now = new Date().getTime();
+        let dataSource;
+        let sink;
+        let pages;
+        let skips;
+
+        beforeEach(function() {
+            sink = new MemorySink({});
+            skips = [];
+            pages = [
+                [generateResult(6, now), generateResult(5, now - hour),
+                    generateResult(4, now - 2 * hour)],
+                [generateResult(3, now - 3 * hour),
+                    generateResult(2, now - 4 * hour)],
+                [],
+            ];
+            dataSource = new DetikDataSource({
+                DETIK_URL: 'https://detik?x=1',
+                HISTORICAL_LOAD_PERIOD: hour / 2,
+                STORE_NON_FLOOD: true,
+            }, null, {
+                sink: sink,
+                transport: {
+                    get: function(url) {
+                        const page = Number(url.split('page=')[1]);
+                        return Promise.resolve({statusCode: 200,
+                            body: JSON.stringify({result: pages[page - 1]}),
+                            attempts: 1});
+                    },
+                },
+                onSkip: function(reason, contributionId) {
+                    skips.push([reason, contributionId]);
+                },
+            });
+            dataSource._lastContributionId = 6;
+        });
+
+        it( 'Loads a date range, ignoring the checkpoint', async function() {
+            const summary = await dataSource.backfill({
+                from: now - 3.5 * hour,
+                to: now - 0.5 * hour,
+            });
+            test.value(Array.from(sink.reports.keys())).is([4, 5, 3]);
+            test.value(skips).is([['outside_range', 6]]);
+            test.value(summary.pagesFetched).is(2);
+            test.value(await sink.readCheckpoint('detik')).is(null);
+            test.value(dataSource._range).is(null);
+        });
+
+        it( 'Loads a contribution ID range', async function() {
+            await dataSource.backfill({fromId: 3, toId: 4});
+            test.value(Array.from(sink.reports.keys())).is([4, 3]);
+            test.value(skips).is([['outside_range', 6],
+                ['outside_range', 5]]);
+        });
+    });
+});
@@ -0,0 +1,39 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('unit.js');
+const blocklist = require('../lib/blocklist');
+
+// Test harness for the user blocklist
+describe( 'UserBlocklist', function() {
+    it( 'Parses hashes with comments', function() {
+        test.value(blocklist.parseHashes('ABC, def\n# spam\nghi # bot\n\n'))
+            .is(['abc', 'def', 'ghi']);
+        test.value(blocklist.parseHashes(undefined)).is([]);
+    });
+
+    it( 'Blocks keyed and legacy hashes', function() {
+        const users = new blocklist.UserBlocklist(['ABC', 'def']);
+        test.value(users.blocks({userHash: 'abc'})).is(true);
+        test.value(users.blocks({userHash: 'keyed', legacyUserHash: 'def'}))
+            .is(true);
+        test.value(users.blocks({userHash: 'ghi', legacyUserHash: null}))
+            .is(false);
+    });
+
+    it( 'Creates the blocklist from config', function() {
+        const file = path.join(os.tmpdir(), 'detik-blocklist-' +
+            process.pid + '.txt');
+        fs.writeFileSync(file, '# Spam accounts\nghi\n');
+        const users = blocklist.createBlocklist({USER_BLOCKLIST: 'abc,def',
+            USER_BLOCKLIST_FILE: file});
+        fs.unlinkSync(file);
+        test.value(Array.from(users.hashes)).is(['abc', 'def', 'ghi']);
+        test.value(blocklist.createBlocklist({})).is(null);
+        test.value(blocklist.createBlocklist({USER_BLOCKLIST: ' '}))
+            .is(null);
+    });
+});
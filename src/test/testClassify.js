@@ -0,0 +1,97 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const test = require('unit.js');
+const classify = require('../lib/classify');
+
+// Test harness for disaster-type classification
+describe( 'DisasterClassifier', function() {
+    const classifier = new classify.DisasterClassifier();
+
+    function classifyText( title, text ) {
+        return classifier.classify({title: title, text: text});
+    }
+
+    it( 'Classifies Indonesian and English reports', function() {
+        test.value(classifyText('Banjir di Kampung Melayu', ''))
+            .is({disasterType: 'flood', rule: 'flood-id'});
+        test.value(classifyText('', 'Gempa terasa di Lebak')).is(
+            {disasterType: 'earthquake', rule: 'earthquake-id'});
+        test.value(classifyText('Haze over Pekanbaru', '')).is(
+            {disasterType: 'haze', rule: 'haze-en'});
+        test.value(classifyText('Angin puting beliung', '')).is(
+            {disasterType: 'wind', rule: 'wind-id'});
+        test.value(classifyText('Merapi erupted again', '')).is(
+            {disasterType: 'volcano', rule: 'volcano-en'});
+        test.value(classifyText('Rumah terbakar', '')).is(
+            {disasterType: 'fire', rule: 'fire-id'});
+    });
+
+    it( 'Matches whole words only', function() {
+        test.value(classifyText('Kereta api terlambat', 'Firefox crashed'))
+            .is({disasterType: 'unclassified', rule: null});
+    });
+
+    it( 'Picks the type with most matches, then rule order', function() {
+        test.value(classifyText('Kebakaran', 'banjir, genangan dan banjir'))
+            .is({disasterType: 'flood', rule: 'flood-id'});
+        test.value(classifyText('Kebakaran', 'banjir'))
+            .is({disasterType: 'flood', rule: 'flood-id'});
+        test.value(classifyText('Kebakaran hebat', 'api terbakar, banjir'))
+            .is({disasterType: 'fire', rule: 'fire-id'});
+    });
+
+    it( 'Accepts custom rules', function() {
+        const custom = new classify.DisasterClassifier([
+            {name: 'slide', disasterType: 'landslide',
+                pattern: 'longsor', flags: 'i'},
+        ]);
+        test.value(custom.classify({title: 'Tanah LONGSOR', text: ''}))
+            .is({disasterType: 'landslide', rule: 'slide'});
+    });
+
+    it( 'Rejects invalid rules', function() {
+        test.error(function() {
+            new classify.DisasterClassifier([{name: 'foo'}]);
+        });
+        test.error(function() {
+            new classify.DisasterClassifier([{name: 'foo',
+                disasterType: 'flood'}]);
+        });
+    });
+
+    it( 'Keeps only floods unless configured', function() {
+        let report = {disasterType: 'unclassified', classificationRule: null};
+        test.value(classify.applyFloodPolicy(report, {})).is(true);
+        test.value(report).is({disasterType: 'flood',
+            classificationRule: 'default'});
+        report = {disasterType: 'fire', classificationRule: 'fire-id'};
+        test.value(classify.applyFloodPolicy(report, {})).is(false);
+        test.value(classify.applyFloodPolicy(report,
+            {STORE_NON_FLOOD: true})).is(true);
+        report = {disasterType: 'unclassified', classificationRule: null};
+        classify.applyFloodPolicy(report, {STORE_NON_FLOOD: true});
+        test.value(report.disasterType).is('unclassified');
+    });
+
+    it( 'Loads rules from the configured file', function() {
+        const file = path.join(os.tmpdir(), 'detik-rules-' + process.pid +
+            '.json');
+        fs.writeFileSync(file, JSON.stringify([
+            {name: 'rob', disasterType: 'flood', keywords: ['rob']},
+        ]));
+        try {
+            const custom = classify.createClassifier(
+                {DISASTER_RULES_FILE: file});
+            test.value(custom.rules.length).is(1);
+            test.value(classify.createClassifier({}).rules.length)
+                .is(classifier.rules.length);
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+});
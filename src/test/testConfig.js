@@ -0,0 +1,227 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('unit.js');
+const ConfigError = require('../lib/errors').ConfigError;
+const loadConfig = require('../lib/config').loadConfig;
+
+// Test harness for configuration loading
+describe( 'loadConfig', function() {
+    const env = {DETIK_URL: 'https://detik.example/api?key=abc'};
+
+    it( 'Applies defaults', function() {
+        const config = loadConfig(env);
+        test.value(config.DETIK_URL).is(env.DETIK_URL);
+        test.value(config.HISTORICAL_LOAD_PERIOD).is(3600000);
+        test.value(config.PGPORT).is(5432);
+        test.value(config.PGSSL).is(false);
+        test.value(config.STORE_NON_FLOOD).is(false);
+        test.value(config.PGPASSWORD).isUndefined();
+    });
+
+    it( 'Coerces environment values', function() {
+        const config = loadConfig(Object.assign({
+            HISTORICAL_LOAD_PERIOD: '7200000',
+            PGPORT: ' 6432 ',
+            PG_CLIENT_IDLE_TIMEOUT: '1000',
+            PGSSL: 'true',
+            FILTER_REGIONS: 'false',
+            SINK: 'memory',
+            PGHOST: '',
+        }, env));
+        test.value(config.HISTORICAL_LOAD_PERIOD).is(7200000);
+        test.value(config.PGPORT).is(6432);
+        test.value(config.PG_CLIENT_IDLE_TIMEOUT).is(1000);
+        test.value(config.PGSSL).is(true);
+        test.value(config.FILTER_REGIONS).is(false);
+        test.value(config.SINK).is('memory');
+        test.value(config.PGHOST).is('localhost');
+    });
+
+    it( 'Lists every invalid key', function() {
+        let error;
+        try {
+            loadConfig({
+                PGPORT: 'abc',
+                HTTP_RETRIES: '99',
+                PGSSL: 'maybe',
+                SINK: 'ndjson',
+                CONFLICT_POLICY: 'merge',
+                PGPASSWORD: 'secret',
+            });
+        } catch (err) {
+            error = err;
+        }
+        test.value(error).isInstanceOf(ConfigError);
+        test.value(error.errors.map(function(item) {
+            return item.key;
+        })).is(['HTTP_RETRIES', 'PGPORT', 'PGSSL', 'CONFLICT_POLICY',
+            'DETIK_URL', 'NDJSON_PATH']);
+        test.string(error.message)
+            .contains('DETIK_URL: is required unless FEEDS is set')
+            .contains('PGPORT: must be an integer, got "abc"')
+            .contains('HTTP_RETRIES: must be at most 10')
+            .contains('CONFLICT_POLICY: must be one of skip, update');
+    });
+
+    it( 'Rejects URLs that are not http', function() {
+        test.exception(function() {
+            loadConfig({DETIK_URL: 'ftp://detik.example/'});
+        }).hasMessage(/DETIK_URL: must be an http or https URL/);
+        test.exception(function() {
+            loadConfig({DETIK_URL: 'detik'});
+        }).hasMessage(/DETIK_URL: must be a URL/);
+    });
+
+    it( 'Never shows secret values', function() {
+        test.exception(function() {
+            loadConfig({DETIK_URL: env.DETIK_URL, PGPASSWORD: 5});
+        }).hasMessage('Invalid configuration:\n' +
+            '  PGPASSWORD: must be a string');
+    });
+
+    it( 'Parses feed lists', function() {
+        const config = loadConfig({FEEDS: JSON.stringify([
+            {name: 'jakarta', url: 'https://detik.example/jakarta',
+                historicalLoadPeriod: '600000', disasterType: 'flood'},
+            {name: 'surabaya', url: 'https://detik.example/surabaya',
+                table: 'detik.reports_surabaya'},
+        ])});
+        test.value(config.DETIK_URL).isUndefined();
+        test.value(config.FEEDS).is([
+            {name: 'jakarta', url: 'https://detik.example/jakarta',
+                historicalLoadPeriod: 600000, disasterType: 'flood'},
+            {name: 'surabaya', url: 'https://detik.example/surabaya',
+                table: 'detik.reports_surabaya'},
+        ]);
+        test.value(loadConfig(env).FEEDS).is(null);
+    });
+
+    it( 'Lists every invalid feed field', function() {
+        test.exception(function() {
+            loadConfig({FEEDS: JSON.stringify([
+                {name: 'a', url: 'ftp://a', colour: 'red'},
+                {url: 'https://b'},
+                {name: 'a', url: 'https://a'},
+            ])});
+        }).hasMessage('Invalid configuration:\n' +
+            '  FEEDS[0].colour: is not a known field\n' +
+            '  FEEDS[0].url: must be an http or https URL, got "ftp://a"\n' +
+            '  FEEDS[1].name: is required\n' +
+            '  DETIK_URL: is required unless FEEDS is set');
+        test.exception(function() {
+            loadConfig({FEEDS: '[{"name": "a", "url": "https://a"},' +
+                '{"name": "a", "url": "https://b"}]'});
+        }).hasMessage(/FEEDS: has repeated feed names a/);
+        test.exception(function() {
+            loadConfig({FEEDS: '[]'});
+        }).hasMessage(/FEEDS: must list at least one feed/);
+        test.exception(function() {
+            loadConfig({FEEDS: 'jakarta'});
+        }).hasMessage(/FEEDS: must be a JSON array, got "jakarta"/);
+    });
+
+    it( 'Needs a table per feed for update sync', function() {
+        const feeds = JSON.stringify([
+            {name: 'a', url: 'https://a'},
+            {name: 'b', url: 'https://b', table: 'detik.b'},
+            {name: 'c', url: 'https://c'},
+        ]);
+        test.value(loadConfig({FEEDS: feeds}).UPDATE_SYNC_WINDOW).is(0);
+        test.exception(function() {
+            loadConfig({FEEDS: feeds, UPDATE_SYNC_WINDOW: '86400000'});
+        }).hasMessage(new RegExp('UPDATE_SYNC_WINDOW: needs a table per ' +
+            'feed, detik.reports is shared'));
+    });
+
+    it( 'Checks source time zones', function() {
+        test.value(loadConfig({DETIK_URL: 'https://a',
+            SOURCE_TIMEZONE: '+07:00'}).SOURCE_TIMEZONE).is('+07:00');
+        test.exception(function() {
+            loadConfig({DETIK_URL: 'https://a', SOURCE_TIMEZONE: 'Jakarta'});
+        }).hasMessage(/SOURCE_TIMEZONE: must be UTC, an offset/);
+        test.exception(function() {
+            loadConfig({FEEDS: JSON.stringify([
+                {name: 'a', url: 'https://a', timezone: 'WITA'},
+                {name: 'b', url: 'https://b', timezone: 'CET'},
+            ])});
+        }).hasMessage(/FEEDS: has an unknown timezone CET/);
+    });
+
+    it( 'Needs a directory for recorded pages', function() {
+        test.exception(function() {
+            loadConfig({DETIK_URL: 'https://a', FEED_TRANSPORT: 'fixture'});
+        }).hasMessage(/FIXTURE_PATH: is required for the fixture transport/);
+        test.value(loadConfig({DETIK_URL: 'https://a',
+            FEED_TRANSPORT: 'record', FIXTURE_PATH: 'pages'}).FIXTURE_PATH)
+            .is('pages');
+    });
+
+    it( 'Needs a destination for events', function() {
+        test.value(loadConfig({DETIK_URL: 'https://a'}).EVENTS_PUBLISHER)
+            .is('none');
+        test.exception(function() {
+            loadConfig({DETIK_URL: 'https://a', EVENTS_PUBLISHER: 'webhook'});
+        }).hasMessage(/EVENTS_WEBHOOK_URL: is required for the webhook/);
+        test.exception(function() {
+            loadConfig({DETIK_URL: 'https://a', EVENTS_PUBLISHER: 'sns'});
+        }).hasMessage(/EVENTS_SNS_TOPIC_ARN: is required for the sns/);
+    });
+
+    it( 'Loads only the given keys', function() {
+        const config = loadConfig({PGPORT: '5433'}, null,
+            ['PGPORT', 'PGHOST']);
+        test.value(config).is({PGPORT: 5433, PGHOST: 'localhost'});
+        test.exception(function() {
+            loadConfig({PGPORT: 'none'}, null, ['PGPORT']);
+        }).hasMessage(/PGPORT: must be/);
+    });
+
+    describe( 'Configuration file', function() {
+        const file = path.join(os.tmpdir(), 'detik-config-' + process.pid +
+            '.json');
+
+        afterEach(function() {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        });
+
+        it( 'Overrides the environment', function() {
+            fs.writeFileSync(file, JSON.stringify({
+                PGPORT: 6543,
+                SINK: 'ndjson',
+                NDJSON_PATH: 'reports.ndjson',
+                STORE_NON_FLOOD: true,
+            }));
+            const config = loadConfig(Object.assign({PGPORT: '1234'}, env),
+                file);
+            test.value(config.PGPORT).is(6543);
+            test.value(config.SINK).is('ndjson');
+            test.value(config.STORE_NON_FLOOD).is(true);
+        });
+
+        it( 'Rejects unknown keys and wrong types', function() {
+            fs.writeFileSync(file, JSON.stringify({
+                HISTORICA_LOAD_PERIOD: 1000,
+                PGPORT: 54.5,
+            }));
+            test.exception(function() {
+                loadConfig(env, file);
+            }).hasMessage('Invalid configuration:\n' +
+                '  HISTORICA_LOAD_PERIOD: is not a known key\n' +
+                '  PGPORT: must be an integer, got 54.5');
+        });
+
+        it( 'Reports unreadable files', function() {
+            fs.writeFileSync(file, '[1, 2]');
+            test.exception(function() {
+                loadConfig(env, file);
+            }).hasMessage(/CONFIG_FILE: .* must hold a JSON object/);
+            test.exception(function() {
+                loadConfig(env, file + '.missing');
+            }).hasMessage(/CONFIG_FILE: cannot read/);
+        });
+    });
+});
@@ -0,0 +1,121 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const test = require('unit.js');
+const dedup = require('../lib/dedup');
+
+function generateReport( contributionId, options ) {
+    return Object.assign({
+        contributionId: contributionId,
+        createdAt: 1000,
+        userHash: 'a',
+        longitude: 106.83,
+        latitude: -6.2,
+        imageUrl: null,
+        title: 'Banjir di Kemang',
+        text: 'Air setinggi lutut masuk ke rumah warga sejak pagi',
+    }, options);
+}
+
+// Test harness for near-duplicate detection
+describe( 'Deduplicator', function() {
+    const deduplicator = new dedup.Deduplicator({
+        distance: 100,
+        window: 1800000,
+        similarity: 0.8,
+    });
+
+    it( 'Builds shingles from normalized words', function() {
+        test.value(Array.from(dedup.shingles({title: 'Banjir!',
+            text: 'Air  naik, lagi'}))).is(['banjir air naik',
+            'air naik lagi']);
+        test.value(Array.from(dedup.shingles({title: 'Banjir',
+            text: ''}))).is(['banjir']);
+        test.value(dedup.shingles({title: '', text: '...'}).size).is(0);
+    });
+
+    it( 'Measures Jaccard similarity', function() {
+        test.value(dedup.jaccard(new Set(['a', 'b']), new Set(['b', 'c'])))
+            .is(1 / 3);
+        test.value(dedup.jaccard(new Set(), new Set())).is(0);
+    });
+
+    it( 'Measures distances in metres', function() {
+        // One thousandth of a degree of latitude is about 111 m
+        test.value(Math.round(dedup.distance(106.8, -6.2, 106.8, -6.201)))
+            .is(111);
+    });
+
+    it( 'Matches reports of one user nearby', function() {
+        const report = generateReport(2, {createdAt: 1500, latitude: -6.2005,
+            text: 'Hujan deras'});
+        test.value(deduplicator.match(report, [generateReport(1)])).is({
+            contributionId: 1,
+            reason: 'same_user',
+            distance: 56,
+            similarity: 0.08,
+        });
+        report.latitude = -6.21;
+        test.value(deduplicator.match(report, [generateReport(1)]))
+            .is(null);
+    });
+
+    it( 'Matches reports stored under the legacy user hash', function() {
+        const report = generateReport(2, {userHash: 'keyed',
+            legacyUserHash: 'a', text: 'Hujan deras'});
+        test.value(deduplicator.match(report, [generateReport(1)]).reason)
+            .is('same_user');
+    });
+
+    it( 'Matches similar text from other users', function() {
+        const report = generateReport(2, {userHash: 'b', longitude: 106.9,
+            title: 'BANJIR di Kemang!'});
+        test.value(deduplicator.match(report, [generateReport(1)]).reason)
+            .is('similar_text');
+        report.text = 'Jalan tergenang, kendaraan tidak bisa lewat';
+        test.value(deduplicator.match(report, [generateReport(1)]))
+            .is(null);
+    });
+
+    it( 'Matches the same photo', function() {
+        const photo = 'https://detik.example/abc.jpg';
+        const report = generateReport(2, {userHash: 'b', longitude: 106.9,
+            text: 'Hujan deras', imageUrl: photo, originalImageUrl: photo});
+        test.value(deduplicator.match(report, [generateReport(1,
+            {imageUrl: photo})]).reason).is('same_photo');
+        // Stored with a mirrored copy
+        test.value(deduplicator.match(report, [generateReport(1,
+            {imageUrl: 'https://media.example/ab/abc.jpg',
+                originalImageUrl: photo})]).reason).is('same_photo');
+    });
+
+    it( 'Ignores reports outside the window and itself', function() {
+        test.value(deduplicator.match(generateReport(2, {createdAt: 3000}),
+            [generateReport(1)])).is(null);
+        test.value(deduplicator.match(generateReport(1),
+            [generateReport(1)])).is(null);
+    });
+
+    it( 'Links to the earliest canonical report', function() {
+        const match = deduplicator.match(generateReport(4, {createdAt: 1200}),
+            [generateReport(3, {createdAt: 1100, duplicateOf: 2}),
+                generateReport(2, {createdAt: 1050})]);
+        test.value(match.contributionId).is(2);
+        test.value(deduplicator.match(generateReport(4),
+            [generateReport(3, {duplicateOf: 2})]).contributionId).is(2);
+    });
+
+    it( 'Gives the creation time range to search', function() {
+        test.value(deduplicator.range(generateReport(1)))
+            .is({from: -800, to: 1000});
+    });
+
+    it( 'Is created for the configured mode', function() {
+        test.value(dedup.createDeduplicator({DEDUP_MODE: 'off'})).is(null);
+        const created = dedup.createDeduplicator({DEDUP_MODE: 'drop',
+            DEDUP_DISTANCE: 50, DEDUP_WINDOW: 60000, DEDUP_SIMILARITY: 0.5});
+        test.value(created.distance).is(50);
+        test.value(created.window).is(60000);
+        test.value(created.similarity).is(0.5);
+    });
+});
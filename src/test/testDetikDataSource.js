@@ -4,7 +4,15 @@
 
 const test = require('unit.js');
 const DetikDataSource = require('../lib/detik');
-const config = require('../config.js');
+const FetchError = require('../lib/errors').FetchError;
+const Logger = require('../lib/logger').Logger;
+const UserBlocklist = require('../lib/blocklist').UserBlocklist;
+const MemorySink = require('../lib/sinks/memory');
+const metrics = require('../lib/metrics');
+const normalizeResult = require('../lib/report').normalizeResult;
+const config = require('../lib/config').loadConfig({
+    DETIK_URL: 'https://detik.example/api?key=abc',
+});
 
 const pool = {};
 
@@ -28,14 +36,14 @@ describe( 'DetikDataSource', function() {
     describe( 'start', function() {
         let oldPoll;
         let pollCalledTimes;
-        let oldUpdateLastContributionIdFromDatabase;
+        let oldLoadCheckpoint;
 
         before( function() {
             oldPoll = detikDataSource._poll;
-            oldUpdateLastContributionIdFromDatabase =
-                detikDataSource._updateLastContributionIdFromDatabase;
+            oldLoadCheckpoint =
+                detikDataSource._loadCheckpoint;
             detikDataSource.
-                _updateLastContributionIdFromDatabase = function() {};
+                _loadCheckpoint = function() {};
             detikDataSource._poll = function() {
                 pollCalledTimes++;
             };
@@ -45,16 +53,49 @@ describe( 'DetikDataSource', function() {
             pollCalledTimes = 0;
         });
 
-        it( 'Poll called immediately at start', function() {
-            detikDataSource.start();
+        it( 'Poll called immediately at start', async function() {
+            await detikDataSource.start();
             test.value( pollCalledTimes ).is( 1 );
         });
 
+        it( 'Start waits for the last contribution ID', async function() {
+            let order = [];
+            detikDataSource._loadCheckpoint =
+                async function() {
+                    await Promise.resolve();
+                    order.push('database');
+                };
+            detikDataSource._poll = function() {
+                order.push('poll');
+                return 'summary';
+            };
+            const summary = await detikDataSource.start();
+            test.value( order ).is( ['database', 'poll'] );
+            test.value( summary ).is( 'summary' );
+        });
+
+        it( 'Start logs with a new run ID', async function() {
+            let lines = [];
+            const oldLogger = detikDataSource.logger;
+            detikDataSource.logger = new Logger({write: function(line) {
+                lines.push(JSON.parse(line));
+            }});
+            detikDataSource._loadCheckpoint = async function() {};
+            await detikDataSource.start();
+            const runId = detikDataSource.runId;
+            await detikDataSource.start();
+            detikDataSource.logger = oldLogger;
+            test.value( runId ).isString();
+            test.value( detikDataSource.runId ).isNot( runId );
+            test.value( lines[0].msg ).is( 'Starting poll' );
+            test.value( lines[0].runId ).is( runId );
+        });
+
         // Restore/erase mocked functions
         after( function() {
             detikDataSource._poll = oldPoll;
-            detikDataSource._updateLastContributionIdFromDatabase =
-            oldUpdateLastContributionIdFromDatabase;
+            detikDataSource._loadCheckpoint =
+            oldLoadCheckpoint;
         });
     });
 
@@ -63,20 +104,127 @@ describe( 'DetikDataSource', function() {
         let oldFetchResults = detikDataSource._fetchResults;
         let oldHighestBatchContributionId =
             detikDataSource._highestBatchContributionId;
+        let oldSink = detikDataSource.sink;
 
         before(function() {
+            detikDataSource.sink = new MemorySink({});
+        });
+
+        beforeEach(function() {
             detikDataSource._lastContributionId = 1234;
             detikDataSource._fetchResults = function() {
             return 0;
             };
         });
 
-        it('Poll is executed', function() {
-            detikDataSource._poll();
+        it('Poll is executed', async function() {
+            await detikDataSource._poll();
             test.value(detikDataSource._highestBatchContributionId).is(1234);
         });
 
+        it('Poll waits for pending saves and returns summary',
+            async function() {
+            let saved = false;
+            detikDataSource._fetchResults = function() {
+                detikDataSource.summary.pagesFetched++;
+                detikDataSource._pending.push(new Promise(function(resolve) {
+                    setTimeout(function() {
+                        saved = true;
+                        detikDataSource.summary.inserted++;
+                        resolve();
+                    }, 5);
+                }));
+            };
+            const summary = await detikDataSource._poll();
+            test.value(saved).is(true);
+            test.value(summary.pagesFetched).is(1);
+            test.value(summary.inserted).is(1);
+            test.value(summary.oldContributionId).is(1234);
+            test.value(summary.newContributionId).is(1234);
+            test.value(summary.errors).is([]);
+        });
+
+        it('Checkpoint advances after a clean run', async function() {
+            detikDataSource._fetchResults = function() {
+                detikDataSource.summary.pagesFetched = 2;
+                detikDataSource._highestBatchContributionId = 1240;
+            };
+            const summary = await detikDataSource._poll();
+            test.value(summary.newContributionId).is(1240);
+            const checkpoint = await detikDataSource.sink.readCheckpoint(
+                'detik');
+            test.value(checkpoint.lastContributionId).is(1240);
+            test.value(checkpoint.pagesScanned).is(2);
+            test.value(checkpoint.lastError).is(null);
+            test.string(checkpoint.lastSuccessAt).isNotEmpty();
+        });
+
+        it('Checkpoint does not advance after errors', async function() {
+            await detikDataSource.sink.writeCheckpoint('detik',
+                {lastContributionId: 1234, lastSuccessAt: 'then'});
+            detikDataSource._checkpoint = null;
+            detikDataSource._fetchResults = function() {
+                detikDataSource._highestBatchContributionId = 1240;
+                detikDataSource._recordError('insert',
+                    new Error('Database Error'), {contributionId: 1240});
+            };
+            const summary = await detikDataSource._poll();
+            test.value(summary.newContributionId).is(1234);
+            const checkpoint = await detikDataSource.sink.readCheckpoint(
+                'detik');
+            test.value(checkpoint.lastContributionId).is(1234);
+            test.value(checkpoint.lastError).is('insert: Database Error');
+        });
+
+        it('Checkpoint write errors are recorded', async function() {
+            detikDataSource.sink = {
+                writeCheckpoint: function() {
+                    return Promise.reject(new Error('Database Error'));
+                },
+            };
+            const summary = await detikDataSource._poll();
+            test.value(summary.errors[0].stage).is('checkpoint');
+            detikDataSource.sink = new MemorySink({});
+        });
+
+        it('Metrics are emitted at the end of the run', async function() {
+            const oldEmitter = detikDataSource.metricsEmitter;
+            let emitted;
+            detikDataSource.metricsEmitter = {
+                emit: function(collector, dimensions) {
+                    emitted = {collector: collector, dimensions: dimensions};
+                },
+            };
+            detikDataSource._fetchResults = function() {
+                detikDataSource._recordSkip('non_flood', 1235);
+                detikDataSource._newestUpdatedAt =
+                    new Date().getTime() / 1000 - 60;
+            };
+            await detikDataSource._poll();
+            detikDataSource.metricsEmitter = oldEmitter;
+            test.value(emitted.dimensions).is({Feed: 'detik'});
+            test.value(emitted.collector.get('SkippedNonFlood').value).is(1);
+            test.value(emitted.collector.get('RunDuration').values.length)
+                .is(1);
+            const lag = emitted.collector.get('FeedLag');
+            test.value(lag.unit).is('Seconds');
+            test.value(Math.round(lag.values[0] / 10)).is(6);
+        });
+
+        it('Metrics emitter errors do not fail the run', async function() {
+            const oldEmitter = detikDataSource.metricsEmitter;
+            detikDataSource.metricsEmitter = {
+                emit: function() {
+                    throw new Error('Emitter Error');
+                },
+            };
+            const summary = await detikDataSource._poll();
+            detikDataSource.metricsEmitter = oldEmitter;
+            test.value(summary.errors).is([]);
+        });
+
         after(function() {
+            detikDataSource.sink = oldSink;
             detikDataSource._lastContributionId = oldLastContributionId;
             detikDataSource._fetchResults = oldFetchResults;
             detikDataSource._highestBatchContributionId =
@@ -85,76 +233,365 @@ describe( 'DetikDataSource', function() {
     });
 
     describe('processResult()', function() {
-        let oldSaveResult = detikDataSource._saveResult;
+        let oldStageResult = detikDataSource._stageResult;
+        let oldConfig = detikDataSource.config;
+        let savedReport;
 
         before(function() {
-            detikDataSource._saveResult = function() {
+            detikDataSource._stageResult = function(report) {
+            savedReport = report;
             return 0;
             };
         });
 
+        beforeEach(function() {
+            savedReport = undefined;
+            detikDataSource.config = {STORE_NON_FLOOD: false};
+            detikDataSource.summary = detikDataSource._createSummary();
+        });
+
         it('processResult is executed', function() {
             detikDataSource._processResult({});
+            test.value(savedReport.disasterType).is('flood');
+            test.value(savedReport.classificationRule).is('default');
+        });
+
+        it('Classifies the disaster type', function() {
+            detikDataSource._processResult({title: 'Banjir di Kemang'});
+            test.value(savedReport.disasterType).is('flood');
+            test.value(savedReport.classificationRule).is('flood-id');
+        });
+
+        it('Drops non-flood reports', function() {
+            detikDataSource._processResult({title: 'Kebakaran di pasar'});
+            test.value(savedReport).is(undefined);
+            test.value(detikDataSource.summary.skipped).is({non_flood: 1});
+        });
+
+        it('Sanitizes before classifying', function() {
+            detikDataSource._processResult({title: '<b>Banjir</b>',
+                text: 'Hubungi 08123456789 &amp; kebakaran'});
+            test.value(savedReport.title).is('Banjir');
+            test.value(savedReport.text).is('Hubungi [phone] & kebakaran');
+            test.value(savedReport.sanitization.redactions)
+                .is({'phone-mobile': 1});
+            test.value(savedReport.disasterType).is('flood');
+        });
+
+        it('Falls back to the feed disaster type', function() {
+            detikDataSource.config = {DEFAULT_DISASTER_TYPE: 'flood',
+                STORE_NON_FLOOD: true};
+            detikDataSource._processResult({title: 'Laporan warga'});
+            test.value(savedReport.disasterType).is('flood');
+            test.value(savedReport.classificationRule).is('default');
+            detikDataSource._processResult({title: 'Kebakaran di pasar'});
+            test.value(savedReport.disasterType).is('fire');
+        });
+
+        it('Stores non-flood reports if configured', function() {
+            detikDataSource.config.STORE_NON_FLOOD = true;
+            detikDataSource._processResult({title: 'Kebakaran di pasar'});
+            test.value(savedReport.disasterType).is('fire');
+            detikDataSource._processResult({});
+            test.value(savedReport.disasterType).is('unclassified');
+            test.value(savedReport.classificationRule).is(null);
+        });
+
+        it('Drops reports of blocked users', function() {
+            detikDataSource.blocklist = new UserBlocklist(['abc', 'def']);
+            detikDataSource._processResult({title: 'Banjir',
+                userHash: 'abc'});
+            detikDataSource._processResult({title: 'Banjir',
+                userHash: 'keyed', legacyUserHash: 'def'});
+            test.value(savedReport).is(undefined);
+            test.value(detikDataSource.summary.skipped)
+                .is({blocked_user: 2});
+            detikDataSource._processResult({title: 'Banjir',
+                userHash: 'ghi'});
+            test.value(savedReport.userHash).is('ghi');
+            detikDataSource.blocklist = null;
+        });
+
+        it('Hashes user IDs with the configured secret', function() {
+            const result = {contributionId: 1, url: 'https://detik',
+                date: {create: {sec: 1000}},
+                location: {geospatial: {longitude: 106.8, latitude: -6.2}},
+                user: {creator: {id: 123}}};
+            let report = normalizeResult(result,
+                detikDataSource._normalizeOptions()).report;
+            test.value(report.userHash)
+                .is('202cb962ac59075b964b07152d234b70');
+            test.value(report.legacyUserHash).is(null);
+            detikDataSource.config = {USER_HASH_SECRET: 'key'};
+            report = normalizeResult(result,
+                detikDataSource._normalizeOptions()).report;
+            test.value(report.userHash).match(/^[0-9a-f]{64}$/);
+            test.value(report.legacyUserHash)
+                .is('202cb962ac59075b964b07152d234b70');
         });
 
         after(function() {
-            detikDataSource._saveResult = oldSaveResult;
+            detikDataSource._stageResult = oldStageResult;
+            detikDataSource.config = oldConfig;
         });
     });
 
-    describe('_saveResult()', function() {
+    describe('_savePage()', function() {
         let oldInsertConfirmed = detikDataSource._insertConfirmed;
+        let oldInsertUnconfirmed = detikDataSource._insertUnconfirmed;
+        let oldConfig = detikDataSource.config;
         let resultStore;
+        let unconfirmedStore;
+
+        // Stage and save a page of one report
+        const save = function(report) {
+            return detikDataSource._savePage(
+                [detikDataSource._stageResult(report)]);
+        };
 
         before(function() {
-            detikDataSource._insertConfirmed = function(result) {
-                resultStore = result;
+            // Test data is outside the instance regions
+            detikDataSource.config = Object.assign({}, config,
+                {FILTER_REGIONS: false});
+            detikDataSource._insertConfirmed = function(results) {
+                resultStore = results[0];
+                return [{status: 'inserted'}];
+            };
+            detikDataSource._insertUnconfirmed = function(results) {
+                unconfirmedStore = results[0];
+                return [{status: 'inserted'}];
             };
         });
 
         const data = {
-            location: {
-                geospatial: {
-                    longitude: 1,
-                    latitude: 1,
-                },
-            },
+            longitude: 1,
+            latitude: 1,
         };
 
         const nullIsland = {
-            location: {
-                geospatial: {
-                    longitude: 0,
-                    latitude: 0,
-                },
-            },
+            longitude: 0,
+            latitude: 0,
         };
 
-        it('Catches null island', function() {
-            detikDataSource._saveResult(nullIsland);
+        it('Catches null island', async function() {
+            await save(nullIsland);
             test.value(resultStore).is(undefined);
+            test.value(unconfirmedStore).is(nullIsland);
         });
 
-        it('processResult is executed', function() {
-            detikDataSource._saveResult(data);
+        it('Geocodes reports without coordinates', async function() {
+            detikDataSource.summary = detikDataSource._createSummary();
+            const named = {
+                longitude: 0,
+                latitude: 0,
+                locationName: 'Jl. Jatinegara Barat, Kampung Melayu',
+            };
+            await save(named);
+            test.value(resultStore).is(named);
+            test.value(named.approximateGeom).is(true);
+            test.value(named.geocodeMatch).is('Kampung Melayu');
+            test.value(named.longitude).is(106.866);
+            test.value(detikDataSource.summary.geocoded).is(1);
+            test.value(detikDataSource.summary.inserted).is(1);
+        });
+
+        it('processResult is executed', async function() {
+            await save(data);
             test.value(resultStore).is(data);
         });
 
+        it('Records outcomes in the summary', async function() {
+            detikDataSource.summary = detikDataSource._createSummary();
+            await save(data);
+            await save(nullIsland);
+            detikDataSource._insertConfirmed = function() {
+                return [{status: 'duplicate'}];
+            };
+            await save(data);
+            detikDataSource._insertConfirmed = function() {
+                return [{status: 'updated'}];
+            };
+            await save(data);
+            detikDataSource._insertConfirmed = function() {
+                return [{status: 'failed',
+                    error: new Error('Database Error')}];
+            };
+            await save(data);
+            test.value(detikDataSource.summary.inserted).is(1);
+            test.value(detikDataSource.summary.unconfirmed).is(1);
+            test.value(detikDataSource.summary.updated).is(1);
+            test.value(detikDataSource.summary.skipped).is(
+                {duplicate: 1});
+            test.value(detikDataSource.summary.errors.length).is(1);
+            test.value(detikDataSource.summary.errors[0].stage).is('insert');
+        });
+
+        it('Tags and filters by instance region', async function() {
+            let oldConfig = detikDataSource.config;
+            detikDataSource.config = {FILTER_REGIONS: true};
+            detikDataSource.summary = detikDataSource._createSummary();
+            detikDataSource._insertConfirmed = function(results) {
+                resultStore = results[0];
+                return [{status: 'inserted'}];
+            };
+            const jakarta = {longitude: 106.83, latitude: -6.2};
+            await save(jakarta);
+            test.value(resultStore.region).is('jbd');
+            resultStore = undefined;
+            await save(data);
+            test.value(resultStore).is(undefined);
+            test.value(detikDataSource.summary.skipped).is(
+                {outside_regions: 1});
+            detikDataSource.config = {FILTER_REGIONS: false};
+            await save(data);
+            test.value(resultStore.region).is(null);
+            detikDataSource.config = oldConfig;
+        });
+
+        it('Mirrors photos before inserting', async function() {
+            const MediaError = require('../lib/errors').MediaError;
+            detikDataSource.summary = detikDataSource._createSummary();
+            detikDataSource.media = {
+                mirror: function(url) {
+                    if (url === 'https://detik.example/ok.jpg') {
+                        return Promise.resolve({stored: true,
+                            url: 'https://media.example/abc.jpg'});
+                    }
+                    return Promise.reject(new MediaError('Bad photo',
+                        url.indexOf('ftp') === 0 ? 'invalid_url' :
+                        'http_status'));
+                },
+            };
+            const photo = function(url) {
+                return {longitude: 1, latitude: 1, imageUrl: url,
+                    originalImageUrl: url};
+            };
+            await save(photo('https://detik.example/ok.jpg'));
+            test.value(resultStore.imageUrl)
+                .is('https://media.example/abc.jpg');
+            test.value(resultStore.originalImageUrl)
+                .is('https://detik.example/ok.jpg');
+            await save(photo('https://detik.example/gone.jpg'));
+            test.value(resultStore.imageUrl)
+                .is('https://detik.example/gone.jpg');
+            await save(photo('ftp://detik.example/a'));
+            test.value(resultStore.imageUrl).is(null);
+            await save({longitude: 0, latitude: 0,
+                originalImageUrl: 'https://detik.example/ok.jpg'});
+            test.value(unconfirmedStore.imageUrl)
+                .is('https://media.example/abc.jpg');
+            test.value(detikDataSource.summary.mediaMirrored).is(2);
+            test.value(detikDataSource.summary.mediaFailed).is(2);
+            detikDataSource.media = null;
+        });
+
+        it('Flags or drops near-duplicates', async function() {
+            const oldSink = detikDataSource.sink;
+            const sink = new MemorySink(config);
+            detikDataSource.sink = sink;
+            detikDataSource._recentReports = [];
+            detikDataSource.summary = detikDataSource._createSummary();
+            const post = function(contributionId, userHash, createdAt) {
+                return {contributionId: contributionId, createdAt: createdAt,
+                    userHash: userHash, longitude: 106.83, latitude: -6.2,
+                    title: 'Banjir', text: 'Air masuk rumah warga'};
+            };
+            // Stored by an earlier run
+            await sink.saveReport(post(1, 'a', 1000));
+            await save(post(2, 'a', 1600));
+            test.value(resultStore.duplicateOf).is(1);
+            // Compared with reports of this run the sink has not returned
+            sink.reports.clear();
+            await save(post(3, 'b', 1700));
+            test.value(resultStore.duplicateOf).is(1);
+            resultStore = undefined;
+            await save(post(4, 'c', 9000));
+            test.value(resultStore.duplicateOf).is(undefined);
+            detikDataSource.config = Object.assign({}, detikDataSource.config,
+                {DEDUP_MODE: 'drop'});
+            resultStore = undefined;
+            await save(post(5, 'c', 9100));
+            test.value(resultStore).is(undefined);
+            test.value(detikDataSource.summary.duplicates).is(2);
+            test.value(detikDataSource.summary.skipped)
+                .is({near_duplicate: 1});
+            // Lookup failures save the report as is
+            detikDataSource.sink = {findRecentReports: function() {
+                return Promise.reject(new Error('Database Error'));
+            }};
+            detikDataSource._recentReports = [];
+            await save(post(6, 'c', 9200));
+            test.value(resultStore.contributionId).is(6);
+            detikDataSource.config = Object.assign({}, detikDataSource.config,
+                {DEDUP_MODE: 'flag'});
+            detikDataSource.sink = oldSink;
+        });
+
+        it('Mirrors photos of kept reports a few at a time', async function() {
+            const oldSink = detikDataSource.sink;
+            const sink = new MemorySink(config);
+            detikDataSource.sink = sink;
+            detikDataSource._recentReports = [];
+            detikDataSource.config = Object.assign({}, detikDataSource.config,
+                {DEDUP_MODE: 'drop'});
+            let mirrored = [];
+            let active = 0;
+            let most = 0;
+            detikDataSource.media = {
+                mirror: async function(url) {
+                    mirrored.push(url);
+                    active++;
+                    most = Math.max(most, active);
+                    await new Promise(function(resolve) {
+                        setImmediate(resolve);
+                    });
+                    active--;
+                    return {stored: true, url: url + '.copy'};
+                },
+            };
+            const post = function(contributionId, userHash, createdAt) {
+                const url = 'https://detik.example/' + contributionId + '.jpg';
+                return {contributionId: contributionId, createdAt: createdAt,
+                    userHash: userHash, longitude: 106.83, latitude: -6.2,
+                    title: 'Banjir ' + contributionId, text: 'Air ' +
+                    contributionId, imageUrl: url, originalImageUrl: url};
+            };
+            await sink.saveReport(post(1, 'a', 1000));
+            // Dropped as a duplicate before its photo is fetched
+            await save(post(2, 'a', 1600));
+            test.value(mirrored).is([]);
+            const insertConfirmed = detikDataSource._insertConfirmed;
+            detikDataSource._insertConfirmed = function(results) {
+                return results.map(function() {
+                    return {status: 'inserted'};
+                });
+            };
+            await detikDataSource._savePage([3, 4, 5, 6].map(function(id) {
+                return detikDataSource._stageResult(post(id, 'u' + id,
+                    id * 10000));
+            }));
+            detikDataSource._insertConfirmed = insertConfirmed;
+            test.value(mirrored.length).is(4);
+            test.value(most).is(2);
+            detikDataSource.config = Object.assign({}, detikDataSource.config,
+                {DEDUP_MODE: 'flag'});
+            detikDataSource.media = null;
+            detikDataSource.sink = oldSink;
+        });
+
         after(function() {
             detikDataSource._insertConfirmed = oldInsertConfirmed;
+            detikDataSource._insertUnconfirmed = oldInsertUnconfirmed;
+            detikDataSource.config = oldConfig;
         });
     });
 
 
     describe( '_fetchResults', function() {
-        let oldHttps;
+        let oldTransport;
         let oldFilterResults;
         let oldUpdateLastContributionIdFromBatch;
 
-        let dataCallback;
-        let endCallback;
-        let errorCallback;
-
         let httpsData;
 
         let filterResultsCalled;
@@ -163,32 +600,15 @@ describe( 'DetikDataSource', function() {
         let updateLastContributionIdFromBatchCalled;
 
         before( function() {
-            oldHttps = detikDataSource.https;
-            detikDataSource.https = {
-                request: function(url, callback) {
-                    let res = {
-                        setEncoding: function() {},
-                        on: function(event, callback) {
-                            if (event==='data') dataCallback = callback;
-                            if (event==='end') endCallback = callback;
-                        },
-                    };
-                    callback(res);
-
-                    let req = {
-                        on: function(event, callback) {
-                            if (event==='error') errorCallback = callback;
-                        },
-                        end: function() {
-                            if (generateRequestError) {
-                                errorCallback({message: 'foo', stack: 'bar'});
-                            } else {
-                                dataCallback(httpsData);
-                                endCallback();
-                            }
-                        },
-                    };
-                    return req;
+            oldTransport = detikDataSource.transport;
+            detikDataSource.transport = {
+                get: function(url) {
+                    if (generateRequestError) {
+                        return Promise.reject(new FetchError('foo',
+                            {transient: true, attempts: 3}));
+                    }
+                    return Promise.resolve({statusCode: 200, headers: {},
+                        body: httpsData, attempts: 2});
                 },
             };
 
@@ -217,46 +637,141 @@ describe( 'DetikDataSource', function() {
             updateLastContributionIdFromBatchCalled = false;
         });
 
-        it( 'No results returned stops processing', function() {
+        it( 'No results returned stops processing', async function() {
             httpsData = '{"result":[]}';
-            detikDataSource._fetchResults();
+            await detikDataSource._fetchResults();
             test.value( filterResultsCalled ).is( 0 );
-            test.value( updateLastContributionIdFromBatchCalled ).is( true );
+            test.value( updateLastContributionIdFromBatchCalled ).is( false );
         });
 
-        it( 'Invalid result object returned stops processing', function() {
+        it( 'Invalid result object returned stops processing',
+            async function() {
             httpsData = '{invalid-json}';
-            detikDataSource._fetchResults();
+            await detikDataSource._fetchResults();
             test.value( filterResultsCalled ).is( 0 );
-            test.value( updateLastContributionIdFromBatchCalled ).is( true );
+            test.value( updateLastContributionIdFromBatchCalled ).is( false );
         });
 
-        it( 'Valid result calls _filterResults', function() {
+        it( 'Valid result calls _filterResults', async function() {
             httpsData = '{"result":[{}]}';
-            detikDataSource._fetchResults();
+            await detikDataSource._fetchResults();
             test.value( filterResultsCalled ).is( 1 );
             test.value( updateLastContributionIdFromBatchCalled ).is( false );
         });
 
-        it( 'Request error stops processing', function() {
+        it( 'Request error stops processing', async function() {
             httpsData = '{"result":[{}]}';
             generateRequestError = true;
-            detikDataSource._fetchResults();
+            await detikDataSource._fetchResults();
             test.value( filterResultsCalled ).is( 0 );
-            test.value( updateLastContributionIdFromBatchCalled ).is( true );
+            test.value( updateLastContributionIdFromBatchCalled ).is( false );
         });
 
-        it( 'Multiple pages recurses', function() {
+        it( 'Multiple pages are fetched', async function() {
             httpsData = '{"result":[{}]}';
             filterResultsReturnTrueOnce = true;
-            detikDataSource._fetchResults();
+            await detikDataSource._fetchResults();
             test.value( filterResultsCalled ).is( 2 );
             test.value( updateLastContributionIdFromBatchCalled ).is( false );
         });
 
+        it( 'Fetch errors are recorded in the summary', async function() {
+            detikDataSource.summary = detikDataSource._createSummary();
+            generateRequestError = true;
+            await detikDataSource._fetchResults();
+            test.value( detikDataSource.summary.pagesFetched ).is( 0 );
+            test.value( detikDataSource.summary.retries ).is( 2 );
+            test.value( detikDataSource.summary.errors[0] ).is(
+                {stage: 'fetch', message: 'foo', page: 1, type: 'transient',
+                    statusCode: null} );
+        });
+
+        it( 'Invalid JSON is a fatal error', async function() {
+            detikDataSource.summary = detikDataSource._createSummary();
+            httpsData = '<html>Error</html>';
+            await detikDataSource._fetchResults();
+            test.value( detikDataSource.summary.retries ).is( 1 );
+            test.value( detikDataSource.summary.errors[0].type ).is( 'fatal' );
+        });
+
+        it( 'Cursor pagination follows the next cursor', async function() {
+            const oldGet = detikDataSource.transport.get;
+            const oldConfig = detikDataSource.config;
+            let urls = [];
+            detikDataSource.config = Object.assign({}, oldConfig,
+                {FEED_PAGINATION: 'cursor'});
+            detikDataSource.transport.get = function(url) {
+                urls.push(url);
+                const body = urls.length === 1 ?
+                    '{"result":[{}],"next":"abc"}' : '{"result":[{}]}';
+                return Promise.resolve({statusCode: 200, headers: {},
+                    body: body, attempts: 1});
+            };
+            detikDataSource._syncComplete = false;
+            filterResultsReturnTrueOnce = true;
+            await detikDataSource._fetchResults();
+            detikDataSource.transport.get = oldGet;
+            detikDataSource.config = oldConfig;
+            test.value( urls ).is( [
+                'https://detik.example/api?key=abc',
+                'https://detik.example/api?key=abc&cursor=abc',
+            ] );
+            test.value( filterResultsCalled ).is( 2 );
+            test.value( detikDataSource._syncComplete ).is( false );
+        });
+
+        it( 'Pages are fetched ahead and processed in order',
+            async function() {
+            const oldGet = detikDataSource.transport.get;
+            const oldConfig = detikDataSource.config;
+            const mockFilterResults = detikDataSource._filterResults;
+            let requested = [];
+            let processed = [];
+            detikDataSource.config = Object.assign({}, oldConfig,
+                {FETCH_CONCURRENCY: 3});
+            detikDataSource.metrics = new metrics.MetricsCollector();
+            // Later pages answer first
+            detikDataSource.transport.get = function(url, context) {
+                requested.push(context.page);
+                return new Promise(function(resolve) {
+                    setTimeout(function() {
+                        resolve({statusCode: 200, headers: {},
+                            body: '{"result":[' + context.page + ']}',
+                            attempts: 1});
+                    }, 20 - context.page * 5);
+                });
+            };
+            detikDataSource._filterResults = function(results) {
+                processed.push(results[0]);
+                return results[0] < 2;
+            };
+            await detikDataSource._fetchResults();
+            detikDataSource.transport.get = oldGet;
+            detikDataSource.config = oldConfig;
+            detikDataSource._filterResults = mockFilterResults;
+            test.value( processed ).is( [1, 2] );
+            test.value( requested ).is( [1, 2, 3, 4] );
+            test.value( detikDataSource.metrics.get('PagesDiscarded').value )
+                .is( 2 );
+        });
+
+        it( 'The last page of a single-page feed completes the sync',
+            async function() {
+            const oldConfig = detikDataSource.config;
+            detikDataSource.config = Object.assign({}, oldConfig,
+                {FEED_PAGINATION: 'single'});
+            detikDataSource._syncComplete = false;
+            httpsData = '{"result":[{}]}';
+            filterResultsReturnTrueOnce = true;
+            await detikDataSource._fetchResults();
+            detikDataSource.config = oldConfig;
+            test.value( filterResultsCalled ).is( 1 );
+            test.value( detikDataSource._syncComplete ).is( true );
+        });
+
         // Restore/erase mocked functions
         after( function() {
-            detikDataSource.https = oldHttps;
+            detikDataSource.transport = oldTransport;
             detikDataSource._filterResults = oldFilterResults;
             detikDataSource._updateLastContributionIdFromBatch =
                 oldUpdateLastContributionIdFromBatch;
@@ -269,11 +784,26 @@ describe( 'DetikDataSource', function() {
         function generateResult( contributionId, date ) {
             return {
                 contributionId: contributionId,
+                url: 'https://web.com',
+                location: {
+                    geospatial: {
+                        longitude: 1,
+                        latitude: 1,
+                    },
+                },
                 date: {
+                    create: {
+                        sec: date / 1000,
+                    },
                     update: {
                         sec: date / 1000,
                     },
                 },
+                user: {
+                    creator: {
+                        id: 123,
+                    },
+                },
             };
         }
 
@@ -288,6 +818,7 @@ describe( 'DetikDataSource', function() {
             detikDataSource.config.HISTORICAL_LOAD_PERIOD =
                 new Date().getTime() + 60000;
             detikDataSource._lastContributionId = 0;
+            detikDataSource._highestBatchContributionId = 0;
         });
 
         it( 'New result is processed', function() {
@@ -314,59 +845,84 @@ describe( 'DetikDataSource', function() {
             test.value( processedResults.length ).is( 0 );
         });
 
-        it( 'Last processed ID is updated from one batch', function() {
+        // Last contribution ID is only updated by _poll() once the whole
+        // batch of pages is stored, _filterResults() tracks the highest
+        it( 'Highest batch ID is tracked from one batch', function() {
             detikDataSource.config.HISTORICAL_LOAD_PERIOD = 60000;
             let results = [];
             results.push( generateResult(1, new Date().getTime()) );
             results.push( generateResult(2, new Date().getTime()-120000) );
-            test.value( detikDataSource._lastContributionId ).is( 0 );
-            detikDataSource._filterResults(results);
-            test.value( detikDataSource._lastContributionId ).is( 1 );
-        });
-
-        it( `Last processed ID is not updated from one batch with no 
-            filtered result`, function() {
-            detikDataSource.config.HISTORICAL_LOAD_PERIOD = 60000;
-            let results = [];
-            results.push( generateResult(1, new Date().getTime()) );
-            results.push( generateResult(2, new Date().getTime()) );
             detikDataSource._filterResults(results);
+            test.value( detikDataSource._highestBatchContributionId ).is( 1 );
             test.value( detikDataSource._lastContributionId ).is( 0 );
         });
 
-        it('Last processed ID is updated during last batch of two', function() {
+        it( 'Highest batch ID is tracked across batches', function() {
             detikDataSource.config.HISTORICAL_LOAD_PERIOD = 60000;
             let results = [];
             results.push( generateResult(1, new Date().getTime()) );
             results.push( generateResult(2, new Date().getTime()) );
-            detikDataSource._filterResults(results);
-            test.value( detikDataSource._lastContributionId ).is( 0 );
+            test.bool( detikDataSource._filterResults(results) ).isTrue();
             results = [];
             results.push( generateResult(3, new Date().getTime()) );
             results.push( generateResult(4, new Date().getTime()-120000) );
-            detikDataSource._filterResults(results);
-            test.value( detikDataSource._lastContributionId ).is( 3 );
+            test.bool( detikDataSource._filterResults(results) ).isFalse();
+            test.value( detikDataSource._highestBatchContributionId ).is( 3 );
+            test.value( detikDataSource._lastContributionId ).is( 0 );
         });
 
-        // Last contribution ID is only updated when our batch of pages
-        // is finished
-        // - so either by filterResults() stopping processing, or
-        // - or by fetchResults() getting to the end of the batch
-        // This case - all successes in filterResults() - will not
-        // update lastContributionId
-        it( `Last processed ID is not updated during last batch of two with no 
-            filtered result`, function() {
-            detikDataSource.config.HISTORICAL_LOAD_PERIOD = 60000;
+        it( 'Malformed results are skipped and counted', function() {
+            detikDataSource.summary = detikDataSource._createSummary();
             let results = [];
+            let noUser = generateResult(3, new Date().getTime());
+            delete noUser.user;
+            let noGeo = generateResult(2, new Date().getTime());
+            delete noGeo.location;
+            results.push( noUser );
+            results.push( noGeo );
             results.push( generateResult(1, new Date().getTime()) );
-            results.push( generateResult(2, new Date().getTime()) );
-            detikDataSource._filterResults(results);
-            test.value( detikDataSource._lastContributionId ).is( 0 );
-            results = [];
-            results.push( generateResult(3, new Date().getTime()) );
-            results.push( generateResult(4, new Date().getTime()) );
-            detikDataSource._filterResults(results);
-            test.value( detikDataSource._lastContributionId ).is( 0 );
+            test.bool( detikDataSource._filterResults(results) ).isTrue();
+            test.value( processedResults.length ).is( 1 );
+            test.value( processedResults[0].contributionId ).is( 1 );
+            test.value( detikDataSource.summary.skipped ).is(
+                {missing_user: 1, missing_geo: 1} );
+            test.value( detikDataSource._highestBatchContributionId ).is( 3 );
+        });
+
+        it( 'Cutoff uses the configured timestamp', function() {
+            const oldConfig = detikDataSource.config;
+            detikDataSource.config = Object.assign({}, oldConfig,
+                {HISTORICAL_LOAD_PERIOD: 60000, CUTOFF_TIMESTAMP: 'create'});
+            const now = new Date().getTime();
+            let edited = generateResult(1, now - 120000);
+            edited.date.update.sec = now / 1000;
+            detikDataSource._filterResults([edited]);
+            test.value( processedResults.length ).is( 0 );
+            detikDataSource.config.CUTOFF_TIMESTAMP = 'update';
+            detikDataSource._filterResults([edited]);
+            test.value( processedResults.length ).is( 1 );
+            detikDataSource.config = oldConfig;
+        });
+
+        it( 'Times are converted from the source time zone', function() {
+            const oldConfig = detikDataSource.config;
+            detikDataSource.config = Object.assign({}, oldConfig,
+                {SOURCE_TIMEZONE: 'WIB', FUTURE_TOLERANCE: 300000});
+            detikDataSource.summary = detikDataSource._createSummary();
+            // Local time in Jakarta, seven hours ahead of UTC
+            const local = new Date().getTime() + 7 * 3600000;
+            detikDataSource._filterResults([generateResult(2, local),
+                generateResult(1, 0)]);
+            test.value( processedResults.length ).is( 1 );
+            test.value( Math.round(processedResults[0].createdAt -
+                new Date().getTime() / 1000) ).is( 0 );
+            test.value( detikDataSource.summary.skipped ).is(
+                {zero_timestamp: 1} );
+            detikDataSource.config.SOURCE_TIMEZONE = 'UTC';
+            detikDataSource._filterResults([generateResult(3, local)]);
+            test.value( detikDataSource.summary.skipped ).is(
+                {zero_timestamp: 1, future_timestamp: 1} );
+            detikDataSource.config = oldConfig;
         });
 
         // Restore/erase mocked functions
@@ -375,91 +931,426 @@ describe( 'DetikDataSource', function() {
         });
     });
 
-    describe('_updateLasContributionFromDatabase', function() {
-        let oldPool;
+    describe('_loadCheckpoint', function() {
+        let oldSink;
         let returnEmpty;
+        let checkpoint;
 
         before(function() {
-            oldPool = detikDataSource.pool;
-
-            detikDataSource.pool = {
-                query: function() {
-                        if (returnEmpty === false) {
-                            return ({rows: [{contribution_id: 9999}]});
-                        } else {
-                            return new Error('Database Error');
-                        }
+            oldSink = detikDataSource.sink;
+
+            detikDataSource.sink = {
+                readCheckpoint: function(name) {
+                    return Promise.resolve(checkpoint);
+                },
+                getLastContributionId: function() {
+                    return Promise.resolve(returnEmpty ? null : 9999);
                 },
             };
         });
 
-        it( `Catches empty database results`, async function() {
+        beforeEach(function() {
+            checkpoint = null;
+            detikDataSource._lastContributionId = 0;
+        });
+
+        it( `Catches empty sink results`, async function() {
             returnEmpty = true;
             await detikDataSource.
-                _updateLastContributionIdFromDatabase();
+                _loadCheckpoint();
             test.value(detikDataSource._lastContributionId).is(0);
         });
-        it( `Catches valid database results`, async function() {
+        it( `Catches valid sink results`, async function() {
             returnEmpty = false;
-            await detikDataSource._updateLastContributionIdFromDatabase();
+            await detikDataSource._loadCheckpoint();
             test.value(detikDataSource._lastContributionId).is(9999);
         });
+        it( `Prefers the checkpoint`, async function() {
+            returnEmpty = false;
+            checkpoint = {lastContributionId: 10001};
+            await detikDataSource._loadCheckpoint();
+            test.value(detikDataSource._lastContributionId).is(10001);
+        });
 
         after(function() {
-            detikDataSource.pool = oldPool;
+            detikDataSource.sink = oldSink;
         });
     });
 
     describe('_insertConfirmed', function() {
-        let oldPool;
-
-        let detikReport = {
-            files: {},
-            url: 'https:\//web.com',
-            contributionId: 1,
-            content: 'report',
-            title: 'title',
-            location: {
-                geospatial: {
-                    longitude: 1,
-                    latitude: 1,
-                },
-            },
-            date: {
-                create: {
-                    sec: 1000,
+        let oldSink;
+        let savedReports;
+        let saveError;
+
+        let detikReport;
+
+        before(function() {
+            oldSink = detikDataSource.sink;
+            detikDataSource.sink = {
+                saveReports: function(reports) {
+                    if (saveError) return Promise.reject(saveError);
+                    savedReports = reports;
+                    return Promise.resolve(reports.map(function() {
+                        return {status: 'inserted'};
+                    }));
                 },
-            },
-            user: {
-                creator: {
-                    id: 123,
+                saveUnconfirmedReports: function(reports) {
+                    if (saveError) return Promise.reject(saveError);
+                    savedReports = reports;
+                    return Promise.resolve([{status: 'inserted'}]);
                 },
-            },
+            };
+        });
+
+        beforeEach(function() {
+            savedReports = undefined;
+            saveError = undefined;
+            detikReport = {
+                contributionId: 1,
+                longitude: 1,
+                latitude: 1,
+            };
+        });
+
+        it( `Prepares and saves the reports`, async function() {
+            const other = {contributionId: 2, longitude: 1, latitude: 1};
+            let responses = await detikDataSource.
+                _insertConfirmed([detikReport, other]);
+            test.value(responses).is([{status: 'inserted'},
+                {status: 'inserted'}]);
+            test.value(savedReports).is([detikReport, other]);
+        });
+
+        it( `Catches sink errors`, async function() {
+            saveError = new Error('Database Error');
+            let responses = await detikDataSource.
+                _insertConfirmed([detikReport, detikReport]);
+            test.value(responses.length).is(2);
+            test.value(responses[1].status).is('failed');
+            test.value(responses[1].error.message).contains('Database Error');
+        });
+
+        it( `Saves unconfirmed reports`, async function() {
+            let responses = await detikDataSource.
+                _insertUnconfirmed([detikReport]);
+            test.value(responses[0].status).is('inserted');
+            test.value(savedReports).is([detikReport]);
+            saveError = new Error('Database Error');
+            responses = await detikDataSource._insertUnconfirmed(
+                [detikReport]);
+            test.value(responses[0].status).is('failed');
+        });
+
+        it( `Caps the inserts in flight`, async function() {
+            let active = 0;
+            let most = 0;
+            detikDataSource.sink.saveReports = async function(reports) {
+                active++;
+                most = Math.max(most, active);
+                await new Promise(function(resolve) {
+                    setTimeout(resolve, 5);
+                });
+                active--;
+                return reports.map(function() {
+                    return {status: 'inserted'};
+                });
+            };
+            await Promise.all([1, 2, 3, 4, 5].map(function(contributionId) {
+                return detikDataSource._insertConfirmed([{
+                    contributionId: contributionId}]);
+            }));
+            test.value(most).is(2);
+        });
+
+        after(function() {
+            detikDataSource.sink = oldSink;
+        });
+    });
+
+    describe('update sync', function() {
+        const hour = 3600;
+        const now = Math.round(new Date().getTime() / 1000);
+        let sink;
+        let pages;
+        let dataSource;
+
+        const result = function(contributionId, created, title, updated) {
+            return {
+                contributionId: contributionId,
+                title: title || 'Banjir',
+                content: 'Air setinggi lutut',
+                url: 'https://detik.example/' + contributionId,
+                date: {create: {sec: created},
+                    update: {sec: updated || created}},
+                location: {geospatial: {longitude: 106.83, latitude: -6.2}},
+                user: {creator: {id: 7}},
+            };
         };
 
-        before(function() {
-            oldPool = detikDataSource.pool;
-            detikDataSource.pool = {
-                query: function(query, values) {
-                    return 0;
+        beforeEach(async function() {
+            sink = new MemorySink({});
+            for (const stored of [result(3, now - 2 * hour),
+                result(2, now - 3 * hour), result(1, now - 30 * hour)]) {
+                await sink.saveReport(normalizeResult(stored).report);
+            }
+            pages = [
+                [result(4, now), result(3, now - 2 * hour, 'Banjir besar',
+                    now - 60)],
+                [result(1, now - 30 * hour)],
+            ];
+            dataSource = new DetikDataSource(Object.assign({}, config, {
+                UPDATE_SYNC_WINDOW: 24 * hour * 1000,
+                FILTER_REGIONS: false,
+                DEDUP_MODE: 'off',
+            }), null, {
+                sink: sink,
+                logger: new Logger({level: 'silent'}),
+                metricsEmitter: {emit: function() {}},
+                transport: {
+                    get: function(url) {
+                        const page = pages[Number(url.split('page=')[1]) - 1];
+                        if (page instanceof Error) {
+                            return Promise.reject(page);
+                        }
+                        return Promise.resolve({statusCode: 200,
+                            body: JSON.stringify({result: page || []}),
+                            attempts: 1});
+                    },
                 },
+            });
+            dataSource._lastContributionId = 3;
+        });
+
+        it('Revises edits and withdraws missing reports', async function() {
+            const summary = await dataSource._poll();
+            test.value(summary.inserted).is(1);
+            test.value(summary.revised).is(1);
+            test.value(summary.withdrawn).is(1);
+            test.value(summary.newContributionId).is(4);
+            test.value(sink.reports.get(3).title).is('Banjir besar');
+            test.value(sink.reports.get(2).withdrawnAt).isString();
+            test.value(sink.reports.get(1).withdrawnAt).isUndefined();
+            test.value(sink.revisions.map(function(revision) {
+                return [revision.contributionId, revision.change,
+                    revision.previous];
+            })).is([[3, 'edit', {title: 'Banjir'}], [2, 'withdrawn', null]]);
+        });
+
+        it('Ignores results without an ID when withdrawing', async function() {
+            let malformed = result(5, now);
+            delete malformed.contributionId;
+            pages[0].splice(1, 0, malformed);
+            let listed;
+            const withdrawMissing = sink.withdrawMissing;
+            sink.withdrawMissing = function(from, to, contributionIds) {
+                listed = contributionIds;
+                return withdrawMissing.call(sink, from, to, contributionIds);
             };
+            const summary = await dataSource._poll();
+            test.value(summary.skipped.missing_id).is(1);
+            test.value(summary.withdrawn).is(1);
+            test.value(listed).is([4, 3, 1]);
         });
 
-        it( `Query works?`, async function() {
-            let err; let response = await detikDataSource.
-                _insertConfirmed(detikReport);
-            console.log(err, response);
-            test.value(response.values).is([1, 1000, 'report', 'id',
-                'https://web.com', null, 'title', '1 1']);
+        it('Keeps edits that no longer classify as floods', async function() {
+            pages[0][1].content = 'Jalan ramai';
+            pages[0][1].title = 'Laporan warga';
+            const summary = await dataSource._poll();
+            test.value(summary.revised).is(1);
+            test.value(sink.reports.get(3).title).is('Laporan warga');
+            test.value(sink.reports.get(3).disasterType).is('flood');
+            test.value(sink.reports.get(3).classificationRule).is('default');
         });
 
-        it( `Catches bad input`, async function() {
-            detikDataSource._insertConfirmed({});
+        it('Skips edits into non-flood reports', async function() {
+            pages[0][1].content = 'Api besar';
+            pages[0][1].title = 'Kebakaran';
+            const summary = await dataSource._poll();
+            test.value(summary.revised).is(0);
+            test.value(summary.skipped).is({non_flood: 1});
+            test.value(sink.reports.get(3).title).is('Banjir');
+            test.value(sink.revisions.map(function(revision) {
+                return revision.contributionId;
+            })).is([2]);
         });
 
-        after(function() {
-            detikDataSource.pool = oldPool;
+        it('Revises non-flood edits if configured', async function() {
+            dataSource.config = Object.assign({}, dataSource.config,
+                {STORE_NON_FLOOD: true});
+            sink.config = dataSource.config;
+            pages[0][1].content = 'Api besar';
+            pages[0][1].title = 'Kebakaran';
+            const summary = await dataSource._poll();
+            test.value(summary.revised).is(1);
+            test.value(sink.reports.get(3).disasterType).is('fire');
+        });
+
+        it('Restores withdrawn reports back in the feed', async function() {
+            await dataSource._poll();
+            pages[0].push(result(2, now - 3 * hour));
+            dataSource._lastContributionId = 4;
+            const summary = await dataSource._poll();
+            test.value(summary.revised).is(1);
+            test.value(summary.withdrawn).is(0);
+            test.value(sink.reports.get(2).withdrawnAt).is(null);
+            test.value(sink.revisions[2].change).is('restored');
+        });
+
+        it('Withdraws nothing after an incomplete scan', async function() {
+            pages[1] = new FetchError('HTTP status 500', {statusCode: 500});
+            const summary = await dataSource._poll();
+            test.value(summary.revised).is(1);
+            test.value(summary.withdrawn).is(0);
+            test.value(summary.newContributionId).is(3);
+        });
+
+        it('Leaves seen reports alone when off', async function() {
+            dataSource.config = Object.assign({}, dataSource.config,
+                {UPDATE_SYNC_WINDOW: 0});
+            const summary = await dataSource._poll();
+            test.value(summary.inserted).is(1);
+            test.value(summary.revised).is(0);
+            test.value(summary.withdrawn).is(0);
+            test.value(sink.reports.get(3).title).is('Banjir');
+        });
+    });
+
+    describe('duplicates in a page', function() {
+        const now = Math.floor(new Date().getTime() / 1000);
+        let sink;
+
+        // Same user and place, newest first as the feed lists them
+        const page = [[3, 60], [2, 300], [1, 600]].map(function(entry) {
+            return {
+                contributionId: entry[0],
+                title: 'Banjir',
+                content: 'Air setinggi lutut',
+                url: 'https://detik.example/' + entry[0],
+                date: {create: {sec: now - entry[1]},
+                    update: {sec: now - entry[1]}},
+                location: {geospatial: {longitude: 106.83, latitude: -6.2}},
+                user: {creator: {id: 7}},
+            };
+        });
+
+        const poll = function(mode) {
+            sink = new MemorySink({});
+            const dataSource = new DetikDataSource(Object.assign({}, config, {
+                DEDUP_MODE: mode,
+            }), null, {
+                sink: sink,
+                logger: new Logger({level: 'silent'}),
+                metricsEmitter: {emit: function() {}},
+                transport: {
+                    get: function(url) {
+                        const number = Number(url.split('page=')[1]);
+                        return Promise.resolve({statusCode: 200,
+                            body: JSON.stringify({result: number === 1 ?
+                                page : []}),
+                            attempts: 1});
+                    },
+                },
+            });
+            return dataSource._poll();
+        };
+
+        it('Links later reports to the earliest one', async function() {
+            const summary = await poll('flag');
+            test.value(summary.duplicates).is(2);
+            test.value(sink.reports.get(1).duplicateOf).isUndefined();
+            test.value(sink.reports.get(2).duplicateOf).is(1);
+            test.value(sink.reports.get(3).duplicateOf).is(1);
+        });
+
+        it('Drops later reports, keeping the earliest one', async function() {
+            const summary = await poll('drop');
+            test.value(Array.from(sink.reports.keys())).is([1]);
+            test.value(summary.skipped).is({near_duplicate: 2});
+        });
+    });
+
+    describe('events', function() {
+        const now = Math.floor(new Date().getTime() / 1000);
+        let published;
+        let flushed;
+        let metricsEmitted;
+        let dataSource;
+
+        const result = function(contributionId, longitude) {
+            return {
+                contributionId: contributionId,
+                title: 'Banjir',
+                content: 'Banjir setinggi lutut',
+                url: 'https://detik.example/' + contributionId,
+                date: {create: {sec: now - 60}, update: {sec: now - 60}},
+                location: {geospatial: {longitude: longitude,
+                    latitude: longitude ? -6.2 : 0}},
+                user: {creator: {id: 7}},
+            };
+        };
+
+        beforeEach(function() {
+            published = [];
+            flushed = 0;
+            dataSource = new DetikDataSource(Object.assign({}, config, {
+                DEDUP_MODE: 'off',
+            }), null, {
+                sink: new MemorySink({}),
+                logger: new Logger({level: 'silent'}),
+                metricsEmitter: {emit: function(collector) {
+                    metricsEmitted = collector.metrics;
+                }},
+                publisher: {
+                    publish: function(type, data) {
+                        published.push({type: type, data: data});
+                    },
+                    flush: async function() {
+                        flushed++;
+                        return {published: published.length, failed: 1};
+                    },
+                },
+                transport: {
+                    get: function(url) {
+                        const page = Number(url.split('page=')[1]);
+                        return Promise.resolve({statusCode: 200,
+                            body: JSON.stringify({result: page === 1 ?
+                                [result(2, 106.83), result(1, 0)] : []}),
+                            attempts: 1});
+                    },
+                },
+            });
+        });
+
+        it('Publishes inserted reports and the completed run',
+            async function() {
+            await dataSource._poll();
+            test.value(published.length).is(2);
+            test.value(published[0].type).is('report.created');
+            test.value(published[0].data).is({
+                contributionId: 2,
+                geometry: {type: 'Point', coordinates: [106.83, -6.2]},
+                approximate: false,
+                disasterType: 'flood',
+                region: 'jbd',
+                createdAt: new Date((now - 60) * 1000).toISOString(),
+            });
+            test.value(published[1].type).is('run.completed');
+            test.value(published[1].data.inserted).is(1);
+            test.value(published[1].data.unconfirmed).is(1);
+            test.value(published[1].data.backfill).is(false);
+            test.value(flushed).is(1);
+            test.value(metricsEmitted.get('EventsPublished').value).is(2);
+            test.value(metricsEmitted.get('EventsFailed').value).is(1);
+        });
+
+        it('Publishes nothing for reports already stored', async function() {
+            await dataSource._poll();
+            published = [];
+            dataSource._lastContributionId = 0;
+            await dataSource._poll();
+            test.value(published.map(function(event) {
+                return event.type;
+            })).is(['run.completed']);
         });
     });
 });
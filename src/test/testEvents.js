@@ -0,0 +1,214 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const test = require('unit.js');
+const events = require('../lib/events');
+const Logger = require('../lib/logger').Logger;
+const PublishError = require('../lib/errors').PublishError;
+
+// Test harness for downstream events
+describe( 'Events', function() {
+    const config = {
+        FEED_NAME: 'detik',
+        EVENTS_RETRIES: 2,
+        EVENTS_RETRY_BASE_DELAY: 0,
+        EVENTS_TIMEOUT: 1000,
+        EVENTS_WEBHOOK_URL: 'https://hooks.example/detik?key=abc',
+        EVENTS_WEBHOOK_SECRET: 'secret',
+        EVENTS_SNS_TOPIC_ARN: 'arn:aws:sns:ap-southeast-1:1:detik',
+    };
+    const logger = new Logger({level: 'silent'});
+
+    describe( 'Publisher', function() {
+        let sent;
+        let failures;
+
+        const transport = {
+            send: async function(event) {
+                const failure = failures.shift();
+                if (failure) {
+                    throw failure;
+                }
+                sent.push(event);
+            },
+        };
+
+        beforeEach( function() {
+            sent = [];
+            failures = [];
+        });
+
+        it( 'Publishes events and settles them on flush', async function() {
+            const publisher = new events.Publisher(config, transport, logger);
+            const event = publisher.publish('report.created',
+                {contributionId: 1});
+            test.value(event.type).is('report.created');
+            test.value(event.feed).is('detik');
+            test.value(event.data).is({contributionId: 1});
+            test.value(event.id).match(/^[0-9a-f]{16}$/);
+            test.value(await publisher.flush()).is({published: 1, failed: 0});
+            test.value(sent[0]).is(event);
+            test.value(await publisher.flush()).is({published: 0, failed: 0});
+        });
+
+        it( 'Retries transient failures', async function() {
+            const publisher = new events.Publisher(config, transport, logger);
+            failures = [new PublishError('HTTP status 503',
+                {statusCode: 503}), new Error('socket hang up')];
+            publisher.publish('run.completed', {});
+            test.value(await publisher.flush()).is({published: 1, failed: 0});
+        });
+
+        it( 'Drops events once retries are used up', async function() {
+            const publisher = new events.Publisher(config, transport, logger);
+            failures = [new Error('a'), new Error('b'), new Error('c'),
+                new Error('d')];
+            publisher.publish('run.completed', {});
+            test.value(await publisher.flush()).is({published: 0, failed: 1});
+            test.value(failures.length).is(1);
+        });
+
+        it( 'Does not retry fatal failures', async function() {
+            const publisher = new events.Publisher(config, transport, logger);
+            failures = [new PublishError('HTTP status 400',
+                {statusCode: 400, transient: false})];
+            publisher.publish('run.completed', {});
+            publisher.publish('run.completed', {});
+            test.value(await publisher.flush()).is({published: 1, failed: 1});
+        });
+    });
+
+    describe( 'WebhookTransport', function() {
+        let requests;
+        let statusCode;
+
+        const https = {
+            request: function(options, callback) {
+                let request = {options: options};
+                requests.push(request);
+                return {
+                    on: function() {},
+                    setTimeout: function() {},
+                    end: function(body) {
+                        request.body = body;
+                        setImmediate(function() {
+                            let res = new EventEmitter();
+                            res.statusCode = statusCode;
+                            callback(res);
+                            res.emit('end');
+                        });
+                    },
+                };
+            },
+        };
+
+        beforeEach( function() {
+            requests = [];
+            statusCode = 204;
+        });
+
+        it( 'Posts signed events', async function() {
+            const transport = new events.WebhookTransport(config);
+            transport.https = https;
+            await transport.send({id: 'abc', type: 'report.created'});
+            const options = requests[0].options;
+            test.value(options.method).is('POST');
+            test.value(options.hostname).is('hooks.example');
+            test.value(options.path).is('/detik?key=abc');
+            test.value(options.headers['X-Detik-Event']).is('report.created');
+            test.value(options.headers['X-Detik-Event-Id']).is('abc');
+            test.value(options.headers['X-Detik-Signature']).is('sha256=' +
+                crypto.createHmac('sha256', 'secret')
+                    .update(requests[0].body).digest('hex'));
+            test.value(JSON.parse(requests[0].body))
+                .is({id: 'abc', type: 'report.created'});
+        });
+
+        it( 'Leaves events unsigned without a secret', async function() {
+            const transport = new events.WebhookTransport(Object.assign({},
+                config, {EVENTS_WEBHOOK_SECRET: undefined}));
+            transport.https = https;
+            await transport.send({id: 'abc', type: 'report.created'});
+            test.value(requests[0].options.headers['X-Detik-Signature'])
+                .isUndefined();
+        });
+
+        it( 'Rejects non-2xx responses', async function() {
+            const transport = new events.WebhookTransport(config);
+            transport.https = https;
+            for (const code of [500, 429, 404]) {
+                statusCode = code;
+                let error = null;
+                try {
+                    await transport.send({id: 'abc', type: 'run.completed'});
+                } catch (err) {
+                    error = err;
+                }
+                test.value(error).isInstanceOf(PublishError);
+                test.value(error.statusCode).is(code);
+                test.value(error.transient).is(code !== 404);
+            }
+        });
+    });
+
+    describe( 'SnsTransport', function() {
+        it( 'Publishes to the topic', async function() {
+            let published = [];
+            const transport = new events.SnsTransport(config, {
+                publish: function(params) {
+                    published.push(params);
+                    return {promise: function() {
+                        return Promise.resolve({MessageId: '1'});
+                    }};
+                },
+            });
+            await transport.send({id: 'abc', type: 'report.created'});
+            test.value(published).is([{
+                TopicArn: 'arn:aws:sns:ap-southeast-1:1:detik',
+                Message: '{"id":"abc","type":"report.created"}',
+                MessageAttributes: {type: {DataType: 'String',
+                    StringValue: 'report.created'}},
+            }]);
+        });
+
+        it( 'Creates an AWS SDK client without one', function() {
+            const transport = new events.SnsTransport(Object.assign({
+                EVENTS_SNS_ENDPOINT: 'http://localhost:4566'}, config));
+            test.value(transport.client.config.endpoint)
+                .is('http://localhost:4566');
+        });
+    });
+
+    describe( 'createPublisher', function() {
+        it( 'Creates the publisher for EVENTS_PUBLISHER', function() {
+            test.value(events.createPublisher({})).isNull();
+            test.value(events.createPublisher({EVENTS_PUBLISHER: 'none'}))
+                .isNull();
+            test.value(events.createPublisher(Object.assign({
+                EVENTS_PUBLISHER: 'webhook'}, config), logger).transport)
+                .isInstanceOf(events.WebhookTransport);
+            const client = {};
+            const sns = events.createPublisher(Object.assign({
+                EVENTS_PUBLISHER: 'sns'}, config), logger, client);
+            test.value(sns.transport).isInstanceOf(events.SnsTransport);
+            test.value(sns.transport.client).is(client);
+            test.exception(function() {
+                events.createPublisher({EVENTS_PUBLISHER: 'kafka'});
+            }).hasMessage('Unknown events publisher kafka');
+        });
+
+        it( 'Writes events to stdout', async function() {
+            let lines = [];
+            const publisher = events.createPublisher({
+                EVENTS_PUBLISHER: 'stdout', FEED_NAME: 'detik'}, logger);
+            publisher.transport.write = function(line) {
+                lines.push(line);
+            };
+            publisher.publish('run.completed', {inserted: 1});
+            await publisher.flush();
+            test.value(JSON.parse(lines[0]).data).is({inserted: 1});
+        });
+    });
+});
@@ -0,0 +1,163 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const path = require('path');
+const test = require('unit.js');
+const feeds = require('../lib/feeds');
+const Logger = require('../lib/logger').Logger;
+const MemorySink = require('../lib/sinks/memory');
+const noopEmitter = require('../lib/metrics').noopEmitter;
+
+function generateResult( contributionId ) {
+    const now = new Date().getTime() / 1000;
+    return {
+        contributionId: contributionId,
+        title: 'Banjir ' + contributionId,
+        url: 'https://web.com',
+        location: {geospatial: {longitude: 106.83, latitude: -6.2}},
+        date: {create: {sec: now}, update: {sec: now}},
+        user: {creator: {id: 123}},
+    };
+}
+
+// Test harness for multiple feeds
+describe( 'Feeds', function() {
+    const config = {
+        DETIK_URL: 'https://detik.example/api?key=abc',
+        FEED_NAME: 'detik',
+        FEED_FORMAT: 'detik-json',
+        HISTORICAL_LOAD_PERIOD: 3600000,
+        SOURCE_TIMEZONE: 'UTC',
+        TABLE_DETIK: 'detik.reports',
+        TABLE_DETIK_UNCONFIRMED: 'detik.reports_unconfirmed',
+        STORE_NON_FLOOD: true,
+    };
+
+    describe( 'feedConfigs', function() {
+        it( 'Uses the single feed without FEEDS', function() {
+            test.value(feeds.feedConfigs(config)).is([config]);
+        });
+
+        it( 'Overrides the shared configuration per feed', function() {
+            const configs = feeds.feedConfigs(Object.assign({FEEDS: [
+                {name: 'jakarta', url: 'https://detik.example/jakarta',
+                    historicalLoadPeriod: 0, disasterType: 'flood'},
+                {name: 'surabaya', url: 'https://detik.example/surabaya',
+                    table: 'detik.surabaya', timezone: 'WIB',
+                    format: 'rss', pagination: 'cursor',
+                    unconfirmedTable: 'detik.surabaya_unconfirmed'},
+            ]}, config));
+            test.value(configs.length).is(2);
+            test.value(configs[0].FEED_NAME).is('jakarta');
+            test.value(configs[0].DETIK_URL)
+                .is('https://detik.example/jakarta');
+            test.value(configs[0].HISTORICAL_LOAD_PERIOD).is(0);
+            test.value(configs[0].DEFAULT_DISASTER_TYPE).is('flood');
+            test.value(configs[0].TABLE_DETIK).is('detik.reports');
+            test.value(configs[1].HISTORICAL_LOAD_PERIOD).is(3600000);
+            test.value(configs[1].TABLE_DETIK).is('detik.surabaya');
+            test.value(configs[0].SOURCE_TIMEZONE).is('UTC');
+            test.value(configs[1].SOURCE_TIMEZONE).is('WIB');
+            test.value(configs[0].FEED_FORMAT).is('detik-json');
+            test.value(configs[1].FEED_FORMAT).is('rss');
+            test.value(configs[1].FEED_PAGINATION).is('cursor');
+            test.value(configs[0].FIXTURE_PATH).isUndefined();
+            test.value(configs[1].TABLE_DETIK_UNCONFIRMED)
+                .is('detik.surabaya_unconfirmed');
+            test.value(configs[1].STORE_NON_FLOOD).is(true);
+            test.value(configs[1].FEED_SHARED_TABLE).is(false);
+        });
+
+        it( 'Keeps the recorded pages of each feed apart', function() {
+            const configs = feeds.feedConfigs(Object.assign({FEEDS: [
+                {name: 'jakarta', url: 'https://detik.example/jakarta'},
+            ], FIXTURE_PATH: 'fixtures'}, config));
+            test.value(configs[0].FIXTURE_PATH).is(path.join('fixtures',
+                'jakarta'));
+        });
+    });
+
+    describe( 'pollFeeds', function() {
+        let sink;
+        let options;
+        let lines;
+
+        beforeEach( function() {
+            sink = new MemorySink({});
+            lines = [];
+            options = {
+                sink: sink,
+                metricsEmitter: noopEmitter,
+                logger: new Logger({write: function(line) {
+                    lines.push(JSON.parse(line));
+                }}),
+                transport: {
+                    get: function(url) {
+                        const pages = {
+                            'https://detik.example/a?x=1&page=1':
+                                [generateResult(2), generateResult(1)],
+                            'https://detik.example/b?x=1&page=1':
+                                [generateResult(20)],
+                        };
+                        if (url.indexOf('/broken') !== -1) {
+                            return Promise.reject(new Error('Feed Error'));
+                        }
+                        return Promise.resolve({statusCode: 200,
+                            body: JSON.stringify({result: pages[url] || []}),
+                            attempts: 1});
+                    },
+                },
+            };
+        });
+
+        it( 'Polls every feed with its own checkpoint', async function() {
+            const result = await feeds.pollFeeds(Object.assign({FEEDS: [
+                {name: 'a', url: 'https://detik.example/a?x=1'},
+                {name: 'b', url: 'https://detik.example/b?x=1'},
+            ]}, config), null, options);
+            test.value(Object.keys(result.feeds)).is(['a', 'b']);
+            test.value(result.feeds.a.inserted).is(2);
+            test.value(result.feeds.b.inserted).is(1);
+            test.value((await sink.readCheckpoint('a')).lastContributionId)
+                .is(2);
+            test.value((await sink.readCheckpoint('b')).lastContributionId)
+                .is(20);
+            test.value(lines.filter(function(line) {
+                return line.feed === 'b';
+            }).length > 0).is(true);
+        });
+
+        it( 'Starts a new feed sharing a table from its own history',
+            async function() {
+            // Stored by feed a
+            await sink.saveReport({contributionId: 30,
+                createdAt: new Date().getTime() / 1000, userHash: 'abc'});
+            await sink.writeCheckpoint('a', {lastContributionId: 30});
+            const result = await feeds.pollFeeds(Object.assign({FEEDS: [
+                {name: 'a', url: 'https://detik.example/a?x=1'},
+                {name: 'b', url: 'https://detik.example/b?x=1'},
+            ]}, config), null, options);
+            test.value(result.feeds.b.oldContributionId).is(0);
+            test.value(result.feeds.b.inserted).is(1);
+            test.value(sink.reports.has(20)).is(true);
+        });
+
+        it( 'Carries on after a failing feed', async function() {
+            sink.readCheckpoint = function(name) {
+                if (name === 'a') {
+                    return Promise.reject(new Error('Database Error'));
+                }
+                return Promise.resolve(null);
+            };
+            const result = await feeds.pollFeeds(Object.assign({FEEDS: [
+                {name: 'a', url: 'https://detik.example/a?x=1'},
+                {name: 'broken', url: 'https://detik.example/broken?x=1'},
+                {name: 'b', url: 'https://detik.example/b?x=1'},
+            ]}, config), null, options);
+            test.value(result.feeds.a.errors).is([{stage: 'feed',
+                message: 'Database Error'}]);
+            test.value(result.feeds.broken.errors[0].stage).is('fetch');
+            test.value(result.feeds.b.inserted).is(1);
+        });
+    });
+});
@@ -0,0 +1,38 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('unit.js');
+const files = require('../lib/files');
+
+// Test harness for file helpers
+describe( 'mkdirs', function() {
+    it( 'Creates a directory and its missing parents', async function() {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'detik-'));
+        const dir = path.join(root, 'a', 'b');
+        await files.mkdirs(dir);
+        test.value(fs.statSync(dir).isDirectory()).is(true);
+        // Existing directories are left alone
+        await files.mkdirs(dir);
+        fs.rmdirSync(dir);
+        fs.rmdirSync(path.join(root, 'a'));
+        fs.rmdirSync(root);
+    });
+
+    it( 'Fails when a parent is a file', async function() {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'detik-'));
+        const file = path.join(root, 'file');
+        fs.writeFileSync(file, '');
+        let error;
+        try {
+            await files.mkdirs(path.join(file, 'dir'));
+        } catch (err) {
+            error = err;
+        }
+        fs.unlinkSync(file);
+        fs.rmdirSync(root);
+        test.value(error.code).is('ENOTDIR');
+    });
+});
@@ -0,0 +1,127 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('unit.js');
+const FetchError = require('../lib/errors').FetchError;
+const Logger = require('../lib/logger').Logger;
+const transports = require('../lib/transports');
+
+// Test harness for recorded feed pages
+describe( 'Fixture transports', function() {
+    const logger = new Logger({level: 'silent'});
+    let dir;
+
+    const remove = function(dir) {
+        fs.readdirSync(dir).forEach(function(name) {
+            const file = path.join(dir, name);
+            if (fs.statSync(file).isDirectory()) {
+                remove(file);
+            } else {
+                fs.unlinkSync(file);
+            }
+        });
+        fs.rmdirSync(dir);
+    };
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'detik-fixtures-'));
+    });
+
+    afterEach(function() {
+        remove(dir);
+    });
+
+    describe( 'FixtureTransport', function() {
+        it( 'Reads recorded pages by number', async function() {
+            fs.writeFileSync(path.join(dir, 'page-2.json'), '{"result":[]}');
+            const transport = new transports.FixtureTransport(
+                {FIXTURE_PATH: dir});
+            const response = await transport.get('https://detik?page=2',
+                {page: 2});
+            test.value(response).is({statusCode: 200, headers: {},
+                body: '{"result":[]}', attempts: 1});
+        });
+
+        it( 'Names RSS pages .xml', function() {
+            const transport = new transports.FixtureTransport(
+                {FIXTURE_PATH: dir, FEED_FORMAT: 'rss'});
+            test.value(transport.file(3)).is(path.join(dir, 'page-3.xml'));
+        });
+
+        it( 'Fails missing pages like a 404', async function() {
+            const transport = new transports.FixtureTransport(
+                {FIXTURE_PATH: dir});
+            let error = null;
+            try {
+                await transport.get('https://detik', {page: 1});
+            } catch (err) {
+                error = err;
+            }
+            test.value(error).isInstanceOf(FetchError);
+            test.value(error.statusCode).is(404);
+            test.value(error.transient).is(false);
+        });
+    });
+
+    describe( 'RecordingTransport', function() {
+        it( 'Saves fetched pages for replay', async function() {
+            const root = path.join(dir, 'jakarta');
+            const config = {FIXTURE_PATH: root};
+            const live = {
+                get: async function(url, context) {
+                    return {statusCode: 200, headers: {},
+                        body: '{"result":[' + context.page + ']}',
+                        attempts: 2};
+                },
+            };
+            const recorder = new transports.RecordingTransport(config, live,
+                logger);
+            const response = await recorder.get('https://detik?page=1',
+                {page: 1});
+            await recorder.get('https://detik?page=2', {page: 2});
+            test.value(response.attempts).is(2);
+
+            const replay = new transports.FixtureTransport(config);
+            test.value((await replay.get('https://detik', {page: 1})).body)
+                .is('{"result":[1]}');
+            test.value((await replay.get('https://detik', {page: 2})).body)
+                .is('{"result":[2]}');
+        });
+
+        it( 'Still returns pages it cannot save', async function() {
+            const file = path.join(dir, 'file');
+            fs.writeFileSync(file, '');
+            const recorder = new transports.RecordingTransport(
+                {FIXTURE_PATH: path.join(file, 'pages')}, {
+                    get: async function() {
+                        return {statusCode: 200, body: '{}', attempts: 1};
+                    },
+                }, logger);
+            test.value((await recorder.get('https://detik', {page: 1})).body)
+                .is('{}');
+        });
+    });
+
+    describe( 'createTransport', function() {
+        it( 'Creates the transport for FEED_TRANSPORT', function() {
+            test.value(transports.createTransport({}, logger))
+                .isInstanceOf(transports.HttpTransport);
+            test.value(transports.createTransport({FEED_TRANSPORT: 'fixture',
+                FIXTURE_PATH: dir}, logger))
+                .isInstanceOf(transports.FixtureTransport);
+            const recorder = transports.createTransport({
+                FEED_TRANSPORT: 'record', FIXTURE_PATH: dir}, logger);
+            test.value(recorder.transport)
+                .isInstanceOf(transports.HttpTransport);
+            test.exception(function() {
+                transports.createTransport({FEED_TRANSPORT: 'record'}, logger);
+            }).hasMessage('FIXTURE_PATH is required for the record transport');
+            test.exception(function() {
+                transports.createTransport({FEED_TRANSPORT: 'ftp'}, logger);
+            }).hasMessage('Unknown feed transport ftp');
+        });
+    });
+});
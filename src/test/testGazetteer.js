@@ -0,0 +1,63 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const test = require('unit.js');
+const gazetteer = require('../lib/gazetteer');
+
+// Test harness for the offline gazetteer
+describe( 'Gazetteer', function() {
+    const places = new gazetteer.Gazetteer([
+        ['Melayu', 'kelurahan', 'Test', 1, 1],
+        ['Cipinang Melayu', 'kelurahan', 'Test', 2, 2],
+        ['Tebet', 'kecamatan', 'Test', 3, 3],
+    ]);
+
+    it( 'Matches place names as whole words', function() {
+        test.value(places.match({text: 'Banjir di Tebet.'}).name)
+            .is('Tebet');
+        test.value(places.match({text: 'Banjir di Tebetan'})).is(null);
+    });
+
+    it( 'Prefers the longest name', function() {
+        test.value(places.match({text: 'RW 04 Cipinang-Melayu'}).name)
+            .is('Cipinang Melayu');
+    });
+
+    it( 'Checks location name before title and text', function() {
+        test.value(places.match({
+            locationName: 'Kel. Melayu',
+            title: 'Tebet',
+            text: 'Cipinang Melayu',
+        }).name).is('Melayu');
+        test.value(places.match({title: 'Tebet', text: 'Melayu'}).name)
+            .is('Tebet');
+    });
+
+    it( 'Ignores case and diacritics', function() {
+        test.value(places.match({title: 'TÉBET banjir'}).longitude).is(3);
+    });
+
+    it( 'Bundles a default gazetteer', function() {
+        const defaults = gazetteer.createGazetteer({});
+        test.value(defaults.match({text: 'banjir di bukit duri'}).level)
+            .is('kelurahan');
+    });
+
+    it( 'Loads places from the configured file', function() {
+        const file = path.join(os.tmpdir(), 'detik-gazetteer-' +
+            process.pid + '.json');
+        fs.writeFileSync(file, JSON.stringify([
+            ['Rawa Bebek', 'kelurahan', 'Test', 4, 4],
+        ]));
+        try {
+            test.value(gazetteer.createGazetteer({GAZETTEER_FILE: file})
+                .match({text: 'rawa bebek'}).latitude).is(4);
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+});
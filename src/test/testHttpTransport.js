@@ -0,0 +1,167 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const test = require('unit.js');
+const HttpTransport = require('../lib/transports/http');
+
+// Test harness for the HTTP feed transport
+describe( 'HttpTransport', function() {
+    let transport;
+    let responses;
+    let requested;
+    let sleeps;
+
+    // Mock https, each request takes the next response:
+    // {statusCode, headers, body}, {error} or {timeout: true}
+    const https = {
+        request: function(url, callback) {
+            const response = responses.shift();
+            requested.push(url);
+            let timeoutCallback;
+            let errorCallback;
+            return {
+                on: function(event, callback) {
+                    if (event === 'error') errorCallback = callback;
+                },
+                setTimeout: function(ms, callback) {
+                    timeoutCallback = callback;
+                },
+                abort: function() {},
+                end: function() {
+                    if (response.error) {
+                        errorCallback(response.error);
+                        return;
+                    }
+                    if (response.timeout) {
+                        timeoutCallback();
+                        return;
+                    }
+                    let listeners = {};
+                    callback({
+                        statusCode: response.statusCode,
+                        headers: response.headers || {},
+                        setEncoding: function() {},
+                        on: function(event, listener) {
+                            listeners[event] = listener;
+                        },
+                    });
+                    listeners.data(response.body || '');
+                    listeners.end();
+                },
+            };
+        },
+    };
+
+    beforeEach(function() {
+        transport = new HttpTransport({
+            HTTP_TIMEOUT: 1000,
+            HTTP_RETRIES: 2,
+            HTTP_RETRY_BASE_DELAY: 100,
+            HTTP_RETRY_MAX_DELAY: 1000,
+        });
+        transport.https = https;
+        transport._sleep = function(ms) {
+            sleeps.push(ms);
+            return Promise.resolve();
+        };
+        requested = [];
+        sleeps = [];
+    });
+
+    async function getError( url ) {
+        try {
+            await transport.get(url);
+        } catch (err) {
+            return err;
+        }
+    }
+
+    it( 'Returns successful responses', async function() {
+        responses = [{statusCode: 200, body: '{}'}];
+        const response = await transport.get('https://detik');
+        test.value(response.body).is('{}');
+        test.value(response.attempts).is(1);
+        test.value(requested).is(['https://detik']);
+    });
+
+    it( 'Fetches http URLs over http', async function() {
+        let plain = [];
+        transport.http = {request: function(url, callback) {
+            plain.push(url);
+            return https.request(url, callback);
+        }};
+        responses = [{statusCode: 200, body: '{}'},
+            {statusCode: 200, body: '{}'}];
+        await transport.get('http://localhost:8080/feed');
+        await transport.get('https://detik');
+        test.value(plain).is(['http://localhost:8080/feed']);
+        test.value(requested).is(['http://localhost:8080/feed',
+            'https://detik']);
+    });
+
+    it( 'Retries transient failures', async function() {
+        responses = [
+            {statusCode: 503},
+            {error: new Error('socket hang up')},
+            {statusCode: 200, body: 'ok'},
+        ];
+        const response = await transport.get('https://detik');
+        test.value(response.body).is('ok');
+        test.value(response.attempts).is(3);
+        test.value(sleeps.length).is(2);
+    });
+
+    it( 'Gives up after the configured retries', async function() {
+        responses = [{timeout: true}, {statusCode: 500}, {statusCode: 502}];
+        const err = await getError('https://detik');
+        test.value(err.transient).is(true);
+        test.value(err.statusCode).is(502);
+        test.value(err.attempts).is(3);
+    });
+
+    it( 'Does not retry fatal failures', async function() {
+        responses = [{statusCode: 404, body: 'Not found'}];
+        const err = await getError('https://detik');
+        test.value(err.transient).is(false);
+        test.value(err.statusCode).is(404);
+        test.value(err.attempts).is(1);
+    });
+
+    it( 'Reports timeouts as transient', async function() {
+        transport.config.HTTP_RETRIES = 0;
+        responses = [{timeout: true}];
+        const err = await getError('https://detik');
+        test.value(err.transient).is(true);
+        test.value(err.message).contains('timed out');
+    });
+
+    it( 'Honours Retry-After', async function() {
+        responses = [
+            {statusCode: 429, headers: {'retry-after': '1'}},
+            {statusCode: 200, body: 'ok'},
+        ];
+        await transport.get('https://detik');
+        test.value(sleeps).is([1000]);
+
+        responses = [{statusCode: 429, headers: {'retry-after': '60'}}];
+        const err = await getError('https://detik');
+        test.value(err.statusCode).is(429);
+        test.value(err.attempts).is(1);
+    });
+
+    it( 'Bounds the backoff', function() {
+        for (let attempt = 1; attempt < 10; attempt++) {
+            const delay = transport._retryDelay(attempt, null);
+            test.number(delay).isBetween(0, Math.min(1000,
+                100 * Math.pow(2, attempt - 1)));
+        }
+        test.value(transport._retryDelay(1, 500)).isGreaterThan(499);
+    });
+
+    it( 'Parses Retry-After dates', function() {
+        const later = new Date(new Date().getTime() + 5000).toUTCString();
+        test.number(transport._parseRetryAfter(later)).isBetween(3000, 5000);
+        test.value(transport._parseRetryAfter('soon')).is(null);
+        test.value(transport._parseRetryAfter(undefined)).is(null);
+    });
+});
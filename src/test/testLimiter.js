@@ -0,0 +1,56 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const test = require('unit.js');
+const Limiter = require('../lib/limiter');
+
+// Test harness for the concurrency limiter
+describe( 'Limiter', function() {
+    const wait = function(ms) {
+        return new Promise(function(resolve) {
+            setTimeout(resolve, ms);
+        });
+    };
+
+    it( 'Runs at most concurrency tasks at once, in order', async function() {
+        const limiter = new Limiter(2);
+        let active = 0;
+        let most = 0;
+        let started = [];
+        const results = await Promise.all([1, 2, 3, 4, 5].map(function(n) {
+            return limiter.run(async function() {
+                started.push(n);
+                active++;
+                most = Math.max(most, active);
+                await wait(5);
+                active--;
+                return n * 2;
+            });
+        }));
+        test.value(results).is([2, 4, 6, 8, 10]);
+        test.value(started).is([1, 2, 3, 4, 5]);
+        test.value(most).is(2);
+        test.value(limiter.active).is(0);
+    });
+
+    it( 'Passes on failures and carries on', async function() {
+        const limiter = new Limiter(1);
+        let error = null;
+        const failed = limiter.run(function() {
+            throw new Error('Database Error');
+        }).catch(function(err) {
+            error = err;
+        });
+        const next = limiter.run(function() {
+            return 'ok';
+        });
+        await failed;
+        test.value(error.message).is('Database Error');
+        test.value(await next).is('ok');
+    });
+
+    it( 'Runs one task at a time by default', function() {
+        test.value(new Limiter().concurrency).is(1);
+        test.value(new Limiter(0).concurrency).is(1);
+    });
+});
@@ -0,0 +1,92 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const test = require('unit.js');
+const logger = require('../lib/logger');
+const Logger = logger.Logger;
+
+describe( 'Logger', function() {
+    let lines;
+    let log;
+
+    beforeEach( function() {
+        lines = [];
+        log = new Logger({write: function(line) {
+            lines.push(JSON.parse(line));
+        }});
+    });
+
+    it( 'Writes one JSON object per event', function() {
+        log.info('Page fetched', {page: 2});
+        test.value(lines.length).is(1);
+        test.value(lines[0].level).is('info');
+        test.value(lines[0].msg).is('Page fetched');
+        test.value(lines[0].page).is(2);
+        test.value(isNaN(Date.parse(lines[0].time))).is(false);
+    });
+
+    it( 'Skips events below the level', function() {
+        log.level = 'warn';
+        log.debug('a');
+        log.info('b');
+        log.warn('c');
+        log.error('d');
+        test.value(lines.map(function(line) {
+            return line.msg;
+        })).is(['c', 'd']);
+    });
+
+    it( 'Writes nothing when silent', function() {
+        log.level = 'silent';
+        log.error('a');
+        test.value(lines.length).is(0);
+    });
+
+    it( 'Rejects unknown levels', function() {
+        test.exception(function() {
+            new Logger({level: 'verbose'});
+        }).hasMessage('Unknown log level verbose');
+    });
+
+    it( 'Children inherit fields set on parents later', function() {
+        const child = log.child({requestId: 'req-1'});
+        log.setFields({runId: 'run-1'});
+        child.info('a', {contributionId: 5});
+        test.value(lines[0].requestId).is('req-1');
+        test.value(lines[0].runId).is('run-1');
+        test.value(lines[0].contributionId).is(5);
+    });
+
+    it( 'Redacts secrets', function() {
+        log.info('a', {password: 'hunter2', Authorization: 'Bearer x'});
+        test.value(lines[0].password).is('[redacted]');
+        test.value(lines[0].Authorization).is('[redacted]');
+    });
+
+    it( 'Truncates response bodies', function() {
+        log.maxBodyLength = 10;
+        log.info('a', {body: '<html>' + 'x'.repeat(100)});
+        test.value(lines[0].body).is('<html>xxxx... (96 more characters)');
+    });
+
+    it( 'Logs errors as objects', function() {
+        const err = new Error('boom');
+        err.code = 'ECONNRESET';
+        log.error('a', {error: err});
+        test.value(lines[0].error.message).is('boom');
+        test.value(lines[0].error.code).is('ECONNRESET');
+        test.value(lines[0].error.stack).isString();
+    });
+
+    it( 'Creates a logger from config', function() {
+        const configured = logger.createLogger({LOG_LEVEL: 'error',
+            LOG_BODY_MAX_LENGTH: '50'});
+        test.value(configured.level).is('error');
+        test.value(configured.maxBodyLength).is(50);
+    });
+
+    it( 'Creates distinct run IDs', function() {
+        test.value(logger.createRunId()).match(/^[0-9a-f]{16}$/);
+        test.value(logger.createRunId()).isNot(logger.createRunId());
+    });
+});
@@ -0,0 +1,237 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('unit.js');
+const media = require('../lib/media');
+const MediaError = require('../lib/errors').MediaError;
+
+// Test harness for photo mirroring
+describe( 'Media', function() {
+    let responses;
+    let requested;
+    let aborted;
+
+    // Mock https, each request takes the next response:
+    // {statusCode, headers, chunks} or {error}
+    const https = {
+        request: function(url, callback) {
+            const response = responses.shift();
+            requested.push(url);
+            let errorCallback;
+            return {
+                on: function(event, callback) {
+                    if (event === 'error') errorCallback = callback;
+                },
+                setTimeout: function() {},
+                abort: function() {
+                    aborted++;
+                },
+                end: function() {
+                    setImmediate(function() {
+                        if (response.error) {
+                            return errorCallback(response.error);
+                        }
+                        let res = new EventEmitter();
+                        res.statusCode = response.statusCode;
+                        res.headers = response.headers;
+                        callback(res);
+                        (response.chunks || []).forEach(function(chunk) {
+                            res.emit('data', Buffer.from(chunk));
+                        });
+                        res.emit('end');
+                    });
+                },
+            };
+        },
+    };
+
+    const jpeg = function(chunks) {
+        return {statusCode: 200, headers: {'content-type': 'image/jpeg'},
+            chunks: chunks};
+    };
+
+    let store;
+    let mirror;
+
+    beforeEach( function() {
+        responses = [];
+        requested = [];
+        aborted = 0;
+        store = {
+            objects: {},
+            has: function(key) {
+                return Promise.resolve(Boolean(this.objects[key]));
+            },
+            put: function(key, body, contentType) {
+                this.objects[key] = {body: body, contentType: contentType};
+                return Promise.resolve();
+            },
+            url: function(key) {
+                return 'https://media.example/' + key;
+            },
+        };
+        mirror = new media.MediaMirror({MEDIA_KEY_PREFIX: 'detik/',
+            MEDIA_MAX_BYTES: 10}, store);
+        mirror.https = https;
+    });
+
+    describe( 'MediaMirror', function() {
+        it( 'Stores photos under a hash of their content', async function() {
+            responses = [jpeg(['abc', 'def'])];
+            const hash = crypto.createHash('sha256').update('abcdef')
+                .digest('hex');
+            const key = 'detik/' + hash.slice(0, 2) + '/' + hash + '.jpg';
+
+            const mirrored = await mirror.mirror('https://detik.example/a.jpg');
+            test.value(mirrored).is({url: 'https://media.example/' + key,
+                key: key, stored: true});
+            test.value(store.objects[key].body.toString()).is('abcdef');
+            test.value(store.objects[key].contentType).is('image/jpeg');
+
+            responses = [jpeg(['abcdef'])];
+            const again = await mirror.mirror('https://detik.example/b.jpg');
+            test.value(again.key).is(key);
+            test.value(again.stored).is(false);
+        });
+
+        it( 'Follows redirects', async function() {
+            responses = [
+                {statusCode: 302, headers: {location: '/moved.jpg'}},
+                jpeg(['abc']),
+            ];
+            await mirror.mirror('https://detik.example/a.jpg');
+            test.value(requested).is(['https://detik.example/a.jpg',
+                'https://detik.example/moved.jpg']);
+        });
+
+        it( 'Rejects photos outside the limits', async function() {
+            const cases = [
+                ['ftp://detik.example/a.jpg', null, 'invalid_url'],
+                ['not a url', null, 'invalid_url'],
+                ['https://detik.example/a', {statusCode: 404, headers: {}},
+                    'http_status'],
+                ['https://detik.example/a', {statusCode: 200,
+                    headers: {'content-type': 'text/html'}}, 'content_type'],
+                ['https://detik.example/a', {statusCode: 200,
+                    headers: {'content-type': 'image/png',
+                        'content-length': '11'}}, 'too_large'],
+                ['https://detik.example/a', jpeg(['123456', '789012']),
+                    'too_large'],
+                ['https://detik.example/a', {error: new Error('ECONNRESET')},
+                    'request'],
+            ];
+            for (const item of cases) {
+                responses = item[1] ? [item[1]] : [];
+                let error;
+                try {
+                    await mirror.mirror(item[0]);
+                } catch (err) {
+                    error = err;
+                }
+                test.value(error).isInstanceOf(MediaError);
+                test.value(error.reason).is(item[2]);
+            }
+            test.value(Object.keys(store.objects)).is([]);
+            // Downloads stop as soon as a limit is passed
+            test.value(aborted).is(5);
+        });
+
+        it( 'Limits the content types', async function() {
+            mirror.config.MEDIA_CONTENT_TYPES = 'image/png, text/html';
+            test.value(mirror._contentTypes()).is(['image/png']);
+        });
+    });
+
+    describe( 'LocalStore', function() {
+        const root = path.join(os.tmpdir(), 'detik-media-' + process.pid);
+
+        after( function() {
+            const file = path.join(root, 'detik', 'ab', 'abc.jpg');
+            if (fs.existsSync(file)) {
+                fs.unlinkSync(file);
+                fs.rmdirSync(path.join(root, 'detik', 'ab'));
+                fs.rmdirSync(path.join(root, 'detik'));
+                fs.rmdirSync(root);
+            }
+        });
+
+        it( 'Writes objects to disk', async function() {
+            const local = new media.LocalStore({MEDIA_LOCAL_PATH: root,
+                MEDIA_PUBLIC_URL: 'https://media.example/'});
+            test.value(await local.has('detik/ab/abc.jpg')).is(false);
+            await local.put('detik/ab/abc.jpg', Buffer.from('abc'),
+                'image/jpeg');
+            test.value(await local.has('detik/ab/abc.jpg')).is(true);
+            test.value(fs.readFileSync(path.join(root, 'detik', 'ab',
+                'abc.jpg'), 'utf8')).is('abc');
+            test.value(local.url('detik/ab/abc.jpg'))
+                .is('https://media.example/detik/ab/abc.jpg');
+        });
+    });
+
+    describe( 'S3Store', function() {
+        it( 'Uses an S3-compatible client', async function() {
+            let calls = [];
+            const client = {
+                headObject: function(params) {
+                    calls.push(['headObject', params.Bucket, params.Key]);
+                    return {promise: function() {
+                        let err = new Error('Not Found');
+                        err.statusCode = 404;
+                        return Promise.reject(err);
+                    }};
+                },
+                putObject: function(params) {
+                    calls.push(['putObject', params.Bucket, params.Key,
+                        params.ContentType]);
+                    return Promise.resolve({});
+                },
+            };
+            const s3 = new media.S3Store({MEDIA_S3_BUCKET: 'photos',
+                MEDIA_PUBLIC_URL: 'https://photos.example'}, client);
+            test.value(await s3.has('a.jpg')).is(false);
+            await s3.put('a.jpg', Buffer.from('abc'), 'image/jpeg');
+            test.value(calls).is([['headObject', 'photos', 'a.jpg'],
+                ['putObject', 'photos', 'a.jpg', 'image/jpeg']]);
+            test.value(s3.url('a.jpg')).is('https://photos.example/a.jpg');
+
+            client.headObject = function() {
+                return Promise.reject(new Error('Access Denied'));
+            };
+            let error;
+            try {
+                await s3.has('a.jpg');
+            } catch (err) {
+                error = err;
+            }
+            test.value(error.message).is('Access Denied');
+        });
+
+        it( 'Creates an AWS SDK client without one', function() {
+            const s3 = new media.S3Store({MEDIA_S3_BUCKET: 'photos',
+                MEDIA_S3_ENDPOINT: 'http://localhost:9000'});
+            test.value(s3.client.config.endpoint)
+                .is('http://localhost:9000');
+            test.value(s3.client.config.s3ForcePathStyle).is(true);
+        });
+    });
+
+    describe( 'createMediaMirror', function() {
+        it( 'Creates the configured mirror', function() {
+            test.value(media.createMediaMirror({})).is(null);
+            const local = media.createMediaMirror({MEDIA_MIRROR: true,
+                MEDIA_LOCAL_PATH: '/tmp'});
+            test.value(local.store).isInstanceOf(media.LocalStore);
+            const client = {};
+            const s3 = media.createMediaMirror({MEDIA_MIRROR: true,
+                MEDIA_STORE: 's3'}, client);
+            test.value(s3.store).isInstanceOf(media.S3Store);
+            test.value(s3.store.client).is(client);
+        });
+    });
+});
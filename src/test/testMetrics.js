@@ -0,0 +1,130 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const test = require('unit.js');
+const metrics = require('../lib/metrics');
+const MetricsCollector = metrics.MetricsCollector;
+
+describe( 'Metrics', function() {
+    let collector;
+    let lines;
+    const write = function(line) {
+        lines.push(line);
+    };
+
+    beforeEach( function() {
+        collector = new MetricsCollector();
+        lines = [];
+    });
+
+    describe( 'MetricsCollector', function() {
+        it( 'Adds up counters', function() {
+            collector.increment('PagesFetched');
+            collector.increment('PagesFetched');
+            collector.increment('BytesDownloaded', 100, 'Bytes');
+            collector.increment('BytesDownloaded', 50, 'Bytes');
+            test.value(collector.get('PagesFetched'))
+                .is({unit: 'Count', value: 2});
+            test.value(collector.get('BytesDownloaded'))
+                .is({unit: 'Bytes', value: 150});
+            test.value(collector.get('Missing')).is(null);
+        });
+
+        it( 'Keeps samples', function() {
+            collector.record('FeedLag', 5, 'Seconds');
+            collector.record('FeedLag', 7, 'Seconds');
+            test.value(collector.get('FeedLag'))
+                .is({unit: 'Seconds', values: [5, 7]});
+        });
+
+        it( 'Times in milliseconds', function() {
+            let now = 1000;
+            collector._now = function() {
+                return now;
+            };
+            const stop = collector.startTimer('DbLatency');
+            now = 1025;
+            test.value(stop()).is(25);
+            test.value(collector.get('DbLatency'))
+                .is({unit: 'Milliseconds', values: [25]});
+        });
+    });
+
+    describe( 'EmfEmitter', function() {
+        it( 'Writes an embedded metric format document', function() {
+            const emitter = new metrics.EmfEmitter(
+                {METRICS_NAMESPACE: 'Test'}, write);
+            collector.increment('PagesFetched', 2);
+            collector.record('DbLatency', 12, 'Milliseconds');
+            emitter.emit(collector, {Feed: 'detik'});
+
+            test.value(lines.length).is(1);
+            const document = JSON.parse(lines[0]);
+            test.value(document.Feed).is('detik');
+            test.value(document.PagesFetched).is(2);
+            test.value(document.DbLatency).is([12]);
+            test.value(document._aws.Timestamp).isNumber();
+            test.value(document._aws.CloudWatchMetrics).is([{
+                Namespace: 'Test',
+                Dimensions: [['Feed']],
+                Metrics: [
+                    {Name: 'PagesFetched', Unit: 'Count'},
+                    {Name: 'DbLatency', Unit: 'Milliseconds'},
+                ],
+            }]);
+        });
+
+        it( 'Splits samples over documents', function() {
+            const emitter = new metrics.EmfEmitter({}, write);
+            collector.increment('PagesFetched');
+            for (let i = 0; i < 150; i++) {
+                collector.record('DbLatency', i, 'Milliseconds');
+            }
+            emitter.emit(collector, {Feed: 'detik'});
+
+            test.value(lines.length).is(2);
+            const first = JSON.parse(lines[0]);
+            const second = JSON.parse(lines[1]);
+            test.value(first.DbLatency.length).is(100);
+            test.value(first.PagesFetched).is(1);
+            test.value(second.DbLatency.length).is(50);
+            test.value(second.PagesFetched).isUndefined();
+            test.value(second._aws.CloudWatchMetrics[0].Namespace)
+                .is('CogniCity/Detik');
+        });
+
+        it( 'Writes nothing without metrics', function() {
+            new metrics.EmfEmitter({}, write).emit(collector, {Feed: 'x'});
+            test.value(lines).is([]);
+        });
+    });
+
+    describe( 'StdoutEmitter', function() {
+        it( 'Writes a line per metric', function() {
+            const emitter = new metrics.StdoutEmitter({}, write);
+            collector.increment('PagesFetched', 3);
+            collector.record('DbLatency', 10, 'Milliseconds');
+            collector.record('DbLatency', 30, 'Milliseconds');
+            emitter.emit(collector, {Feed: 'detik'});
+            test.value(lines).is([
+                'metric Feed=detik PagesFetched 3 Count',
+                'metric Feed=detik DbLatency count=2 min=10 avg=20 max=30 ' +
+                    'Milliseconds',
+            ]);
+        });
+    });
+
+    describe( 'createEmitter', function() {
+        it( 'Selects the configured emitter', function() {
+            test.value(metrics.createEmitter({}))
+                .isInstanceOf(metrics.EmfEmitter);
+            test.value(metrics.createEmitter({METRICS_EMITTER: 'stdout'}))
+                .isInstanceOf(metrics.StdoutEmitter);
+            test.value(metrics.createEmitter({METRICS_EMITTER: 'none'}))
+                .is(metrics.noopEmitter);
+            test.exception(function() {
+                metrics.createEmitter({METRICS_EMITTER: 'statsd'});
+            }).hasMessage('Unknown metrics emitter statsd');
+        });
+    });
+});
@@ -0,0 +1,244 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('unit.js');
+const Logger = require('../lib/logger').Logger;
+const migrate = require('../lib/migrate');
+const migrateCli = require('../cli/migrate');
+
+// Columns of tables created before migrations, which cannot be added later
+const LEGACY_COLUMNS = ['contribution_id', 'created_at', 'the_geom'];
+
+// Test harness for database migrations
+describe( 'Migrator', function() {
+    const config = {TABLE_DETIK_MIGRATIONS: 'detik.schema_migrations'};
+    const logger = new Logger({level: 'silent'});
+    let queries;
+    let applied;
+    let failOn;
+    let released;
+    let columns;
+
+    // Mock pool, keeping applied versions and failing queries containing
+    // failOn
+    const pool = {
+        connect: async function() {
+            return {
+                query: async function(sql, values) {
+                    queries.push(sql.trim().split('\n')[0].trim());
+                    if (failOn && sql.indexOf(failOn) !== -1) {
+                        throw new Error('syntax error');
+                    }
+                    if (sql.indexOf('information_schema') !== -1) {
+                        return {rows: columns.filter(function(row) {
+                            return values[0].indexOf(row.table_name) !== -1;
+                        })};
+                    }
+                    if (/^SELECT version/.test(sql)) {
+                        return {rows: applied.map(function(version) {
+                            return {version: version,
+                                applied_at: '2018-01-01T00:00:00Z'};
+                        })};
+                    } else if (/^INSERT INTO/.test(sql)) {
+                        applied.push(values[0]);
+                    }
+                    return {rows: []};
+                },
+                release: function() {
+                    released++;
+                },
+            };
+        },
+    };
+
+    beforeEach(function() {
+        queries = [];
+        applied = [];
+        failOn = null;
+        released = 0;
+        columns = [
+            {table_name: 'detik.reports', column_name: 'contribution_id'},
+            {table_name: 'detik.reports', column_name: 'duplicate_of'},
+            {table_name: 'detik.reports_jakarta',
+                column_name: 'contribution_id'},
+        ];
+    });
+
+    it( 'Lists the bundled migrations in order', async function() {
+        const migrations = await new migrate.Migrator(config, pool, logger)
+            .list();
+        test.value(migrations[0].version).is(1);
+        test.value(migrations[0].name).is('create_reports');
+        migrations.forEach(function(migration, i) {
+            test.value(migration.version).is(i + 1);
+        });
+    });
+
+    it( 'Adds every column the postgres sink writes', async function() {
+        const sql = (await new migrate.Migrator(config, pool, logger).list())
+            .map(function(migration) {
+                return fs.readFileSync(migration.file, 'utf8');
+            }).join('\n');
+        const source = fs.readFileSync(path.join(__dirname, '..', 'lib',
+            'sinks', 'postgres.js'), 'utf8');
+        const columns = /\(contribution_id, created_at, updated_at,[^)]*\)/g;
+        let match;
+        while ((match = columns.exec(source)) !== null) {
+            match[0].replace(/[()\s]/g, '').split(',').forEach(function(name) {
+                if (LEGACY_COLUMNS.indexOf(name) !== -1) {
+                    test.string(sql).match(new RegExp('\\b' + name + ' '));
+                } else {
+                    test.string(sql).contains(
+                        'ADD COLUMN IF NOT EXISTS ' + name + ' ');
+                }
+            });
+        }
+        test.string(sql).contains('detik.upsert_users');
+        test.string(sql).contains('detik.checkpoints');
+        test.string(sql).contains('detik.report_revisions');
+    });
+
+    it( 'Applies pending migrations and records them', async function() {
+        applied = [1, 2];
+        const migrator = new migrate.Migrator(config, pool, logger);
+        const total = (await migrator.list()).length;
+        const done = await migrator.migrate();
+        test.value(done.length).is(total - 2);
+        test.value(done[0].version).is(3);
+        test.value(applied.length).is(total);
+        test.value(queries[0]).is('SELECT pg_advisory_lock($1);');
+        test.value(queries[queries.length - 1])
+            .is('SELECT pg_advisory_unlock($1);');
+        test.value(released).is(1);
+        test.value(await migrator.migrate()).is([]);
+    });
+
+    it( 'Rolls back a failing migration and stops', async function() {
+        failOn = 'detik.checkpoints';
+        const migrator = new migrate.Migrator(config, pool, logger);
+        let error = null;
+        try {
+            await migrator.migrate();
+        } catch (err) {
+            error = err;
+        }
+        test.value(error.message).is('syntax error');
+        test.value(applied).is([1, 2]);
+        test.value(queries).contains(['ROLLBACK']);
+        test.value(released).is(1);
+    });
+
+    it( 'Rejects migrations sharing a version', async function() {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'detik-sql-'));
+        fs.writeFileSync(path.join(dir, '0001_a.sql'), '');
+        fs.writeFileSync(path.join(dir, '001_b.sql'), '');
+        fs.writeFileSync(path.join(dir, 'README.md'), '');
+        const migrator = new migrate.Migrator(config, pool, logger, dir);
+        let error = null;
+        try {
+            await migrator.list();
+        } catch (err) {
+            error = err;
+        }
+        ['0001_a.sql', '001_b.sql', 'README.md'].forEach(function(file) {
+            fs.unlinkSync(path.join(dir, file));
+        });
+        fs.rmdirSync(dir);
+        test.value(error.message).is('Migrations share version 1');
+    });
+
+    it( 'Finds configured tables missing or out of date', async function() {
+        const migrator = new migrate.Migrator(config, pool, logger);
+        test.value(await migrator.checkTables([{
+            TABLE_DETIK: 'detik.reports',
+            TABLE_DETIK_UNCONFIRMED: 'detik.reports_unconfirmed',
+        }])).is([]);
+        test.value(queries).is([]);
+        test.value(await migrator.checkTables([
+            {TABLE_DETIK: 'detik.reports_jakarta'},
+            {TABLE_DETIK: 'reports_bandung'},
+        ])).is([
+            {table: 'detik.reports_jakarta', like: 'detik.reports',
+                missing: ['duplicate_of']},
+            {table: 'reports_bandung', like: 'detik.reports', missing: null},
+        ]);
+        test.value(released).is(1);
+    });
+
+    describe( 'migrate command', function() {
+        // Only the database keys are needed, not DETIK_URL
+        const env = {LOG_LEVEL: 'silent'};
+
+        it( 'Parses arguments', function() {
+            test.value(migrateCli.parseArgs(['--status', '--config', 'a.json']))
+                .is({status: true, help: false, configFile: 'a.json'});
+            test.exception(function() {
+                migrateCli.parseArgs(['--config']);
+            }).hasMessage('--config needs a value');
+            test.exception(function() {
+                migrateCli.parseArgs(['--down']);
+            }).hasMessage('Unknown option --down');
+        });
+
+        it( 'Lists applied and pending migrations', async function() {
+            applied = [1];
+            let output = '';
+            await migrateCli.main(['--status'], {write: function(text) {
+                output += text;
+            }}, env, pool);
+            const lines = output.trim().split('\n');
+            test.value(lines[0])
+                .is('applied 0001 create_reports 2018-01-01T00:00:00.000Z');
+            test.value(lines[1])
+                .is('pending 0002 add_classification_and_location');
+            test.value(applied).is([1]);
+        });
+
+        it( 'Applies pending migrations', async function() {
+            let output = '';
+            const write = {write: function(text) {
+                output += text;
+            }};
+            await migrateCli.main([], write, env, pool);
+            test.string(output).contains('applied 0001 create_reports\n');
+            output = '';
+            await migrateCli.main([], write, env, pool);
+            test.value(output).is('Schema up to date\n');
+        });
+
+        it( 'Fails on configured tables out of date', async function() {
+            let output = '';
+            let error = null;
+            try {
+                await migrateCli.main([], {write: function(text) {
+                    output += text;
+                }}, {LOG_LEVEL: 'silent', FEEDS: JSON.stringify([
+                    {name: 'jakarta', url: 'https://detik.example/jakarta',
+                        table: 'detik.reports_jakarta'},
+                    {name: 'bandung', url: 'https://detik.example/bandung'},
+                ])}, pool);
+            } catch (err) {
+                error = err;
+            }
+            test.string(output).contains('applied 0001 create_reports\n');
+            test.string(error.message).contains(
+                '  detik.reports_jakarta lacks duplicate_of, like ' +
+                'detik.reports');
+        });
+
+        it( 'Validates the database keys', async function() {
+            let error = null;
+            try {
+                await migrateCli.main([], {write: function() {}},
+                    {LOG_LEVEL: 'silent', PGPORT: 'none'}, pool);
+            } catch (err) {
+                error = err;
+            }
+            test.value(error.name).is('ConfigError');
+            test.string(error.message).contains('PGPORT');
+        });
+    });
+});
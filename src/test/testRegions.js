@@ -0,0 +1,81 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const test = require('unit.js');
+const regions = require('../lib/regions');
+
+// Test harness for instance regions
+describe( 'Regions', function() {
+    const square = [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]];
+    const hole = [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]];
+    const triangle = [[20, 0], [30, 0], [20, 10], [20, 0]];
+
+    const testRegions = new regions.Regions({
+        type: 'FeatureCollection',
+        features: [
+            {
+                type: 'Feature',
+                properties: {code: 'square'},
+                geometry: {type: 'Polygon', coordinates: [square, hole]},
+            },
+            {
+                type: 'Feature',
+                properties: {code: 'multi'},
+                geometry: {type: 'MultiPolygon', coordinates: [[triangle]]},
+            },
+        ],
+    });
+
+    it( 'Finds the region containing a point', function() {
+        test.value(testRegions.find(1, 1)).is('square');
+        test.value(testRegions.find(21, 1)).is('multi');
+    });
+
+    it( 'Excludes holes and points outside', function() {
+        test.value(testRegions.find(5, 5)).is(null);
+        test.value(testRegions.find(29, 9)).is(null);
+        test.value(testRegions.find(-1, 5)).is(null);
+    });
+
+    it( 'Bundles the default instance regions', function() {
+        const defaults = regions.createRegions({});
+        test.value(defaults.find(106.83, -6.2)).is('jbd');
+        test.value(defaults.find(112.75, -7.25)).is('sby');
+        test.value(defaults.find(107.61, -6.91)).is('bdg');
+        test.value(defaults.find(0, 0)).is(null);
+    });
+
+    it( 'Loads regions from the configured file', function() {
+        const file = path.join(os.tmpdir(), 'detik-regions-' + process.pid +
+            '.json');
+        fs.writeFileSync(file, JSON.stringify({
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                properties: {code: 'square'},
+                geometry: {type: 'Polygon', coordinates: [square]},
+            }],
+        }));
+        try {
+            test.value(regions.createRegions({REGIONS_FILE: file})
+                .find(5, 5)).is('square');
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+
+    it( 'Rejects invalid regions', function() {
+        test.error(function() {
+            new regions.Regions({features: [{properties: {},
+                geometry: {type: 'Polygon', coordinates: [square]}}]});
+        });
+        test.error(function() {
+            new regions.Regions({features: [{properties: {code: 'x'},
+                geometry: {type: 'Point', coordinates: [0, 0]}}]});
+        });
+    });
+});
@@ -0,0 +1,167 @@
+/* eslint-disable require-jsdoc */
+/* eslint-disable no-useless-escape */
+'use strict';
+
+const test = require('unit.js');
+const report = require('../lib/report');
+
+function generateResult() {
+    return {
+        contributionId: 42,
+        title: 'Banjir',
+        content: 'Banjir setinggi lutut',
+        url: 'https:\'\'//web.com',
+        files: {
+            photo: 'https:\'\'//web.com/photo.jpg',
+        },
+        location: {
+            geospatial: {
+                longitude: '106.8',
+                latitude: -6.2,
+            },
+        },
+        date: {
+            create: {
+                sec: 1000,
+            },
+            update: {
+                sec: 2000,
+            },
+        },
+        user: {
+            creator: {
+                id: 123,
+            },
+        },
+    };
+}
+
+// Test harness for report normalization
+describe( 'normalizeResult', function() {
+    it( 'Normalizes a valid result', function() {
+        test.value(report.normalizeResult(generateResult())).is({
+            report: {
+                contributionId: 42,
+                createdAt: 1000,
+                updatedAt: 2000,
+                title: 'Banjir',
+                text: 'Banjir setinggi lutut',
+                lang: 'id',
+                url: 'https://web.com',
+                imageUrl: 'https://web.com/photo.jpg',
+                originalImageUrl: 'https://web.com/photo.jpg',
+                // md5('123')
+                userHash: '202cb962ac59075b964b07152d234b70',
+                legacyUserHash: null,
+                longitude: 106.8,
+                latitude: -6.2,
+                locationName: null,
+            },
+        });
+    });
+
+    it( 'Joins location place names', function() {
+        let result = generateResult();
+        result.location.name = 'Jl. Otista';
+        result.location.city = 'Jakarta Timur';
+        result.location.address = '  ';
+        test.value(report.normalizeResult(result).report.locationName)
+            .is('Jl. Otista, Jakarta Timur');
+    });
+
+    it( 'Defaults optional fields', function() {
+        let result = generateResult();
+        delete result.files;
+        delete result.title;
+        delete result.date.update;
+        const normalized = report.normalizeResult(result).report;
+        test.value(normalized.imageUrl).is(null);
+        test.value(normalized.title).is('');
+        test.value(normalized.updatedAt).is(1000);
+    });
+
+    it( 'Keeps results without coordinates at (0,0)', function() {
+        let result = generateResult();
+        result.location.geospatial = {longitude: 0, latitude: 0};
+        const normalized = report.normalizeResult(result).report;
+        test.value(normalized.longitude).is(0);
+    });
+
+    it( 'Converts local times to UTC', function() {
+        let result = generateResult();
+        const normalized = report.normalizeResult(result,
+            {timezoneOffset: 7 * 3600}).report;
+        test.value(normalized.createdAt).is(1000 - 7 * 3600);
+        test.value(normalized.updatedAt).is(2000 - 7 * 3600);
+        result.date.update.sec = 0;
+        test.value(report.normalizeResult(result).report.updatedAt)
+            .is(1000);
+    });
+
+    it( 'Parses source time zones', function() {
+        test.value(report.parseTimezone('UTC')).is(0);
+        test.value(report.parseTimezone('WIB')).is(25200);
+        test.value(report.parseTimezone('Asia/Jayapura')).is(32400);
+        test.value(report.parseTimezone('+05:30')).is(19800);
+        test.value(report.parseTimezone('-0300')).is(-10800);
+        test.value(report.parseTimezone('+25:00')).is(null);
+        test.value(report.parseTimezone('Europe/Paris')).is(null);
+        test.value(report.parseTimezone(undefined)).is(null);
+    });
+
+    it( 'Hashes user IDs with a secret', function() {
+        const normalized = report.normalizeResult(generateResult(),
+            {userHashSecret: 'key'}).report;
+        test.value(normalized.userHash).is(report.hashUser('123', 'key'));
+        test.value(normalized.userHash).match(/^[0-9a-f]{64}$/);
+        test.value(normalized.userHash).isNot(report.hashUser('123', 'other'));
+        test.value(normalized.legacyUserHash)
+            .is('202cb962ac59075b964b07152d234b70');
+    });
+
+    it( 'Rejects future times', function() {
+        let result = generateResult();
+        test.value(report.normalizeResult(result, {latest: 1999}).reason)
+            .is('future_timestamp');
+        test.value(report.normalizeResult(result, {latest: 2000}).report)
+            .isObject();
+    });
+
+    const rejections = [
+        ['missing_id', function(result) {
+            delete result.contributionId;
+        }],
+        ['bad_timestamp', function(result) {
+            result.date.create.sec = 'yesterday';
+        }],
+        ['zero_timestamp', function(result) {
+            result.date.create.sec = 0;
+        }],
+        ['missing_geo', function(result) {
+            delete result.location;
+        }],
+        ['bad_geo', function(result) {
+            result.location.geospatial.latitude = 95;
+        }],
+        ['missing_user', function(result) {
+            result.user.creator = {};
+        }],
+        ['missing_url', function(result) {
+            result.url = null;
+        }],
+    ];
+
+    rejections.forEach(function(rejection) {
+        it( 'Rejects with ' + rejection[0], function() {
+            let result = generateResult();
+            rejection[1](result);
+            const normalized = report.normalizeResult(result);
+            test.value(normalized.report).is(undefined);
+            test.value(normalized.reason).is(rejection[0]);
+        });
+    });
+
+    it( 'Rejects non-object results', function() {
+        test.value(report.normalizeResult(null).reason).is('missing_id');
+    });
+});
@@ -0,0 +1,103 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const test = require('unit.js');
+const retry = require('../lib/retry');
+
+// Test harness for retries with backoff
+describe( 'retry', function() {
+    const options = function(extra) {
+        return Object.assign({
+            retries: 2,
+            transient: function(err) {
+                return err.transient;
+            },
+            delay: function() {
+                return 0;
+            },
+        }, extra);
+    };
+    const failing = function(count, transient) {
+        let calls = 0;
+        return function(attempt) {
+            calls++;
+            if (calls <= count) {
+                let err = new Error('Failure ' + attempt);
+                err.transient = transient;
+                return Promise.reject(err);
+            }
+            return Promise.resolve('done ' + attempt);
+        };
+    };
+
+    it( 'Retries transient failures', async function() {
+        let retried = [];
+        const result = await retry.retry(failing(2, true), options({
+            onRetry: function(err, attempt, delay) {
+                retried.push([err.message, attempt, delay]);
+            },
+        }));
+        test.value(result).is('done 3');
+        test.value(retried).is([['Failure 1', 1, 0], ['Failure 2', 2, 0]]);
+    });
+
+    it( 'Gives up once retries are used up', async function() {
+        let error;
+        try {
+            await retry.retry(failing(3, true), options());
+        } catch (err) {
+            error = err;
+        }
+        test.value(error.message).is('Failure 3');
+        test.value(error.attempts).is(3);
+    });
+
+    it( 'Gives up on fatal failures and null delays', async function() {
+        let error;
+        try {
+            await retry.retry(failing(1, false), options());
+        } catch (err) {
+            error = err;
+        }
+        test.value(error.attempts).is(1);
+        error = null;
+        try {
+            await retry.retry(failing(1, true), options({
+                delay: function() {
+                    return null;
+                },
+            }));
+        } catch (err) {
+            error = err;
+        }
+        test.value(error.attempts).is(1);
+    });
+
+    it( 'Waits the delay between attempts', async function() {
+        let waits = [];
+        await retry.retry(failing(1, true), options({
+            delay: function(attempt) {
+                return attempt * 100;
+            },
+            sleep: function(ms) {
+                waits.push(ms);
+                return Promise.resolve();
+            },
+        }));
+        test.value(waits).is([100]);
+    });
+
+    it( 'Backs off exponentially with full jitter', function() {
+        for (let attempt = 1; attempt <= 5; attempt++) {
+            test.number(retry.backoffDelay(attempt, 100))
+                .isBetween(0, 100 * Math.pow(2, attempt - 1));
+            test.number(retry.backoffDelay(attempt, 100, 300))
+                .isBetween(0, 300);
+        }
+    });
+
+    it( 'Retries 5xx, 408 and 429 statuses', function() {
+        test.value([500, 503, 408, 429, 400, 404].map(retry.isTransientStatus))
+            .is([true, true, true, true, false, false]);
+    });
+});
@@ -0,0 +1,93 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('unit.js');
+const sanitize = require('../lib/sanitize');
+
+// Test harness for the report sanitizer
+describe( 'Sanitizer', function() {
+    const sanitizer = new sanitize.Sanitizer();
+
+    it( 'Strips markup', function() {
+        test.value(sanitize.stripMarkup('<p class="a">Banjir</p>' +
+            '<script>alert(1)</script><!-- x --><b>Kemang</b><br/>x'))
+            .is('\nBanjir\n Kemang\nx');
+    });
+
+    it( 'Decodes entities once', function() {
+        test.value(sanitize.decodeEntities('a &amp; b &lt;i&gt; &#039;c' +
+            '&#39; &#x1F30A; &amp;lt; &unknown; &#0;'))
+            .is('a & b <i> \'c\' 🌊 &lt; &unknown; &#0;');
+    });
+
+    it( 'Normalizes Unicode and whitespace', function() {
+        test.value(sanitizer.sanitizeText('  Air  setinggi ' +
+            '１２０ cm​\r\n\r\n\r\n\tdi  Kemang ', false))
+            .is('Air setinggi 120 cm\n\ndi Kemang');
+        test.value(sanitizer.sanitizeText('Banjir\n di\tKemang', true))
+            .is('Banjir di Kemang');
+    });
+
+    it( 'Redacts personal information', function() {
+        let redactions = {};
+        test.value(sanitizer.sanitizeText('Hubungi 0812-3456-7890, ' +
+            '+62 812 3456 789 atau (021) 555-1234, warga@contoh.co.id. ' +
+            'Mobil B 1234 XYZ, NIK 3171234567890123.', false, redactions))
+            .is('Hubungi [phone], [phone] atau [phone], [email]. ' +
+                'Mobil [plate], NIK [nik].');
+        test.value(redactions).is({
+            'email': 1,
+            'nik': 1,
+            'phone-mobile': 2,
+            'phone-landline': 1,
+            'licence-plate': 1,
+        });
+    });
+
+    it( 'Keeps addresses, heights and dates', function() {
+        const text = 'Jl. Kemang Raya RT 05 RW 02, air 120 cm, 12 Januari 2018';
+        let redactions = {};
+        test.value(sanitizer.sanitizeText(text, false, redactions)).is(text);
+        test.value(redactions).is({});
+    });
+
+    it( 'Records an audit on the report', function() {
+        let report = {title: '<b>Banjir</b>', text: 'Telp 08123456789'};
+        const audit = sanitizer.sanitize(report);
+        test.value(report.title).is('Banjir');
+        test.value(report.text).is('Telp [phone]');
+        test.value(audit).is({
+            title: {originalLength: 13, sanitizedLength: 6},
+            text: {originalLength: 16, sanitizedLength: 12},
+            redactions: {'phone-mobile': 1},
+        });
+        test.value(report.sanitization).is(audit);
+    });
+
+    it( 'Rejects invalid rules', function() {
+        test.error(function() {
+            new sanitize.Sanitizer([{name: 'x', pattern: 'a'}]);
+        });
+    });
+
+    it( 'Loads rules from the configured file', function() {
+        const file = path.join(os.tmpdir(), 'detik-redaction-' +
+            process.pid + '.json');
+        fs.writeFileSync(file, JSON.stringify([
+            {name: 'rt', pattern: 'RT \\d+', replacement: '[rt]'},
+        ]));
+        try {
+            const custom = sanitize.createSanitizer(
+                {REDACTION_RULES_FILE: file});
+            test.value(custom.sanitizeText('RT 05 B 1234 XYZ'))
+                .is('[rt] B 1234 XYZ');
+            test.value(sanitize.createSanitizer({}).rules.length)
+                .is(sanitizer.rules.length);
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+});
@@ -0,0 +1,578 @@
+/* eslint-disable require-jsdoc */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const test = require('unit.js');
+const Logger = require('../lib/logger').Logger;
+const normalizeResult = require('../lib/report').normalizeResult;
+const sinks = require('../lib/sinks');
+
+function generateReport( contributionId, updated, created ) {
+    return {
+        contributionId: contributionId,
+        createdAt: created || 1000,
+        updatedAt: updated || 2000,
+        title: 'title',
+        text: 'report',
+        lang: 'id',
+        url: 'https://web.com',
+        imageUrl: null,
+        // md5('123')
+        userHash: '202cb962ac59075b964b07152d234b70',
+        legacyUserHash: null,
+        longitude: 1,
+        latitude: 1,
+        disasterType: 'flood',
+        classificationRule: 'flood-id',
+        region: 'jbd',
+    };
+}
+
+// Test harness for report sinks
+describe( 'Sinks', function() {
+    describe( 'createSink', function() {
+        it( 'Defaults to Postgres', function() {
+            const sink = sinks.createSink({}, {});
+            test.value(sink).isInstanceOf(sinks.PostgresSink);
+        });
+
+        it( 'Selects sink from config', function() {
+            test.value(sinks.createSink({SINK: 'memory'}))
+                .isInstanceOf(sinks.MemorySink);
+            test.value(sinks.createSink({SINK: 'ndjson',
+                NDJSON_PATH: 'reports.ndjson'}))
+                .isInstanceOf(sinks.NdjsonSink);
+        });
+
+        it( 'Rejects bad sink config', function() {
+            test.error(function() {
+                sinks.createSink({SINK: 'ndjson'});
+            });
+            test.error(function() {
+                sinks.createSink({SINK: 'foo'});
+            });
+        });
+    });
+
+    describe( 'PostgresSink', function() {
+        let sink;
+        let queries;
+        let insertRows;
+        let failUserQuery;
+        let relinkUser;
+        let userValues;
+        let released;
+        let poolValues;
+
+        before(function() {
+            const pool = {
+                connect: function() {
+                    return Promise.resolve({
+                        query: function(query, values) {
+                            queries.push(query.trim().split(/\s/)[0]);
+                            if (query.indexOf('upsert_users') !== -1) {
+                                userValues = values;
+                                if (failUserQuery) {
+                                    return Promise.reject(
+                                        new Error('Database Error'));
+                                }
+                                return Promise.resolve({rows: [{
+                                    relinked: relinkUser}]});
+                            }
+                            if (/INSERT|UPDATE/.test(query)) {
+                                return Promise.resolve({rows: insertRows});
+                            }
+                            return Promise.resolve({rows: []});
+                        },
+                        release: function() {
+                            released = true;
+                        },
+                    });
+                },
+                query: function(query, values) {
+                    queries.push(query.trim().split(/\s/)[0]);
+                    poolValues = values;
+                    return Promise.resolve({rows: insertRows});
+                },
+            };
+            sink = new sinks.PostgresSink({TABLE_DETIK: 'detik.reports',
+                TABLE_DETIK_UNCONFIRMED: 'detik.reports_unconfirmed',
+                TABLE_DETIK_CHECKPOINTS: 'detik.checkpoints'}, pool,
+                new Logger({level: 'silent'}));
+        });
+
+        beforeEach(function() {
+            queries = [];
+            insertRows = [{contribution_id: '1', inserted: true}];
+            failUserQuery = false;
+            relinkUser = false;
+            userValues = null;
+            released = false;
+            sink.config.CONFLICT_POLICY = 'skip';
+        });
+
+        it( `Query works?`, async function() {
+            const response = await sink.saveReport(generateReport(1));
+            test.value(response.status).is('inserted');
+            test.value(response.values).is([1, 1000, 2000, 'flood', 'flood-id',
+                'report', 'id', 'https://web.com', null, 'title', 'jbd',
+                false, null, 1, 1, null, null,
+                '202cb962ac59075b964b07152d234b70', null]);
+            test.value(queries).is(['BEGIN', 'INSERT', 'SELECT', 'COMMIT']);
+            test.value(userValues)
+                .is(['202cb962ac59075b964b07152d234b70', null, 1000]);
+            test.value(released).is(true);
+        });
+
+        it( `Moves legacy users and their reports`, async function() {
+            relinkUser = true;
+            let report = generateReport(1);
+            report.userHash = 'keyed';
+            report.legacyUserHash = '202cb962ac59075b964b07152d234b70';
+            await sink.saveReport(report);
+            test.value(userValues).is(['keyed',
+                '202cb962ac59075b964b07152d234b70', 1000]);
+            test.value(queries)
+                .is(['BEGIN', 'INSERT', 'SELECT', 'UPDATE', 'COMMIT']);
+        });
+
+        it( `Reports duplicates without upserting user`, async function() {
+            insertRows = [];
+            const response = await sink.saveReport(generateReport(1));
+            test.value(response.status).is('duplicate');
+            test.value(response.query).contains('DO NOTHING');
+            test.value(queries).is(['BEGIN', 'INSERT', 'COMMIT']);
+        });
+
+        it( `Updates newer reports with update policy`, async function() {
+            sink.config.CONFLICT_POLICY = 'update';
+            insertRows = [{contribution_id: '1', inserted: false}];
+            const response = await sink.saveReport(generateReport(1));
+            test.value(response.status).is('updated');
+            test.value(response.query).contains('DO UPDATE');
+            test.value(response.query).contains('< EXCLUDED.updated_at');
+        });
+
+        it( `Saves reports with one multi-row insert`, async function() {
+            insertRows = [{contribution_id: '1', inserted: true},
+                {contribution_id: '3', inserted: false}];
+            const responses = await sink.saveReports([generateReport(1),
+                generateReport(2), generateReport(3), generateReport(1)]);
+            test.value(responses.map(function(response) {
+                return response.status;
+            })).is(['inserted', 'duplicate', 'updated', 'duplicate']);
+            test.value(responses[0].values.length).is(3 * 19);
+            test.value(responses[0].query)
+                .contains('ST_SetSRID(ST_Point($52, $53), 4326)');
+            test.value(queries).is(['BEGIN', 'INSERT', 'SELECT', 'COMMIT']);
+            test.value(await sink.saveReports([])).is([]);
+        });
+
+        it( `Rolls back when the user upsert fails`, async function() {
+            failUserQuery = true;
+            let error;
+            try {
+                await sink.saveReport(generateReport(1));
+            } catch (err) {
+                error = err;
+            }
+            test.value(error.message).is('Database Error');
+            test.value(queries).is(['BEGIN', 'INSERT', 'SELECT', 'ROLLBACK']);
+            test.value(released).is(true);
+        });
+
+        it( `Saves unconfirmed reports`, async function() {
+            let report = generateReport(1);
+            report.locationName = 'Kampung Melayu';
+            const response = await sink.saveUnconfirmed(report);
+            test.value(response.status).is('inserted');
+            test.value(response.query).contains('reports_unconfirmed');
+            test.value(response.values[10]).is('Kampung Melayu');
+            test.value(queries).is(['BEGIN', 'INSERT', 'SELECT', 'COMMIT']);
+            insertRows = [];
+            test.value((await sink.saveUnconfirmed(report)).status)
+                .is('duplicate');
+        });
+
+        it( `Reads and writes checkpoints`, async function() {
+            insertRows = [];
+            test.value(await sink.readCheckpoint('detik')).is(null);
+            insertRows = [{last_contribution_id: '42',
+                last_success_at: new Date(0), last_error: null,
+                pages_scanned: 3}];
+            test.value(await sink.readCheckpoint('detik')).is({
+                lastContributionId: 42,
+                lastSuccessAt: '1970-01-01T00:00:00.000Z',
+                lastError: null,
+                pagesScanned: 3,
+            });
+            await sink.writeCheckpoint('detik', {lastContributionId: 43,
+                lastError: 'fetch: foo'});
+            test.value(queries[queries.length - 1]).is('INSERT');
+            test.value(poolValues).is(['detik', 43, null, 'fetch: foo', 0]);
+        });
+
+        it( `Finds recent reports`, async function() {
+            insertRows = [{contribution_id: '5', created_at: '1000',
+                user_hash: 'abc', duplicate_of: '4', title: 'title',
+                text: 'report', image_url: null, original_image_url: null,
+                longitude: 106.8, latitude: -6.2}];
+            test.value(await sink.findRecentReports(900, 1100, 10)).is([{
+                contributionId: 5,
+                createdAt: 1000,
+                userHash: 'abc',
+                duplicateOf: 4,
+                title: 'title',
+                text: 'report',
+                imageUrl: null,
+                originalImageUrl: null,
+                longitude: 106.8,
+                latitude: -6.2,
+            }]);
+            test.value(poolValues).is([900, 1100, 10]);
+        });
+
+        it( `Stores the duplicate link`, async function() {
+            let report = generateReport(2);
+            report.userHash = 'abc';
+            report.duplicateOf = 1;
+            const response = await sink.saveReport(report);
+            test.value(response.values.slice(-2)).is(['abc', 1]);
+        });
+
+        it( `Gets stored reports`, async function() {
+            insertRows = [];
+            test.value(await sink.getReport(5)).is(null);
+            insertRows = [{contribution_id: '5', created_at: '1000',
+                updated_at: '2000', title: 'title', text: 'report',
+                image_url: null, original_image_url: null,
+                withdrawn_at: new Date(0), longitude: 106.8,
+                latitude: -6.2}];
+            const report = await sink.getReport(5);
+            test.value(report.contributionId).is(5);
+            test.value(report.updatedAt).is(2000);
+            test.value(report.withdrawnAt).is('1970-01-01T00:00:00.000Z');
+            test.value(poolValues).is([5]);
+        });
+
+        it( `Looks up unconfirmed reports`, async function() {
+            insertRows = [];
+            test.value(await sink.hasUnconfirmed(5)).is(false);
+            insertRows = [{'?column?': 1}];
+            test.value(await sink.hasUnconfirmed(5)).is(true);
+            test.value(poolValues).is([5]);
+        });
+
+        it( `Revises reports with a revision`, async function() {
+            insertRows = [{contribution_id: 1}];
+            const response = await sink.reviseReport(generateReport(1),
+                {change: 'edit', previous: {title: 'old'}});
+            test.value(response.status).is('revised');
+            test.value(queries).is(['BEGIN', 'UPDATE', 'INSERT', 'COMMIT']);
+            insertRows = [];
+            queries = [];
+            test.value((await sink.reviseReport(generateReport(1),
+                {change: 'edit', previous: {}})).status).is('missing');
+            test.value(queries).is(['BEGIN', 'UPDATE', 'COMMIT']);
+        });
+
+        it( `Revises only floods unless configured`, async function() {
+            insertRows = [{contribution_id: 1}];
+            queries = [];
+            let report = generateReport(1);
+            report.disasterType = 'fire';
+            test.value((await sink.reviseReport(report,
+                {change: 'edit', previous: {}})).status).is('non_flood');
+            test.value(queries).is([]);
+            report.disasterType = 'unclassified';
+            report.classificationRule = null;
+            test.value((await sink.reviseReport(report,
+                {change: 'edit', previous: {}})).status).is('revised');
+            test.value(report.disasterType).is('flood');
+            test.value(report.classificationRule).is('default');
+        });
+
+        it( `Withdraws missing reports`, async function() {
+            insertRows = [{contribution_id: '3'}];
+            test.value(await sink.withdrawMissing(900, 1100, [1, 2]))
+                .is([3]);
+            test.value(poolValues).is([900, 1100, [1, 2]]);
+        });
+
+        it( `Ignores null IDs when withdrawing`, async function() {
+            insertRows = [];
+            await sink.withdrawMissing(900, 1100, [1, null, 2]);
+            test.value(poolValues).is([900, 1100, [1, 2]]);
+        });
+
+        it( `Gets last contribution ID`, async function() {
+            insertRows = [{contribution_id: 9999}];
+            test.value(await sink.getLastContributionId()).is(9999);
+            insertRows = [];
+            test.value(await sink.getLastContributionId()).is(null);
+        });
+    });
+
+    describe( 'MemorySink', function() {
+        it( 'Saves reports and users', async function() {
+            const sink = new sinks.MemorySink({});
+            test.value(await sink.getLastContributionId()).is(null);
+            const response = await sink.saveReport(generateReport(5));
+            await sink.saveReport(generateReport(3));
+            test.value(response.status).is('inserted');
+            test.value(sink.reports.size).is(2);
+            test.value(await sink.getLastContributionId()).is(5);
+            test.value(sink.users.get('202cb962ac59075b964b07152d234b70'))
+                .is({user_hash: '202cb962ac59075b964b07152d234b70',
+                    legacy_hash: null, reports: 2, first_seen_at: 1000,
+                    last_seen_at: 1000});
+        });
+
+        it( 'Tracks when users were first and last seen', async function() {
+            const sink = new sinks.MemorySink({});
+            await sink.saveReport(generateReport(1, 2000, 1500));
+            await sink.saveReport(generateReport(2, 2000, 1200));
+            await sink.saveUnconfirmed(generateReport(3, 2000, 1800));
+            const user = sink.users.get('202cb962ac59075b964b07152d234b70');
+            test.value(user.reports).is(3);
+            test.value(user.first_seen_at).is(1200);
+            test.value(user.last_seen_at).is(1800);
+        });
+
+        it( 'Moves legacy users and their reports', async function() {
+            const sink = new sinks.MemorySink({});
+            await sink.saveReport(generateReport(1));
+            let report = generateReport(2, 2000, 1100);
+            report.userHash = 'keyed';
+            report.legacyUserHash = '202cb962ac59075b964b07152d234b70';
+            await sink.saveReport(report);
+            test.value(sink.users.size).is(1);
+            test.value(sink.users.get('keyed')).is({user_hash: 'keyed',
+                legacy_hash: '202cb962ac59075b964b07152d234b70', reports: 2,
+                first_seen_at: 1000, last_seen_at: 1100});
+            test.value((await sink.getReport(1)).userHash).is('keyed');
+        });
+
+        it( 'Saves batches of reports in order', async function() {
+            const sink = new sinks.MemorySink({});
+            const responses = await sink.saveReports([generateReport(1),
+                generateReport(2), generateReport(1)]);
+            test.value(responses).is([{status: 'inserted'},
+                {status: 'inserted'}, {status: 'duplicate'}]);
+            test.value((await sink.saveUnconfirmedReports([generateReport(3)]))
+                .map(function(response) {
+                    return response.status;
+                })).is(['inserted']);
+            test.value(sink.users.get('202cb962ac59075b964b07152d234b70')
+                .reports).is(3);
+        });
+
+        it( 'Saves unconfirmed reports', async function() {
+            const sink = new sinks.MemorySink({});
+            test.value((await sink.saveUnconfirmed(generateReport(5)))
+                .status).is('inserted');
+            test.value((await sink.saveUnconfirmed(generateReport(5)))
+                .status).is('duplicate');
+            test.value(sink.unconfirmed.size).is(1);
+            test.value(sink.reports.size).is(0);
+        });
+
+        it( 'Revises non-flood reports if configured', async function() {
+            let sink = new sinks.MemorySink({});
+            await sink.saveReport(generateReport(1));
+            let report = generateReport(1);
+            report.disasterType = 'fire';
+            test.value((await sink.reviseReport(report,
+                {change: 'edit', previous: {}})).status).is('non_flood');
+            test.value(sink.reports.get(1).disasterType).is('flood');
+            sink = new sinks.MemorySink({STORE_NON_FLOOD: true});
+            await sink.saveReport(generateReport(1));
+            test.value((await sink.reviseReport(report,
+                {change: 'edit', previous: {}})).status).is('revised');
+            test.value(sink.reports.get(1).disasterType).is('fire');
+        });
+
+        it( 'Reads and writes checkpoints', async function() {
+            const sink = new sinks.MemorySink({});
+            test.value(await sink.readCheckpoint('detik')).is(null);
+            await sink.writeCheckpoint('detik', {lastContributionId: 1});
+            test.value(await sink.readCheckpoint('detik'))
+                .is({lastContributionId: 1});
+        });
+
+        it( 'Finds recent reports oldest first', async function() {
+            const sink = new sinks.MemorySink({});
+            await sink.saveReport(generateReport(5, 2000, 1300));
+            await sink.saveReport(generateReport(3, 2000, 1100));
+            await sink.saveReport(generateReport(4, 2000, 900));
+            const found = await sink.findRecentReports(1000, 1300, 10);
+            test.value(found.map(function(report) {
+                return report.contributionId;
+            })).is([3, 5]);
+            test.value((await sink.findRecentReports(1000, 1300, 1)).length)
+                .is(1);
+        });
+
+        it( 'Follows the conflict policy', async function() {
+            const sink = new sinks.MemorySink({CONFLICT_POLICY: 'skip'});
+            await sink.saveReport(generateReport(1));
+            test.value((await sink.saveReport(generateReport(1, 3000)))
+                .status).is('duplicate');
+            sink.config.CONFLICT_POLICY = 'update';
+            test.value((await sink.saveReport(generateReport(1, 3000)))
+                .status).is('updated');
+            test.value((await sink.saveReport(generateReport(1, 3000)))
+                .status).is('duplicate');
+            test.value(sink.users.size).is(1);
+        });
+    });
+
+    describe( 'DryRunSink', function() {
+        let target;
+        let sink;
+
+        beforeEach(async function() {
+            target = new sinks.MemorySink({});
+            await target.saveReport(generateReport(1));
+            await target.saveUnconfirmed(generateReport(5));
+            sink = new sinks.DryRunSink({}, target);
+        });
+
+        it( 'Finds stored reports without writing', async function() {
+            test.value((await sink.saveReport(generateReport(1))).status)
+                .is('duplicate');
+            test.value((await sink.saveReport(generateReport(2, 2000, 1100)))
+                .status).is('inserted');
+            test.value((await sink.saveUnconfirmed(generateReport(5))).status)
+                .is('duplicate');
+            test.value((await sink.saveUnconfirmed(generateReport(6))).status)
+                .is('inserted');
+            await sink.writeCheckpoint('detik', {lastContributionId: 2});
+
+            test.value(Array.from(target.reports.keys())).is([1]);
+            test.value(Array.from(target.unconfirmed.keys())).is([5]);
+            test.value(await target.readCheckpoint('detik')).is(null);
+            test.value(sink.changes.map(function(change) {
+                return [change.action, change.report.contributionId];
+            })).is([['inserted', 2], ['unconfirmed', 6]]);
+            test.value((await sink.findRecentReports(0, 2000, 10))
+                .map(function(report) {
+                    return report.contributionId;
+                })).is([1, 2]);
+            test.value(await sink.getLastContributionId()).is(1);
+        });
+
+        it( 'Updates and revises stored reports in memory', async function() {
+            sink.config.CONFLICT_POLICY = 'update';
+            test.value((await sink.saveReport(generateReport(1, 3000)))
+                .status).is('updated');
+            let report = generateReport(1, 3000);
+            report.title = 'new title';
+            test.value((await sink.reviseReport(report, {change: 'edit',
+                previous: {title: 'title'}})).status).is('revised');
+            test.value((await sink.getReport(1)).title).is('new title');
+            test.value((await target.getReport(1)).title).is('title');
+            test.value(sink.changes.map(function(change) {
+                return change.action;
+            })).is(['updated', 'revised']);
+        });
+    });
+
+    describe( 'NdjsonSink', function() {
+        let file;
+
+        beforeEach(function() {
+            file = path.join(os.tmpdir(), 'detik-sink-' + process.pid + '-' +
+                Date.now() + '.ndjson');
+        });
+
+        it( 'Appends reports and reads them back', async function() {
+            let sink = new sinks.NdjsonSink({NDJSON_PATH: file});
+            test.value(await sink.getLastContributionId()).is(null);
+            await sink.saveReport(generateReport(7));
+            const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+            test.value(lines.length).is(2);
+            test.value(JSON.parse(lines[0]).type).is('report');
+            test.value(JSON.parse(lines[1]).type).is('user');
+
+            sink = new sinks.NdjsonSink({NDJSON_PATH: file});
+            test.value(await sink.getLastContributionId()).is(7);
+            test.value((await sink.saveReport(generateReport(7))).status)
+                .is('duplicate');
+            await sink.saveUnconfirmed(generateReport(8));
+
+            await sink.writeCheckpoint('detik', {lastContributionId: 7});
+            await sink.writeCheckpoint('detik', {lastContributionId: 8});
+
+            sink = new sinks.NdjsonSink({NDJSON_PATH: file});
+            test.value((await sink.saveUnconfirmed(generateReport(8))).status)
+                .is('duplicate');
+            test.value(await sink.readCheckpoint('detik'))
+                .is({lastContributionId: 8});
+        });
+
+        it( 'Reads moved users back', async function() {
+            let sink = new sinks.NdjsonSink({NDJSON_PATH: file});
+            await sink.saveReport(generateReport(7));
+            let report = generateReport(8);
+            report.userHash = 'keyed';
+            report.legacyUserHash = '202cb962ac59075b964b07152d234b70';
+            await sink.saveReport(report);
+
+            sink = new sinks.NdjsonSink({NDJSON_PATH: file});
+            await sink.getLastContributionId();
+            test.value(Array.from(sink.users.keys())).is(['keyed']);
+            test.value(sink.users.get('keyed').reports).is(2);
+            test.value((await sink.getReport(7)).userHash).is('keyed');
+        });
+
+        it( 'Never writes raw user IDs or legacy hashes', async function() {
+            const result = {contributionId: 7, url: 'https://web.com',
+                title: 'Banjir', location: {geospatial: {longitude: 1,
+                latitude: 1}}, date: {create: {sec: 1000}},
+                user: {creator: {id: 98765}}};
+            const report = normalizeResult(result,
+                {userHashSecret: 'secret'}).report;
+            let sink = new sinks.NdjsonSink({NDJSON_PATH: file});
+            await sink.saveReport(report);
+            await sink.saveUnconfirmed(Object.assign({}, report,
+                {contributionId: 8}));
+            const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+            test.value(lines.length).is(4);
+            lines.forEach(function(line) {
+                test.value(line).notContains('98765');
+                test.value(line).notContains(report.legacyUserHash);
+            });
+            test.value(lines[0]).contains(report.userHash);
+        });
+
+        it( 'Appends revisions and reads them back', async function() {
+            let sink = new sinks.NdjsonSink({NDJSON_PATH: file});
+            await sink.saveReport(generateReport(7));
+            await sink.saveReport(generateReport(8, 2000, 1100));
+            let report = generateReport(7);
+            report.title = 'new title';
+            test.value((await sink.reviseReport(report, {change: 'edit',
+                previous: {title: 'title'}})).status).is('revised');
+            test.value(await sink.withdrawMissing(1000, 1200, [7])).is([8]);
+
+            sink = new sinks.NdjsonSink({NDJSON_PATH: file});
+            test.value((await sink.getReport(7)).title).is('new title');
+            test.value((await sink.getReport(8)).withdrawnAt).isString();
+            test.value(await sink.getReport(9)).is(null);
+            test.value(sink.revisions.map(function(revision) {
+                return revision.change;
+            })).is(['edit', 'withdrawn']);
+            test.value(await sink.withdrawMissing(1000, 1200, [7])).is([]);
+            test.value((await sink.reviseReport(generateReport(9),
+                {change: 'edit', previous: {}})).status).is('missing');
+        });
+
+        afterEach(function() {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        });
+    });
+});